@@ -1,4 +1,5 @@
 import Database from 'better-sqlite3';
+import { AsyncLocalStorage } from 'async_hooks';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
@@ -8,7 +9,8 @@ const __dirname = path.dirname(__filename);
 
 // SERVERLESS FIX: Use /tmp for Vercel compatibility (or local db in development)
 const dbDir = process.env.NODE_ENV === 'production' && process.env.VERCEL ? '/tmp' : __dirname;
-const dbPath = path.join(dbDir, 'tic_projects.db');
+// SQLITE_PATH overrides the default location (use ':memory:' for throwaway databases)
+const dbPath = process.env.SQLITE_PATH || path.join(dbDir, 'tic_projects.db');
 
 // Ensure directory exists
 if (!fs.existsSync(dbDir) && dbDir !== '/tmp') {
@@ -16,80 +18,132 @@ if (!fs.existsSync(dbDir) && dbDir !== '/tmp') {
 }
 
 const db = new Database(dbPath);
+db.pragma('foreign_keys = ON');
 
-db.exec(`
-  CREATE TABLE IF NOT EXISTS users (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    username TEXT UNIQUE NOT NULL,
-    email TEXT UNIQUE NOT NULL,
-    password TEXT NOT NULL,
-    full_name TEXT,
-    profile_picture TEXT,
-    bio TEXT,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  )
-`);
-
-db.exec(`
-  CREATE TABLE IF NOT EXISTS projects (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    title TEXT NOT NULL,
-    description TEXT NOT NULL,
-    author_id INTEGER NOT NULL,
-    section TEXT,
-    group_number TEXT,
-    full_name TEXT,
-    matricule TEXT,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (author_id) REFERENCES users(id)
-  )
-`);
-
-db.exec(`
-  CREATE TABLE IF NOT EXISTS reviews (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    project_id INTEGER NOT NULL,
-    reviewer_id INTEGER NOT NULL,
-    rating INTEGER CHECK(rating >= 1 AND rating <= 5),
-    comment TEXT,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (project_id) REFERENCES projects(id),
-    FOREIGN KEY (reviewer_id) REFERENCES users(id),
-    UNIQUE(project_id, reviewer_id)
-  )
-`);
-
-db.exec(`
-  CREATE TABLE IF NOT EXISTS project_files (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    project_id INTEGER NOT NULL,
-    file_path TEXT NOT NULL,
-    uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (project_id) REFERENCES projects(id)
-  )
-`);
-
-// Add new columns if they don't exist (for existing databases)
-try {
-  db.exec(`ALTER TABLE projects ADD COLUMN section TEXT`);
-} catch (e) {}
-try {
-  db.exec(`ALTER TABLE projects ADD COLUMN group_number TEXT`);
-} catch (e) {}
-try {
-  db.exec(`ALTER TABLE projects ADD COLUMN full_name TEXT`);
-} catch (e) {}
-try {
-  db.exec(`ALTER TABLE projects ADD COLUMN matricule TEXT`);
-} catch (e) {}
-try {
-  db.exec(`ALTER TABLE users ADD COLUMN full_name TEXT`);
-} catch (e) {}
-try {
-  db.exec(`ALTER TABLE users ADD COLUMN profile_picture TEXT`);
-} catch (e) {}
-try {
-  db.exec(`ALTER TABLE users ADD COLUMN bio TEXT`);
-} catch (e) {}
-
-export default db;
+// Schema is managed by the migrations in db/migrations (see db/migrator.js)
+
+/**
+ * Translate PostgreSQL-style `$n` placeholders into positional `?` ones.
+ * A placeholder used several times gets its value bound once per occurrence.
+ * @param {string} text - SQL using `$1`, `$2`, ... placeholders
+ * @param {Array} params - Values indexed by placeholder number
+ * @returns {{sql: string, values: Array}}
+ */
+function translate(text, params = []) {
+  const values = [];
+  const sql = text.replace(/\$(\d+)/g, (match, index) => {
+    values.push(toSqliteValue(params[Number(index) - 1]));
+    return '?';
+  });
+  return { sql, values };
+}
+
+// CURRENT_TIMESTAMP is stored as UTC "YYYY-MM-DD HH:MM:SS"
+const SQLITE_TIMESTAMP = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+// better-sqlite3 only binds numbers, strings, bigints, buffers and null.
+// Dates use the CURRENT_TIMESTAMP format so they compare correctly with stored timestamps.
+function toSqliteValue(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString().slice(0, 19).replace('T', ' ');
+  return value;
+}
+
+/**
+ * Convert BOOLEAN and TIMESTAMP columns to the values node-pg would return
+ * (true/false and ISO-8601 strings), using the declared column types.
+ */
+function normalizeRows(statement, rows) {
+  const converters = [];
+  for (const column of statement.columns()) {
+    const type = (column.type || '').toUpperCase();
+    if (type === 'BOOLEAN') {
+      converters.push([column.name, value => value === null ? null : Boolean(value)]);
+    } else if (type === 'TIMESTAMP') {
+      converters.push([column.name, value =>
+        typeof value === 'string' && SQLITE_TIMESTAMP.test(value) ? `${value.replace(' ', 'T')}.000Z` : value
+      ]);
+    }
+  }
+
+  if (converters.length === 0) return rows;
+
+  for (const row of rows) {
+    for (const [name, convert] of converters) {
+      if (name in row) row[name] = convert(row[name]);
+    }
+  }
+  return rows;
+}
+
+/**
+ * Execute a statement and return a pg-compatible result ({ rows, rowCount }).
+ */
+function execute(text, params) {
+  const { sql, values } = translate(text, params);
+  const statement = db.prepare(sql);
+
+  if (statement.reader) {
+    const rows = normalizeRows(statement, statement.all(values));
+    return { rows, rowCount: rows.length };
+  }
+
+  const info = statement.run(values);
+  return { rows: [], rowCount: info.changes };
+}
+
+// A single connection is shared by every request, so transactions are queued one at a time
+let transactionQueue = Promise.resolve();
+let transactionOpen = false;
+
+// Set inside a transaction's callback, so its own queries never wait for it to finish
+const transactionScope = new AsyncLocalStorage();
+
+/**
+ * Execute a statement outside any transaction. While another request's transaction is
+ * open, the statement waits for it to end: on the shared connection it would otherwise
+ * run inside that transaction and be undone by its ROLLBACK.
+ * Kept async so callers can treat both backends the same way.
+ */
+async function query(text, params) {
+  while (transactionOpen && !transactionScope.getStore()) {
+    await transactionQueue;
+  }
+  return execute(text, params);
+}
+
+/**
+ * Run a callback inside a transaction.
+ * @param {(tx: {query: Function}) => Promise<any>} fn - Receives a query-only handle bound to the transaction
+ * @returns {Promise<any>} Whatever the callback resolves to
+ */
+function transaction(fn) {
+  const run = () => transactionScope.run(true, async () => {
+    transactionOpen = true;
+    db.exec('BEGIN');
+    try {
+      const result = await fn({ query: async (text, params) => execute(text, params) });
+      db.exec('COMMIT');
+      return result;
+    } catch (err) {
+      db.exec('ROLLBACK');
+      throw err;
+    } finally {
+      transactionOpen = false;
+    }
+  });
+
+  const result = transactionQueue.then(run, run);
+  transactionQueue = result.catch(() => {});
+  return result;
+}
+
+console.log(`[INFO] SQLite database opened at ${dbPath}`);
+
+export default {
+  dialect: 'sqlite',
+  query,
+  transaction,
+  close: async () => db.close(),
+};
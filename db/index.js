@@ -0,0 +1,30 @@
+/**
+ * Data-access entry point used by every route.
+ *
+ * The backend is chosen with DB_CLIENT ("postgres" or "sqlite"). When it is
+ * not set, PostgreSQL is used if DATABASE_URL is configured and SQLite otherwise,
+ * so a fresh checkout runs without a database server.
+ *
+ * Both drivers expose the same interface:
+ * - dialect: 'postgres' | 'sqlite'
+ * - query(text, params): Promise<{ rows, rowCount }> using `$1` placeholders
+ * - transaction(fn): runs fn({ query }) inside BEGIN/COMMIT
+ * - close(): releases the underlying connection(s)
+ *
+ * SQL in the routes sticks to the subset both engines accept
+ * (CAST instead of ::, LOWER(...) LIKE instead of ILIKE, RETURNING).
+ */
+const client = (process.env.DB_CLIENT || (process.env.DATABASE_URL ? 'postgres' : 'sqlite')).toLowerCase();
+
+if (client !== 'postgres' && client !== 'sqlite') {
+  throw new Error(`Unsupported DB_CLIENT "${client}" (expected "postgres" or "sqlite")`);
+}
+
+// Import lazily so the unused driver's native module never has to be installed
+const driver = client === 'sqlite'
+  ? await import('./database.js')
+  : await import('./postgres.js');
+
+const db = driver.default;
+
+export default db;
@@ -0,0 +1,71 @@
+import { primaryKey, addColumnIfMissing } from '../migrator.js';
+
+/**
+ * Baseline schema. Uses IF NOT EXISTS and column checks so databases created
+ * by the old startup code are adopted as-is instead of failing.
+ */
+export async function up(tx, dialect) {
+  await tx.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id ${primaryKey(dialect)},
+      username TEXT UNIQUE NOT NULL,
+      email TEXT UNIQUE NOT NULL,
+      password TEXT NOT NULL,
+      full_name TEXT,
+      profile_picture TEXT,
+      bio TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await tx.query(`
+    CREATE TABLE IF NOT EXISTS projects (
+      id ${primaryKey(dialect)},
+      title TEXT NOT NULL,
+      description TEXT NOT NULL,
+      author_id INTEGER NOT NULL REFERENCES users(id),
+      section TEXT,
+      group_number TEXT,
+      full_name TEXT,
+      matricule TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await tx.query(`
+    CREATE TABLE IF NOT EXISTS reviews (
+      id ${primaryKey(dialect)},
+      project_id INTEGER NOT NULL REFERENCES projects(id),
+      reviewer_id INTEGER NOT NULL REFERENCES users(id),
+      rating INTEGER CHECK(rating >= 1 AND rating <= 5),
+      comment TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(project_id, reviewer_id)
+    )
+  `);
+
+  await tx.query(`
+    CREATE TABLE IF NOT EXISTS project_files (
+      id ${primaryKey(dialect)},
+      project_id INTEGER NOT NULL REFERENCES projects(id),
+      file_path TEXT NOT NULL,
+      uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Columns that early SQLite databases were created without
+  await addColumnIfMissing(tx, dialect, 'projects', 'section', 'TEXT');
+  await addColumnIfMissing(tx, dialect, 'projects', 'group_number', 'TEXT');
+  await addColumnIfMissing(tx, dialect, 'projects', 'full_name', 'TEXT');
+  await addColumnIfMissing(tx, dialect, 'projects', 'matricule', 'TEXT');
+  await addColumnIfMissing(tx, dialect, 'users', 'full_name', 'TEXT');
+  await addColumnIfMissing(tx, dialect, 'users', 'profile_picture', 'TEXT');
+  await addColumnIfMissing(tx, dialect, 'users', 'bio', 'TEXT');
+}
+
+export async function down(tx) {
+  await tx.query('DROP TABLE IF EXISTS project_files');
+  await tx.query('DROP TABLE IF EXISTS reviews');
+  await tx.query('DROP TABLE IF EXISTS projects');
+  await tx.query('DROP TABLE IF EXISTS users');
+}
@@ -0,0 +1,12 @@
+import { addColumnIfMissing } from '../migrator.js';
+
+export async function up(tx, dialect) {
+  await addColumnIfMissing(
+    tx, dialect, 'users', 'role',
+    "TEXT NOT NULL DEFAULT 'student' CHECK(role IN ('student', 'teacher', 'admin'))"
+  );
+}
+
+export async function down(tx) {
+  await tx.query('ALTER TABLE users DROP COLUMN role');
+}
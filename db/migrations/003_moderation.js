@@ -0,0 +1,31 @@
+import { primaryKey, addColumnIfMissing } from '../migrator.js';
+
+export async function up(tx, dialect) {
+  await addColumnIfMissing(tx, dialect, 'projects', 'is_hidden', 'BOOLEAN NOT NULL DEFAULT FALSE');
+  await addColumnIfMissing(tx, dialect, 'reviews', 'is_hidden', 'BOOLEAN NOT NULL DEFAULT FALSE');
+
+  // target_id has no foreign key: it points at either a project or a review,
+  // and resolved reports are kept after their content is deleted
+  await tx.query(`
+    CREATE TABLE IF NOT EXISTS reports (
+      id ${primaryKey(dialect)},
+      target_type TEXT NOT NULL CHECK(target_type IN ('project', 'review')),
+      target_id INTEGER NOT NULL,
+      reporter_id INTEGER NOT NULL REFERENCES users(id),
+      reason TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'open' CHECK(status IN ('open', 'dismissed', 'hidden', 'deleted')),
+      resolved_by INTEGER REFERENCES users(id),
+      resolved_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await tx.query('CREATE INDEX IF NOT EXISTS idx_reports_target ON reports(target_type, target_id)');
+  await tx.query('CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status)');
+}
+
+export async function down(tx) {
+  await tx.query('DROP TABLE IF EXISTS reports');
+  await tx.query('ALTER TABLE reviews DROP COLUMN is_hidden');
+  await tx.query('ALTER TABLE projects DROP COLUMN is_hidden');
+}
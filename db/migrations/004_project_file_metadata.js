@@ -0,0 +1,22 @@
+import path from 'path';
+import { addColumnIfMissing } from '../migrator.js';
+
+export async function up(tx, dialect) {
+  await addColumnIfMissing(tx, dialect, 'project_files', 'original_name', 'TEXT');
+  await addColumnIfMissing(tx, dialect, 'project_files', 'mime_type', 'TEXT');
+  await addColumnIfMissing(tx, dialect, 'project_files', 'file_size', 'INTEGER');
+  await tx.query('CREATE INDEX IF NOT EXISTS idx_project_files_project ON project_files(project_id)');
+
+  // Older uploads only kept their stored path; use its basename as the display name
+  const legacy = await tx.query('SELECT id, file_path FROM project_files WHERE original_name IS NULL');
+  for (const row of legacy.rows) {
+    await tx.query('UPDATE project_files SET original_name = $1 WHERE id = $2', [path.basename(row.file_path), row.id]);
+  }
+}
+
+export async function down(tx) {
+  await tx.query('DROP INDEX IF EXISTS idx_project_files_project');
+  await tx.query('ALTER TABLE project_files DROP COLUMN file_size');
+  await tx.query('ALTER TABLE project_files DROP COLUMN mime_type');
+  await tx.query('ALTER TABLE project_files DROP COLUMN original_name');
+}
@@ -0,0 +1,22 @@
+import { addColumnIfMissing } from '../migrator.js';
+
+/**
+ * project_files.file_path becomes a storage key relative to the storage root
+ * ("project-123.pdf" instead of "/uploads/project-123.pdf"), and each row
+ * records which storage driver holds the file.
+ */
+export async function up(tx, dialect) {
+  await addColumnIfMissing(tx, dialect, 'project_files', 'storage_driver', "TEXT NOT NULL DEFAULT 'local'");
+  await tx.query(`
+    UPDATE project_files SET file_path = SUBSTR(file_path, 10)
+    WHERE file_path LIKE '/uploads/%'
+  `);
+}
+
+export async function down(tx) {
+  await tx.query(`
+    UPDATE project_files SET file_path = '/uploads/' || file_path
+    WHERE storage_driver = 'local' AND file_path NOT LIKE '/uploads/%'
+  `);
+  await tx.query('ALTER TABLE project_files DROP COLUMN storage_driver');
+}
@@ -0,0 +1,21 @@
+import { addColumnIfMissing } from '../migrator.js';
+
+/**
+ * Per-project control over who may download attached files, and a download
+ * counter on each file.
+ * - public: anyone, including visitors who are not logged in
+ * - authenticated: any logged-in user
+ * - private: the project's team (its author and members) and staff only
+ */
+export async function up(tx, dialect) {
+  await addColumnIfMissing(
+    tx, dialect, 'projects', 'file_visibility',
+    "TEXT NOT NULL DEFAULT 'public' CHECK(file_visibility IN ('public', 'authenticated', 'private'))"
+  );
+  await addColumnIfMissing(tx, dialect, 'project_files', 'download_count', 'INTEGER NOT NULL DEFAULT 0');
+}
+
+export async function down(tx) {
+  await tx.query('ALTER TABLE project_files DROP COLUMN download_count');
+  await tx.query('ALTER TABLE projects DROP COLUMN file_visibility');
+}
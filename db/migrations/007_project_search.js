@@ -0,0 +1,51 @@
+import { addColumnIfMissing } from '../migrator.js';
+
+/**
+ * Full-text search over projects (see utils/search.js).
+ * - project_files.extracted_text: text pulled from uploaded PDFs and text files
+ * - PostgreSQL: projects.search_vector, a weighted tsvector with a GIN index
+ * - SQLite: the project_search FTS5 table, keyed by project id
+ *
+ * Existing projects are indexed here without file text; `npm run reindex-search`
+ * extracts text from files uploaded before this migration.
+ */
+export async function up(tx, dialect) {
+  await addColumnIfMissing(tx, dialect, 'project_files', 'extracted_text', 'TEXT');
+
+  if (dialect === 'postgres') {
+    await addColumnIfMissing(tx, dialect, 'projects', 'search_vector', 'TSVECTOR');
+    await tx.query('CREATE INDEX IF NOT EXISTS idx_projects_search ON projects USING GIN(search_vector)');
+    await tx.query(`
+      UPDATE projects SET search_vector =
+        setweight(to_tsvector('simple', COALESCE(projects.title, '')), 'A') ||
+        setweight(to_tsvector('simple', users.username || ' ' || COALESCE(projects.section, '')), 'B') ||
+        setweight(to_tsvector('simple', COALESCE(projects.description, '')), 'B')
+      FROM users
+      WHERE users.id = projects.author_id
+    `);
+    return;
+  }
+
+  await tx.query(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS project_search USING fts5(
+      title, description, author_name, section, file_text,
+      tokenize = 'unicode61 remove_diacritics 2'
+    )
+  `);
+  await tx.query(`
+    INSERT INTO project_search (rowid, title, description, author_name, section, file_text)
+    SELECT projects.id, projects.title, projects.description, users.username, COALESCE(projects.section, ''), ''
+    FROM projects
+    JOIN users ON users.id = projects.author_id
+  `);
+}
+
+export async function down(tx, dialect) {
+  if (dialect === 'postgres') {
+    await tx.query('DROP INDEX IF EXISTS idx_projects_search');
+    await tx.query('ALTER TABLE projects DROP COLUMN search_vector');
+  } else {
+    await tx.query('DROP TABLE IF EXISTS project_search');
+  }
+  await tx.query('ALTER TABLE project_files DROP COLUMN extracted_text');
+}
@@ -0,0 +1,32 @@
+import { primaryKey, columnExists } from '../migrator.js';
+
+/**
+ * Email verification and password reset.
+ * Accounts that existed before verification was introduced are treated as verified.
+ * user_tokens only stores a SHA-256 hash of each emailed token; a token is spent
+ * by setting used_at.
+ */
+export async function up(tx, dialect) {
+  if (!(await columnExists(tx, dialect, 'users', 'email_verified'))) {
+    await tx.query('ALTER TABLE users ADD COLUMN email_verified BOOLEAN NOT NULL DEFAULT FALSE');
+    await tx.query('UPDATE users SET email_verified = TRUE');
+  }
+
+  await tx.query(`
+    CREATE TABLE IF NOT EXISTS user_tokens (
+      id ${primaryKey(dialect)},
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      purpose TEXT NOT NULL CHECK(purpose IN ('email_verification', 'password_reset')),
+      token_hash TEXT NOT NULL UNIQUE,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await tx.query('CREATE INDEX IF NOT EXISTS idx_user_tokens_user ON user_tokens(user_id, purpose)');
+}
+
+export async function down(tx) {
+  await tx.query('DROP TABLE IF EXISTS user_tokens');
+  await tx.query('ALTER TABLE users DROP COLUMN email_verified');
+}
@@ -0,0 +1,32 @@
+import { primaryKey, addColumnIfMissing } from '../migrator.js';
+
+/**
+ * Server-side sessions behind short-lived access tokens (see utils/sessions.js).
+ * Each session holds the hash of its current refresh token and of the one it
+ * replaced, so a replayed old refresh token can be detected.
+ */
+export async function up(tx, dialect) {
+  await tx.query(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id ${primaryKey(dialect)},
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      refresh_token_hash TEXT NOT NULL UNIQUE,
+      previous_token_hash TEXT,
+      user_agent TEXT,
+      ip_address TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP
+    )
+  `);
+  await tx.query('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)');
+  await tx.query('CREATE INDEX IF NOT EXISTS idx_sessions_previous_token ON sessions(previous_token_hash)');
+
+  await addColumnIfMissing(tx, dialect, 'users', 'password_changed_at', 'TIMESTAMP');
+}
+
+export async function down(tx) {
+  await tx.query('ALTER TABLE users DROP COLUMN password_changed_at');
+  await tx.query('DROP TABLE IF EXISTS sessions');
+}
@@ -0,0 +1,43 @@
+import { primaryKey } from '../migrator.js';
+
+/**
+ * Replies and helpful votes on reviews.
+ * A reply may answer another reply (parent_id). At most one reply per review is the
+ * project author's designated response (is_author_response). Deleted replies keep
+ * their row (deleted_at) so the replies under them stay in place.
+ */
+export async function up(tx, dialect) {
+  await tx.query(`
+    CREATE TABLE IF NOT EXISTS review_replies (
+      id ${primaryKey(dialect)},
+      review_id INTEGER NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+      parent_id INTEGER REFERENCES review_replies(id) ON DELETE CASCADE,
+      author_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      body TEXT NOT NULL,
+      is_author_response BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      deleted_at TIMESTAMP
+    )
+  `);
+  await tx.query('CREATE INDEX IF NOT EXISTS idx_review_replies_review ON review_replies(review_id)');
+  await tx.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_review_replies_author_response
+    ON review_replies(review_id) WHERE is_author_response = TRUE
+  `);
+
+  await tx.query(`
+    CREATE TABLE IF NOT EXISTS review_votes (
+      review_id INTEGER NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      is_helpful BOOLEAN NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (review_id, user_id)
+    )
+  `);
+}
+
+export async function down(tx) {
+  await tx.query('DROP TABLE IF EXISTS review_votes');
+  await tx.query('DROP TABLE IF EXISTS review_replies');
+}
@@ -0,0 +1,37 @@
+import { primaryKey } from '../migrator.js';
+
+/**
+ * Weighted rubric criteria per section, and the per-criterion scores of reviews.
+ * Criteria are archived rather than deleted so the scores given against them stay.
+ */
+export async function up(tx, dialect) {
+  await tx.query(`
+    CREATE TABLE IF NOT EXISTS rubric_criteria (
+      id ${primaryKey(dialect)},
+      section TEXT NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT,
+      weight FLOAT NOT NULL CHECK(weight > 0),
+      position INTEGER NOT NULL DEFAULT 0,
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      archived_at TIMESTAMP
+    )
+  `);
+  await tx.query('CREATE INDEX IF NOT EXISTS idx_rubric_criteria_section ON rubric_criteria(section)');
+
+  await tx.query(`
+    CREATE TABLE IF NOT EXISTS review_scores (
+      review_id INTEGER NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+      criterion_id INTEGER NOT NULL REFERENCES rubric_criteria(id) ON DELETE CASCADE,
+      score INTEGER NOT NULL CHECK(score >= 1 AND score <= 5),
+      PRIMARY KEY (review_id, criterion_id)
+    )
+  `);
+  await tx.query('CREATE INDEX IF NOT EXISTS idx_review_scores_criterion ON review_scores(criterion_id)');
+}
+
+export async function down(tx) {
+  await tx.query('DROP TABLE IF EXISTS review_scores');
+  await tx.query('DROP TABLE IF EXISTS rubric_criteria');
+}
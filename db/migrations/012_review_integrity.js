@@ -0,0 +1,40 @@
+import { addColumnIfMissing } from '../migrator.js';
+
+/**
+ * Flags on suspicious reviews (see utils/integrity.js).
+ * reviews.is_flagged keeps a review out of ratings while its flag is open; review_flags
+ * records why it was flagged and what a moderator decided. Existing self-reviews are
+ * flagged so they stop counting until they are looked at.
+ */
+export async function up(tx, dialect) {
+  await addColumnIfMissing(tx, dialect, 'reviews', 'is_flagged', 'BOOLEAN NOT NULL DEFAULT FALSE');
+
+  await tx.query(`
+    CREATE TABLE IF NOT EXISTS review_flags (
+      review_id INTEGER PRIMARY KEY REFERENCES reviews(id) ON DELETE CASCADE,
+      reasons TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'open' CHECK(status IN ('open', 'cleared', 'hidden')),
+      resolved_by INTEGER REFERENCES users(id),
+      resolved_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await tx.query('CREATE INDEX IF NOT EXISTS idx_review_flags_status ON review_flags(status)');
+
+  await tx.query(`
+    INSERT INTO review_flags (review_id, reasons)
+    SELECT reviews.id, 'self_review'
+    FROM reviews
+    JOIN projects ON projects.id = reviews.project_id
+    WHERE reviews.reviewer_id = projects.author_id
+  `);
+  await tx.query(`
+    UPDATE reviews SET is_flagged = TRUE
+    WHERE id IN (SELECT review_id FROM review_flags WHERE status = 'open')
+  `);
+}
+
+export async function down(tx) {
+  await tx.query('DROP TABLE IF EXISTS review_flags');
+  await tx.query('ALTER TABLE reviews DROP COLUMN is_flagged');
+}
@@ -0,0 +1,50 @@
+import { primaryKey } from '../migrator.js';
+
+/**
+ * Project teams.
+ * Every project has its author as 'owner' in project_members, plus the 'member' accounts
+ * that accepted an invitation. Invitations are kept after they are answered; at most one
+ * per project and invitee is pending at a time.
+ */
+export async function up(tx, dialect) {
+  await tx.query(`
+    CREATE TABLE IF NOT EXISTS project_members (
+      project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      role TEXT NOT NULL DEFAULT 'member' CHECK(role IN ('owner', 'member')),
+      joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (project_id, user_id)
+    )
+  `);
+  await tx.query('CREATE INDEX IF NOT EXISTS idx_project_members_user ON project_members(user_id)');
+
+  await tx.query(`
+    CREATE TABLE IF NOT EXISTS project_invitations (
+      id ${primaryKey(dialect)},
+      project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+      invitee_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      inviter_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'accepted', 'declined', 'cancelled')),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      responded_at TIMESTAMP
+    )
+  `);
+  await tx.query('CREATE INDEX IF NOT EXISTS idx_project_invitations_invitee ON project_invitations(invitee_id, status)');
+  await tx.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_project_invitations_pending
+    ON project_invitations(project_id, invitee_id) WHERE status = 'pending'
+  `);
+
+  await tx.query(`
+    INSERT INTO project_members (project_id, user_id, role, joined_at)
+    SELECT id, author_id, 'owner', created_at FROM projects
+    WHERE NOT EXISTS (
+      SELECT 1 FROM project_members WHERE project_members.project_id = projects.id
+    )
+  `);
+}
+
+export async function down(tx) {
+  await tx.query('DROP TABLE IF EXISTS project_invitations');
+  await tx.query('DROP TABLE IF EXISTS project_members');
+}
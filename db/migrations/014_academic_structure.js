@@ -0,0 +1,133 @@
+import { primaryKey, addColumnIfMissing } from '../migrator.js';
+
+/**
+ * Academic years, sections, groups and course modules as managed entities
+ * (routes/academic.js), referenced by projects. Existing free-text sections and groups
+ * are turned into entities, with spelling variants of one group ("G1", "g1",
+ * "Group 1") merged. projects.section and projects.group_number are kept as copies of
+ * the canonical names, as are rubric sections. Names are unique case-insensitively;
+ * groups within their section.
+ */
+
+// Kept in sync with utils/academic.js, frozen here as of this migration
+const collapse = (value) => value.replace(/\s+/g, ' ').trim();
+const canonicalSection = (value) => {
+  const name = collapse(value);
+  return /^[a-z0-9]{1,3}$/i.test(name) ? name.toUpperCase() : name;
+};
+const canonicalGroup = (value) => {
+  const name = collapse(value);
+  const numbered = name.match(/^(?:g|gr|grp|group|groupe)?\s*[-#]?\s*0*(\d+)$/i);
+  return numbered ? String(Number(numbered[1])) : name;
+};
+
+export async function up(tx, dialect) {
+  await tx.query(`
+    CREATE TABLE IF NOT EXISTS academic_years (
+      id ${primaryKey(dialect)},
+      name TEXT NOT NULL,
+      is_current BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await tx.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_academic_years_name ON academic_years(LOWER(name))');
+
+  await tx.query(`
+    CREATE TABLE IF NOT EXISTS sections (
+      id ${primaryKey(dialect)},
+      name TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await tx.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_sections_name ON sections(LOWER(name))');
+
+  // A group without a section is allowed for projects that only ever had a group number
+  await tx.query(`
+    CREATE TABLE IF NOT EXISTS student_groups (
+      id ${primaryKey(dialect)},
+      section_id INTEGER REFERENCES sections(id),
+      name TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await tx.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_student_groups_name
+    ON student_groups(COALESCE(section_id, 0), LOWER(name))
+  `);
+
+  await tx.query(`
+    CREATE TABLE IF NOT EXISTS modules (
+      id ${primaryKey(dialect)},
+      code TEXT NOT NULL,
+      name TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await tx.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_modules_code ON modules(LOWER(code))');
+
+  await addColumnIfMissing(tx, dialect, 'projects', 'academic_year_id', 'INTEGER REFERENCES academic_years(id)');
+  await addColumnIfMissing(tx, dialect, 'projects', 'section_id', 'INTEGER REFERENCES sections(id)');
+  await addColumnIfMissing(tx, dialect, 'projects', 'group_id', 'INTEGER REFERENCES student_groups(id)');
+  await addColumnIfMissing(tx, dialect, 'projects', 'module_id', 'INTEGER REFERENCES modules(id)');
+
+  const projects = await tx.query(`
+    SELECT id, section, group_number FROM projects
+    WHERE (section IS NOT NULL AND TRIM(section) != '') OR (group_number IS NOT NULL AND TRIM(group_number) != '')
+  `);
+
+  const sectionIds = new Map();
+  const groupIds = new Map();
+
+  for (const project of projects.rows) {
+    const sectionName = project.section && collapse(project.section) ? canonicalSection(project.section) : null;
+    const groupName = project.group_number && collapse(project.group_number) ? canonicalGroup(project.group_number) : null;
+
+    let sectionId = null;
+    if (sectionName) {
+      const key = sectionName.toLowerCase();
+      if (!sectionIds.has(key)) {
+        const inserted = await tx.query('INSERT INTO sections (name) VALUES ($1) RETURNING id', [sectionName]);
+        sectionIds.set(key, inserted.rows[0].id);
+      }
+      sectionId = sectionIds.get(key);
+    }
+
+    let groupId = null;
+    if (groupName) {
+      const key = `${sectionId ?? 0}:${groupName.toLowerCase()}`;
+      if (!groupIds.has(key)) {
+        const inserted = await tx.query(
+          'INSERT INTO student_groups (section_id, name) VALUES ($1, $2) RETURNING id',
+          [sectionId, groupName]
+        );
+        groupIds.set(key, inserted.rows[0].id);
+      }
+      groupId = groupIds.get(key);
+    }
+
+    await tx.query(
+      'UPDATE projects SET section_id = $1, section = $2, group_id = $3, group_number = $4 WHERE id = $5',
+      [sectionId, sectionName, groupId, groupName, project.id]
+    );
+  }
+
+  // Rubrics are looked up by the project's section name, so they follow the canonical spelling
+  const criteria = await tx.query('SELECT id, section FROM rubric_criteria');
+  for (const criterion of criteria.rows) {
+    const name = canonicalSection(criterion.section);
+    if (name !== criterion.section) {
+      await tx.query('UPDATE rubric_criteria SET section = $1 WHERE id = $2', [name, criterion.id]);
+    }
+  }
+}
+
+export async function down(tx) {
+  await tx.query('ALTER TABLE projects DROP COLUMN module_id');
+  await tx.query('ALTER TABLE projects DROP COLUMN group_id');
+  await tx.query('ALTER TABLE projects DROP COLUMN section_id');
+  await tx.query('ALTER TABLE projects DROP COLUMN academic_year_id');
+  await tx.query('DROP TABLE IF EXISTS modules');
+  await tx.query('DROP TABLE IF EXISTS student_groups');
+  await tx.query('DROP TABLE IF EXISTS sections');
+  await tx.query('DROP TABLE IF EXISTS academic_years');
+}
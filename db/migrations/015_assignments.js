@@ -0,0 +1,47 @@
+import { primaryKey, addColumnIfMissing } from '../migrator.js';
+
+/**
+ * Assignments set by teachers, with an open date, a due date, the file types a
+ * submission may contain and what happens to late submissions ('flag' or 'block').
+ * A project is submitted by setting its assignment_id; is_late records whether that
+ * happened after the due date. Students' section and group (users.section_id,
+ * users.group_id) say which assignments they are expected to submit.
+ */
+export async function up(tx, dialect) {
+  await tx.query(`
+    CREATE TABLE IF NOT EXISTS assignments (
+      id ${primaryKey(dialect)},
+      title TEXT NOT NULL,
+      description TEXT,
+      module_id INTEGER REFERENCES modules(id),
+      academic_year_id INTEGER REFERENCES academic_years(id),
+      section_id INTEGER REFERENCES sections(id),
+      group_id INTEGER REFERENCES student_groups(id),
+      opens_at TIMESTAMP,
+      due_at TIMESTAMP NOT NULL,
+      allowed_file_types TEXT,
+      late_policy TEXT NOT NULL DEFAULT 'flag' CHECK(late_policy IN ('flag', 'block')),
+      created_by INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await tx.query('CREATE INDEX IF NOT EXISTS idx_assignments_due_at ON assignments(due_at)');
+
+  await addColumnIfMissing(tx, dialect, 'projects', 'assignment_id', 'INTEGER REFERENCES assignments(id)');
+  await addColumnIfMissing(tx, dialect, 'projects', 'submitted_at', 'TIMESTAMP');
+  await addColumnIfMissing(tx, dialect, 'projects', 'is_late', 'BOOLEAN NOT NULL DEFAULT FALSE');
+  await tx.query('CREATE INDEX IF NOT EXISTS idx_projects_assignment ON projects(assignment_id)');
+
+  await addColumnIfMissing(tx, dialect, 'users', 'section_id', 'INTEGER REFERENCES sections(id)');
+  await addColumnIfMissing(tx, dialect, 'users', 'group_id', 'INTEGER REFERENCES student_groups(id)');
+}
+
+export async function down(tx) {
+  await tx.query('ALTER TABLE users DROP COLUMN group_id');
+  await tx.query('ALTER TABLE users DROP COLUMN section_id');
+  await tx.query('DROP INDEX IF EXISTS idx_projects_assignment');
+  await tx.query('ALTER TABLE projects DROP COLUMN is_late');
+  await tx.query('ALTER TABLE projects DROP COLUMN submitted_at');
+  await tx.query('ALTER TABLE projects DROP COLUMN assignment_id');
+  await tx.query('DROP TABLE IF EXISTS assignments');
+}
@@ -0,0 +1,39 @@
+import { primaryKey } from '../migrator.js';
+
+/**
+ * Teacher grades of projects and the private feedback thread between a project's
+ * team and staff. A grade starts as a draft, seen only by staff, and is shown to the
+ * team once published.
+ */
+export async function up(tx, dialect) {
+  await tx.query(`
+    CREATE TABLE IF NOT EXISTS grades (
+      id ${primaryKey(dialect)},
+      project_id INTEGER NOT NULL UNIQUE REFERENCES projects(id) ON DELETE CASCADE,
+      score FLOAT NOT NULL CHECK(score >= 0),
+      max_score FLOAT NOT NULL DEFAULT 20 CHECK(max_score > 0),
+      feedback TEXT,
+      status TEXT NOT NULL DEFAULT 'draft' CHECK(status IN ('draft', 'published')),
+      graded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      published_at TIMESTAMP
+    )
+  `);
+
+  await tx.query(`
+    CREATE TABLE IF NOT EXISTS project_feedback (
+      id ${primaryKey(dialect)},
+      project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+      author_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      body TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await tx.query('CREATE INDEX IF NOT EXISTS idx_project_feedback_project ON project_feedback(project_id)');
+}
+
+export async function down(tx) {
+  await tx.query('DROP TABLE IF EXISTS project_feedback');
+  await tx.query('DROP TABLE IF EXISTS grades');
+}
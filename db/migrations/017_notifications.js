@@ -0,0 +1,37 @@
+import { primaryKey } from '../migrator.js';
+
+/**
+ * In-app notifications written when something happens to a user's projects or
+ * reviews, and the event types each user has turned off (utils/notifications.js).
+ * A type without a preference row is on.
+ */
+export async function up(tx, dialect) {
+  await tx.query(`
+    CREATE TABLE IF NOT EXISTS notifications (
+      id ${primaryKey(dialect)},
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      type TEXT NOT NULL,
+      message TEXT NOT NULL,
+      actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      project_id INTEGER REFERENCES projects(id) ON DELETE CASCADE,
+      review_id INTEGER REFERENCES reviews(id) ON DELETE CASCADE,
+      read_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await tx.query('CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, read_at)');
+
+  await tx.query(`
+    CREATE TABLE IF NOT EXISTS notification_preferences (
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      type TEXT NOT NULL,
+      enabled BOOLEAN NOT NULL,
+      PRIMARY KEY (user_id, type)
+    )
+  `);
+}
+
+export async function down(tx) {
+  await tx.query('DROP TABLE IF EXISTS notification_preferences');
+  await tx.query('DROP TABLE IF EXISTS notifications');
+}
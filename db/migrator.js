@@ -0,0 +1,189 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import db from './index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const migrationsDir = path.join(__dirname, 'migrations');
+
+// Arbitrary key so concurrent instances (serverless cold starts) don't migrate at the same time
+const MIGRATION_LOCK_KEY = 727274;
+
+/**
+ * Column definition for an auto-incrementing integer primary key.
+ * @param {string} dialect - 'postgres' or 'sqlite'
+ */
+export function primaryKey(dialect) {
+  return dialect === 'postgres' ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+}
+
+/**
+ * Check whether a column exists on a table.
+ * @param {{query: Function}} tx - Query handle (usually the migration transaction)
+ * @param {string} dialect - 'postgres' or 'sqlite'
+ * @param {string} table
+ * @param {string} column
+ * @returns {Promise<boolean>}
+ */
+export async function columnExists(tx, dialect, table, column) {
+  const result = dialect === 'postgres'
+    ? await tx.query(
+        `SELECT column_name AS name FROM information_schema.columns
+         WHERE table_schema = current_schema() AND table_name = $1 AND column_name = $2`,
+        [table, column]
+      )
+    : await tx.query(
+        'SELECT name FROM pragma_table_info($1) WHERE name = $2',
+        [table, column]
+      );
+  return result.rows.length > 0;
+}
+
+/**
+ * Add a column unless it is already there (for databases created before migrations existed).
+ */
+export async function addColumnIfMissing(tx, dialect, table, column, definition) {
+  if (!(await columnExists(tx, dialect, table, column))) {
+    await tx.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * Load migration modules from db/migrations, sorted by version.
+ * Files are named `<version>_<name>.js` and export `up(tx, dialect)` and `down(tx, dialect)`.
+ * @returns {Promise<Array<{version: number, name: string, id: string, up: Function, down: Function}>>}
+ */
+export async function loadMigrations() {
+  const files = fs.readdirSync(migrationsDir)
+    .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+    .sort();
+
+  const migrations = [];
+  for (const file of files) {
+    const [, version, name] = file.match(/^(\d+)_([\w-]+)\.js$/);
+    const mod = await import(pathToFileURL(path.join(migrationsDir, file)).href);
+    if (typeof mod.up !== 'function' || typeof mod.down !== 'function') {
+      throw new Error(`Migration ${file} must export up() and down()`);
+    }
+    migrations.push({ version: Number(version), name, id: `${version}_${name}`, up: mod.up, down: mod.down });
+  }
+
+  const versions = new Set();
+  for (const migration of migrations) {
+    if (versions.has(migration.version)) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+    versions.add(migration.version);
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationsTable() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function lock(tx) {
+  if (db.dialect === 'postgres') {
+    await tx.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_KEY]);
+  }
+}
+
+async function isApplied(tx, version) {
+  const result = await tx.query('SELECT version FROM schema_migrations WHERE version = $1', [version]);
+  return result.rows.length > 0;
+}
+
+/**
+ * Apply every pending migration, each in its own transaction.
+ * @returns {Promise<Array<{version: number, name: string}>>} The migrations that were applied
+ */
+export async function migrateUp() {
+  await ensureMigrationsTable();
+  const migrations = await loadMigrations();
+  const applied = [];
+
+  for (const migration of migrations) {
+    const ran = await db.transaction(async (tx) => {
+      await lock(tx);
+      // Re-checked under the lock: another instance may have applied it meanwhile
+      if (await isApplied(tx, migration.version)) return false;
+
+      await migration.up(tx, db.dialect);
+      await tx.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+      return true;
+    });
+
+    if (ran) {
+      console.log(`[INFO] Applied migration ${migration.id}`);
+      applied.push({ version: migration.version, name: migration.name });
+    }
+  }
+
+  return applied;
+}
+
+/**
+ * Revert the most recently applied migrations.
+ * @param {number} [steps=1] - How many migrations to roll back
+ * @returns {Promise<Array<{version: number, name: string}>>} The migrations that were reverted
+ */
+export async function migrateDown(steps = 1) {
+  await ensureMigrationsTable();
+  const migrations = await loadMigrations();
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+
+  const result = await db.query(
+    'SELECT version, name FROM schema_migrations ORDER BY version DESC LIMIT $1',
+    [steps]
+  );
+
+  const reverted = [];
+  for (const row of result.rows) {
+    const migration = byVersion.get(Number(row.version));
+    if (!migration) {
+      throw new Error(`Migration file for applied version ${row.version}_${row.name} is missing`);
+    }
+
+    await db.transaction(async (tx) => {
+      await lock(tx);
+      await migration.down(tx, db.dialect);
+      await tx.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    });
+
+    console.log(`[INFO] Reverted migration ${migration.id}`);
+    reverted.push({ version: migration.version, name: migration.name });
+  }
+
+  return reverted;
+}
+
+/**
+ * List every known migration with whether (and when) it was applied.
+ * @returns {Promise<Array<{id: string, version: number, name: string, applied: boolean, applied_at: string|null}>>}
+ */
+export async function migrationStatus() {
+  await ensureMigrationsTable();
+  const migrations = await loadMigrations();
+  const result = await db.query('SELECT version, applied_at FROM schema_migrations');
+  const appliedAt = new Map(result.rows.map(row => [Number(row.version), row.applied_at]));
+
+  return migrations.map(migration => ({
+    id: migration.id,
+    version: migration.version,
+    name: migration.name,
+    applied: appliedAt.has(migration.version),
+    applied_at: appliedAt.get(migration.version) || null,
+  }));
+}
@@ -8,6 +8,13 @@ const __dirname = path.dirname(__filename);
 
 const app = express();
 
+// Behind a reverse proxy (Replit, Vercel, nginx), set TRUST_PROXY so req.ip is the
+// client address the rate limiter counts, not the proxy's: "true", a hop count or a subnet list
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set("trust proxy", trustProxy === "true" ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 app.use(cors());
 app.use(express.json());
 
@@ -18,22 +25,63 @@ app.use((req, res, next) => {
   next();
 });
 
+// Project files are only reachable through GET /projects/:id/files/:fileId/download,
+// which enforces each project's file visibility. Avatars stay public.
+app.use("/uploads/avatars", express.static(path.join(__dirname, "public", "uploads", "avatars")));
+app.use("/uploads", (req, res) => {
+  res.status(404).json({ error: "Not found" });
+});
+
 app.use(express.static(path.join(__dirname, "public")));
 
 app.get("/api", (req, res) => {
   res.json({ message: "TIC Projects Platform API is running", version: "1.0.0" });
 });
 
+import db from "./db/index.js";
+import { migrateUp } from "./db/migrator.js";
 import authRoutes from "./routes/auth.js";
 import projectRoutes from "./routes/projects.js";
 import userRoutes from "./routes/users.js";
+import adminRoutes from "./routes/admin.js";
+import reviewRoutes from "./routes/reviews.js";
+import moderationRoutes from "./routes/moderation.js";
+import rubricRoutes from "./routes/rubrics.js";
+import invitationRoutes from "./routes/invitations.js";
+import academicRoutes from "./routes/academic.js";
+import assignmentRoutes from "./routes/assignments.js";
+import gradeRoutes from "./routes/grades.js";
+import notificationRoutes from "./routes/notifications.js";
+import { rateLimit, loginLockout, loginAccount, bodyAccount, tokenAccount } from "./middleware/rateLimit.js";
+
+// Throttling for the endpoints open to brute force or spam; limits live in middleware/rateLimit.js
+app.post("/auth/login", rateLimit("login", { account: loginAccount }), loginLockout);
+app.post("/auth/register", rateLimit("register"));
+app.post(["/auth/forgot-password", "/auth/resend-verification"], rateLimit("accountEmail", { account: bodyAccount("email") }));
+app.post("/projects/:id/reviews", rateLimit("review", { account: tokenAccount }));
+app.post("/reviews/:id/replies", rateLimit("reply", { account: tokenAccount }));
+app.get("/users/search", rateLimit("userSearch"));
 
 app.use("/auth", authRoutes);
 app.use("/projects", projectRoutes);
 app.use("/users", userRoutes);
+app.use("/admin", adminRoutes);
+app.use("/reviews", reviewRoutes);
+app.use("/moderation", moderationRoutes);
+app.use("/rubrics", rubricRoutes);
+app.use("/invitations", invitationRoutes);
+app.use("/academic", academicRoutes);
+app.use("/assignments", assignmentRoutes);
+app.use("/grades", gradeRoutes);
+app.use("/notifications", notificationRoutes);
 
 // Global error handler - catches all errors from routes
 app.use((err, req, res, next) => {
+  // Malformed JSON bodies are the client's mistake, not a server error
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ error: "Request body is not valid JSON" });
+  }
+
   console.error("[CRITICAL ERROR] Unhandled error:");
   console.error("Error message:", err.message);
   console.error("Error stack:", err.stack);
@@ -48,20 +96,34 @@ app.use((err, req, res, next) => {
   });
 });
 
-app.get("*", (req, res) => {
-  if (!req.path.startsWith("/api") && !req.path.startsWith("/auth") && !req.path.startsWith("/projects") && !req.path.startsWith("/users")) {
+// Paths served by the API routers above; anything else falls back to the SPA entry page
+const API_PREFIXES = ["/api", "/auth", "/projects", "/users", "/admin", "/reviews", "/moderation", "/rubrics", "/invitations", "/academic", "/assignments", "/grades", "/notifications"];
+
+app.get("/{*splat}", (req, res) => {
+  if (!API_PREFIXES.some(prefix => req.path.startsWith(prefix))) {
     res.sendFile(path.join(__dirname, "public", "index.html"));
+  } else {
+    res.status(404).json({ error: "Not found" });
   }
 });
 
 const PORT = process.env.PORT || 5000;
 
+// Bring the schema up to date before accepting any request
+try {
+  await migrateUp();
+} catch (err) {
+  console.error('[CRITICAL] Database migration failed:', err.message);
+  console.error('[CRITICAL] Stack:', err.stack);
+  process.exit(1);
+}
+
 const server = app.listen(PORT, "0.0.0.0", () => {
   console.log(`[✓] Server running on port ${PORT}`);
   console.log(`[✓] Frontend: http://localhost:${PORT}`);
   console.log(`[✓] API: http://localhost:${PORT}/api`);
   console.log(`[INFO] Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`[INFO] Database: ${process.env.DATABASE_URL ? 'Configured' : 'NOT CONFIGURED'}`);
+  console.log(`[INFO] Database: ${db.dialect}`);
 });
 
 // Handle server errors
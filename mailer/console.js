@@ -0,0 +1,14 @@
+// Prints each message to stdout; the default so development needs no mail setup
+async function send({ from, to, subject, text }) {
+  console.log([
+    '[MAIL] ----------------------------------------',
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    '',
+    text,
+    '[MAIL] ----------------------------------------',
+  ].join('\n'));
+}
+
+export default { name: 'console', send };
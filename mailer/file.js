@@ -0,0 +1,17 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// One JSON file per message in MAIL_DIR, newest last when sorted by name
+const dir = path.resolve(process.env.MAIL_DIR || 'mail');
+
+if (!fs.existsSync(dir)) {
+  fs.mkdirSync(dir, { recursive: true });
+}
+
+async function send(message) {
+  const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+  await fs.promises.writeFile(file, JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2));
+}
+
+export default { name: 'file', send };
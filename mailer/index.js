@@ -0,0 +1,53 @@
+/**
+ * Outgoing email.
+ *
+ * The driver is chosen with MAIL_DRIVER ("smtp", "file" or "console", default "console").
+ * Every driver exposes the same interface:
+ * - name: 'smtp' | 'file' | 'console'
+ * - send({ to, subject, text, html }): Promise<void>
+ *
+ * "file" and "console" never leave the machine, so the flows that send email
+ * (verification, password reset) can be exercised offline.
+ *
+ * In production the server refuses to start without MAIL_DRIVER, so links are not
+ * silently logged instead of sent.
+ */
+import consoleDriver from './console.js';
+
+if (!process.env.MAIL_DRIVER && process.env.NODE_ENV === 'production') {
+  throw new Error('MAIL_DRIVER must be set in production');
+}
+
+const name = (process.env.MAIL_DRIVER || 'console').toLowerCase();
+
+const loaders = {
+  console: async () => consoleDriver,
+  file: async () => (await import('./file.js')).default,
+  // Imported lazily so nodemailer only loads when SMTP is in use
+  smtp: async () => (await import('./smtp.js')).default,
+};
+
+if (!loaders[name]) {
+  throw new Error(`Unsupported MAIL_DRIVER "${name}" (expected "smtp", "file" or "console")`);
+}
+
+const mailer = await loaders[name]();
+
+export const MAIL_FROM = process.env.MAIL_FROM || 'TIC Projects <no-reply@tic-projects.local>';
+
+/**
+ * Send an email, logging instead of throwing so a mail outage never fails a request.
+ * @param {{to: string, subject: string, text: string, html?: string}} message
+ * @returns {Promise<boolean>} Whether the message was handed to the driver
+ */
+export async function sendMail(message) {
+  try {
+    await mailer.send({ from: MAIL_FROM, ...message });
+    return true;
+  } catch (err) {
+    console.error(`[ERROR] Failed to send "${message.subject}" to ${message.to}:`, err.message);
+    return false;
+  }
+}
+
+export default mailer;
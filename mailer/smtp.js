@@ -0,0 +1,26 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * SMTP delivery through nodemailer.
+ * Required: SMTP_HOST. Optional: SMTP_PORT (default 587), SMTP_SECURE ("true" for
+ * implicit TLS, usually port 465), SMTP_USER / SMTP_PASSWORD.
+ */
+const host = process.env.SMTP_HOST;
+if (!host) {
+  throw new Error('SMTP_HOST must be set when MAIL_DRIVER=smtp');
+}
+
+const transporter = nodemailer.createTransport({
+  host,
+  port: Number(process.env.SMTP_PORT || 587),
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER
+    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+    : undefined,
+});
+
+async function send({ from, to, subject, text, html }) {
+  await transporter.sendMail({ from, to, subject, text, html });
+}
+
+export default { name: 'smtp', send };
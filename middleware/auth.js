@@ -1,8 +1,37 @@
-import jwt from 'jsonwebtoken';
+import db from '../db/index.js';
+import { verifyToken } from '../utils/jwt.js';
+import { isSessionActive } from '../utils/sessions.js';
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+export const ROLES = ['student', 'teacher', 'admin'];
 
-export const authenticateToken = (req, res, next) => {
+// Roles allowed to edit or delete content they don't own
+export const STAFF_ROLES = ['teacher', 'admin'];
+
+/**
+ * Load the user behind a verified access token, or null when its session is over
+ * (revoked, expired, started before the latest password change) or the token
+ * predates sessions. Role and username come from the database, so changes apply
+ * without waiting for the token to expire.
+ * @param {{id: number, sid?: number}} decoded - Verified JWT payload
+ */
+async function sessionUser(decoded) {
+  if (!decoded.sid) return null;
+
+  const result = await db.query(`
+    SELECT users.id, users.username, users.email, users.role, users.password_changed_at,
+           sessions.created_at, sessions.expires_at, sessions.revoked_at
+    FROM sessions
+    JOIN users ON users.id = sessions.user_id
+    WHERE sessions.id = $1 AND sessions.user_id = $2
+  `, [decoded.sid, decoded.id]);
+
+  const row = result.rows[0];
+  if (!row || !isSessionActive(row)) return null;
+
+  return { id: row.id, username: row.username, email: row.email, role: row.role, sid: decoded.sid };
+}
+
+export const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -10,30 +39,63 @@ export const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access denied. No token provided.' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = verifyToken(token);
   } catch (error) {
+    // Clients refresh on TOKEN_EXPIRED instead of sending the user back to the login page
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Access token expired.', code: 'TOKEN_EXPIRED' });
+    }
     return res.status(403).json({ error: 'Invalid or expired token.' });
   }
+
+  try {
+    const user = await sessionUser(decoded);
+    if (!user) {
+      return res.status(401).json({ error: 'Your session has ended. Please log in again.', code: 'SESSION_ENDED' });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
 };
 
-export const optionalAuth = (req, res, next) => {
+export const optionalAuth = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
+  req.user = null;
   if (token) {
     try {
-      const decoded = jwt.verify(token, JWT_SECRET);
-      req.user = decoded;
+      req.user = await sessionUser(verifyToken(token));
     } catch (error) {
       req.user = null;
     }
-  } else {
-    req.user = null;
   }
   next();
 };
 
-export { JWT_SECRET };
+/**
+ * Restrict a route to users holding one of the given roles.
+ * Must run after authenticateToken.
+ * @param {...string} roles - Allowed roles (e.g. 'admin', 'teacher')
+ */
+export const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Access denied. No token provided.' });
+  }
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({ error: 'You do not have permission to perform this action.' });
+  }
+  next();
+};
+
+/**
+ * Whether the user holds one of the given roles.
+ * @param {{role?: string}|null} user - Usually req.user
+ * @param {string[]} roles
+ */
+export const hasRole = (user, roles) => Boolean(user && roles.includes(user.role));
+
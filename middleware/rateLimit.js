@@ -0,0 +1,187 @@
+import db from '../db/index.js';
+import store from '../ratelimit/index.js';
+import { verifyToken } from '../utils/jwt.js';
+
+/**
+ * Request throttling, applied per route in index.js.
+ *
+ * Each limiter counts requests per client IP and, where the route identifies one,
+ * per account, in fixed windows. Limits are [max requests, window in seconds] and
+ * can be overridden with RATE_LIMIT_<NAME>_<SCOPE>=max/seconds, for example
+ * RATE_LIMIT_LOGIN_IP=50/900. RATE_LIMIT_ENABLED=false turns throttling off.
+ */
+export const RATE_LIMITS = {
+  login: { ip: [20, 15 * 60], account: [10, 15 * 60] },
+  register: { ip: [5, 60 * 60] },
+  // Forgot-password and resend-verification, which both send email
+  accountEmail: { ip: [10, 60 * 60], account: [3, 60 * 60] },
+  review: { ip: [30, 60 * 60], account: [10, 60 * 60] },
+  reply: { ip: [60, 60 * 60], account: [30, 60 * 60] },
+  userSearch: { ip: [60, 60] },
+};
+
+// Failed logins for one account within the window before it is locked
+export const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_FAILURE_WINDOW_SECONDS = 15 * 60;
+const LOGIN_LOCKOUT_SECONDS = (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60;
+
+const ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+
+function configuredLimit(name, scope) {
+  const envName = `RATE_LIMIT_${name.replace(/[A-Z]/g, (c) => `_${c}`).toUpperCase()}_${scope.toUpperCase()}`;
+  const override = process.env[envName];
+  if (!override) return RATE_LIMITS[name][scope];
+
+  const [max, seconds] = override.split('/').map(Number);
+  if (!Number.isInteger(max) || max < 1 || !Number.isInteger(seconds) || seconds < 1) {
+    throw new Error(`${envName} must look like "max/seconds", e.g. "20/900"`);
+  }
+  return [max, seconds];
+}
+
+const retryAfterSeconds = (resetMs) => Math.max(1, Math.ceil(resetMs / 1000));
+
+/**
+ * Account key from a request body field (login identifier or email), case-insensitive.
+ * @param {string} field
+ */
+export const bodyAccount = (field) => (req) => {
+  const value = req.body?.[field];
+  return typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : null;
+};
+
+/**
+ * Account key for POST /auth/login. The identifier is looked up the way the login route
+ * does, so an account's email and username count as one; identifiers that match no
+ * account are keyed on themselves.
+ */
+export const loginAccount = async (req) => {
+  const identifier = req.body?.email;
+  if (typeof identifier !== 'string' || !identifier.trim()) return null;
+
+  const result = await db.query('SELECT id FROM users WHERE email = $1 OR username = $1', [identifier]);
+  return result.rows.length > 0 ? `user:${result.rows[0].id}` : identifier.trim().toLowerCase();
+};
+
+/**
+ * Account key from the bearer token. Only the signature is checked here; the route's
+ * own authenticateToken still decides whether the request is allowed.
+ */
+export const tokenAccount = (req) => {
+  const token = req.headers['authorization']?.split(' ')[1];
+  if (!token) return null;
+  try {
+    return `user:${verifyToken(token).id}`;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Throttle a route per IP and, when `account` yields a key, per account.
+ * Sets RateLimit-* headers and answers 429 with Retry-After once a limit is exceeded.
+ * If the store is unreachable, requests are let through.
+ * @param {string} name - Key of RATE_LIMITS
+ * @param {{account?: (req) => string|null|Promise<string|null>}} [options]
+ */
+export function rateLimit(name, { account } = {}) {
+  const scopes = Object.keys(RATE_LIMITS[name]).map((scope) => {
+    const [max, seconds] = configuredLimit(name, scope);
+    return { scope, max, windowMs: seconds * 1000 };
+  });
+
+  return async (req, res, next) => {
+    if (!ENABLED) return next();
+
+    try {
+      let tightest = null;
+
+      for (const { scope, max, windowMs } of scopes) {
+        const id = scope === 'ip' ? req.ip : await account?.(req);
+        if (!id) continue;
+
+        const { count, resetMs } = await store.hit(`${name}:${scope}:${id}`, windowMs);
+        const remaining = Math.max(0, max - count);
+
+        if (count > max) {
+          const retryAfter = retryAfterSeconds(resetMs);
+          res.set('Retry-After', String(retryAfter));
+          return res.status(429).json({
+            error: scope === 'ip'
+              ? 'Too many requests. Please try again later.'
+              : 'Too many attempts for this account. Please try again later.',
+            code: 'RATE_LIMITED',
+            retry_after: retryAfter
+          });
+        }
+        if (!tightest || remaining < tightest.remaining) {
+          tightest = { max, remaining, resetMs };
+        }
+      }
+
+      if (tightest) {
+        res.set('RateLimit-Limit', String(tightest.max));
+        res.set('RateLimit-Remaining', String(tightest.remaining));
+        res.set('RateLimit-Reset', String(retryAfterSeconds(tightest.resetMs)));
+      }
+    } catch (error) {
+      console.error('[ERROR] Rate limiter unavailable, allowing request:', error.message);
+    }
+    next();
+  };
+}
+
+/**
+ * Lock an account for LOGIN_LOCKOUT_MINUTES after LOGIN_MAX_FAILURES failed logins.
+ * Goes in front of POST /auth/login: rejects locked accounts with 429 and Retry-After,
+ * then watches the response to count failures (401) and clear them on success.
+ */
+export async function loginLockout(req, res, next) {
+  if (!ENABLED) return next();
+
+  let account;
+  try {
+    account = await loginAccount(req);
+  } catch (error) {
+    console.error('[ERROR] Failed to look up login account, allowing request:', error.message);
+    return next();
+  }
+  if (!account) return next();
+
+  const lockKey = `login:lock:${account}`;
+  const failuresKey = `login:failures:${account}`;
+
+  try {
+    const lock = await store.get(lockKey);
+    if (lock) {
+      const retryAfter = retryAfterSeconds(lock.resetMs);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: `Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+        code: 'ACCOUNT_LOCKED',
+        retry_after: retryAfter
+      });
+    }
+  } catch (error) {
+    console.error('[ERROR] Rate limiter unavailable, allowing request:', error.message);
+    return next();
+  }
+
+  res.on('finish', async () => {
+    try {
+      if (res.statusCode === 401) {
+        const { count } = await store.hit(failuresKey, LOGIN_FAILURE_WINDOW_SECONDS * 1000);
+        if (count >= LOGIN_MAX_FAILURES) {
+          await store.hit(lockKey, LOGIN_LOCKOUT_SECONDS * 1000);
+          await store.reset(failuresKey);
+        }
+      } else if (res.statusCode < 400) {
+        await store.reset(failuresKey);
+      }
+    } catch (error) {
+      console.error('[ERROR] Failed to record login attempt:', error.message);
+    }
+  });
+
+  next();
+}
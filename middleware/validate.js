@@ -0,0 +1,234 @@
+import { discardTempFiles } from '../utils/uploads.js';
+
+/**
+ * Declarative request validation.
+ *
+ * A schema names the fields accepted in `params`, `query` and `body`, each described
+ * by one of the builders below. validate(schema) checks a request against it and
+ * either answers 400 with every failing field or replaces req.params, req.query and
+ * req.body with the cleaned values (trimmed strings, numbers parsed from strings,
+ * defaults applied, unknown fields dropped).
+ *
+ * Presence follows PATCH semantics:
+ * - a missing field is left out of the result ("unset": keep the current value)
+ * - null, or an empty string, becomes null for `nullable` fields ("clear")
+ * - anything else has to pass the field's checks
+ *
+ * Common options: required, nullable, default, label (used in error messages).
+ */
+
+export const string = (options = {}) => ({ type: 'string', trim: true, ...options });
+export const integer = (options = {}) => ({ type: 'integer', ...options });
+export const number = (options = {}) => ({ type: 'number', ...options });
+export const boolean = (options = {}) => ({ type: 'boolean', ...options });
+export const oneOf = (values, options = {}) => ({ type: 'string', trim: true, values, ...options });
+export const id = (options = {}) => integer({ min: 1, ...options });
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+export const email = (options = {}) =>
+  string({ max: 254, pattern: EMAIL_PATTERN, patternMessage: 'must be a valid email address', ...options });
+
+/** Date or ISO 8601 timestamp, kept as the original string. */
+export const date = (options = {}) => ({ type: 'date', ...options });
+
+/** List whose items all match `items`; min and max bound its length. */
+export const array = (items, options = {}) => ({ type: 'array', items, ...options });
+
+/** Nested object with its own field map. */
+export const object = (fields, options = {}) => ({ type: 'object', fields, ...options });
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+function labelFor(name, spec) {
+  if (spec.label) return spec.label;
+  const words = name.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function rangeMessage(label, spec) {
+  if (spec.min !== undefined && spec.max !== undefined) return `${label} must be between ${spec.min} and ${spec.max}`;
+  if (spec.min !== undefined) return `${label} must be at least ${spec.min}`;
+  return `${label} must be at most ${spec.max}`;
+}
+
+/**
+ * Check one present, non-empty value.
+ * @returns {{value: *}|{error: string}}
+ */
+function checkValue(spec, value, label, path, location) {
+  switch (spec.type) {
+    case 'string': {
+      if (typeof value === 'number' && Number.isFinite(value)) value = String(value);
+      if (typeof value !== 'string') return { error: `${label} must be a string` };
+      if (spec.trim) value = value.trim();
+      if (spec.lowercase) value = value.toLowerCase();
+      if (spec.values && !spec.values.includes(value)) {
+        return { error: `${label} must be one of: ${spec.values.join(', ')}` };
+      }
+      if ((spec.min !== undefined && value.length < spec.min) || (spec.max !== undefined && value.length > spec.max)) {
+        if (spec.max === undefined) return { error: `${label} must be at least ${spec.min} characters` };
+        if (spec.min === undefined) return { error: `${label} must be ${spec.max} characters or fewer` };
+        return { error: `${label} must be between ${spec.min} and ${spec.max} characters` };
+      }
+      if (spec.pattern && !spec.pattern.test(value)) {
+        return { error: `${label} ${spec.patternMessage || 'has an invalid format'}` };
+      }
+      return { value };
+    }
+    case 'integer':
+    case 'number': {
+      const parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      const what = spec.type === 'integer' ? 'an integer' : 'a number';
+      if (typeof parsed !== 'number' || !Number.isFinite(parsed) || (spec.type === 'integer' && !Number.isInteger(parsed))) {
+        return { error: `${label} must be ${what}` };
+      }
+      if ((spec.min !== undefined && parsed < spec.min) || (spec.max !== undefined && parsed > spec.max)) {
+        return { error: rangeMessage(label, spec) };
+      }
+      return { value: parsed };
+    }
+    case 'boolean': {
+      if (value === true || value === 'true') return { value: true };
+      if (value === false || value === 'false') return { value: false };
+      return { error: `${label} must be true or false` };
+    }
+    case 'array': {
+      if (!Array.isArray(value)) return { error: `${label} must be a list` };
+      if (spec.min !== undefined && value.length < spec.min) {
+        return { error: `${label} must have at least ${spec.min} item(s)` };
+      }
+      if (spec.max !== undefined && value.length > spec.max) {
+        return { error: `${label} must have at most ${spec.max} item(s)` };
+      }
+      const values = [];
+      const errors = [];
+      value.forEach((item, index) => {
+        const itemPath = `${path}[${index}]`;
+        const itemLabel = `${label} ${index + 1}`;
+        if (item === undefined || item === null) {
+          errors.push({ location, field: itemPath, message: `${itemLabel} is required` });
+          return;
+        }
+        const result = checkValue(spec.items, item, itemLabel, itemPath, location);
+        if (result.errors) errors.push(...result.errors);
+        else if (result.error) errors.push({ location, field: itemPath, message: result.error });
+        else values.push(result.value);
+      });
+      return errors.length > 0 ? { errors } : { value: values };
+    }
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return { error: `${label} must be an object` };
+      const result = validateFields(spec.fields, value, location, `${path}.`, `${label}: `);
+      return result.errors.length > 0 ? { errors: result.errors } : { value: result.values };
+    }
+    case 'date': {
+      if (typeof value !== 'string' || Number.isNaN(new Date(value).getTime())) {
+        return { error: `${label} must be a date (YYYY-MM-DD or ISO 8601)` };
+      }
+      return { value };
+    }
+    default:
+      throw new Error(`Unknown schema type "${spec.type}"`);
+  }
+}
+
+/**
+ * Validate an object against a field map.
+ * @param {Object<string, object>} fields - Field name to spec
+ * @param {object} input
+ * @param {string} location - 'params' | 'query' | 'body', reported with each error
+ * @param {string} [pathPrefix] - Prepended to field names of nested objects (e.g. "scores[0].")
+ * @param {string} [labelPrefix] - Prepended to messages about nested fields
+ * @returns {{values: object, errors: Array<{location: string, field: string, message: string}>}}
+ */
+export function validateFields(fields, input, location, pathPrefix = '', labelPrefix = '') {
+  const values = {};
+  const errors = [];
+  const source = input && typeof input === 'object' ? input : {};
+
+  for (const [key, spec] of Object.entries(fields)) {
+    const name = pathPrefix + key;
+    const label = labelPrefix + labelFor(key, spec);
+    const raw = source[key];
+    const empty = raw === null || (typeof raw === 'string' && raw.trim() === '');
+
+    if (raw === undefined || (empty && location === 'query')) {
+      // Query strings can't express null, so an empty parameter counts as absent
+      if (spec.required) {
+        errors.push({ location, field: name, message: `${label} is required` });
+      } else if (spec.default !== undefined) {
+        values[key] = spec.default;
+      }
+      continue;
+    }
+
+    if (empty) {
+      if (spec.nullable) {
+        values[key] = null;
+      } else {
+        errors.push({ location, field: name, message: spec.required ? `${label} is required` : `${label} cannot be empty` });
+      }
+      continue;
+    }
+
+    const result = checkValue(spec, raw, label, name, location);
+    if (result.errors) {
+      errors.push(...result.errors);
+    } else if (result.error) {
+      errors.push({ location, field: name, message: result.error });
+    } else {
+      values[key] = result.value;
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Answer 400 for a field that passed its schema but failed a check that needs the
+ * database, in the same format as validate().
+ */
+export function fieldError(res, location, field, message) {
+  return res.status(400).json({ error: message, fields: [{ location, field, message }] });
+}
+
+function uploadedFiles(req) {
+  if (req.file) return [req.file];
+  if (Array.isArray(req.files)) return req.files;
+  return Object.values(req.files || {}).flat();
+}
+
+/**
+ * Middleware validating a request against a schema.
+ * Goes after upload middleware, whose temp files are discarded when validation fails.
+ * @param {{params?: object, query?: object, body?: object}} schema
+ */
+export function validate(schema) {
+  return async (req, res, next) => {
+    const errors = [];
+    const cleaned = {};
+
+    for (const location of LOCATIONS) {
+      if (!schema[location]) continue;
+      const result = validateFields(schema[location], req[location], location);
+      cleaned[location] = result.values;
+      errors.push(...result.errors);
+    }
+
+    if (errors.length > 0) {
+      await discardTempFiles(uploadedFiles(req));
+      return res.status(400).json({
+        error: errors.map(error => error.message).join('; '),
+        fields: errors
+      });
+    }
+
+    if (cleaned.params) req.params = { ...req.params, ...cleaned.params };
+    if (cleaned.body) req.body = cleaned.body;
+    // req.query is a getter in Express 5, so the cleaned copy shadows it
+    if (cleaned.query) {
+      Object.defineProperty(req, 'query', { value: cleaned.query, writable: true, configurable: true, enumerable: true });
+    }
+    next();
+  };
+}
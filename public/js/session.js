@@ -0,0 +1,93 @@
+/*
+ * Keeps the login session alive across short-lived access tokens.
+ *
+ * Wraps fetch so that authenticated requests always carry the latest access token
+ * from localStorage and, when the server answers TOKEN_EXPIRED, trades the refresh
+ * token for a new pair and retries once. Pages keep using fetch as before.
+ */
+(function () {
+  const originalFetch = window.fetch.bind(window);
+  let refreshing = null;
+
+  function clearSession() {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('user');
+  }
+
+  // Concurrent requests that all hit an expired token share one refresh
+  function refreshTokens() {
+    if (!refreshing) {
+      refreshing = (async () => {
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (!refreshToken) return false;
+
+        const response = await originalFetch('/auth/refresh', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refresh_token: refreshToken })
+        });
+        if (!response.ok) {
+          clearSession();
+          return false;
+        }
+
+        const data = await response.json();
+        localStorage.setItem('token', data.token);
+        localStorage.setItem('refreshToken', data.refresh_token);
+        return true;
+      })().finally(() => {
+        refreshing = null;
+      });
+    }
+    return refreshing;
+  }
+
+  function withCurrentToken(options) {
+    const headers = new Headers(options.headers || {});
+    const token = localStorage.getItem('token');
+    if (headers.has('Authorization') && token) {
+      headers.set('Authorization', `Bearer ${token}`);
+    }
+    return { ...options, headers };
+  }
+
+  window.fetch = async function (resource, options = {}) {
+    const response = await originalFetch(resource, withCurrentToken(options));
+    if (response.status !== 401 || !new Headers(options.headers || {}).has('Authorization')) {
+      return response;
+    }
+
+    const body = await response.clone().json().catch(() => ({}));
+    if (body.code === 'SESSION_ENDED') {
+      clearSession();
+      return response;
+    }
+    if (body.code !== 'TOKEN_EXPIRED' || !(await refreshTokens())) {
+      return response;
+    }
+    return originalFetch(resource, withCurrentToken(options));
+  };
+
+  /** Store the tokens returned by /auth/login, /auth/register or /auth/change-password. */
+  window.saveSession = function (data) {
+    localStorage.setItem('token', data.token);
+    if (data.refresh_token) localStorage.setItem('refreshToken', data.refresh_token);
+    if (data.user) localStorage.setItem('user', JSON.stringify(data.user));
+  };
+
+  /** Revoke the current session on the server and forget it locally. */
+  window.endSession = function () {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      // keepalive lets the request finish while the page navigates away
+      originalFetch('/auth/logout', {
+        method: 'POST',
+        keepalive: true,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refresh_token: refreshToken })
+      }).catch(() => {});
+    }
+    clearSession();
+  };
+})();
@@ -0,0 +1,30 @@
+/**
+ * Counter store behind the rate limiter (middleware/rateLimit.js).
+ *
+ * The store is chosen with RATE_LIMIT_STORE ("memory" or "redis", default "memory").
+ * Both expose the same interface, with fixed windows that start at a key's first hit:
+ * - name: 'memory' | 'redis'
+ * - hit(key, windowMs): Promise<{ count, resetMs }> increment and return the window
+ * - get(key): Promise<{ count, resetMs }|null> current window without incrementing
+ * - reset(key): forget a key
+ *
+ * The memory store only counts requests seen by this process; use Redis (or any
+ * server speaking its protocol, such as Valkey or KeyDB) when running several instances.
+ */
+import memory from './memory.js';
+
+const name = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+
+const loaders = {
+  memory: async () => memory,
+  // Imported lazily so ioredis only loads when Redis is in use
+  redis: async () => (await import('./redis.js')).default,
+};
+
+if (!loaders[name]) {
+  throw new Error(`Unsupported RATE_LIMIT_STORE "${name}" (expected "memory" or "redis")`);
+}
+
+const store = await loaders[name]();
+
+export default store;
@@ -0,0 +1,40 @@
+/**
+ * Per-process counters in a Map. Expired windows are swept once a minute.
+ */
+const windows = new Map();
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of windows) {
+    if (entry.expiresAt <= now) windows.delete(key);
+  }
+}, SWEEP_INTERVAL_MS).unref();
+
+function current(key) {
+  const entry = windows.get(key);
+  if (!entry || entry.expiresAt <= Date.now()) return null;
+  return entry;
+}
+
+async function hit(key, windowMs) {
+  let entry = current(key);
+  if (!entry) {
+    entry = { count: 0, expiresAt: Date.now() + windowMs };
+    windows.set(key, entry);
+  }
+  entry.count += 1;
+  return { count: entry.count, resetMs: entry.expiresAt - Date.now() };
+}
+
+async function get(key) {
+  const entry = current(key);
+  return entry ? { count: entry.count, resetMs: entry.expiresAt - Date.now() } : null;
+}
+
+async function reset(key) {
+  windows.delete(key);
+}
+
+export default { name: 'memory', hit, get, reset };
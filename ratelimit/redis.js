@@ -0,0 +1,45 @@
+import Redis from 'ioredis';
+
+/**
+ * Counters in Redis or a Redis-compatible server.
+ * Optional: REDIS_URL (default redis://localhost:6379), RATE_LIMIT_PREFIX (default "ratelimit:").
+ */
+const prefix = process.env.RATE_LIMIT_PREFIX || 'ratelimit:';
+
+const client = new Redis(process.env.REDIS_URL || 'redis://localhost:6379', {
+  // Fail fast while the server is unreachable instead of queueing commands,
+  // so the limiter can let requests through rather than hang them
+  enableOfflineQueue: false,
+  maxRetriesPerRequest: 1,
+});
+
+client.on('error', (err) => {
+  console.error('[ERROR] Rate limit store (redis):', err.message);
+});
+
+// INCR and PEXPIRE in one step so a window always gets its expiry
+client.defineCommand('rateLimitHit', {
+  numberOfKeys: 1,
+  lua: `
+    local count = redis.call('INCR', KEYS[1])
+    if count == 1 then redis.call('PEXPIRE', KEYS[1], ARGV[1]) end
+    return { count, redis.call('PTTL', KEYS[1]) }
+  `,
+});
+
+async function hit(key, windowMs) {
+  const [count, ttl] = await client.rateLimitHit(prefix + key, windowMs);
+  return { count, resetMs: ttl > 0 ? ttl : windowMs };
+}
+
+async function get(key) {
+  const [[, count], [, ttl]] = await client.multi().get(prefix + key).pttl(prefix + key).exec();
+  if (count === null || ttl <= 0) return null;
+  return { count: Number(count), resetMs: ttl };
+}
+
+async function reset(key) {
+  await client.del(prefix + key);
+}
+
+export default { name: 'redis', hit, get, reset };
@@ -0,0 +1,254 @@
+import express from "express";
+import db from "../db/index.js";
+import { authenticateToken, authorize } from "../middleware/auth.js";
+import { validate, fieldError } from "../middleware/validate.js";
+import { academicRequests } from "../schemas/academic.js";
+import { canonicalSectionName, canonicalGroupName } from "../utils/academic.js";
+import { invalidateLeaderboard } from "../utils/leaderboard.js";
+import { refreshSearchIndex } from "../utils/search.js";
+
+const router = express.Router();
+
+/*
+ * Each kind of entity: its table, the projects column referencing it, the field that
+ * must be unique (within `scope` for groups) and, for sections and groups, how names
+ * are spelled and which projects column keeps a copy of the name.
+ */
+const ENTITIES = {
+  years: {
+    table: "academic_years",
+    label: "Academic year",
+    singular: "academic_year",
+    column: "academic_year_id",
+    key: "name",
+    columns: "id, name, is_current, created_at"
+  },
+  sections: {
+    table: "sections",
+    label: "Section",
+    singular: "section",
+    column: "section_id",
+    key: "name",
+    canonical: canonicalSectionName,
+    mirror: "section",
+    columns: "id, name, created_at"
+  },
+  groups: {
+    table: "student_groups",
+    label: "Group",
+    singular: "group",
+    column: "group_id",
+    key: "name",
+    canonical: canonicalGroupName,
+    mirror: "group_number",
+    scope: "section_id",
+    columns: "id, section_id, name, created_at"
+  },
+  modules: {
+    table: "modules",
+    label: "Module",
+    singular: "module",
+    column: "module_id",
+    key: "code",
+    columns: "id, code, name, created_at"
+  }
+};
+
+// Canonical values for the project form and the listing filters
+router.get("/", async (req, res) => {
+  try {
+    const [years, sections, groups, modules] = await Promise.all([
+      db.query(`SELECT ${ENTITIES.years.columns} FROM academic_years ORDER BY name DESC`),
+      db.query(`SELECT ${ENTITIES.sections.columns} FROM sections ORDER BY LOWER(name)`),
+      db.query(`SELECT ${ENTITIES.groups.columns} FROM student_groups ORDER BY section_id, LENGTH(name), LOWER(name)`),
+      db.query(`SELECT ${ENTITIES.modules.columns} FROM modules ORDER BY LOWER(code)`)
+    ]);
+
+    res.json({
+      academic_years: years.rows,
+      sections: sections.rows,
+      groups: groups.rows,
+      modules: modules.rows
+    });
+  } catch (err) {
+    console.error("[ERROR] GET /academic:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to load academic structure" });
+  }
+});
+
+/**
+ * Another entity of the same kind with this key, ignoring case (and, for groups, in
+ * the same section).
+ */
+async function findDuplicate(entity, values, excludeId = 0) {
+  const params = [values[entity.key], excludeId];
+  let scopeCondition = "";
+  if (entity.scope) {
+    params.push(values[entity.scope] ?? null);
+    scopeCondition = `AND COALESCE(${entity.scope}, 0) = COALESCE($3, 0)`;
+  }
+  const result = await db.query(
+    `SELECT id FROM ${entity.table} WHERE LOWER(${entity.key}) = LOWER($1) AND id != $2 ${scopeCondition}`,
+    params
+  );
+  return result.rows.length > 0;
+}
+
+// Spell names canonically and check the section a group is put in
+async function prepareValues(entity, body, res) {
+  const values = { ...body };
+  if (entity.canonical && values[entity.key] !== undefined) {
+    values[entity.key] = entity.canonical(values[entity.key]);
+  }
+  if (entity.scope && values.section_id) {
+    const section = await db.query("SELECT id FROM sections WHERE id = $1", [values.section_id]);
+    if (section.rows.length === 0) {
+      fieldError(res, "body", "section_id", "Section not found");
+      return null;
+    }
+  }
+  return values;
+}
+
+for (const [kind, entity] of Object.entries(ENTITIES)) {
+  const requests = academicRequests(kind);
+
+  router.post(`/${kind}`, authenticateToken, authorize("admin"), validate(requests.create), async (req, res) => {
+    try {
+      const values = await prepareValues(entity, req.body, res);
+      if (!values) return;
+
+      if (await findDuplicate(entity, values)) {
+        return res.status(409).json({ error: `${entity.label} ${values[entity.key]} already exists` });
+      }
+
+      const columns = Object.keys(values);
+      const row = await db.transaction(async (tx) => {
+        // Only one academic year is the current one
+        if (values.is_current) {
+          await tx.query("UPDATE academic_years SET is_current = FALSE WHERE is_current = TRUE");
+        }
+        const result = await tx.query(`
+          INSERT INTO ${entity.table} (${columns.join(", ")})
+          VALUES (${columns.map((column, index) => `$${index + 1}`).join(", ")})
+          RETURNING ${entity.columns}
+        `, Object.values(values));
+        return result.rows[0];
+      });
+
+      res.status(201).json({ message: `${entity.label} created`, [entity.singular]: row });
+    } catch (err) {
+      console.error(`[ERROR] POST /academic/${kind}:`, err.message, err.stack);
+      res.status(500).json({ error: `Failed to create ${entity.label.toLowerCase()}` });
+    }
+  });
+
+  // Renames carry over to the names copied onto projects and rubric criteria
+  router.patch(`/${kind}/:id`, authenticateToken, authorize("admin"), validate(requests.update), async (req, res) => {
+    try {
+      const existingResult = await db.query(`SELECT * FROM ${entity.table} WHERE id = $1`, [req.params.id]);
+      const existing = existingResult.rows[0];
+      if (!existing) {
+        return res.status(404).json({ error: `${entity.label} not found` });
+      }
+
+      const values = await prepareValues(entity, req.body, res);
+      if (!values) return;
+
+      if (await findDuplicate(entity, { ...existing, ...values }, existing.id)) {
+        return res.status(409).json({ error: `${entity.label} ${values[entity.key] ?? existing[entity.key]} already exists` });
+      }
+
+      const columns = Object.keys(values);
+      const row = await db.transaction(async (tx) => {
+        if (values.is_current) {
+          await tx.query("UPDATE academic_years SET is_current = FALSE WHERE is_current = TRUE AND id != $1", [existing.id]);
+        }
+        const result = await tx.query(`
+          UPDATE ${entity.table}
+          SET ${[...columns.map((column, index) => `${column} = $${index + 1}`), "id = id"].join(", ")}
+          WHERE id = $${columns.length + 1}
+          RETURNING ${entity.columns}
+        `, [...Object.values(values), existing.id]);
+        const updated = result.rows[0];
+
+        // Projects keep a copy of the name, which search indexes, so their entries are rebuilt too
+        const changedProjects = [];
+        if (entity.mirror && updated[entity.key] !== existing[entity.key]) {
+          const renamed = await tx.query(
+            `UPDATE projects SET ${entity.mirror} = $1 WHERE ${entity.column} = $2 RETURNING id`,
+            [updated[entity.key], existing.id]
+          );
+          changedProjects.push(...renamed.rows);
+          if (kind === "sections") {
+            await tx.query("UPDATE rubric_criteria SET section = $1 WHERE section = $2", [updated.name, existing.name]);
+          }
+        }
+        // Projects and students in a group that moves to another section move with it
+        if (kind === "groups" && updated.section_id !== existing.section_id) {
+          const moved = await tx.query(`
+            UPDATE projects
+            SET section_id = $1, section = (SELECT name FROM sections WHERE id = $1)
+            WHERE group_id = $2
+            RETURNING id
+          `, [updated.section_id, existing.id]);
+          changedProjects.push(...moved.rows);
+          await tx.query("UPDATE users SET section_id = $1 WHERE group_id = $2", [updated.section_id, existing.id]);
+        }
+        for (const projectId of new Set(changedProjects.map(project => project.id))) {
+          await refreshSearchIndex(tx, projectId);
+        }
+        return updated;
+      });
+
+      invalidateLeaderboard();
+      res.json({ message: `${entity.label} updated`, [entity.singular]: row });
+    } catch (err) {
+      console.error(`[ERROR] PATCH /academic/${kind}/:id:`, err.message, err.stack);
+      res.status(500).json({ error: `Failed to update ${entity.label.toLowerCase()}` });
+    }
+  });
+
+  // Entities still in use are kept; move their projects, assignments (or groups) elsewhere first
+  router.delete(`/${kind}/:id`, authenticateToken, authorize("admin"), validate(requests.remove), async (req, res) => {
+    try {
+      for (const [table, noun] of [["projects", "project"], ["assignments", "assignment"]]) {
+        const usage = await db.query(
+          `SELECT CAST(COUNT(*) AS INTEGER) AS count FROM ${table} WHERE ${entity.column} = $1`,
+          [req.params.id]
+        );
+        if (usage.rows[0].count > 0) {
+          return res.status(409).json({ error: `${entity.label} is used by ${usage.rows[0].count} ${noun}(s)` });
+        }
+      }
+
+      if (kind === "sections") {
+        const groups = await db.query(
+          "SELECT CAST(COUNT(*) AS INTEGER) AS count FROM student_groups WHERE section_id = $1",
+          [req.params.id]
+        );
+        if (groups.rows[0].count > 0) {
+          return res.status(409).json({ error: `Section still has ${groups.rows[0].count} group(s)` });
+        }
+      }
+
+      const result = await db.transaction(async (tx) => {
+        // Students enrolled in a deleted section or group are left without one
+        if (kind === "sections" || kind === "groups") {
+          await tx.query(`UPDATE users SET ${entity.column} = NULL WHERE ${entity.column} = $1`, [req.params.id]);
+        }
+        return tx.query(`DELETE FROM ${entity.table} WHERE id = $1`, [req.params.id]);
+      });
+      if (result.rowCount === 0) {
+        return res.status(404).json({ error: `${entity.label} not found` });
+      }
+
+      res.json({ message: `${entity.label} deleted` });
+    } catch (err) {
+      console.error(`[ERROR] DELETE /academic/${kind}/:id:`, err.message, err.stack);
+      res.status(500).json({ error: `Failed to delete ${entity.label.toLowerCase()}` });
+    }
+  });
+}
+
+export default router;
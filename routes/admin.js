@@ -0,0 +1,60 @@
+import express from "express";
+import db from "../db/index.js";
+import { authenticateToken, authorize } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import { listUsersRequest, setRoleRequest } from "../schemas/admin.js";
+
+const router = express.Router();
+
+router.use(authenticateToken, authorize("admin"));
+
+router.get("/users", validate(listUsersRequest), async (req, res) => {
+  try {
+    const { role } = req.query;
+
+    const result = role
+      ? await db.query(`
+          SELECT id, username, email, role, full_name, created_at
+          FROM users WHERE role = $1
+          ORDER BY username
+        `, [role])
+      : await db.query(`
+          SELECT id, username, email, role, full_name, created_at
+          FROM users
+          ORDER BY username
+        `);
+
+    res.json({ users: result.rows });
+  } catch (err) {
+    console.error("[ERROR] GET /admin/users:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to load users" });
+  }
+});
+
+router.put("/users/:id/role", validate(setRoleRequest), async (req, res) => {
+  try {
+    const { role } = req.body;
+    const userId = req.params.id;
+
+    // Keeps at least one admin around: an admin can only be demoted by another admin
+    if (userId === req.user.id && role !== "admin") {
+      return res.status(400).json({ error: "You cannot change your own admin role" });
+    }
+
+    const result = await db.query(
+      "UPDATE users SET role = $1 WHERE id = $2 RETURNING id, username, email, role",
+      [role, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.json({ message: "Role updated successfully", user: result.rows[0] });
+  } catch (err) {
+    console.error("[ERROR] PUT /admin/users/:id/role:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to update role" });
+  }
+});
+
+export default router;
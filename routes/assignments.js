@@ -0,0 +1,452 @@
+import express from "express";
+import db from "../db/index.js";
+import { authenticateToken, authorize, STAFF_ROLES } from "../middleware/auth.js";
+import { validate, fieldError } from "../middleware/validate.js";
+import { attachFiles, attachMembers, isProjectMember, PROJECT_COLUMNS } from "../utils/projects.js";
+import { resolveAcademicFields } from "../utils/academic.js";
+import { assignmentStatus, fileTypesError, formatAssignment } from "../utils/assignments.js";
+import { notifyGradePublished } from "../utils/grades.js";
+import {
+  listAssignmentsRequest,
+  assignmentRequest,
+  createAssignmentRequest,
+  updateAssignmentRequest,
+  submitProjectRequest,
+  submissionRequest
+} from "../schemas/assignments.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+const ASSIGNMENT_COLUMNS = `
+  assignments.id, assignments.title, assignments.description,
+  assignments.module_id, modules.name AS module_name,
+  assignments.academic_year_id, assignments.section_id, sections.name AS section,
+  assignments.group_id, student_groups.name AS group_number,
+  assignments.opens_at, assignments.due_at, assignments.allowed_file_types, assignments.late_policy,
+  assignments.created_by, assignments.created_at
+`;
+
+const ASSIGNMENT_JOINS = `
+  LEFT JOIN modules ON modules.id = assignments.module_id
+  LEFT JOIN sections ON sections.id = assignments.section_id
+  LEFT JOIN student_groups ON student_groups.id = assignments.group_id
+`;
+
+// SQL for each status, mirroring assignmentStatus(), given the placeholder of the current time
+const STATUS_CONDITIONS = {
+  upcoming: now => `assignments.opens_at > ${now}`,
+  open: now => `(assignments.opens_at IS NULL OR assignments.opens_at <= ${now}) AND assignments.due_at >= ${now}`,
+  late: now => `assignments.due_at < ${now} AND assignments.late_policy = 'flag'`,
+  closed: now => `assignments.due_at < ${now} AND assignments.late_policy = 'block'`
+};
+
+async function findAssignment(assignmentId) {
+  const result = await db.query(`
+    SELECT ${ASSIGNMENT_COLUMNS} FROM assignments ${ASSIGNMENT_JOINS} WHERE assignments.id = $1
+  `, [assignmentId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * The project the user has submitted to each assignment (as a team member), set as
+ * `my_submission` on each one.
+ */
+async function attachMySubmissions(assignments, userId) {
+  if (assignments.length === 0) return assignments;
+  const result = await db.query(`
+    SELECT projects.assignment_id, projects.id AS project_id, projects.title, projects.submitted_at, projects.is_late
+    FROM projects
+    JOIN project_members ON project_members.project_id = projects.id AND project_members.user_id = $1
+    WHERE projects.assignment_id IS NOT NULL
+  `, [userId]);
+  const byAssignment = new Map(result.rows.map(({ assignment_id, ...submission }) => [assignment_id, submission]));
+  for (const assignment of assignments) {
+    assignment.my_submission = byAssignment.get(assignment.id) || null;
+  }
+  return assignments;
+}
+
+router.get("/", validate(listAssignmentsRequest), async (req, res) => {
+  try {
+    const { status, mine } = req.query;
+    const now = new Date();
+    const params = [];
+    const conditions = [];
+
+    for (const column of ["module_id", "academic_year_id", "section_id", "group_id"]) {
+      if (req.query[column] !== undefined) {
+        conditions.push(`assignments.${column} = $${params.length + 1}`);
+        params.push(req.query[column]);
+      }
+    }
+    // PostgreSQL can't type a parameter the query doesn't use, so the time is only bound for a status
+    if (status) {
+      params.push(now);
+      conditions.push(STATUS_CONDITIONS[status](`$${params.length}`));
+    }
+    // Assignments for everyone, the user's section, or the user's group
+    if (mine) {
+      conditions.push(`
+        (assignments.section_id IS NULL OR assignments.section_id = (SELECT section_id FROM users WHERE id = $${params.length + 1}))
+        AND (assignments.group_id IS NULL OR assignments.group_id = (SELECT group_id FROM users WHERE id = $${params.length + 1}))
+      `);
+      params.push(req.user.id);
+    }
+
+    const where = conditions.length > 0 ? "WHERE " + conditions.join(" AND ") : "";
+    const result = await db.query(`
+      SELECT ${ASSIGNMENT_COLUMNS},
+        (SELECT CAST(COUNT(*) AS INTEGER) FROM projects WHERE projects.assignment_id = assignments.id) AS submission_count
+      FROM assignments ${ASSIGNMENT_JOINS}
+      ${where}
+      ORDER BY assignments.due_at ASC, assignments.id ASC
+    `, params);
+
+    const assignments = result.rows.map(row => formatAssignment(row, now));
+    res.json({ assignments: await attachMySubmissions(assignments, req.user.id) });
+  } catch (err) {
+    console.error("[ERROR] GET /assignments:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to load assignments" });
+  }
+});
+
+router.get("/:id", validate(assignmentRequest), async (req, res) => {
+  try {
+    const assignment = await findAssignment(req.params.id);
+    if (!assignment) {
+      return res.status(404).json({ error: "Assignment not found" });
+    }
+
+    const [formatted] = await attachMySubmissions([formatAssignment(assignment)], req.user.id);
+    res.json({ assignment: formatted });
+  } catch (err) {
+    console.error("[ERROR] GET /assignments/:id:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to load assignment" });
+  }
+});
+
+/**
+ * Turn validated assignment fields into column values, checking the academic
+ * references and the dates. Answers 400 and returns null when they don't hold.
+ * @param {object} changes - Validated body fields
+ * @param {object} [current] - The assignment's current row, for updates
+ */
+async function assignmentValues(res, changes, current = {}) {
+  const resolved = await resolveAcademicFields(db, changes, current);
+  if (resolved.error) {
+    fieldError(res, "body", resolved.error.field, resolved.error.message);
+    return null;
+  }
+  // Projects keep copies of the section and group names; assignments join them
+  const { section, group_number, ...values } = resolved.fields;
+
+  for (const column of ["opens_at", "due_at"]) {
+    if (values[column]) values[column] = new Date(values[column]);
+  }
+  if (values.allowed_file_types !== undefined) {
+    values.allowed_file_types = values.allowed_file_types ? [...new Set(values.allowed_file_types)].join(",") : null;
+  }
+
+  const opensAt = values.opens_at !== undefined ? values.opens_at : current.opens_at;
+  const dueAt = values.due_at ?? current.due_at;
+  if (opensAt && new Date(opensAt) >= new Date(dueAt)) {
+    fieldError(res, "body", "due_at", "Due date must be after the open date");
+    return null;
+  }
+  return values;
+}
+
+router.post("/", authorize(...STAFF_ROLES), validate(createAssignmentRequest), async (req, res) => {
+  try {
+    const values = await assignmentValues(res, req.body);
+    if (!values) return;
+
+    values.created_by = req.user.id;
+    const columns = Object.keys(values);
+    const result = await db.query(`
+      INSERT INTO assignments (${columns.join(", ")})
+      VALUES (${columns.map((column, index) => `$${index + 1}`).join(", ")})
+      RETURNING id
+    `, Object.values(values));
+
+    const assignment = await findAssignment(result.rows[0].id);
+    res.status(201).json({ message: "Assignment created", assignment: formatAssignment(assignment) });
+  } catch (err) {
+    console.error("[ERROR] POST /assignments:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to create assignment" });
+  }
+});
+
+// Changing the due date does not change is_late on submissions already made
+router.patch("/:id", authorize(...STAFF_ROLES), validate(updateAssignmentRequest), async (req, res) => {
+  try {
+    const existing = await findAssignment(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: "Assignment not found" });
+    }
+
+    const values = await assignmentValues(res, req.body, existing);
+    if (!values) return;
+
+    const columns = Object.keys(values);
+    if (columns.length > 0) {
+      await db.query(`
+        UPDATE assignments
+        SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(", ")}
+        WHERE id = $${columns.length + 1}
+      `, [...Object.values(values), existing.id]);
+    }
+
+    const assignment = await findAssignment(existing.id);
+    res.json({ message: "Assignment updated", assignment: formatAssignment(assignment) });
+  } catch (err) {
+    console.error("[ERROR] PATCH /assignments/:id:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to update assignment" });
+  }
+});
+
+router.delete("/:id", authorize(...STAFF_ROLES), validate(assignmentRequest), async (req, res) => {
+  try {
+    const submissions = await db.query(
+      "SELECT CAST(COUNT(*) AS INTEGER) AS count FROM projects WHERE assignment_id = $1",
+      [req.params.id]
+    );
+    if (submissions.rows[0].count > 0) {
+      return res.status(409).json({ error: `Assignment has ${submissions.rows[0].count} submission(s)` });
+    }
+
+    const result = await db.query("DELETE FROM assignments WHERE id = $1", [req.params.id]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Assignment not found" });
+    }
+
+    res.json({ message: "Assignment deleted" });
+  } catch (err) {
+    console.error("[ERROR] DELETE /assignments/:id:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to delete assignment" });
+  }
+});
+
+/**
+ * Conditions on `users` selecting the students expected to submit the assignment:
+ * those of its group, of its section, or every student.
+ */
+function expectedStudents(assignment, params) {
+  const conditions = ["users.role = 'student'"];
+  if (assignment.group_id) {
+    conditions.push(`users.group_id = $${params.length + 1}`);
+    params.push(assignment.group_id);
+  } else if (assignment.section_id) {
+    conditions.push(`users.section_id = $${params.length + 1}`);
+    params.push(assignment.section_id);
+  }
+  return conditions.join(" AND ");
+}
+
+// Submitted projects and the expected students who are on none of them
+router.get("/:id/submissions", authorize(...STAFF_ROLES), validate(assignmentRequest), async (req, res) => {
+  try {
+    const assignment = await findAssignment(req.params.id);
+    if (!assignment) {
+      return res.status(404).json({ error: "Assignment not found" });
+    }
+
+    const submitted = await db.query(`
+      SELECT projects.id, projects.title, projects.author_id, users.username AS author_name,
+        projects.section, projects.group_number, projects.full_name, projects.matricule,
+        projects.submitted_at, projects.is_late
+      FROM projects
+      JOIN users ON users.id = projects.author_id
+      WHERE projects.assignment_id = $1
+      ORDER BY projects.submitted_at ASC, projects.id ASC
+    `, [assignment.id]);
+
+    const params = [assignment.id];
+    const missing = await db.query(`
+      SELECT users.id, users.username, users.full_name, users.email
+      FROM users
+      WHERE ${expectedStudents(assignment, params)}
+        AND NOT EXISTS (
+          SELECT 1 FROM project_members
+          JOIN projects ON projects.id = project_members.project_id
+          WHERE project_members.user_id = users.id AND projects.assignment_id = $1
+        )
+      ORDER BY LOWER(users.username) ASC
+    `, params);
+
+    const expectedParams = [];
+    const expected = await db.query(
+      `SELECT CAST(COUNT(*) AS INTEGER) AS count FROM users WHERE ${expectedStudents(assignment, expectedParams)}`,
+      expectedParams
+    );
+
+    const submissions = await attachMembers(await attachFiles(submitted.rows));
+    res.json({
+      assignment: formatAssignment(assignment),
+      submissions,
+      missing: missing.rows,
+      summary: {
+        expected: expected.rows[0].count,
+        submitted: submissions.length,
+        late: submissions.filter(submission => submission.is_late).length,
+        missing: missing.rows.length
+      }
+    });
+  } catch (err) {
+    console.error("[ERROR] GET /assignments/:id/submissions:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to load submissions" });
+  }
+});
+
+/**
+ * Load a project with its team and file names, answering 404 or 403 unless the user
+ * is on its team. Returns null when a response was sent.
+ */
+async function memberProject(req, res, projectId) {
+  const result = await db.query(`SELECT ${PROJECT_COLUMNS} FROM projects WHERE id = $1`, [projectId]);
+  const [project] = await attachMembers(await attachFiles(result.rows));
+  if (!project) {
+    res.status(404).json({ error: "Project not found" });
+    return null;
+  }
+  if (!isProjectMember(req.user, project)) {
+    res.status(403).json({ error: "Only members of this project can submit it" });
+    return null;
+  }
+  return project;
+}
+
+// Submit (or resubmit) one of the user's projects; the time of the last submission counts
+router.post("/:id/submissions", validate(submitProjectRequest), async (req, res) => {
+  try {
+    const assignment = await findAssignment(req.params.id);
+    if (!assignment) {
+      return res.status(404).json({ error: "Assignment not found" });
+    }
+
+    const project = await memberProject(req, res, req.body.project_id);
+    if (!project) return;
+
+    const now = new Date();
+    const status = assignmentStatus(assignment, now);
+    if (status === "upcoming") {
+      return res.status(409).json({ error: `Submissions open on ${new Date(assignment.opens_at).toISOString()}` });
+    }
+    if (status === "closed") {
+      return res.status(409).json({ error: "The due date has passed and late submissions are not accepted" });
+    }
+
+    if (project.assignment_id && project.assignment_id !== assignment.id) {
+      return res.status(409).json({ error: "Project is already submitted to another assignment" });
+    }
+
+    if (project.files.length === 0) {
+      return res.status(400).json({ error: "Add at least one file to the project before submitting it" });
+    }
+    const typesError = fileTypesError(assignment, project.files.map(file => file.original_name));
+    if (typesError) {
+      return res.status(400).json({ error: typesError });
+    }
+
+    // One submission per student: no team member may be on another submitted project
+    const memberIds = project.members.map(member => member.id);
+    const conflict = await db.query(`
+      SELECT users.username, projects.title
+      FROM project_members
+      JOIN projects ON projects.id = project_members.project_id
+      JOIN users ON users.id = project_members.user_id
+      WHERE projects.assignment_id = $1 AND projects.id != $2
+        AND project_members.user_id IN (${memberIds.map((memberId, index) => `$${index + 3}`).join(", ")})
+    `, [assignment.id, project.id, ...memberIds]);
+    if (conflict.rows.length > 0) {
+      const { username, title } = conflict.rows[0];
+      return res.status(409).json({ error: `${username} has already submitted "${title}" for this assignment` });
+    }
+
+    const isLate = status === "late";
+    await db.query(
+      "UPDATE projects SET assignment_id = $1, submitted_at = $2, is_late = $3 WHERE id = $4",
+      [assignment.id, now, isLate, project.id]
+    );
+
+    res.status(201).json({
+      message: isLate ? "Project submitted after the due date" : "Project submitted",
+      submission: { project_id: project.id, assignment_id: assignment.id, submitted_at: now, is_late: isLate }
+    });
+  } catch (err) {
+    console.error("[ERROR] POST /assignments/:id/submissions:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to submit project" });
+  }
+});
+
+// Withdrawing is only possible while the assignment is open
+router.delete("/:id/submissions/:projectId", validate(submissionRequest), async (req, res) => {
+  try {
+    const assignment = await findAssignment(req.params.id);
+    if (!assignment) {
+      return res.status(404).json({ error: "Assignment not found" });
+    }
+
+    const project = await memberProject(req, res, req.params.projectId);
+    if (!project) return;
+
+    if (project.assignment_id !== assignment.id) {
+      return res.status(404).json({ error: "Project is not submitted to this assignment" });
+    }
+    if (assignmentStatus(assignment) !== "open") {
+      return res.status(409).json({ error: "Submissions can only be withdrawn before the due date" });
+    }
+
+    await db.query(
+      "UPDATE projects SET assignment_id = NULL, submitted_at = NULL, is_late = FALSE WHERE id = $1",
+      [project.id]
+    );
+
+    res.json({ message: "Submission withdrawn" });
+  } catch (err) {
+    console.error("[ERROR] DELETE /assignments/:id/submissions/:projectId:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to withdraw submission" });
+  }
+});
+
+// Publish every draft grade of the assignment's submissions at once
+router.post("/:id/grades/publish", authorize(...STAFF_ROLES), validate(assignmentRequest), async (req, res) => {
+  try {
+    const assignment = await findAssignment(req.params.id);
+    if (!assignment) {
+      return res.status(404).json({ error: "Assignment not found" });
+    }
+
+    const now = new Date();
+    const published = await db.transaction(async (tx) => {
+      const result = await tx.query(`
+        UPDATE grades SET status = 'published', published_at = $1, updated_at = $1
+        WHERE status = 'draft' AND project_id IN (SELECT id FROM projects WHERE assignment_id = $2)
+        RETURNING project_id
+      `, [now, assignment.id]);
+      for (const { project_id } of result.rows) {
+        const project = await tx.query("SELECT id, title FROM projects WHERE id = $1", [project_id]);
+        await notifyGradePublished(tx, project.rows[0], req.user.id);
+      }
+      return result.rows.length;
+    });
+
+    const ungraded = await db.query(`
+      SELECT CAST(COUNT(*) AS INTEGER) AS count FROM projects
+      WHERE assignment_id = $1 AND NOT EXISTS (SELECT 1 FROM grades WHERE grades.project_id = projects.id)
+    `, [assignment.id]);
+
+    res.json({
+      message: `${published} grade(s) published`,
+      published,
+      ungraded: ungraded.rows[0].count
+    });
+  } catch (err) {
+    console.error("[ERROR] POST /assignments/:id/grades/publish:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to publish grades" });
+  }
+});
+
+export default router;
@@ -1,33 +1,40 @@
 import express from "express";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
-import pool from "../db/postgres.js";
+import db from "../db/index.js";
+import { issueToken, consumeToken } from "../utils/tokens.js";
+import { sendVerificationEmail, sendPasswordResetEmail } from "../utils/emails.js";
+import {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions,
+  changePassword
+} from "../utils/sessions.js";
+import { authenticateToken, optionalAuth } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import {
+  registerRequest,
+  loginRequest,
+  changePasswordRequest,
+  tokenRequest,
+  emailRequest,
+  resetPasswordRequest,
+  refreshRequest,
+  logoutRequest,
+  sessionRequest
+} from "../schemas/auth.js";
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key-change-in-production";
 
-router.post("/register", async (req, res) => {
+// Set REQUIRE_EMAIL_VERIFICATION=false to let new accounts log in before confirming their email
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION !== "false";
+
+router.post("/register", validate(registerRequest), async (req, res) => {
   try {
     const { username, email, password } = req.body;
 
-    if (!username || !email || !password) {
-      return res.status(400).json({ error: "Username, email, and password are required" });
-    }
-
-    if (username.length < 3) {
-      return res.status(400).json({ error: "Username must be at least 3 characters" });
-    }
-
-    if (password.length < 6) {
-      return res.status(400).json({ error: "Password must be at least 6 characters" });
-    }
-
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ error: "Invalid email format" });
-    }
-
-    const existingUser = await pool.query(
+    const existingUser = await db.query(
       "SELECT id FROM users WHERE email = $1 OR username = $2",
       [email, username]
     );
@@ -38,23 +45,32 @@ router.post("/register", async (req, res) => {
 
     const hashedPassword = await bcrypt.hash(password, 10);
 
-    const result = await pool.query(
-      "INSERT INTO users (username, email, password) VALUES ($1, $2, $3) RETURNING id",
-      [username, email, hashedPassword]
-    );
+    const { userId, role, verificationToken } = await db.transaction(async (tx) => {
+      const result = await tx.query(
+        "INSERT INTO users (username, email, password) VALUES ($1, $2, $3) RETURNING id, role",
+        [username, email, hashedPassword]
+      );
+      const { id, role } = result.rows[0];
+      return { userId: id, role, verificationToken: await issueToken(tx, id, "email_verification") };
+    });
 
-    const userId = result.rows[0].id;
+    await sendVerificationEmail({ username, email }, verificationToken);
 
-    const token = jwt.sign(
-      { id: userId, username, email },
-      JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    const user = { id: userId, username, email, role, email_verified: false };
+
+    if (REQUIRE_EMAIL_VERIFICATION) {
+      return res.status(201).json({
+        message: "Registration successful. Check your email to verify your account before logging in.",
+        user
+      });
+    }
+
+    const tokens = await createSession(db, user, req);
 
     res.status(201).json({
       message: "Registration successful",
-      token,
-      user: { id: userId, username, email }
+      ...tokens,
+      user
     });
   } catch (error) {
     console.error("Registration error:", error);
@@ -62,15 +78,11 @@ router.post("/register", async (req, res) => {
   }
 });
 
-router.post("/login", async (req, res) => {
+router.post("/login", validate(loginRequest), async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({ error: "Email and password are required" });
-    }
-
-    const result = await pool.query(
+    const result = await db.query(
       "SELECT * FROM users WHERE email = $1 OR username = $1",
       [email]
     );
@@ -86,16 +98,25 @@ router.post("/login", async (req, res) => {
       return res.status(401).json({ error: "Invalid email/username or password" });
     }
 
-    const token = jwt.sign(
-      { id: user.id, username: user.username, email: user.email },
-      JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    if (REQUIRE_EMAIL_VERIFICATION && !user.email_verified) {
+      return res.status(403).json({
+        error: "Please verify your email address before logging in",
+        code: "EMAIL_NOT_VERIFIED"
+      });
+    }
+
+    const tokens = await createSession(db, user, req);
 
     res.json({
       message: "Login successful",
-      token,
-      user: { id: user.id, username: user.username, email: user.email }
+      ...tokens,
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        email_verified: user.email_verified
+      }
     });
   } catch (error) {
     console.error("Login error:", error);
@@ -103,19 +124,11 @@ router.post("/login", async (req, res) => {
   }
 });
 
-router.get("/me", async (req, res) => {
+router.get("/me", authenticateToken, async (req, res) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (!token) {
-      return res.status(401).json({ error: "No token provided" });
-    }
-
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const result = await pool.query(
-      "SELECT id, username, email, created_at FROM users WHERE id = $1",
-      [decoded.id]
+    const result = await db.query(
+      "SELECT id, username, email, role, email_verified, created_at FROM users WHERE id = $1",
+      [req.user.id]
     );
 
     if (result.rows.length === 0) {
@@ -125,33 +138,17 @@ router.get("/me", async (req, res) => {
     res.json({ user: result.rows[0] });
   } catch (error) {
     console.error("Auth error:", error);
-    return res.status(403).json({ error: "Invalid token" });
+    res.status(500).json({ error: "Failed to load user" });
   }
 });
 
-router.post("/change-password", async (req, res) => {
+router.post("/change-password", authenticateToken, validate(changePasswordRequest), async (req, res) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (!token) {
-      return res.status(401).json({ error: "No token provided" });
-    }
-
-    const decoded = jwt.verify(token, JWT_SECRET);
     const { currentPassword, newPassword } = req.body;
 
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({ error: "Current and new passwords are required" });
-    }
-
-    if (newPassword.length < 6) {
-      return res.status(400).json({ error: "New password must be at least 6 characters" });
-    }
-
-    const userResult = await pool.query(
+    const userResult = await db.query(
       "SELECT * FROM users WHERE id = $1",
-      [decoded.id]
+      [req.user.id]
     );
 
     if (userResult.rows.length === 0) {
@@ -167,16 +164,186 @@ router.post("/change-password", async (req, res) => {
 
     const hashedPassword = await bcrypt.hash(newPassword, 10);
 
-    await pool.query(
-      "UPDATE users SET password = $1 WHERE id = $2",
-      [hashedPassword, decoded.id]
-    );
+    // Every session ends, including this one; the caller continues with a fresh one
+    const tokens = await db.transaction(async (tx) => {
+      await changePassword(tx, user.id, hashedPassword);
+      return createSession(tx, user, req);
+    });
 
-    res.json({ message: "Password changed successfully" });
+    res.json({ message: "Password changed successfully. Other devices have been logged out.", ...tokens });
   } catch (error) {
     console.error("Change password error:", error);
     res.status(500).json({ error: "Failed to change password. Please try again." });
   }
 });
 
+router.post("/verify-email", validate(tokenRequest), async (req, res) => {
+  try {
+    const verified = await db.transaction(async (tx) => {
+      const userId = await consumeToken(tx, req.body.token, "email_verification");
+      if (!userId) return false;
+      await tx.query("UPDATE users SET email_verified = TRUE WHERE id = $1", [userId]);
+      return true;
+    });
+
+    if (!verified) {
+      return res.status(400).json({ error: "This verification link is invalid or has expired" });
+    }
+
+    res.json({ message: "Email verified. You can now log in." });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    res.status(500).json({ error: "Failed to verify email. Please try again." });
+  }
+});
+
+// The same answer is given whether or not the address is registered, so these
+// endpoints can't be used to find out who has an account
+const RESEND_VERIFICATION_RESPONSE = {
+  message: "If an unverified account uses this email, a new verification link has been sent."
+};
+const FORGOT_PASSWORD_RESPONSE = {
+  message: "If an account uses this email, a password reset link has been sent."
+};
+
+router.post("/resend-verification", validate(emailRequest), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const result = await db.query("SELECT * FROM users WHERE email = $1", [email]);
+    const user = result.rows[0];
+
+    if (user && !user.email_verified) {
+      const token = await issueToken(db, user.id, "email_verification");
+      await sendVerificationEmail(user, token);
+    }
+
+    res.json(RESEND_VERIFICATION_RESPONSE);
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({ error: "Failed to send verification email. Please try again." });
+  }
+});
+
+router.post("/forgot-password", validate(emailRequest), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const result = await db.query("SELECT * FROM users WHERE email = $1", [email]);
+    const user = result.rows[0];
+
+    if (user) {
+      const token = await issueToken(db, user.id, "password_reset");
+      await sendPasswordResetEmail(user, token);
+    }
+
+    res.json(FORGOT_PASSWORD_RESPONSE);
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({ error: "Failed to send reset email. Please try again." });
+  }
+});
+
+// The password is validated before the token is spent, so a rejected password doesn't burn the link
+router.post("/reset-password", validate(resetPasswordRequest), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const reset = await db.transaction(async (tx) => {
+      const userId = await consumeToken(tx, token, "password_reset");
+      if (!userId) return false;
+
+      await changePassword(tx, userId, hashedPassword);
+      // Following the emailed link also proves the address belongs to the user
+      await tx.query("UPDATE users SET email_verified = TRUE WHERE id = $1", [userId]);
+      return true;
+    });
+
+    if (!reset) {
+      return res.status(400).json({ error: "This reset link is invalid or has expired" });
+    }
+
+    res.json({ message: "Password reset successfully. You can now log in." });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({ error: "Failed to reset password. Please try again." });
+  }
+});
+
+router.post("/refresh", validate(refreshRequest), async (req, res) => {
+  try {
+    const tokens = await refreshSession(req.body.refresh_token);
+
+    if (!tokens) {
+      return res.status(401).json({ error: "Refresh token is invalid or has expired. Please log in again." });
+    }
+
+    res.json(tokens);
+  } catch (error) {
+    console.error("Refresh error:", error);
+    res.status(500).json({ error: "Failed to refresh session. Please try again." });
+  }
+});
+
+// Accepts the refresh token so a client whose access token already expired can still log out
+router.post("/logout", optionalAuth, validate(logoutRequest), async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (refresh_token) {
+      await revokeSessionByRefreshToken(db, refresh_token);
+    } else if (req.user) {
+      await revokeSession(db, req.user.id, req.user.sid);
+    } else {
+      return res.status(401).json({ error: "A refresh token or access token is required" });
+    }
+
+    res.json({ message: "Logged out" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ error: "Failed to log out. Please try again." });
+  }
+});
+
+router.post("/logout-all", authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(db, req.user.id);
+    res.json({ message: "Logged out of all sessions", revoked_sessions: revoked });
+  } catch (error) {
+    console.error("Logout-all error:", error);
+    res.status(500).json({ error: "Failed to log out. Please try again." });
+  }
+});
+
+router.get("/sessions", authenticateToken, async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+      FROM sessions
+      WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > $2
+      ORDER BY last_used_at DESC, id DESC
+    `, [req.user.id, new Date()]);
+
+    const sessions = result.rows.map(session => ({ ...session, current: session.id === req.user.sid }));
+    res.json({ sessions });
+  } catch (error) {
+    console.error("List sessions error:", error);
+    res.status(500).json({ error: "Failed to load sessions. Please try again." });
+  }
+});
+
+router.delete("/sessions/:id", authenticateToken, validate(sessionRequest), async (req, res) => {
+  try {
+    if (!(await revokeSession(db, req.user.id, req.params.id))) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    res.json({ message: "Session revoked" });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({ error: "Failed to revoke session. Please try again." });
+  }
+});
+
 export default router;
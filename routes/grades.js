@@ -0,0 +1,39 @@
+import express from "express";
+import { authenticateToken, authorize, STAFF_ROLES } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import { exportGradesRequest } from "../schemas/grades.js";
+import { loadGradeRows, gradesCsv, gradesXlsx } from "../utils/grades.js";
+
+const router = express.Router();
+
+router.use(authenticateToken, authorize(...STAFF_ROLES));
+
+// Filename parts from the filters, e.g. grades-section-A-group-1.csv
+function exportFilename(query) {
+  const parts = ["grades"];
+  for (const key of ["section", "section_id", "group", "group_id", "assignment_id", "status"]) {
+    if (query[key] !== undefined) {
+      parts.push(key.replace("_id", ""), String(query[key]).replace(/[^\w-]+/g, "_"));
+    }
+  }
+  return `${parts.join("-")}.${query.format}`;
+}
+
+// Grades of the matching projects, drafts included unless filtered by status
+router.get("/export", validate(exportGradesRequest), async (req, res) => {
+  try {
+    const rows = await loadGradeRows(req.query);
+
+    res.attachment(exportFilename(req.query));
+    if (req.query.format === "xlsx") {
+      res.send(await gradesXlsx(rows));
+    } else {
+      res.type("text/csv; charset=utf-8").send(gradesCsv(rows));
+    }
+  } catch (err) {
+    console.error("[ERROR] GET /grades/export:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to export grades" });
+  }
+});
+
+export default router;
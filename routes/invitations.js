@@ -0,0 +1,73 @@
+import express from "express";
+import db from "../db/index.js";
+import { authenticateToken } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import { invitationRequest } from "../schemas/invitations.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Invitations to join project teams, as seen by the invited user
+router.get("/", async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT project_invitations.id, project_invitations.project_id, projects.title AS project_title,
+        project_invitations.inviter_id, inviter.username AS inviter_name, project_invitations.created_at
+      FROM project_invitations
+      JOIN projects ON projects.id = project_invitations.project_id
+      JOIN users inviter ON inviter.id = project_invitations.inviter_id
+      WHERE project_invitations.invitee_id = $1 AND project_invitations.status = 'pending'
+      ORDER BY project_invitations.created_at DESC, project_invitations.id DESC
+    `, [req.user.id]);
+
+    res.json({ invitations: result.rows });
+  } catch (err) {
+    console.error("[ERROR] GET /invitations:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to load invitations" });
+  }
+});
+
+/**
+ * Answer one of the current user's pending invitations.
+ * Accepting adds them to the project's team in the same transaction.
+ */
+async function respond(req, res, status) {
+  try {
+    const outcome = await db.transaction(async (tx) => {
+      const updated = await tx.query(`
+        UPDATE project_invitations SET status = $1, responded_at = CURRENT_TIMESTAMP
+        WHERE id = $2 AND invitee_id = $3 AND status = 'pending'
+        RETURNING project_id
+      `, [status, req.params.id, req.user.id]);
+      if (updated.rows.length === 0) return null;
+
+      const projectId = updated.rows[0].project_id;
+      if (status === "accepted") {
+        await tx.query(`
+          INSERT INTO project_members (project_id, user_id, role) VALUES ($1, $2, 'member')
+          ON CONFLICT (project_id, user_id) DO NOTHING
+        `, [projectId, req.user.id]);
+      }
+      return projectId;
+    });
+
+    if (outcome === null) {
+      return res.status(404).json({ error: "Invitation not found" });
+    }
+
+    res.json({
+      message: status === "accepted" ? "You joined the project" : "Invitation declined",
+      project_id: outcome
+    });
+  } catch (err) {
+    console.error(`[ERROR] POST /invitations/:id/${status === "accepted" ? "accept" : "decline"}:`, err.message, err.stack);
+    res.status(500).json({ error: "Failed to answer invitation" });
+  }
+}
+
+router.post("/:id/accept", validate(invitationRequest), (req, res) => respond(req, res, "accepted"));
+
+router.post("/:id/decline", validate(invitationRequest), (req, res) => respond(req, res, "declined"));
+
+export default router;
@@ -0,0 +1,281 @@
+import express from "express";
+import db from "../db/index.js";
+import { authenticateToken, authorize, STAFF_ROLES } from "../middleware/auth.js";
+import { REPORT_TARGETS } from "../utils/reports.js";
+import { validate } from "../middleware/validate.js";
+import {
+  ACTIONS,
+  FLAG_ACTIONS,
+  listReportsRequest,
+  resolveReportRequest,
+  unhideRequest,
+  listFlagsRequest,
+  resolveFlagRequest
+} from "../schemas/moderation.js";
+import { deleteProjectRecords } from "../utils/projects.js";
+import { deleteReviews } from "../utils/reviews.js";
+import { invalidateLeaderboard } from "../utils/leaderboard.js";
+import { describeReasons } from "../utils/integrity.js";
+import { removeFile } from "../storage/index.js";
+
+const router = express.Router();
+
+router.use(authenticateToken, authorize(...STAFF_ROLES));
+
+function toReportWithContext(row) {
+  let target = null;
+
+  if (row.target_type === "project" && row.project_id !== null) {
+    target = {
+      id: row.project_id,
+      title: row.project_title,
+      description: row.project_description,
+      author_id: row.project_author_id,
+      author_name: row.project_author_name,
+      is_hidden: row.project_is_hidden
+    };
+  } else if (row.target_type === "review" && row.review_id !== null) {
+    target = {
+      id: row.review_id,
+      project_id: row.review_project_id,
+      rating: row.review_rating,
+      comment: row.review_comment,
+      reviewer_id: row.review_reviewer_id,
+      reviewer_name: row.review_reviewer_name,
+      is_hidden: row.review_is_hidden
+    };
+  }
+
+  return {
+    id: row.id,
+    target_type: row.target_type,
+    target_id: row.target_id,
+    reason: row.reason,
+    status: row.status,
+    reporter: { id: row.reporter_id, username: row.reporter_name },
+    open_reports_on_target: row.open_reports_on_target,
+    resolved_by: row.resolved_by,
+    resolved_at: row.resolved_at,
+    created_at: row.created_at,
+    // null once the reported content has been deleted
+    target
+  };
+}
+
+router.get("/reports", validate(listReportsRequest), async (req, res) => {
+  try {
+    const { status, type } = req.query;
+
+    const params = [status];
+    let typeCondition = "";
+    if (type) {
+      params.push(type);
+      typeCondition = `AND reports.target_type = $${params.length}`;
+    }
+
+    const result = await db.query(`
+      SELECT
+        reports.*,
+        reporter.username AS reporter_name,
+        projects.id AS project_id,
+        projects.title AS project_title,
+        projects.description AS project_description,
+        projects.author_id AS project_author_id,
+        project_author.username AS project_author_name,
+        projects.is_hidden AS project_is_hidden,
+        reviews.id AS review_id,
+        reviews.project_id AS review_project_id,
+        reviews.rating AS review_rating,
+        reviews.comment AS review_comment,
+        reviews.reviewer_id AS review_reviewer_id,
+        review_author.username AS review_reviewer_name,
+        reviews.is_hidden AS review_is_hidden,
+        (
+          SELECT CAST(COUNT(*) AS INTEGER) FROM reports other
+          WHERE other.target_type = reports.target_type
+            AND other.target_id = reports.target_id
+            AND other.status = 'open'
+        ) AS open_reports_on_target
+      FROM reports
+      JOIN users reporter ON reporter.id = reports.reporter_id
+      LEFT JOIN projects ON reports.target_type = 'project' AND projects.id = reports.target_id
+      LEFT JOIN users project_author ON project_author.id = projects.author_id
+      LEFT JOIN reviews ON reports.target_type = 'review' AND reviews.id = reports.target_id
+      LEFT JOIN users review_author ON review_author.id = reviews.reviewer_id
+      WHERE reports.status = $1 ${typeCondition}
+      ORDER BY reports.created_at ASC, reports.id ASC
+    `, params);
+
+    res.json({ reports: result.rows.map(toReportWithContext) });
+  } catch (err) {
+    console.error("[ERROR] GET /moderation/reports:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to load reports" });
+  }
+});
+
+router.post("/reports/:id/:action", validate(resolveReportRequest), async (req, res) => {
+  const status = ACTIONS[req.params.action];
+
+  try {
+    const outcome = await db.transaction(async (tx) => {
+      const reportResult = await tx.query("SELECT * FROM reports WHERE id = $1", [req.params.id]);
+      if (reportResult.rows.length === 0) {
+        return { status: 404, body: { error: "Report not found" } };
+      }
+
+      const report = reportResult.rows[0];
+      if (report.status !== "open") {
+        return { status: 409, body: { error: `Report has already been ${report.status}` } };
+      }
+
+      const table = REPORT_TARGETS[report.target_type];
+      const targetResult = await tx.query(`SELECT id FROM ${table} WHERE id = $1`, [report.target_id]);
+      if (status !== "dismissed" && targetResult.rows.length === 0) {
+        return { status: 404, body: { error: "Reported content no longer exists" } };
+      }
+
+      // Every open report on the same content is settled by the same decision.
+      // Recorded before any deletion so resolved_by is kept on these reports.
+      const resolved = await tx.query(`
+        UPDATE reports SET status = $1, resolved_by = $2, resolved_at = CURRENT_TIMESTAMP
+        WHERE target_type = $3 AND target_id = $4 AND status = 'open'
+      `, [status, req.user.id, report.target_type, report.target_id]);
+
+      let removedFiles = [];
+      if (status === "hidden") {
+        await tx.query(`UPDATE ${table} SET is_hidden = TRUE WHERE id = $1`, [report.target_id]);
+      } else if (status === "deleted") {
+        if (report.target_type === "project") {
+          removedFiles = await deleteProjectRecords(tx, report.target_id);
+        } else {
+          await deleteReviews(tx, "id", report.target_id);
+        }
+      }
+
+      return {
+        status: 200,
+        removedFiles,
+        body: {
+          message: status === "dismissed" ? "Report dismissed" : `Content ${status}`,
+          resolved_reports: resolved.rowCount
+        }
+      };
+    });
+
+    if (status !== "dismissed" && outcome.status === 200) {
+      invalidateLeaderboard();
+    }
+    if (outcome.removedFiles) {
+      await Promise.all(outcome.removedFiles.map(removeFile));
+    }
+
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    console.error("[ERROR] POST /moderation/reports/:id/:action:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to resolve report" });
+  }
+});
+
+router.post("/:type/:id/unhide", validate(unhideRequest), async (req, res) => {
+  // The schema limits :type to these two tables
+  const table = req.params.type;
+
+  try {
+    const result = await db.query(
+      `UPDATE ${table} SET is_hidden = FALSE WHERE id = $1 RETURNING id`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: `${table === "projects" ? "Project" : "Review"} not found` });
+    }
+    invalidateLeaderboard();
+
+    res.json({ message: "Content restored successfully" });
+  } catch (err) {
+    console.error("[ERROR] POST /moderation/:type/:id/unhide:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to restore content" });
+  }
+});
+
+// Reviews flagged by utils/integrity.js, oldest first
+router.get("/flags", validate(listFlagsRequest), async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT
+        review_flags.*,
+        reviews.project_id,
+        projects.title AS project_title,
+        reviews.reviewer_id,
+        reviewer.username AS reviewer_name,
+        reviewer.created_at AS reviewer_created_at,
+        reviews.rating,
+        reviews.comment,
+        reviews.created_at AS review_created_at
+      FROM review_flags
+      JOIN reviews ON reviews.id = review_flags.review_id
+      JOIN projects ON projects.id = reviews.project_id
+      JOIN users reviewer ON reviewer.id = reviews.reviewer_id
+      WHERE review_flags.status = $1
+      ORDER BY review_flags.created_at ASC, review_flags.review_id ASC
+    `, [req.query.status]);
+
+    const flags = result.rows.map(row => ({
+      review_id: row.review_id,
+      reasons: describeReasons(row.reasons),
+      status: row.status,
+      resolved_by: row.resolved_by,
+      resolved_at: row.resolved_at,
+      created_at: row.created_at,
+      review: {
+        id: row.review_id,
+        project_id: row.project_id,
+        project_title: row.project_title,
+        reviewer_id: row.reviewer_id,
+        reviewer_name: row.reviewer_name,
+        reviewer_created_at: row.reviewer_created_at,
+        rating: row.rating,
+        comment: row.comment,
+        created_at: row.review_created_at
+      }
+    }));
+
+    res.json({ flags });
+  } catch (err) {
+    console.error("[ERROR] GET /moderation/flags:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to load flagged reviews" });
+  }
+});
+
+// Clearing puts the review back into ratings; hiding removes it from view as well
+router.post("/flags/:id/:action", validate(resolveFlagRequest), async (req, res) => {
+  const status = FLAG_ACTIONS[req.params.action];
+
+  try {
+    const outcome = await db.transaction(async (tx) => {
+      const resolved = await tx.query(`
+        UPDATE review_flags SET status = $1, resolved_by = $2, resolved_at = CURRENT_TIMESTAMP
+        WHERE review_id = $3 AND status = 'open'
+      `, [status, req.user.id, req.params.id]);
+      if (resolved.rowCount === 0) {
+        return { status: 404, body: { error: "No open flag on this review" } };
+      }
+
+      await tx.query(
+        `UPDATE reviews SET is_flagged = FALSE${status === "hidden" ? ", is_hidden = TRUE" : ""} WHERE id = $1`,
+        [req.params.id]
+      );
+      return { status: 200, body: { message: status === "cleared" ? "Flag cleared" : "Review hidden" } };
+    });
+
+    if (outcome.status === 200) {
+      invalidateLeaderboard();
+    }
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    console.error("[ERROR] POST /moderation/flags/:id/:action:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to resolve flag" });
+  }
+});
+
+export default router;
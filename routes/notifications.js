@@ -0,0 +1,132 @@
+import express from "express";
+import db from "../db/index.js";
+import { authenticateToken } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import { parsePagination, paginationMeta } from "../utils/pagination.js";
+import { NOTIFICATION_TYPES } from "../utils/notifications.js";
+import {
+  listNotificationsRequest,
+  notificationRequest,
+  updatePreferencesRequest
+} from "../schemas/notifications.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+router.get("/", validate(listNotificationsRequest), async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    const unreadCondition = req.query.unread ? "AND notifications.read_at IS NULL" : "";
+
+    const countResult = await db.query(`
+      SELECT CAST(COUNT(*) AS INTEGER) AS total FROM notifications
+      WHERE notifications.user_id = $1 ${unreadCondition}
+    `, [req.user.id]);
+
+    const result = await db.query(`
+      SELECT notifications.id, notifications.type, notifications.message,
+        notifications.actor_id, actor.username AS actor_name,
+        notifications.project_id, notifications.review_id,
+        notifications.read_at, notifications.created_at
+      FROM notifications
+      LEFT JOIN users actor ON actor.id = notifications.actor_id
+      WHERE notifications.user_id = $1 ${unreadCondition}
+      ORDER BY notifications.created_at DESC, notifications.id DESC
+      LIMIT $2 OFFSET $3
+    `, [req.user.id, pagination.limit, pagination.offset]);
+
+    res.json({
+      notifications: result.rows.map(notification => ({ ...notification, is_read: notification.read_at !== null })),
+      pagination: paginationMeta(pagination, countResult.rows[0].total)
+    });
+  } catch (err) {
+    console.error("[ERROR] GET /notifications:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to load notifications" });
+  }
+});
+
+router.get("/unread-count", async (req, res) => {
+  try {
+    const result = await db.query(
+      "SELECT CAST(COUNT(*) AS INTEGER) AS count FROM notifications WHERE user_id = $1 AND read_at IS NULL",
+      [req.user.id]
+    );
+
+    res.json({ count: result.rows[0].count });
+  } catch (err) {
+    console.error("[ERROR] GET /notifications/unread-count:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to count notifications" });
+  }
+});
+
+router.post("/read-all", async (req, res) => {
+  try {
+    const result = await db.query(
+      "UPDATE notifications SET read_at = $1 WHERE user_id = $2 AND read_at IS NULL",
+      [new Date(), req.user.id]
+    );
+
+    res.json({ message: "All notifications marked as read", updated: result.rowCount });
+  } catch (err) {
+    console.error("[ERROR] POST /notifications/read-all:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to mark notifications as read" });
+  }
+});
+
+// Every type with whether it is on; types without a stored preference are on
+async function loadPreferences(userId) {
+  const result = await db.query("SELECT type, enabled FROM notification_preferences WHERE user_id = $1", [userId]);
+  const stored = new Map(result.rows.map(row => [row.type, row.enabled]));
+  return Object.entries(NOTIFICATION_TYPES).map(([type, description]) => ({
+    type,
+    description,
+    enabled: stored.get(type) ?? true
+  }));
+}
+
+router.get("/preferences", async (req, res) => {
+  try {
+    res.json({ preferences: await loadPreferences(req.user.id) });
+  } catch (err) {
+    console.error("[ERROR] GET /notifications/preferences:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to load notification preferences" });
+  }
+});
+
+router.patch("/preferences", validate(updatePreferencesRequest), async (req, res) => {
+  try {
+    await db.transaction(async (tx) => {
+      for (const [type, enabled] of Object.entries(req.body)) {
+        await tx.query(`
+          INSERT INTO notification_preferences (user_id, type, enabled) VALUES ($1, $2, $3)
+          ON CONFLICT (user_id, type) DO UPDATE SET enabled = EXCLUDED.enabled
+        `, [req.user.id, type, enabled]);
+      }
+    });
+
+    res.json({ message: "Notification preferences updated", preferences: await loadPreferences(req.user.id) });
+  } catch (err) {
+    console.error("[ERROR] PATCH /notifications/preferences:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to update notification preferences" });
+  }
+});
+
+router.post("/:id/read", validate(notificationRequest), async (req, res) => {
+  try {
+    const result = await db.query(
+      "UPDATE notifications SET read_at = COALESCE(read_at, $1) WHERE id = $2 AND user_id = $3",
+      [new Date(), req.params.id, req.user.id]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Notification not found" });
+    }
+
+    res.json({ message: "Notification marked as read" });
+  } catch (err) {
+    console.error("[ERROR] POST /notifications/:id/read:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to mark notification as read" });
+  }
+});
+
+export default router;
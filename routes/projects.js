@@ -1,43 +1,255 @@
 import express from "express";
-import pool from "../db/postgres.js";
-import { authenticateToken } from "../middleware/auth.js";
+import db from "../db/index.js";
+import { authenticateToken, optionalAuth, authorize, hasRole, STAFF_ROLES } from "../middleware/auth.js";
+import {
+  attachFiles,
+  attachMembers,
+  isProjectMember,
+  canEditProject,
+  canSeeProject,
+  canManageProject,
+  canDownloadFiles,
+  deleteProjectRecords,
+  MAX_FILES_PER_PROJECT,
+  PROJECT_COLUMNS
+} from "../utils/projects.js";
+import { reportHandler } from "../utils/reports.js";
+import { parsePagination, paginationMeta } from "../utils/pagination.js";
+import { extractText, refreshSearchIndex, searchProjects, searchTerms } from "../utils/search.js";
+import { validate, fieldError } from "../middleware/validate.js";
+import {
+  PROJECT_SORTS,
+  listProjectsRequest,
+  leaderboardRequest,
+  searchProjectsRequest,
+  projectRequest,
+  createProjectRequest,
+  replaceProjectRequest,
+  updateProjectRequest,
+  projectFileRequest,
+  listReviewsRequest,
+  reviewRequest,
+  inviteMemberRequest,
+  projectInvitationRequest,
+  projectMemberRequest,
+  saveGradeRequest,
+  feedbackRequest
+} from "../schemas/projects.js";
+import { listProjectReviews } from "../utils/reviews.js";
+import { getLeaderboard, invalidateLeaderboard } from "../utils/leaderboard.js";
+import { screenReview } from "../utils/integrity.js";
+import { canonicalSectionName, canonicalGroupName, resolveAcademicFields } from "../utils/academic.js";
+import { submittedFileChange, submittedFileRemovalError } from "../utils/assignments.js";
+import { notify } from "../utils/notifications.js";
+import { notifyGradePublished } from "../utils/grades.js";
+import {
+  activeCriteria,
+  scoresError,
+  weightedScore,
+  saveReviewScores,
+  loadReviewScores,
+  attachRubricScores
+} from "../utils/rubrics.js";
+import { reportRequest } from "../schemas/reports.js";
+import {
+  UPLOAD_TEMP_DIR,
+  MAX_UPLOAD_SIZE,
+  allowedExtension,
+  uploadFileFilter,
+  discardTempFiles,
+  validatedUpload
+} from "../utils/uploads.js";
+import storage, { getDriver, removeFile } from "../storage/index.js";
 import multer from "multer";
-import path from "path";
 import fs from "fs";
-import { fileURLToPath } from "url";
 
 const router = express.Router();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const uploadDir = path.join(__dirname, "..", "public", "uploads");
-
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
+if (!fs.existsSync(UPLOAD_TEMP_DIR)) {
+  fs.mkdirSync(UPLOAD_TEMP_DIR, { recursive: true });
 }
 
-const storage = multer.diskStorage({
+// Uploads are staged on local disk, validated, then handed to the storage driver
+const tempStorage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, uploadDir);
+    cb(null, UPLOAD_TEMP_DIR);
   },
   filename: (req, file, cb) => {
     const uniqueName = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    const ext = path.extname(file.originalname);
+    // uploadFileFilter has already checked the extension against the allow-list
+    const ext = allowedExtension(file.originalname);
     cb(null, "project-" + uniqueName + ext);
   }
 });
 
 const upload = multer({
-  storage,
-  limits: { fileSize: 20 * 1024 * 1024 }
+  storage: tempStorage,
+  fileFilter: uploadFileFilter,
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: MAX_FILES_PER_PROJECT }
 });
 
-router.get("/", async (req, res) => {
+// "file" is the single-upload field older clients still send
+const projectFilesUpload = validatedUpload(upload.fields([
+  { name: "files", maxCount: MAX_FILES_PER_PROJECT },
+  { name: "file", maxCount: 1 }
+]));
+
+const replacementFileUpload = validatedUpload(upload.single("file"));
+
+function uploadedFiles(req) {
+  if (!req.files) return [];
+  return [...(req.files.files || []), ...(req.files.file || [])];
+}
+
+/**
+ * Move validated uploads from the temp directory into the storage driver.
+ * @returns {Promise<Array>} project_files values for each stored file
+ */
+async function storeUploads(files) {
+  const stored = [];
+  try {
+    for (const file of files) {
+      // The generated filename doubles as the storage key
+      await storage.put(file.filename, file.path, { contentType: file.mimetype });
+      stored.push({
+        file_path: file.filename,
+        storage_driver: storage.name,
+        original_name: file.originalname,
+        mime_type: file.mimetype,
+        file_size: file.size,
+        extracted_text: await extractText(await fs.promises.readFile(file.path), file.mimetype)
+      });
+    }
+  } catch (err) {
+    await Promise.all(stored.map(removeFile));
+    throw err;
+  } finally {
+    await discardTempFiles(files);
+  }
+  return stored;
+}
+
+async function insertFiles(tx, projectId, storedFiles) {
+  for (const file of storedFiles) {
+    await tx.query(`
+      INSERT INTO project_files (project_id, file_path, storage_driver, original_name, mime_type, file_size, extracted_text)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [
+      projectId,
+      file.file_path,
+      file.storage_driver,
+      file.original_name,
+      file.mime_type,
+      file.file_size,
+      file.extracted_text
+    ]);
+  }
+}
+
+// Stored files are removed when the rows referencing them could not be written
+async function removeStoredOnFailure(storedFiles, write) {
+  try {
+    return await write();
+  } catch (err) {
+    await Promise.all(storedFiles.map(removeFile));
+    throw err;
+  }
+}
+
+async function findProject(projectId) {
+  const result = await db.query(`SELECT ${PROJECT_COLUMNS} FROM projects WHERE id = $1`, [projectId]);
+  const [project] = await attachMembers(result.rows);
+  return project || null;
+}
+
+async function loadProjectWithFiles(projectId) {
+  const result = await db.query(`
+    SELECT ${PROJECT_COLUMNS}, users.username AS author_name
+    FROM projects
+    JOIN users ON users.id = projects.author_id
+    WHERE projects.id = $1
+  `, [projectId]);
+  const [project] = await attachMembers(await attachFiles(result.rows));
+  return project;
+}
+
+// Names of the project's module and academic year, for listings
+const ACADEMIC_NAMES = `
+  (SELECT name FROM modules WHERE modules.id = projects.module_id) AS module_name,
+  (SELECT name FROM academic_years WHERE academic_years.id = projects.academic_year_id) AS academic_year
+`;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Turn a validated `from`/`to` query value into a Date. A bare date in `to` covers that whole day.
+ */
+function parseDateFilter(value, endOfDay) {
+  const date = new Date(value);
+  if (endOfDay && DATE_ONLY.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+}
+
+router.get("/", optionalAuth, validate(listProjectsRequest), async (req, res) => {
   try {
-    const { section, group } = req.query;
+    const { sort, section, group, author, author_id, min_rating, from, to } = req.query;
+    // Titles read naturally A-Z; everything else shows the highest or newest first
+    const order = req.query.order || (sort === "title" ? "asc" : "desc");
+    const pagination = parsePagination(req.query);
+
+    const params = [];
+    const conditions = [];
+
+    if (!hasRole(req.user, STAFF_ROLES)) {
+      conditions.push("projects.is_hidden = FALSE");
+    }
     
-    let query = `
+    // Names match any spelling of the section or group
+    if (section) {
+      conditions.push(`LOWER(projects.section) = LOWER($${params.length + 1})`);
+      params.push(canonicalSectionName(section));
+    }
+    if (group) {
+      conditions.push(`LOWER(projects.group_number) = LOWER($${params.length + 1})`);
+      params.push(canonicalGroupName(group));
+    }
+    for (const column of ["section_id", "group_id", "module_id", "academic_year_id", "assignment_id"]) {
+      if (req.query[column] !== undefined) {
+        conditions.push(`projects.${column} = $${params.length + 1}`);
+        params.push(req.query[column]);
+      }
+    }
+    if (author_id !== undefined) {
+      conditions.push(`projects.author_id = $${params.length + 1}`);
+      params.push(author_id);
+    }
+    if (author) {
+      conditions.push(`LOWER(users.username) = LOWER($${params.length + 1})`);
+      params.push(author);
+    }
+    if (from !== undefined) {
+      conditions.push(`projects.created_at >= $${params.length + 1}`);
+      params.push(parseDateFilter(from, false));
+    }
+    if (to !== undefined) {
+      conditions.push(DATE_ONLY.test(to)
+        ? `projects.created_at < $${params.length + 1}`
+        : `projects.created_at <= $${params.length + 1}`);
+      params.push(parseDateFilter(to, true));
+    }
+
+    const where = conditions.length > 0 ? "WHERE " + conditions.join(" AND ") : "";
+
+    // Ratings only exist after grouping, so the minimum is applied on the grouped rows
+    let ratingCondition = "";
+    if (min_rating !== undefined) {
+      ratingCondition = `WHERE listed.avg_rating >= $${params.length + 1}`;
+      params.push(min_rating);
+    }
+
+    const listing = `
       SELECT
         projects.id,
         projects.title,
@@ -46,47 +258,94 @@ router.get("/", async (req, res) => {
         projects.group_number,
         projects.full_name,
         projects.matricule,
+        projects.academic_year_id,
+        projects.section_id,
+        projects.group_id,
+        projects.module_id,
+        ${ACADEMIC_NAMES},
+        projects.assignment_id,
+        projects.submitted_at,
+        projects.is_late,
+        projects.file_visibility,
         projects.created_at,
         users.username AS author_name,
         users.id AS author_id,
-        project_files.file_path,
-        COALESCE(AVG(reviews.rating), 0)::FLOAT as avg_rating,
-        COUNT(reviews.id) as review_count
+        CAST(COALESCE(AVG(reviews.rating), 0) AS FLOAT) as avg_rating,
+        CAST(COUNT(reviews.id) AS INTEGER) as review_count
       FROM projects
       JOIN users ON users.id = projects.author_id
-      LEFT JOIN project_files ON project_files.project_id = projects.id
-      LEFT JOIN reviews ON reviews.project_id = projects.id
+      LEFT JOIN reviews ON reviews.project_id = projects.id AND reviews.is_hidden = FALSE AND reviews.is_flagged = FALSE
+      ${where}
+      GROUP BY projects.id, users.username, users.id
     `;
-    
-    const params = [];
-    const conditions = [];
-    
-    if (section) {
-      conditions.push(`projects.section = $${params.length + 1}`);
-      params.push(section);
-    }
-    if (group) {
-      conditions.push(`projects.group_number = $${params.length + 1}`);
-      params.push(group);
-    }
-    
-    if (conditions.length > 0) {
-      query += " WHERE " + conditions.join(" AND ");
-    }
-    
-    query += " GROUP BY projects.id, users.username, users.id, project_files.file_path ORDER BY projects.created_at DESC";
-    
-    const result = await pool.query(query, params);
-    res.json({ projects: result.rows });
+
+    const countResult = await db.query(
+      `SELECT CAST(COUNT(*) AS INTEGER) AS total FROM (${listing}) listed ${ratingCondition}`,
+      params
+    );
+
+    // id breaks ties so pages never overlap or skip rows
+    const result = await db.query(`
+      SELECT * FROM (${listing}) listed
+      ${ratingCondition}
+      ORDER BY ${PROJECT_SORTS[sort]} ${order.toUpperCase()}, id ${order.toUpperCase()}
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, pagination.limit, pagination.offset]);
+
+    res.json({
+      projects: await attachRubricScores(await attachMembers(await attachFiles(result.rows))),
+      pagination: paginationMeta(pagination, countResult.rows[0].total),
+      sort,
+      order
+    });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "Failed to load projects" });
   }
 });
 
-router.get("/:id", async (req, res) => {
+// Public and the same for everyone: hidden projects and reviews are never ranked
+router.get("/leaderboard", validate(leaderboardRequest), async (req, res) => {
+  try {
+    const { section, group, window } = req.query;
+    const pagination = parsePagination(req.query);
+    const { rankings, method, generated_at } = await getLeaderboard({ section, group, window });
+
+    res.json({
+      projects: rankings.slice(pagination.offset, pagination.offset + pagination.limit),
+      pagination: paginationMeta(pagination, rankings.length),
+      filters: { section: section ?? null, group: group ?? null, window },
+      method,
+      generated_at
+    });
+  } catch (err) {
+    console.error("[ERROR] GET /projects/leaderboard:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to load leaderboard" });
+  }
+});
+
+router.get("/search", optionalAuth, validate(searchProjectsRequest), async (req, res) => {
   try {
-    const result = await pool.query(`
+    const { q } = req.query;
+    const terms = searchTerms(q);
+    const pagination = parsePagination(req.query);
+
+    const { total, results } = await searchProjects(terms, {
+      includeHidden: hasRole(req.user, STAFF_ROLES),
+      limit: pagination.limit,
+      offset: pagination.offset
+    });
+
+    res.json({ query: q, results, pagination: paginationMeta(pagination, total) });
+  } catch (err) {
+    console.error("[ERROR] GET /projects/search:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to search projects" });
+  }
+});
+
+router.get("/:id", optionalAuth, validate(projectRequest), async (req, res) => {
+  try {
+    const result = await db.query(`
       SELECT
         projects.id,
         projects.title,
@@ -95,125 +354,174 @@ router.get("/:id", async (req, res) => {
         projects.group_number,
         projects.full_name,
         projects.matricule,
+        projects.academic_year_id,
+        projects.section_id,
+        projects.group_id,
+        projects.module_id,
+        ${ACADEMIC_NAMES},
+        projects.assignment_id,
+        projects.submitted_at,
+        projects.is_late,
+        projects.file_visibility,
+        projects.is_hidden,
         projects.created_at,
         users.username AS author_name,
         users.id AS author_id,
-        project_files.file_path,
-        COALESCE(AVG(reviews.rating), 0)::FLOAT as avg_rating,
-        COUNT(reviews.id) as review_count
+        CAST(COALESCE(AVG(reviews.rating), 0) AS FLOAT) as avg_rating,
+        CAST(COUNT(reviews.id) AS INTEGER) as review_count
       FROM projects
       JOIN users ON users.id = projects.author_id
-      LEFT JOIN project_files ON project_files.project_id = projects.id
-      LEFT JOIN reviews ON reviews.project_id = projects.id
+      LEFT JOIN reviews ON reviews.project_id = projects.id AND reviews.is_hidden = FALSE AND reviews.is_flagged = FALSE
       WHERE projects.id = $1
-      GROUP BY projects.id, users.username, users.id, project_files.file_path
+      GROUP BY projects.id, users.username, users.id
     `, [req.params.id]);
 
-    if (result.rows.length === 0) {
+    const [project] = await attachMembers(result.rows);
+    if (!project || !canSeeProject(req.user, project)) {
       return res.status(404).json({ error: "Project not found" });
     }
 
-    res.json({ project: result.rows[0] });
+    await attachFiles([project]);
+    await attachRubricScores([project]);
+    res.json({ project });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "Failed to fetch project" });
   }
 });
 
-router.post("/", authenticateToken, upload.single("file"), async (req, res) => {
-  try {
-    const { title, description, section, group_number, full_name, matricule } = req.body;
+router.post("/", authenticateToken, projectFilesUpload, validate(createProjectRequest), async (req, res) => {
+  const files = uploadedFiles(req);
 
-    if (!title || !description) {
-      return res.status(400).json({ error: "Title and description are required" });
-    }
-
-    if (title.length < 3) {
-      return res.status(400).json({ error: "Title must be at least 3 characters" });
+  try {
+    const resolved = await resolveAcademicFields(db, req.body);
+    if (resolved.error) {
+      await discardTempFiles(files);
+      return fieldError(res, "body", resolved.error.field, resolved.error.message);
     }
 
-    if (description.length < 10) {
-      return res.status(400).json({ error: "Description must be at least 10 characters" });
-    }
+    const {
+      title, description, section, group_number, full_name, matricule, file_visibility,
+      section_id, group_id, module_id, academic_year_id
+    } = resolved.fields;
 
-    const result = await pool.query(`
-      INSERT INTO projects (title, description, author_id, section, group_number, full_name, matricule)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-      RETURNING id
-    `, [title, description, req.user.id, section || null, group_number || null, full_name || null, matricule || null]);
+    const storedFiles = await storeUploads(files);
 
-    const projectId = result.rows[0].id;
+    const projectId = await removeStoredOnFailure(storedFiles, () => db.transaction(async (tx) => {
+      const result = await tx.query(`
+        INSERT INTO projects (
+          title, description, author_id, section, group_number, full_name, matricule, file_visibility,
+          section_id, group_id, module_id, academic_year_id
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        RETURNING id
+      `, [
+        title,
+        description,
+        req.user.id,
+        section ?? null,
+        group_number ?? null,
+        full_name ?? null,
+        matricule ?? null,
+        file_visibility || "public",
+        section_id ?? null,
+        group_id ?? null,
+        module_id ?? null,
+        academic_year_id ?? null
+      ]);
 
-    if (req.file) {
-      const filePath = `/uploads/${req.file.filename}`;
-      await pool.query(
-        `INSERT INTO project_files (project_id, file_path) VALUES ($1, $2)`,
-        [projectId, filePath]
+      await tx.query(
+        "INSERT INTO project_members (project_id, user_id, role) VALUES ($1, $2, 'owner')",
+        [result.rows[0].id, req.user.id]
       );
-    }
+      await insertFiles(tx, result.rows[0].id, storedFiles);
+      await refreshSearchIndex(tx, result.rows[0].id);
+      return result.rows[0].id;
+    }));
 
-    const projectResult = await pool.query(`
-      SELECT projects.*, users.username AS author_name, project_files.file_path
-      FROM projects
-      JOIN users ON users.id = projects.author_id
-      LEFT JOIN project_files ON project_files.project_id = projects.id
-      WHERE projects.id = $1
-    `, [projectId]);
+    const project = await loadProjectWithFiles(projectId);
 
-    res.status(201).json({ message: "Project created successfully", project: projectResult.rows[0] });
+    res.status(201).json({ message: "Project created successfully", project });
   } catch (err) {
     console.error(err);
+    await discardTempFiles(files);
     res.status(500).json({ error: "Failed to create project" });
   }
 });
 
-router.put("/:id", authenticateToken, async (req, res) => {
+/**
+ * Apply validated changes to a project. Only the columns present in `changes` are written.
+ */
+async function updateProject(req, res, changes) {
   try {
-    const { title, description, section, group_number, full_name, matricule } = req.body;
     const projectId = req.params.id;
+    const project = await findProject(projectId);
 
-    const projectResult = await pool.query("SELECT * FROM projects WHERE id = $1", [projectId]);
-
-    if (projectResult.rows.length === 0) {
+    if (!project) {
       return res.status(404).json({ error: "Project not found" });
     }
 
-    const project = projectResult.rows[0];
+    if (!canEditProject(req.user, project)) {
+      return res.status(403).json({ error: "Only members of this project can edit it" });
+    }
 
-    if (project.author_id !== req.user.id) {
-      return res.status(403).json({ error: "You can only edit your own projects" });
+    const resolved = await resolveAcademicFields(db, changes, project);
+    if (resolved.error) {
+      return fieldError(res, "body", resolved.error.field, resolved.error.message);
     }
 
-    await pool.query(`
-      UPDATE projects SET title = $1, description = $2, section = $3, group_number = $4, full_name = $5, matricule = $6
-      WHERE id = $7
-    `, [title, description, section, group_number, full_name, matricule, projectId]);
+    const columns = Object.keys(resolved.fields);
+    if (columns.length > 0) {
+      await db.transaction(async (tx) => {
+        await tx.query(`
+          UPDATE projects
+          SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(", ")}
+          WHERE id = $${columns.length + 1}
+        `, [...Object.values(resolved.fields), projectId]);
+        await refreshSearchIndex(tx, projectId);
+      });
+      invalidateLeaderboard();
+    }
 
-    res.json({ message: "Project updated successfully" });
+    res.json({ message: "Project updated successfully", project: await loadProjectWithFiles(projectId) });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "Failed to update project" });
   }
+}
+
+router.put("/:id", authenticateToken, validate(replaceProjectRequest), (req, res) => {
+  const cleared = {
+    section: null,
+    group_number: null,
+    full_name: null,
+    matricule: null,
+    module_id: null,
+    academic_year_id: null
+  };
+  return updateProject(req, res, { ...cleared, ...req.body });
+});
+
+router.patch("/:id", authenticateToken, validate(updateProjectRequest), (req, res) => {
+  return updateProject(req, res, req.body);
 });
 
-router.delete("/:id", authenticateToken, async (req, res) => {
+router.delete("/:id", authenticateToken, validate(projectRequest), async (req, res) => {
   try {
     const projectId = req.params.id;
-    const projectResult = await pool.query("SELECT * FROM projects WHERE id = $1", [projectId]);
+    const project = await findProject(projectId);
 
-    if (projectResult.rows.length === 0) {
+    if (!project) {
       return res.status(404).json({ error: "Project not found" });
     }
 
-    const project = projectResult.rows[0];
-
-    if (project.author_id !== req.user.id) {
-      return res.status(403).json({ error: "You can only delete your own projects" });
+    if (!canManageProject(req.user, project)) {
+      return res.status(403).json({ error: "Only the project owner can delete it" });
     }
 
-    await pool.query("DELETE FROM reviews WHERE project_id = $1", [projectId]);
-    await pool.query("DELETE FROM project_files WHERE project_id = $1", [projectId]);
-    await pool.query("DELETE FROM projects WHERE id = $1", [projectId]);
+    const removedFiles = await db.transaction((tx) => deleteProjectRecords(tx, projectId));
+    invalidateLeaderboard();
+    await Promise.all(removedFiles.map(removeFile));
 
     res.json({ message: "Project deleted successfully" });
   } catch (err) {
@@ -222,37 +530,323 @@ router.delete("/:id", authenticateToken, async (req, res) => {
   }
 });
 
-router.post("/:id/reviews", authenticateToken, async (req, res) => {
+router.post("/:id/files", authenticateToken, projectFilesUpload, validate(projectRequest), async (req, res) => {
+  const files = uploadedFiles(req);
+
   try {
-    const { rating, comment } = req.body;
-    const projectId = req.params.id;
+    const project = await findProject(req.params.id);
 
-    if (!rating || rating < 1 || rating > 5) {
-      return res.status(400).json({ error: "Rating must be between 1 and 5" });
+    if (!project) {
+      await discardTempFiles(files);
+      return res.status(404).json({ error: "Project not found" });
     }
 
-    const projectResult = await pool.query("SELECT * FROM projects WHERE id = $1", [projectId]);
-    if (projectResult.rows.length === 0) {
+    if (!canEditProject(req.user, project)) {
+      await discardTempFiles(files);
+      return res.status(403).json({ error: "Only members of this project can edit it" });
+    }
+
+    if (files.length === 0) {
+      return res.status(400).json({ error: "At least one file is required in the 'files' field" });
+    }
+
+    const countResult = await db.query(
+      "SELECT CAST(COUNT(*) AS INTEGER) AS count FROM project_files WHERE project_id = $1",
+      [project.id]
+    );
+    if (countResult.rows[0].count + files.length > MAX_FILES_PER_PROJECT) {
+      await discardTempFiles(files);
+      return res.status(400).json({ error: `A project can have at most ${MAX_FILES_PER_PROJECT} files` });
+    }
+
+    // Submitted projects keep to the deadline and file types of their assignment
+    const submission = await submittedFileChange(project, files.map(file => file.originalname));
+    if (submission.error) {
+      await discardTempFiles(files);
+      return res.status(submission.status).json({ error: submission.error });
+    }
+
+    const storedFiles = await storeUploads(files);
+    await removeStoredOnFailure(storedFiles, () => db.transaction(async (tx) => {
+      await insertFiles(tx, project.id, storedFiles);
+      await refreshSearchIndex(tx, project.id);
+      if (submission.late) {
+        await tx.query("UPDATE projects SET is_late = TRUE WHERE id = $1", [project.id]);
+      }
+    }));
+
+    const updated = await loadProjectWithFiles(project.id);
+    res.status(201).json({ message: "Files added successfully", files: updated.files });
+  } catch (err) {
+    console.error(err);
+    await discardTempFiles(files);
+    res.status(500).json({ error: "Failed to add files" });
+  }
+});
+
+router.put("/:id/files/:fileId", authenticateToken, replacementFileUpload, validate(projectFileRequest), async (req, res) => {
+  const files = req.file ? [req.file] : [];
+
+  try {
+    const project = await findProject(req.params.id);
+
+    if (!project) {
+      await discardTempFiles(files);
       return res.status(404).json({ error: "Project not found" });
     }
 
-    const existingReviewResult = await pool.query(
-      "SELECT * FROM reviews WHERE project_id = $1 AND reviewer_id = $2",
-      [projectId, req.user.id]
+    if (!canEditProject(req.user, project)) {
+      await discardTempFiles(files);
+      return res.status(403).json({ error: "Only members of this project can edit it" });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: "A replacement file is required in the 'file' field" });
+    }
+
+    const fileResult = await db.query(
+      "SELECT * FROM project_files WHERE id = $1 AND project_id = $2",
+      [req.params.fileId, project.id]
     );
+    if (fileResult.rows.length === 0) {
+      await discardTempFiles(files);
+      return res.status(404).json({ error: "File not found" });
+    }
+
+    const submission = await submittedFileChange(project, [req.file.originalname]);
+    if (submission.error) {
+      await discardTempFiles(files);
+      return res.status(submission.status).json({ error: submission.error });
+    }
+
+    const previous = fileResult.rows[0];
+    const [replacement] = await storeUploads(files);
+
+    await removeStoredOnFailure([replacement], () => db.transaction(async (tx) => {
+      await tx.query(`
+        UPDATE project_files
+        SET file_path = $1, storage_driver = $2, original_name = $3, mime_type = $4, file_size = $5,
+            extracted_text = $6, uploaded_at = CURRENT_TIMESTAMP
+        WHERE id = $7
+      `, [
+        replacement.file_path,
+        replacement.storage_driver,
+        replacement.original_name,
+        replacement.mime_type,
+        replacement.file_size,
+        replacement.extracted_text,
+        previous.id
+      ]);
+      await refreshSearchIndex(tx, project.id);
+      if (submission.late) {
+        await tx.query("UPDATE projects SET is_late = TRUE WHERE id = $1", [project.id]);
+      }
+    }));
+
+    await removeFile(previous);
+
+    const updated = await loadProjectWithFiles(project.id);
+    res.json({ message: "File replaced successfully", file: updated.files.find(file => file.id === previous.id) });
+  } catch (err) {
+    console.error(err);
+    await discardTempFiles(files);
+    res.status(500).json({ error: "Failed to replace file" });
+  }
+});
+
+router.delete("/:id/files/:fileId", authenticateToken, validate(projectFileRequest), async (req, res) => {
+  try {
+    const project = await findProject(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    if (!canEditProject(req.user, project)) {
+      return res.status(403).json({ error: "Only members of this project can edit it" });
+    }
 
-    if (existingReviewResult.rows.length > 0) {
-      await pool.query(
-        "UPDATE reviews SET rating = $1, comment = $2 WHERE id = $3",
-        [rating, comment || null, existingReviewResult.rows[0].id]
+    const removalError = await submittedFileRemovalError(project);
+    if (removalError) {
+      return res.status(409).json({ error: removalError });
+    }
+
+    const removed = await db.transaction(async (tx) => {
+      const result = await tx.query(
+        "DELETE FROM project_files WHERE id = $1 AND project_id = $2 RETURNING file_path, storage_driver",
+        [req.params.fileId, project.id]
       );
-      res.json({ message: "Review updated successfully" });
+      if (result.rows.length > 0) {
+        await refreshSearchIndex(tx, project.id);
+      }
+      return result.rows[0];
+    });
+    if (!removed) {
+      return res.status(404).json({ error: "File not found" });
+    }
+
+    await removeFile(removed);
+
+    res.json({ message: "File removed successfully" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to remove file" });
+  }
+});
+
+router.get("/:id/files/:fileId/download", optionalAuth, validate(projectFileRequest), async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT project_files.*, projects.author_id, projects.is_hidden, projects.file_visibility
+      FROM project_files
+      JOIN projects ON projects.id = project_files.project_id
+      WHERE project_files.id = $1 AND project_files.project_id = $2
+    `, [req.params.fileId, req.params.id]);
+
+    const file = result.rows[0];
+    if (!file) {
+      return res.status(404).json({ error: "File not found" });
+    }
+
+    const { author_id, is_hidden, file_visibility } = file;
+    const [project] = await attachMembers([{ id: file.project_id, author_id, is_hidden, file_visibility }]);
+    if (project.is_hidden && !canEditProject(req.user, project)) {
+      return res.status(404).json({ error: "File not found" });
+    }
+
+    if (!canDownloadFiles(req.user, project)) {
+      return req.user
+        ? res.status(403).json({ error: "The files of this project are private" })
+        : res.status(401).json({ error: "Log in to download the files of this project" });
+    }
+
+    const driver = getDriver(file.storage_driver);
+    const stored = await driver.stat(file.file_path);
+    if (!stored) {
+      console.error(`[ERROR] Stored file missing for project_files.id=${file.id}`);
+      return res.status(404).json({ error: "File not found" });
+    }
+
+    res.set("Accept-Ranges", "bytes");
+    // attachment() guesses a type from the extension, so the stored one is set after it
+    res.attachment(file.original_name || file.file_path);
+    res.set("Content-Type", file.mime_type || "application/octet-stream");
+
+    // Only a single range is served; multi-range requests get the whole file (RFC 9110 allows this)
+    const ranges = req.headers.range ? req.range(stored.size) : undefined;
+    if (ranges === -1) {
+      res.set("Content-Range", `bytes */${stored.size}`);
+      return res.status(416).json({ error: "Requested range not satisfiable" });
+    }
+    const range = Array.isArray(ranges) && ranges.type === "bytes" && ranges.length === 1 ? ranges[0] : null;
+
+    // PDF viewers fetch large files in many chunks; only the request for the start counts as a download
+    if (req.method === "GET" && (!range || range.start === 0)) {
+      await db.query("UPDATE project_files SET download_count = download_count + 1 WHERE id = $1", [file.id]);
+    }
+
+    if (range) {
+      res.status(206);
+      res.set("Content-Range", `bytes ${range.start}-${range.end}/${stored.size}`);
+      res.set("Content-Length", String(range.end - range.start + 1));
     } else {
-      await pool.query(
-        "INSERT INTO reviews (project_id, reviewer_id, rating, comment) VALUES ($1, $2, $3, $4)",
-        [projectId, req.user.id, rating, comment || null]
+      res.set("Content-Length", String(stored.size));
+    }
+
+    if (req.method === "HEAD") {
+      return res.end();
+    }
+
+    const { stream } = await driver.get(file.file_path, range || {});
+
+    // A client hanging up mid-download is not an error worth reporting; a failing source is
+    stream.on("error", (streamErr) => {
+      console.error("[ERROR] Stream failed for project_files.id=" + file.id + ":", streamErr.message);
+      res.destroy(streamErr);
+    });
+    stream.pipe(res);
+  } catch (err) {
+    console.error("[ERROR] GET /projects/:id/files/:fileId/download:", err.message);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Failed to download file" });
+    }
+  }
+});
+
+router.post("/:id/reviews", authenticateToken, validate(reviewRequest), async (req, res) => {
+  try {
+    const { comment, scores } = req.body;
+    let { rating } = req.body;
+    const projectId = req.params.id;
+
+    const project = await findProject(projectId);
+    if (!project || !canSeeProject(req.user, project)) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    if (isProjectMember(req.user, project)) {
+      return res.status(403).json({ error: "You cannot review a project you are a member of" });
+    }
+
+    if (scores !== undefined) {
+      const criteria = await activeCriteria(db, project.section);
+      const error = scoresError(criteria, scores);
+      if (error) {
+        return fieldError(res, "body", "scores", error);
+      }
+      if (rating === undefined) {
+        const scoreByCriterion = new Map(scores.map(entry => [entry.criterion_id, entry.score]));
+        rating = Math.round(weightedScore(criteria.map(criterion => ({
+          weight: criterion.weight,
+          value: scoreByCriterion.get(criterion.id)
+        }))));
+      }
+    } else if (rating === undefined) {
+      return fieldError(res, "body", "rating", "Rating is required");
+    }
+
+    const created = await db.transaction(async (tx) => {
+      const existingReviewResult = await tx.query(
+        "SELECT * FROM reviews WHERE project_id = $1 AND reviewer_id = $2",
+        [projectId, req.user.id]
       );
+
+      let reviewId;
+      if (existingReviewResult.rows.length > 0) {
+        reviewId = existingReviewResult.rows[0].id;
+        await tx.query(
+          "UPDATE reviews SET rating = $1, comment = $2 WHERE id = $3",
+          [rating, comment ?? null, reviewId]
+        );
+      } else {
+        const inserted = await tx.query(
+          "INSERT INTO reviews (project_id, reviewer_id, rating, comment) VALUES ($1, $2, $3, $4) RETURNING id",
+          [projectId, req.user.id, rating, comment ?? null]
+        );
+        reviewId = inserted.rows[0].id;
+        await notify(tx, project.members.map(member => member.id), {
+          type: "review_received",
+          message: `${req.user.username} reviewed "${project.title}" (${rating}/5)`,
+          actorId: req.user.id,
+          projectId: project.id,
+          reviewId
+        });
+      }
+
+      // Without scores, an update keeps the ones given before
+      if (scores !== undefined) {
+        await saveReviewScores(tx, reviewId, scores);
+      }
+      // Suspicious reviews are kept but stop counting until a moderator looks at them
+      await screenReview(tx, { id: reviewId, reviewer_id: req.user.id, rating }, project);
+      return existingReviewResult.rows.length === 0;
+    });
+    invalidateLeaderboard();
+
+    if (created) {
       res.status(201).json({ message: "Review added successfully" });
+    } else {
+      res.json({ message: "Review updated successfully" });
     }
   } catch (err) {
     console.error(err);
@@ -260,36 +854,334 @@ router.post("/:id/reviews", authenticateToken, async (req, res) => {
   }
 });
 
-router.get("/:id/reviews", async (req, res) => {
+router.post("/:id/report", authenticateToken, validate(reportRequest("Project")), reportHandler("project"));
+
+router.get("/:id/reviews", optionalAuth, validate(listReviewsRequest), async (req, res) => {
   try {
-    const projectId = req.params.id;
-    const result = await pool.query(`
-      SELECT reviews.*, users.username, users.profile_picture
-      FROM reviews
-      JOIN users ON users.id = reviews.reviewer_id
-      WHERE reviews.project_id = $1
-      ORDER BY reviews.created_at DESC
-    `, [projectId]);
-
-    res.json({ reviews: result.rows });
+    const project = await findProject(req.params.id);
+    if (!project || !canSeeProject(req.user, project)) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const reviews = await listProjectReviews(project.id, {
+      userId: req.user ? req.user.id : null,
+      includeHidden: hasRole(req.user, STAFF_ROLES),
+      sort: req.query.sort
+    });
+
+    res.json({ reviews, sort: req.query.sort });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "Failed to load reviews" });
   }
 });
 
-router.get("/:id/my-review", authenticateToken, async (req, res) => {
+router.get("/:id/my-review", authenticateToken, validate(projectRequest), async (req, res) => {
   try {
-    const projectId = req.params.id;
-    const result = await pool.query(
-      "SELECT * FROM reviews WHERE project_id = $1 AND reviewer_id = $2",
-      [projectId, req.user.id]
-    );
-    res.json({ review: result.rows[0] || null });
+    const project = await findProject(req.params.id);
+    if (!project || !canSeeProject(req.user, project)) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    // is_flagged is left out: whether a review was flagged is for moderators only
+    const result = await db.query(`
+      SELECT id, project_id, reviewer_id, rating, comment, created_at, is_hidden
+      FROM reviews WHERE project_id = $1 AND reviewer_id = $2
+    `, [project.id, req.user.id]);
+
+    const review = result.rows[0] || null;
+    if (review) {
+      review.scores = (await loadReviewScores([review.id])).get(review.id);
+    }
+    res.json({ review });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "Failed to fetch review" });
   }
 });
 
+// Pending invitations are visible to the whole team
+router.get("/:id/invitations", authenticateToken, validate(projectRequest), async (req, res) => {
+  try {
+    const project = await findProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    if (!canEditProject(req.user, project)) {
+      return res.status(403).json({ error: "Only members of this project can see its invitations" });
+    }
+
+    const result = await db.query(`
+      SELECT project_invitations.id, project_invitations.invitee_id, invitee.username AS invitee_name,
+        project_invitations.inviter_id, inviter.username AS inviter_name, project_invitations.created_at
+      FROM project_invitations
+      JOIN users invitee ON invitee.id = project_invitations.invitee_id
+      JOIN users inviter ON inviter.id = project_invitations.inviter_id
+      WHERE project_invitations.project_id = $1 AND project_invitations.status = 'pending'
+      ORDER BY project_invitations.created_at ASC, project_invitations.id ASC
+    `, [project.id]);
+
+    res.json({ invitations: result.rows });
+  } catch (err) {
+    console.error("[ERROR] GET /projects/:id/invitations:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to load invitations" });
+  }
+});
+
+router.post("/:id/invitations", authenticateToken, validate(inviteMemberRequest), async (req, res) => {
+  try {
+    const project = await findProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    if (!canManageProject(req.user, project)) {
+      return res.status(403).json({ error: "Only the project owner can invite members" });
+    }
+
+    const inviteeResult = await db.query(
+      "SELECT id, username FROM users WHERE LOWER(username) = LOWER($1)",
+      [req.body.username]
+    );
+    const invitee = inviteeResult.rows[0];
+    if (!invitee) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (project.members.some(member => member.id === invitee.id)) {
+      return res.status(409).json({ error: `${invitee.username} is already a member of this project` });
+    }
+
+    const pending = await db.query(
+      "SELECT id FROM project_invitations WHERE project_id = $1 AND invitee_id = $2 AND status = 'pending'",
+      [project.id, invitee.id]
+    );
+    if (pending.rows.length > 0) {
+      return res.status(409).json({ error: `${invitee.username} has already been invited` });
+    }
+
+    const invitation = await db.transaction(async (tx) => {
+      const result = await tx.query(`
+        INSERT INTO project_invitations (project_id, invitee_id, inviter_id)
+        VALUES ($1, $2, $3)
+        RETURNING id, project_id, invitee_id, inviter_id, status, created_at
+      `, [project.id, invitee.id, req.user.id]);
+      await notify(tx, [invitee.id], {
+        type: "invitation_received",
+        message: `${req.user.username} invited you to join "${project.title}"`,
+        actorId: req.user.id,
+        projectId: project.id
+      });
+      return result.rows[0];
+    });
+
+    res.status(201).json({ message: `Invitation sent to ${invitee.username}`, invitation });
+  } catch (err) {
+    console.error("[ERROR] POST /projects/:id/invitations:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to send invitation" });
+  }
+});
+
+router.delete("/:id/invitations/:invitationId", authenticateToken, validate(projectInvitationRequest), async (req, res) => {
+  try {
+    const project = await findProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    if (!canManageProject(req.user, project)) {
+      return res.status(403).json({ error: "Only the project owner can cancel invitations" });
+    }
+
+    const result = await db.query(`
+      UPDATE project_invitations SET status = 'cancelled', responded_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND project_id = $2 AND status = 'pending'
+    `, [req.params.invitationId, project.id]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Invitation not found" });
+    }
+
+    res.json({ message: "Invitation cancelled" });
+  } catch (err) {
+    console.error("[ERROR] DELETE /projects/:id/invitations/:invitationId:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to cancel invitation" });
+  }
+});
+
+// The owner removes members; members may remove themselves to leave the team
+router.delete("/:id/members/:userId", authenticateToken, validate(projectMemberRequest), async (req, res) => {
+  try {
+    const project = await findProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const userId = req.params.userId;
+    if (userId !== req.user.id && !canManageProject(req.user, project)) {
+      return res.status(403).json({ error: "Only the project owner can remove other members" });
+    }
+
+    if (userId === project.author_id) {
+      return res.status(400).json({ error: "The owner cannot leave the project; delete it instead" });
+    }
+
+    const result = await db.query(
+      "DELETE FROM project_members WHERE project_id = $1 AND user_id = $2 AND role = 'member'",
+      [project.id, userId]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "This user is not a member of the project" });
+    }
+
+    res.json({ message: userId === req.user.id ? "You left the project" : "Member removed" });
+  } catch (err) {
+    console.error("[ERROR] DELETE /projects/:id/members/:userId:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to remove member" });
+  }
+});
+
+const GRADE_COLUMNS = "id, project_id, score, max_score, feedback, status, graded_by, created_at, updated_at, published_at";
+
+// Private to the team and staff; the team only sees a published grade
+router.get("/:id/grade", authenticateToken, validate(projectRequest), async (req, res) => {
+  try {
+    const project = await findProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    if (!canEditProject(req.user, project)) {
+      return res.status(403).json({ error: "Only members of this project and staff can see its grade" });
+    }
+
+    const result = await db.query(`SELECT ${GRADE_COLUMNS} FROM grades WHERE project_id = $1`, [project.id]);
+    const grade = result.rows[0];
+    if (!grade || (grade.status !== "published" && !hasRole(req.user, STAFF_ROLES))) {
+      return res.status(404).json({ error: "This project has not been graded yet" });
+    }
+
+    res.json({ grade });
+  } catch (err) {
+    console.error("[ERROR] GET /projects/:id/grade:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to load grade" });
+  }
+});
+
+// Staff set or replace the grade; saving it as a draft again withdraws a published one
+router.put("/:id/grade", authenticateToken, authorize(...STAFF_ROLES), validate(saveGradeRequest), async (req, res) => {
+  try {
+    const project = await findProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const { score, max_score, feedback, status } = req.body;
+    if (score > max_score) {
+      return fieldError(res, "body", "score", `Score cannot be higher than ${max_score}`);
+    }
+
+    const existing = await db.query("SELECT status, published_at FROM grades WHERE project_id = $1", [project.id]);
+    const previous = existing.rows[0];
+    const now = new Date();
+    // A published grade keeps the time it was first published
+    const publishedAt = status === "published" ? (previous?.published_at ?? now) : null;
+
+    const grade = await db.transaction(async (tx) => {
+      const result = previous
+        ? await tx.query(`
+            UPDATE grades
+            SET score = $1, max_score = $2, feedback = $3, status = $4, graded_by = $5, updated_at = $6, published_at = $7
+            WHERE project_id = $8
+            RETURNING ${GRADE_COLUMNS}
+          `, [score, max_score, feedback ?? null, status, req.user.id, now, publishedAt, project.id])
+        : await tx.query(`
+            INSERT INTO grades (project_id, score, max_score, feedback, status, graded_by, updated_at, published_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING ${GRADE_COLUMNS}
+          `, [project.id, score, max_score, feedback ?? null, status, req.user.id, now, publishedAt]);
+
+      // The team hears about a grade when it becomes visible to them
+      if (status === "published" && previous?.status !== "published") {
+        await notifyGradePublished(tx, project, req.user.id);
+      }
+      return result.rows[0];
+    });
+
+    res.status(previous ? 200 : 201).json({
+      message: status === "published" ? "Grade published" : "Grade saved as draft",
+      grade
+    });
+  } catch (err) {
+    console.error("[ERROR] PUT /projects/:id/grade:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to save grade" });
+  }
+});
+
+router.delete("/:id/grade", authenticateToken, authorize(...STAFF_ROLES), validate(projectRequest), async (req, res) => {
+  try {
+    const result = await db.query("DELETE FROM grades WHERE project_id = $1", [req.params.id]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "This project has not been graded yet" });
+    }
+
+    res.json({ message: "Grade deleted" });
+  } catch (err) {
+    console.error("[ERROR] DELETE /projects/:id/grade:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to delete grade" });
+  }
+});
+
+// Private messages between the team and staff about the project
+router.get("/:id/feedback", authenticateToken, validate(projectRequest), async (req, res) => {
+  try {
+    const project = await findProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    if (!canEditProject(req.user, project)) {
+      return res.status(403).json({ error: "Only members of this project and staff can see its feedback" });
+    }
+
+    const result = await db.query(`
+      SELECT project_feedback.id, project_feedback.author_id, users.username AS author_name, users.role AS author_role,
+        project_feedback.body, project_feedback.created_at
+      FROM project_feedback
+      JOIN users ON users.id = project_feedback.author_id
+      WHERE project_feedback.project_id = $1
+      ORDER BY project_feedback.created_at ASC, project_feedback.id ASC
+    `, [project.id]);
+
+    res.json({ feedback: result.rows });
+  } catch (err) {
+    console.error("[ERROR] GET /projects/:id/feedback:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to load feedback" });
+  }
+});
+
+router.post("/:id/feedback", authenticateToken, validate(feedbackRequest), async (req, res) => {
+  try {
+    const project = await findProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    if (!canEditProject(req.user, project)) {
+      return res.status(403).json({ error: "Only members of this project and staff can post feedback" });
+    }
+
+    const result = await db.query(`
+      INSERT INTO project_feedback (project_id, author_id, body)
+      VALUES ($1, $2, $3)
+      RETURNING id, project_id, author_id, body, created_at
+    `, [project.id, req.user.id, req.body.body]);
+
+    res.status(201).json({ message: "Feedback posted", feedback: result.rows[0] });
+  } catch (err) {
+    console.error("[ERROR] POST /projects/:id/feedback:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to post feedback" });
+  }
+});
+
 export default router;
@@ -0,0 +1,207 @@
+import express from "express";
+import db from "../db/index.js";
+import { authenticateToken, optionalAuth, hasRole, STAFF_ROLES } from "../middleware/auth.js";
+import { reportHandler } from "../utils/reports.js";
+import { findReview, canSeeReview, isReviewedProjectMember, loadReplyThread, voteCounts } from "../utils/reviews.js";
+import { validate } from "../middleware/validate.js";
+import { reportRequest } from "../schemas/reports.js";
+import {
+  reviewDiscussionRequest,
+  replyRequest,
+  deleteReplyRequest,
+  authorResponseRequest,
+  voteRequest
+} from "../schemas/reviews.js";
+
+const router = express.Router();
+
+router.post("/:id/report", authenticateToken, validate(reportRequest("Review")), reportHandler("review"));
+
+router.get("/:id/replies", optionalAuth, validate(reviewDiscussionRequest), async (req, res) => {
+  try {
+    const review = await findReview(req.params.id);
+    if (!review || !canSeeReview(req.user, review)) {
+      return res.status(404).json({ error: "Review not found" });
+    }
+
+    res.json(await loadReplyThread(review.id));
+  } catch (err) {
+    console.error("[ERROR] GET /reviews/:id/replies:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to load replies" });
+  }
+});
+
+router.post("/:id/replies", authenticateToken, validate(replyRequest), async (req, res) => {
+  try {
+    const { body, parent_id } = req.body;
+    const review = await findReview(req.params.id);
+    if (!review || !canSeeReview(req.user, review)) {
+      return res.status(404).json({ error: "Review not found" });
+    }
+
+    if (parent_id !== undefined) {
+      const parentResult = await db.query(
+        "SELECT id FROM review_replies WHERE id = $1 AND review_id = $2 AND deleted_at IS NULL",
+        [parent_id, review.id]
+      );
+      if (parentResult.rows.length === 0) {
+        return res.status(404).json({ error: "The reply you are answering no longer exists" });
+      }
+    }
+
+    const result = await db.query(`
+      INSERT INTO review_replies (review_id, parent_id, author_id, body)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id, review_id, parent_id, author_id, body, is_author_response, created_at, updated_at
+    `, [review.id, parent_id ?? null, req.user.id, body]);
+
+    res.status(201).json({ message: "Reply posted", reply: result.rows[0] });
+  } catch (err) {
+    console.error("[ERROR] POST /reviews/:id/replies:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to post reply" });
+  }
+});
+
+// Replies are blanked rather than removed so the answers below them keep their place
+router.delete("/:id/replies/:replyId", authenticateToken, validate(deleteReplyRequest), async (req, res) => {
+  try {
+    const result = await db.query(
+      "SELECT * FROM review_replies WHERE id = $1 AND review_id = $2 AND deleted_at IS NULL",
+      [req.params.replyId, req.params.id]
+    );
+    const reply = result.rows[0];
+    if (!reply) {
+      return res.status(404).json({ error: "Reply not found" });
+    }
+
+    if (reply.author_id !== req.user.id && !hasRole(req.user, STAFF_ROLES)) {
+      return res.status(403).json({ error: "You can only delete your own replies" });
+    }
+
+    await db.query(
+      "UPDATE review_replies SET body = '', deleted_at = CURRENT_TIMESTAMP WHERE id = $1",
+      [reply.id]
+    );
+
+    res.json({ message: "Reply deleted" });
+  } catch (err) {
+    console.error("[ERROR] DELETE /reviews/:id/replies/:replyId:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to delete reply" });
+  }
+});
+
+// The project team's response, shown with the review; writing it again edits it
+router.put("/:id/response", authenticateToken, validate(authorResponseRequest), async (req, res) => {
+  try {
+    const review = await findReview(req.params.id);
+    if (!review || !canSeeReview(req.user, review)) {
+      return res.status(404).json({ error: "Review not found" });
+    }
+
+    if (!isReviewedProjectMember(req.user, review)) {
+      return res.status(403).json({ error: "Only members of the project can respond to its reviews" });
+    }
+
+    const { response, created } = await db.transaction(async (tx) => {
+      const updated = await tx.query(`
+        UPDATE review_replies
+        SET body = $1, author_id = $2, updated_at = CURRENT_TIMESTAMP, deleted_at = NULL
+        WHERE review_id = $3 AND is_author_response = TRUE
+        RETURNING id, review_id, author_id, body, created_at, updated_at
+      `, [req.body.body, req.user.id, review.id]);
+      if (updated.rows.length > 0) {
+        return { response: updated.rows[0], created: false };
+      }
+
+      const inserted = await tx.query(`
+        INSERT INTO review_replies (review_id, author_id, body, is_author_response)
+        VALUES ($1, $2, $3, TRUE)
+        RETURNING id, review_id, author_id, body, created_at, updated_at
+      `, [review.id, req.user.id, req.body.body]);
+      return { response: inserted.rows[0], created: true };
+    });
+
+    res.status(created ? 201 : 200).json({ message: created ? "Response posted" : "Response updated", response });
+  } catch (err) {
+    console.error("[ERROR] PUT /reviews/:id/response:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to save response" });
+  }
+});
+
+router.delete("/:id/response", authenticateToken, validate(reviewDiscussionRequest), async (req, res) => {
+  try {
+    const review = await findReview(req.params.id);
+    if (!review) {
+      return res.status(404).json({ error: "Review not found" });
+    }
+
+    if (!isReviewedProjectMember(req.user, review) && !hasRole(req.user, STAFF_ROLES)) {
+      return res.status(403).json({ error: "Only members of the project can remove its response" });
+    }
+
+    // Replies may answer the response, so it is blanked like any other reply
+    const result = await db.query(`
+      UPDATE review_replies SET body = '', deleted_at = CURRENT_TIMESTAMP
+      WHERE review_id = $1 AND is_author_response = TRUE AND deleted_at IS NULL
+    `, [review.id]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "This review has no response" });
+    }
+
+    res.json({ message: "Response removed" });
+  } catch (err) {
+    console.error("[ERROR] DELETE /reviews/:id/response:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to remove response" });
+  }
+});
+
+router.put("/:id/vote", authenticateToken, validate(voteRequest), async (req, res) => {
+  try {
+    const review = await findReview(req.params.id);
+    if (!review || !canSeeReview(req.user, review)) {
+      return res.status(404).json({ error: "Review not found" });
+    }
+
+    if (review.reviewer_id === req.user.id) {
+      return res.status(403).json({ error: "You cannot vote on your own review" });
+    }
+
+    const counts = await db.transaction(async (tx) => {
+      await tx.query(`
+        INSERT INTO review_votes (review_id, user_id, is_helpful)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (review_id, user_id) DO UPDATE SET is_helpful = excluded.is_helpful
+      `, [review.id, req.user.id, req.body.helpful]);
+      return voteCounts(tx, review.id);
+    });
+
+    res.json({ message: "Vote recorded", my_vote: req.body.helpful, ...counts });
+  } catch (err) {
+    console.error("[ERROR] PUT /reviews/:id/vote:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to record vote" });
+  }
+});
+
+router.delete("/:id/vote", authenticateToken, validate(reviewDiscussionRequest), async (req, res) => {
+  try {
+    const review = await findReview(req.params.id);
+    if (!review || !canSeeReview(req.user, review)) {
+      return res.status(404).json({ error: "Review not found" });
+    }
+
+    const counts = await db.transaction(async (tx) => {
+      await tx.query(
+        "DELETE FROM review_votes WHERE review_id = $1 AND user_id = $2",
+        [review.id, req.user.id]
+      );
+      return voteCounts(tx, review.id);
+    });
+
+    res.json({ message: "Vote removed", my_vote: null, ...counts });
+  } catch (err) {
+    console.error("[ERROR] DELETE /reviews/:id/vote:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to remove vote" });
+  }
+});
+
+export default router;
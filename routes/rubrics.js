@@ -0,0 +1,109 @@
+import express from "express";
+import db from "../db/index.js";
+import { authenticateToken, authorize, STAFF_ROLES } from "../middleware/auth.js";
+import { validate, fieldError } from "../middleware/validate.js";
+import { canonicalSectionName, resolveAcademicFields } from "../utils/academic.js";
+import {
+  listRubricRequest,
+  createCriterionRequest,
+  updateCriterionRequest,
+  criterionRequest
+} from "../schemas/rubrics.js";
+
+const router = express.Router();
+
+const CRITERION_COLUMNS = "id, section, name, description, weight, position, created_at";
+
+// Public so the review form can show the criteria of a project's section
+router.get("/", validate(listRubricRequest), async (req, res) => {
+  try {
+    const { section } = req.query;
+    const result = section
+      ? await db.query(`
+          SELECT ${CRITERION_COLUMNS} FROM rubric_criteria
+          WHERE LOWER(section) = LOWER($1) AND archived_at IS NULL
+          ORDER BY position ASC, id ASC
+        `, [canonicalSectionName(section)])
+      : await db.query(`
+          SELECT ${CRITERION_COLUMNS} FROM rubric_criteria
+          WHERE archived_at IS NULL
+          ORDER BY section ASC, position ASC, id ASC
+        `);
+
+    res.json({ criteria: result.rows });
+  } catch (err) {
+    console.error("[ERROR] GET /rubrics:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to load rubric" });
+  }
+});
+
+router.post("/criteria", authenticateToken, authorize(...STAFF_ROLES), validate(createCriterionRequest), async (req, res) => {
+  try {
+    const { name, description, weight, position } = req.body;
+
+    // Criteria follow the canonical name of an existing section
+    const resolved = await resolveAcademicFields(db, { section: req.body.section });
+    if (resolved.error) {
+      return fieldError(res, "body", resolved.error.field, resolved.error.message);
+    }
+    const { section } = resolved.fields;
+
+    // New criteria go to the end unless a position is given
+    const result = await db.query(`
+      INSERT INTO rubric_criteria (section, name, description, weight, position, created_by)
+      VALUES ($1, $2, $3, $4, COALESCE($5, (
+        SELECT COALESCE(MAX(position), -1) + 1 FROM rubric_criteria WHERE section = $1 AND archived_at IS NULL
+      )), $6)
+      RETURNING ${CRITERION_COLUMNS}
+    `, [section, name, description ?? null, weight, position ?? null, req.user.id]);
+
+    res.status(201).json({ message: "Criterion created", criterion: result.rows[0] });
+  } catch (err) {
+    console.error("[ERROR] POST /rubrics/criteria:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to create criterion" });
+  }
+});
+
+router.patch("/criteria/:id", authenticateToken, authorize(...STAFF_ROLES), validate(updateCriterionRequest), async (req, res) => {
+  try {
+    const columns = Object.keys(req.body);
+    const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+
+    const result = await db.query(`
+      UPDATE rubric_criteria
+      SET ${[...assignments, "id = id"].join(", ")}
+      WHERE id = $${columns.length + 1} AND archived_at IS NULL
+      RETURNING ${CRITERION_COLUMNS}
+    `, [...Object.values(req.body), req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Criterion not found" });
+    }
+
+    res.json({ message: "Criterion updated", criterion: result.rows[0] });
+  } catch (err) {
+    console.error("[ERROR] PATCH /rubrics/criteria/:id:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to update criterion" });
+  }
+});
+
+// Archived criteria no longer appear in review forms or overall scores; past scores are kept
+router.delete("/criteria/:id", authenticateToken, authorize(...STAFF_ROLES), validate(criterionRequest), async (req, res) => {
+  try {
+    const result = await db.query(
+      "UPDATE rubric_criteria SET archived_at = CURRENT_TIMESTAMP WHERE id = $1 AND archived_at IS NULL RETURNING id",
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Criterion not found" });
+    }
+
+    res.json({ message: "Criterion archived" });
+  } catch (err) {
+    console.error("[ERROR] DELETE /rubrics/criteria/:id:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to archive criterion" });
+  }
+});
+
+export default router;
@@ -1,20 +1,114 @@
 import express from "express";
-import pool from "../db/postgres.js";
-import { authenticateToken } from "../middleware/auth.js";
+import db from "../db/index.js";
+import { authenticateToken, optionalAuth, hasRole, STAFF_ROLES } from "../middleware/auth.js";
+import { uploadToCloudinary, deleteFromCloudinary } from "../utils/cloudinary.js";
+import { attachFiles, attachMembers, PROJECT_COLUMNS } from "../utils/projects.js";
+import { refreshSearchIndex } from "../utils/search.js";
+import { validate, fieldError } from "../middleware/validate.js";
+import { resolveAcademicFields } from "../utils/academic.js";
+import { sniffImageType } from "../utils/uploads.js";
+import {
+  userSearchRequest,
+  replaceProfileRequest,
+  updateProfileRequest,
+  userRequest
+} from "../schemas/users.js";
+import multer from "multer";
+import path from "path";
+import fs from "fs";
+import { fileURLToPath } from "url";
 
 const router = express.Router();
 
-router.get("/search", async (req, res) => {
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const avatarDir = path.join(__dirname, "..", "public", "uploads", "avatars");
+
+if (!fs.existsSync(avatarDir)) {
+  fs.mkdirSync(avatarDir, { recursive: true });
+}
+
+// Extension is derived from the sniffed MIME type, never from the client filename
+const AVATAR_TYPES = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/gif": ".gif",
+  "image/webp": ".webp"
+};
+const AVATAR_MAX_SIZE = 5 * 1024 * 1024;
+
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: AVATAR_MAX_SIZE },
+  fileFilter: (req, file, cb) => {
+    if (!AVATAR_TYPES[file.mimetype]) {
+      const err = new Error("Avatar must be a JPEG, PNG, GIF or WebP image");
+      err.status = 400;
+      return cb(err);
+    }
+    cb(null, true);
+  }
+});
+
+// Run multer ourselves so upload errors become 4xx responses instead of reaching the global handler
+const handleAvatarUpload = (req, res, next) => {
+  avatarUpload.single("avatar")(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({ error: "Avatar must be 5MB or smaller" });
+      }
+      return res.status(400).json({ error: `File upload error: ${err.message}` });
+    }
+    if (err) {
+      return res.status(err.status || 400).json({ error: err.message });
+    }
+    // The declared MIME type only screens uploads; the bytes decide what the file is
+    if (req.file) {
+      const mimetype = sniffImageType(req.file.buffer);
+      if (!mimetype) {
+        return res.status(415).json({ error: "Avatar content is not a JPEG, PNG, GIF or WebP image" });
+      }
+      req.file.mimetype = mimetype;
+    }
+    next();
+  });
+};
+
+async function saveAvatarLocally(file) {
+  const uniqueName = Date.now() + "-" + Math.round(Math.random() * 1e9);
+  const filename = "avatar-" + uniqueName + AVATAR_TYPES[file.mimetype];
+  await fs.promises.writeFile(path.join(avatarDir, filename), file.buffer);
+  return `/uploads/avatars/${filename}`;
+}
+
+async function removeAvatar(url) {
+  if (!url) return;
+
+  if (url.startsWith("/uploads/avatars/")) {
+    try {
+      await fs.promises.unlink(path.join(avatarDir, path.basename(url)));
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.error("[ERROR] Failed to remove local avatar:", err.message);
+      }
+    }
+  } else {
+    await deleteFromCloudinary(url);
+  }
+}
+
+router.get("/search", validate(userSearchRequest), async (req, res) => {
   try {
     const { q } = req.query;
     if (!q || q.length < 2) {
       return res.json({ users: [] });
     }
 
-    const result = await pool.query(`
+    const result = await db.query(`
       SELECT id, username, full_name, profile_picture, bio, created_at
       FROM users
-      WHERE username ILIKE $1 OR full_name ILIKE $1
+      WHERE LOWER(username) LIKE LOWER($1) OR LOWER(full_name) LIKE LOWER($1)
       LIMIT 20
     `, [`%${q}%`]);
 
@@ -27,8 +121,8 @@ router.get("/search", async (req, res) => {
 
 router.get("/me", authenticateToken, async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT id, username, email, full_name, profile_picture, bio, created_at
+    const result = await db.query(`
+      SELECT id, username, email, role, full_name, profile_picture, bio, section_id, group_id, created_at
       FROM users WHERE id = $1
     `, [req.user.id]);
 
@@ -43,23 +137,22 @@ router.get("/me", authenticateToken, async (req, res) => {
   }
 });
 
-router.put("/me", authenticateToken, async (req, res) => {
+/**
+ * Apply validated profile changes. Only the columns present in `changes` are written.
+ */
+async function updateProfile(req, res, changes) {
   try {
-    const { username, full_name, bio } = req.body;
-
-    if (!username || !username.trim()) {
-      return res.status(400).json({ error: "Username is required" });
-    }
+    const { username } = changes;
 
-    const currentUserResult = await pool.query("SELECT * FROM users WHERE id = $1", [req.user.id]);
+    const currentUserResult = await db.query("SELECT * FROM users WHERE id = $1", [req.user.id]);
     if (currentUserResult.rows.length === 0) {
       return res.status(404).json({ error: "User not found" });
     }
 
     const currentUser = currentUserResult.rows[0];
 
-    if (username && username !== currentUser.username) {
-      const existingResult = await pool.query(
+    if (username !== undefined && username !== currentUser.username) {
+      const existingResult = await db.query(
         "SELECT id FROM users WHERE username = $1 AND id != $2",
         [username, req.user.id]
       );
@@ -68,18 +161,39 @@ router.put("/me", authenticateToken, async (req, res) => {
       }
     }
 
-    await pool.query(`
-      UPDATE users SET username = $1, full_name = $2, bio = $3
-      WHERE id = $4
-    `, [
-      username || currentUser.username,
-      full_name || currentUser.full_name,
-      bio || currentUser.bio,
-      req.user.id
-    ]);
-
-    const updatedResult = await pool.query(`
-      SELECT id, username, email, full_name, profile_picture, bio, created_at
+    // A group must belong to the section; given alone it brings its section
+    if (changes.section_id !== undefined || changes.group_id !== undefined) {
+      const { section_id, group_id } = changes;
+      const resolved = await resolveAcademicFields(db, { section_id, group_id }, currentUser);
+      if (resolved.error) {
+        return fieldError(res, "body", resolved.error.field, resolved.error.message);
+      }
+      for (const column of ["section_id", "group_id"]) {
+        if (resolved.fields[column] !== undefined) changes[column] = resolved.fields[column];
+      }
+    }
+
+    const columns = Object.keys(changes);
+
+    await db.transaction(async (tx) => {
+      if (columns.length > 0) {
+        await tx.query(`
+          UPDATE users SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(", ")}
+          WHERE id = $${columns.length + 1}
+        `, [...Object.values(changes), req.user.id]);
+      }
+
+      // Author names are part of the project search index
+      if (username !== undefined && username !== currentUser.username) {
+        const projects = await tx.query("SELECT id FROM projects WHERE author_id = $1", [req.user.id]);
+        for (const project of projects.rows) {
+          await refreshSearchIndex(tx, project.id);
+        }
+      }
+    });
+
+    const updatedResult = await db.query(`
+      SELECT id, username, email, role, full_name, profile_picture, bio, section_id, group_id, created_at
       FROM users WHERE id = $1
     `, [req.user.id]);
 
@@ -88,11 +202,91 @@ router.put("/me", authenticateToken, async (req, res) => {
     console.error(err);
     res.status(500).json({ error: "Failed to update profile" });
   }
+}
+
+router.put("/me", authenticateToken, validate(replaceProfileRequest), (req, res) => {
+  return updateProfile(req, res, { full_name: null, bio: null, section_id: null, group_id: null, ...req.body });
+});
+
+router.patch("/me", authenticateToken, validate(updateProfileRequest), (req, res) => {
+  return updateProfile(req, res, req.body);
+});
+
+router.post("/me/avatar", authenticateToken, handleAvatarUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: "An image file is required in the 'avatar' field" });
+    }
+
+    const currentUserResult = await db.query(
+      "SELECT profile_picture FROM users WHERE id = $1",
+      [req.user.id]
+    );
+    if (currentUserResult.rows.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const previousAvatar = currentUserResult.rows[0].profile_picture;
+
+    // uploadToCloudinary resolves to null when Cloudinary isn't configured
+    const avatarUrl =
+      (await uploadToCloudinary(req.file.buffer, req.file.mimetype, req.user.id)) ||
+      (await saveAvatarLocally(req.file));
+
+    await db.query(
+      "UPDATE users SET profile_picture = $1 WHERE id = $2",
+      [avatarUrl, req.user.id]
+    );
+
+    if (previousAvatar && previousAvatar !== avatarUrl) {
+      await removeAvatar(previousAvatar);
+    }
+
+    const updatedResult = await db.query(`
+      SELECT id, username, email, role, full_name, profile_picture, bio, section_id, group_id, created_at
+      FROM users WHERE id = $1
+    `, [req.user.id]);
+
+    res.json({ message: "Avatar updated successfully", user: updatedResult.rows[0] });
+  } catch (err) {
+    console.error("[ERROR] POST /users/me/avatar:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to upload avatar" });
+  }
 });
 
-router.get("/:id", async (req, res) => {
+router.delete("/me/avatar", authenticateToken, async (req, res) => {
   try {
-    const userResult = await pool.query(`
+    const currentUserResult = await db.query(
+      "SELECT profile_picture FROM users WHERE id = $1",
+      [req.user.id]
+    );
+    if (currentUserResult.rows.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const previousAvatar = currentUserResult.rows[0].profile_picture;
+
+    await db.query(
+      "UPDATE users SET profile_picture = NULL WHERE id = $1",
+      [req.user.id]
+    );
+    await removeAvatar(previousAvatar);
+
+    const updatedResult = await db.query(`
+      SELECT id, username, email, role, full_name, profile_picture, bio, section_id, group_id, created_at
+      FROM users WHERE id = $1
+    `, [req.user.id]);
+
+    res.json({ message: "Avatar removed successfully", user: updatedResult.rows[0] });
+  } catch (err) {
+    console.error("[ERROR] DELETE /users/me/avatar:", err.message, err.stack);
+    res.status(500).json({ error: "Failed to remove avatar" });
+  }
+});
+
+router.get("/:id", optionalAuth, validate(userRequest), async (req, res) => {
+  try {
+    const userResult = await db.query(`
       SELECT id, username, full_name, profile_picture, bio, created_at
       FROM users WHERE id = $1
     `, [req.params.id]);
@@ -101,19 +295,25 @@ router.get("/:id", async (req, res) => {
       return res.status(404).json({ error: "User not found" });
     }
 
-    const projectsResult = await pool.query(`
-      SELECT projects.*, project_files.file_path,
-        COALESCE(AVG(reviews.rating), 0)::FLOAT as avg_rating,
-        COUNT(reviews.id) as review_count
+    // Hidden projects stay visible to their author and to moderators
+    const canSeeHidden = hasRole(req.user, STAFF_ROLES) || (req.user && String(req.user.id) === String(req.params.id));
+    const hiddenCondition = canSeeHidden ? "" : "WHERE projects.is_hidden = FALSE";
+
+    // Every project the user is on the team of, with their role in it
+    const projectsResult = await db.query(`
+      SELECT ${PROJECT_COLUMNS},
+        project_members.role AS member_role,
+        CAST(COALESCE(AVG(reviews.rating), 0) AS FLOAT) as avg_rating,
+        CAST(COUNT(reviews.id) AS INTEGER) as review_count
       FROM projects
-      LEFT JOIN project_files ON project_files.project_id = projects.id
-      LEFT JOIN reviews ON reviews.project_id = projects.id
-      WHERE projects.author_id = $1
-      GROUP BY projects.id, project_files.file_path
+      JOIN project_members ON project_members.project_id = projects.id AND project_members.user_id = $1
+      LEFT JOIN reviews ON reviews.project_id = projects.id AND reviews.is_hidden = FALSE AND reviews.is_flagged = FALSE
+      ${hiddenCondition}
+      GROUP BY projects.id, project_members.role
       ORDER BY projects.created_at DESC
     `, [req.params.id]);
 
-    res.json({ user: userResult.rows[0], projects: projectsResult.rows });
+    res.json({ user: userResult.rows[0], projects: await attachMembers(await attachFiles(projectsResult.rows)) });
   } catch (err) {
     console.error("[ERROR] GET /users/:id:", err.message, err.stack);
     res.status(500).json({ error: "Failed to fetch user" });
@@ -0,0 +1,49 @@
+import { string, boolean, id } from '../middleware/validate.js';
+import { idParams } from './common.js';
+
+// Fields of each kind of entity under /academic, and those required to create one
+const ENTITY_FIELDS = {
+  years: {
+    fields: {
+      name: string({ max: 50 }),
+      is_current: boolean({ label: 'Current year flag' })
+    },
+    required: ['name']
+  },
+  sections: {
+    fields: { name: string({ max: 100 }) },
+    required: ['name']
+  },
+  groups: {
+    fields: {
+      name: string({ max: 50 }),
+      section_id: id({ nullable: true, label: 'Section id' })
+    },
+    required: ['name']
+  },
+  modules: {
+    fields: {
+      code: string({ max: 20 }),
+      name: string({ max: 200 })
+    },
+    required: ['code', 'name']
+  }
+};
+
+/**
+ * Create, update and delete requests for one kind of academic entity.
+ * @param {"years"|"sections"|"groups"|"modules"} kind
+ */
+export function academicRequests(kind) {
+  const { fields, required } = ENTITY_FIELDS[kind];
+  const createFields = { ...fields };
+  for (const field of required) {
+    createFields[field] = { ...fields[field], required: true };
+  }
+
+  return {
+    create: { body: createFields },
+    update: { params: idParams(), body: fields },
+    remove: { params: idParams() }
+  };
+}
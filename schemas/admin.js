@@ -0,0 +1,16 @@
+import { oneOf } from '../middleware/validate.js';
+import { ROLES } from '../middleware/auth.js';
+import { idParams } from './common.js';
+
+export const listUsersRequest = {
+  query: {
+    role: oneOf(ROLES)
+  }
+};
+
+export const setRoleRequest = {
+  params: idParams('User id'),
+  body: {
+    role: oneOf(ROLES, { required: true })
+  }
+};
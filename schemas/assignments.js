@@ -0,0 +1,65 @@
+import { string, oneOf, id, date, array, boolean } from '../middleware/validate.js';
+import { ALLOWED_UPLOAD_TYPES } from '../utils/uploads.js';
+import { LATE_POLICIES, ASSIGNMENT_STATUSES } from '../utils/assignments.js';
+import { idParams } from './common.js';
+
+const assignmentFields = {
+  title: string({ min: 3, max: 200 }),
+  description: string({ nullable: true, max: 10000 }),
+  module_id: id({ nullable: true, label: 'Module id' }),
+  academic_year_id: id({ nullable: true, label: 'Academic year id' }),
+  // Who has to submit: a section, one group of it, or every student when neither is set
+  section_id: id({ nullable: true, label: 'Section id' }),
+  group_id: id({ nullable: true, label: 'Group id' }),
+  opens_at: date({ nullable: true, label: 'Open date' }),
+  due_at: date({ label: 'Due date' }),
+  // A subset of the upload allow-list; null accepts every allowed type
+  allowed_file_types: array(
+    oneOf(Object.keys(ALLOWED_UPLOAD_TYPES), { lowercase: true, label: 'File type' }),
+    { nullable: true, min: 1, label: 'Allowed file types' }
+  ),
+  late_policy: oneOf(LATE_POLICIES, { label: 'Late policy' })
+};
+
+export const listAssignmentsRequest = {
+  query: {
+    module_id: id({ label: 'Module id' }),
+    academic_year_id: id({ label: 'Academic year id' }),
+    section_id: id({ label: 'Section id' }),
+    group_id: id({ label: 'Group id' }),
+    status: oneOf(ASSIGNMENT_STATUSES),
+    // Students: only the assignments of their own section and group
+    mine: boolean()
+  }
+};
+
+export const assignmentRequest = {
+  params: idParams('Assignment id')
+};
+
+export const createAssignmentRequest = {
+  body: {
+    ...assignmentFields,
+    title: { ...assignmentFields.title, required: true },
+    due_at: { ...assignmentFields.due_at, required: true }
+  }
+};
+
+export const updateAssignmentRequest = {
+  params: idParams('Assignment id'),
+  body: assignmentFields
+};
+
+export const submitProjectRequest = {
+  params: idParams('Assignment id'),
+  body: {
+    project_id: id({ required: true, label: 'Project id' })
+  }
+};
+
+export const submissionRequest = {
+  params: {
+    id: id({ required: true, label: 'Assignment id' }),
+    projectId: id({ required: true, label: 'Project id' })
+  }
+};
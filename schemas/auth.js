@@ -0,0 +1,66 @@
+import { string, email, id } from '../middleware/validate.js';
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// Passwords are taken exactly as typed
+const password = (options = {}) => string({ trim: false, max: 200, ...options });
+
+export const registerRequest = {
+  body: {
+    username: string({ required: true, min: 3, max: 50 }),
+    email: email({ required: true }),
+    password: password({ required: true, min: MIN_PASSWORD_LENGTH })
+  }
+};
+
+export const loginRequest = {
+  body: {
+    // Email or username
+    email: string({ required: true, max: 254, label: 'Email or username' }),
+    password: password({ required: true })
+  }
+};
+
+export const changePasswordRequest = {
+  body: {
+    currentPassword: password({ required: true, label: 'Current password' }),
+    newPassword: password({ required: true, min: MIN_PASSWORD_LENGTH, label: 'New password' })
+  }
+};
+
+export const tokenRequest = {
+  body: {
+    token: string({ required: true, max: 200 })
+  }
+};
+
+export const emailRequest = {
+  body: {
+    email: email({ required: true })
+  }
+};
+
+export const resetPasswordRequest = {
+  body: {
+    token: string({ required: true, max: 200 }),
+    password: password({ required: true, min: MIN_PASSWORD_LENGTH })
+  }
+};
+
+export const refreshRequest = {
+  body: {
+    refresh_token: string({ required: true, max: 200, label: 'Refresh token' })
+  }
+};
+
+export const logoutRequest = {
+  body: {
+    refresh_token: string({ max: 200, label: 'Refresh token' })
+  }
+};
+
+export const sessionRequest = {
+  params: {
+    id: id({ required: true, label: 'Session id' })
+  }
+};
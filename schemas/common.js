@@ -0,0 +1,11 @@
+import { id, integer } from '../middleware/validate.js';
+import { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } from '../utils/pagination.js';
+
+/** `page` and `limit` query parameters, read with parsePagination(). */
+export const paginationQuery = {
+  page: integer({ min: 1, default: 1 }),
+  limit: integer({ min: 1, max: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE })
+};
+
+/** `:id` route parameter. */
+export const idParams = (label = 'Id') => ({ id: id({ required: true, label }) });
@@ -0,0 +1,14 @@
+import { string, oneOf, id } from '../middleware/validate.js';
+import { GRADE_STATUSES, EXPORT_FORMATS } from '../utils/grades.js';
+
+export const exportGradesRequest = {
+  query: {
+    format: oneOf(EXPORT_FORMATS, { default: 'csv', lowercase: true }),
+    section: string({ max: 100 }),
+    group: string({ max: 50 }),
+    section_id: id({ label: 'Section id' }),
+    group_id: id({ label: 'Group id' }),
+    assignment_id: id({ label: 'Assignment id' }),
+    status: oneOf(GRADE_STATUSES)
+  }
+};
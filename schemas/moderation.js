@@ -0,0 +1,53 @@
+import { oneOf, id } from '../middleware/validate.js';
+import { REPORT_TARGETS } from '../utils/reports.js';
+
+export const REPORT_STATUSES = ['open', 'dismissed', 'hidden', 'deleted'];
+
+// Report status recorded for each moderator action
+export const ACTIONS = {
+  dismiss: 'dismissed',
+  hide: 'hidden',
+  delete: 'deleted'
+};
+
+export const listReportsRequest = {
+  query: {
+    status: oneOf(REPORT_STATUSES, { default: 'open' }),
+    type: oneOf(Object.keys(REPORT_TARGETS))
+  }
+};
+
+export const resolveReportRequest = {
+  params: {
+    id: id({ required: true, label: 'Report id' }),
+    action: oneOf(Object.keys(ACTIONS), { required: true })
+  }
+};
+
+export const unhideRequest = {
+  params: {
+    type: oneOf(['projects', 'reviews'], { required: true }),
+    id: id({ required: true })
+  }
+};
+
+export const FLAG_STATUSES = ['open', 'cleared', 'hidden'];
+
+// Flag status recorded for each moderator decision on a flagged review
+export const FLAG_ACTIONS = {
+  clear: 'cleared',
+  hide: 'hidden'
+};
+
+export const listFlagsRequest = {
+  query: {
+    status: oneOf(FLAG_STATUSES, { default: 'open' })
+  }
+};
+
+export const resolveFlagRequest = {
+  params: {
+    id: id({ required: true, label: 'Review id' }),
+    action: oneOf(Object.keys(FLAG_ACTIONS), { required: true })
+  }
+};
@@ -0,0 +1,19 @@
+import { boolean } from '../middleware/validate.js';
+import { NOTIFICATION_TYPES } from '../utils/notifications.js';
+import { paginationQuery, idParams } from './common.js';
+
+export const listNotificationsRequest = {
+  query: {
+    ...paginationQuery,
+    unread: boolean({ label: 'Unread only' })
+  }
+};
+
+export const notificationRequest = {
+  params: idParams('Notification id')
+};
+
+// { review_received: false, ... }: only the types given change
+export const updatePreferencesRequest = {
+  body: Object.fromEntries(Object.keys(NOTIFICATION_TYPES).map(type => [type, boolean()]))
+};
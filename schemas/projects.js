@@ -0,0 +1,164 @@
+import { string, integer, number, oneOf, id, date, array, object } from '../middleware/validate.js';
+import { FILE_VISIBILITIES } from '../utils/projects.js';
+import { REVIEW_SORTS } from '../utils/reviews.js';
+import { LEADERBOARD_WINDOWS } from '../utils/leaderboard.js';
+import { GRADE_STATUSES } from '../utils/grades.js';
+import { paginationQuery, idParams } from './common.js';
+
+// Sort keys accepted by GET /projects, mapped to columns of the listing query
+export const PROJECT_SORTS = {
+  created_at: 'created_at',
+  avg_rating: 'avg_rating',
+  review_count: 'review_count',
+  title: 'LOWER(title)'
+};
+
+const projectFields = {
+  title: string({ min: 3, max: 200 }),
+  description: string({ min: 10, max: 10000 }),
+  // Sections and groups by id, or by name as older clients send them (see utils/academic.js)
+  section_id: id({ nullable: true, label: 'Section id' }),
+  group_id: id({ nullable: true, label: 'Group id' }),
+  module_id: id({ nullable: true, label: 'Module id' }),
+  academic_year_id: id({ nullable: true, label: 'Academic year id' }),
+  section: string({ nullable: true, max: 100 }),
+  group_number: string({ nullable: true, max: 50, label: 'Group number' }),
+  full_name: string({ nullable: true, max: 100, label: 'Full name' }),
+  matricule: string({ nullable: true, max: 50 }),
+  file_visibility: oneOf(FILE_VISIBILITIES, { label: 'File visibility' })
+};
+
+const required = (spec) => ({ ...spec, required: true });
+
+export const listProjectsRequest = {
+  query: {
+    ...paginationQuery,
+    sort: oneOf(Object.keys(PROJECT_SORTS), { default: 'created_at' }),
+    order: oneOf(['asc', 'desc'], { lowercase: true }),
+    section: string({ max: 100 }),
+    group: string({ max: 50 }),
+    section_id: id({ label: 'Section id' }),
+    group_id: id({ label: 'Group id' }),
+    module_id: id({ label: 'Module id' }),
+    academic_year_id: id({ label: 'Academic year id' }),
+    assignment_id: id({ label: 'Assignment id' }),
+    author: string({ max: 50 }),
+    author_id: id({ label: 'Author id' }),
+    min_rating: number({ min: 0, max: 5, label: 'Minimum rating' }),
+    from: date(),
+    to: date()
+  }
+};
+
+export const leaderboardRequest = {
+  query: {
+    ...paginationQuery,
+    section: string({ max: 100 }),
+    group: string({ max: 50 }),
+    window: oneOf(Object.keys(LEADERBOARD_WINDOWS), { default: 'all', label: 'Time window' })
+  }
+};
+
+export const searchProjectsRequest = {
+  query: {
+    ...paginationQuery,
+    q: string({
+      required: true,
+      max: 200,
+      pattern: /[\p{L}\p{N}]/u,
+      patternMessage: 'must contain at least one letter or digit',
+      label: 'Search query (q)'
+    })
+  }
+};
+
+export const projectRequest = {
+  params: idParams('Project id')
+};
+
+export const createProjectRequest = {
+  body: {
+    ...projectFields,
+    title: required(projectFields.title),
+    description: required(projectFields.description)
+  }
+};
+
+// PUT replaces the project: optional fields left out are cleared, except file_visibility
+export const replaceProjectRequest = {
+  params: idParams('Project id'),
+  body: createProjectRequest.body
+};
+
+// PATCH only changes the fields it is given
+export const updateProjectRequest = {
+  params: idParams('Project id'),
+  body: projectFields
+};
+
+export const projectFileRequest = {
+  params: {
+    id: id({ required: true, label: 'Project id' }),
+    fileId: id({ required: true, label: 'File id' })
+  }
+};
+
+export const listReviewsRequest = {
+  params: idParams('Project id'),
+  query: {
+    sort: oneOf(Object.keys(REVIEW_SORTS), { default: 'newest' })
+  }
+};
+
+export const reviewRequest = {
+  params: idParams('Project id'),
+  body: {
+    // Required unless scores are given, in which case it defaults to their weighted mean
+    rating: integer({ min: 1, max: 5 }),
+    comment: string({ nullable: true, max: 2000 }),
+    // One score per active rubric criterion of the project's section
+    scores: array(object({
+      criterion_id: id({ required: true, label: 'Criterion id' }),
+      score: integer({ required: true, min: 1, max: 5 })
+    }), { min: 1, max: 50 })
+  }
+};
+
+export const inviteMemberRequest = {
+  params: idParams('Project id'),
+  body: {
+    username: string({ required: true, max: 50 })
+  }
+};
+
+export const projectInvitationRequest = {
+  params: {
+    id: id({ required: true, label: 'Project id' }),
+    invitationId: id({ required: true, label: 'Invitation id' })
+  }
+};
+
+export const projectMemberRequest = {
+  params: {
+    id: id({ required: true, label: 'Project id' }),
+    userId: id({ required: true, label: 'User id' })
+  }
+};
+
+// PUT replaces the grade: feedback left out is cleared, status defaults to draft
+export const saveGradeRequest = {
+  params: idParams('Project id'),
+  body: {
+    score: number({ required: true, min: 0, max: 1000 }),
+    max_score: number({ min: 1, max: 1000, default: 20, label: 'Maximum score' }),
+    feedback: string({ nullable: true, max: 10000 }),
+    status: oneOf(GRADE_STATUSES, { default: 'draft' })
+  }
+};
+
+export const feedbackRequest = {
+  params: idParams('Project id'),
+  body: {
+    body: string({ required: true, min: 1, max: 5000, label: 'Message' })
+  }
+};
@@ -0,0 +1,10 @@
+import { string } from '../middleware/validate.js';
+import { idParams } from './common.js';
+
+/** POST /projects/:id/report and POST /reviews/:id/report. */
+export const reportRequest = (targetLabel) => ({
+  params: idParams(`${targetLabel} id`),
+  body: {
+    reason: string({ required: true, min: 5, max: 1000 })
+  }
+});
@@ -0,0 +1,38 @@
+import { string, boolean, id } from '../middleware/validate.js';
+import { idParams } from './common.js';
+
+const replyBody = string({ required: true, max: 2000 });
+
+export const reviewDiscussionRequest = {
+  params: idParams('Review id')
+};
+
+export const replyRequest = {
+  params: idParams('Review id'),
+  body: {
+    body: replyBody,
+    // Answer another reply instead of the review itself
+    parent_id: id({ label: 'Parent reply id' })
+  }
+};
+
+export const deleteReplyRequest = {
+  params: {
+    id: id({ required: true, label: 'Review id' }),
+    replyId: id({ required: true, label: 'Reply id' })
+  }
+};
+
+export const authorResponseRequest = {
+  params: idParams('Review id'),
+  body: {
+    body: replyBody
+  }
+};
+
+export const voteRequest = {
+  params: idParams('Review id'),
+  body: {
+    helpful: boolean({ required: true })
+  }
+};
@@ -0,0 +1,33 @@
+import { string, number, integer, id } from '../middleware/validate.js';
+
+const criterionFields = {
+  name: string({ min: 2, max: 100 }),
+  description: string({ nullable: true, max: 1000 }),
+  // Relative importance; the overall score divides by the sum of weights
+  weight: number({ min: 0.01, max: 100 }),
+  position: integer({ min: 0, max: 1000 })
+};
+
+export const listRubricRequest = {
+  query: {
+    section: string({ max: 100 })
+  }
+};
+
+export const createCriterionRequest = {
+  body: {
+    ...criterionFields,
+    section: string({ required: true, max: 100 }),
+    name: { ...criterionFields.name, required: true },
+    weight: { ...criterionFields.weight, required: true }
+  }
+};
+
+export const updateCriterionRequest = {
+  params: { id: id({ required: true, label: 'Criterion id' }) },
+  body: criterionFields
+};
+
+export const criterionRequest = {
+  params: { id: id({ required: true, label: 'Criterion id' }) }
+};
@@ -0,0 +1,32 @@
+import { string, id } from '../middleware/validate.js';
+
+const profileFields = {
+  username: string({ min: 3, max: 50 }),
+  full_name: string({ nullable: true, max: 100, label: 'Full name' }),
+  bio: string({ nullable: true, max: 1000 }),
+  // The student's own section and group, which decide the assignments they have to submit
+  section_id: id({ nullable: true, label: 'Section id' }),
+  group_id: id({ nullable: true, label: 'Group id' })
+};
+
+export const userSearchRequest = {
+  query: {
+    q: string({ max: 100, label: 'Search query' })
+  }
+};
+
+// PUT replaces the whole profile: full_name, bio, section_id and group_id are cleared when left out
+export const replaceProfileRequest = {
+  body: { ...profileFields, username: string({ required: true, min: 3, max: 50 }) }
+};
+
+// PATCH only changes the fields it is given
+export const updateProfileRequest = {
+  body: profileFields
+};
+
+export const userRequest = {
+  params: {
+    id: id({ required: true, label: 'User id' })
+  }
+};
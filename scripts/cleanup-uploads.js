@@ -0,0 +1,99 @@
+/**
+ * Remove uploaded files that no database row references.
+ *
+ * - Project files: objects in the configured storage driver (STORAGE_DRIVER)
+ *   that no project_files row points at.
+ * - Avatars: files in public/uploads/avatars not used as a users.profile_picture.
+ * - Staged uploads left in the temp directory by interrupted requests.
+ *
+ * Files newer than --min-age minutes are kept so uploads still being processed
+ * by a running server are never touched.
+ *
+ * Usage:
+ *   npm run cleanup-uploads                   # delete orphans older than 60 minutes
+ *   npm run cleanup-uploads -- --dry-run      # only list them
+ *   npm run cleanup-uploads -- --min-age=0    # include files uploaded just now
+ */
+import fs from 'fs';
+import path from 'path';
+import db from '../db/index.js';
+import { migrateUp } from '../db/migrator.js';
+import storage from '../storage/index.js';
+import { UPLOAD_DIR, UPLOAD_TEMP_DIR } from '../utils/uploads.js';
+
+const AVATAR_DIR = path.join(UPLOAD_DIR, 'avatars');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const minAgeArg = args.find(arg => arg.startsWith('--min-age='));
+const minAgeMinutes = minAgeArg ? Number(minAgeArg.split('=')[1]) : 60;
+
+function listDirectory(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+    .map(entry => {
+      const absolute = path.join(dir, entry.name);
+      return { name: entry.name, absolute, lastModified: fs.statSync(absolute).mtime };
+    });
+}
+
+async function report(label, remove) {
+  if (dryRun) {
+    console.log(`[DRY RUN] Would remove ${label}`);
+  } else {
+    await remove();
+    console.log(`[INFO] Removed ${label}`);
+  }
+}
+
+async function main() {
+  if (!Number.isFinite(minAgeMinutes) || minAgeMinutes < 0) {
+    throw new Error('--min-age expects a number of minutes');
+  }
+
+  await migrateUp();
+
+  const cutoff = Date.now() - minAgeMinutes * 60 * 1000;
+  const isOldEnough = (lastModified) => !lastModified || lastModified.getTime() <= cutoff;
+  let count = 0;
+
+  const files = await db.query(
+    'SELECT file_path FROM project_files WHERE storage_driver = $1',
+    [storage.name]
+  );
+  const referencedKeys = new Set(files.rows.map(row => row.file_path));
+
+  for (const { key, lastModified } of await storage.list()) {
+    // The local driver shares public/uploads with avatars, which are handled below
+    if (key.startsWith('avatars/')) continue;
+    if (referencedKeys.has(key) || !isOldEnough(lastModified)) continue;
+    await report(`${storage.name}:${key}`, () => storage.remove(key));
+    count++;
+  }
+
+  const avatars = await db.query('SELECT profile_picture FROM users WHERE profile_picture IS NOT NULL');
+  const referencedAvatars = new Set(avatars.rows.map(row => row.profile_picture));
+
+  for (const file of listDirectory(AVATAR_DIR)) {
+    if (referencedAvatars.has(`/uploads/avatars/${file.name}`) || !isOldEnough(file.lastModified)) continue;
+    await report(`/uploads/avatars/${file.name}`, () => fs.promises.unlink(file.absolute));
+    count++;
+  }
+
+  for (const file of listDirectory(UPLOAD_TEMP_DIR)) {
+    if (!isOldEnough(file.lastModified)) continue;
+    await report(`temp:${file.name}`, () => fs.promises.unlink(file.absolute));
+    count++;
+  }
+
+  console.log(`[✓] ${count} unreferenced upload(s) ${dryRun ? 'found' : 'removed'}`);
+}
+
+main()
+  .then(() => db.close())
+  .catch(async (err) => {
+    console.error('[ERROR] Upload cleanup failed:', err.message);
+    await db.close().catch(() => {});
+    process.exit(1);
+  });
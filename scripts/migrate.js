@@ -0,0 +1,51 @@
+/**
+ * Schema migration CLI.
+ *
+ * Usage:
+ *   npm run migrate              # same as "up"
+ *   npm run migrate -- up        # apply all pending migrations
+ *   npm run migrate -- down [n]  # revert the last n migrations (default 1)
+ *   npm run migrate -- status    # list applied and pending migrations
+ */
+import db from '../db/index.js';
+import { migrateUp, migrateDown, migrationStatus } from '../db/migrator.js';
+
+const [command = 'up', arg] = process.argv.slice(2);
+
+async function main() {
+  switch (command) {
+    case 'up': {
+      const applied = await migrateUp();
+      console.log(applied.length ? `[✓] Applied ${applied.length} migration(s)` : '[✓] Database is up to date');
+      break;
+    }
+    case 'down': {
+      const steps = arg === undefined ? 1 : Number(arg);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('down expects a positive number of steps');
+      }
+      const reverted = await migrateDown(steps);
+      console.log(reverted.length ? `[✓] Reverted ${reverted.length} migration(s)` : '[✓] Nothing to revert');
+      break;
+    }
+    case 'status': {
+      const migrations = await migrationStatus();
+      for (const m of migrations) {
+        const appliedAt = m.applied_at instanceof Date ? m.applied_at.toISOString() : m.applied_at;
+        const state = m.applied ? `applied ${appliedAt}` : 'pending';
+        console.log(`${m.id}  ${state}`);
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+  }
+}
+
+main()
+  .then(() => db.close())
+  .catch(async (err) => {
+    console.error('[ERROR] Migration failed:', err.message);
+    await db.close().catch(() => {});
+    process.exit(1);
+  });
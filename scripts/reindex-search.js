@@ -0,0 +1,65 @@
+/**
+ * Rebuild the project search index.
+ *
+ * Extracts text from stored PDFs and text files that have none yet (files uploaded
+ * before search existed), then rebuilds every project's search entry.
+ *
+ * Usage:
+ *   npm run reindex-search               # extract missing file text, rebuild the index
+ *   npm run reindex-search -- --all      # extract text from every file again
+ */
+import db from '../db/index.js';
+import { migrateUp } from '../db/migrator.js';
+import { getDriver } from '../storage/index.js';
+import { extractText, refreshSearchIndex } from '../utils/search.js';
+
+const extractAll = process.argv.slice(2).includes('--all');
+
+async function readStored(file) {
+  const { stream } = await getDriver(file.storage_driver).get(file.file_path);
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+async function main() {
+  await migrateUp();
+
+  const files = await db.query(`
+    SELECT id, file_path, storage_driver, mime_type FROM project_files
+    WHERE (mime_type = 'application/pdf' OR mime_type LIKE 'text/%')
+    ${extractAll ? '' : 'AND extracted_text IS NULL'}
+    ORDER BY id
+  `);
+
+  let extracted = 0;
+  for (const file of files.rows) {
+    try {
+      const text = await extractText(await readStored(file), file.mime_type);
+      await db.query('UPDATE project_files SET extracted_text = $1 WHERE id = $2', [text, file.id]);
+      if (text) extracted++;
+    } catch (err) {
+      console.error(`[ERROR] Could not read project_files.id=${file.id}:`, err.message);
+    }
+  }
+
+  const projects = await db.query('SELECT id FROM projects ORDER BY id');
+  await db.transaction(async (tx) => {
+    for (const project of projects.rows) {
+      await refreshSearchIndex(tx, project.id);
+    }
+  });
+
+  console.log(`[✓] Extracted text from ${extracted} of ${files.rows.length} file(s)`);
+  console.log(`[✓] Reindexed ${projects.rows.length} project(s)`);
+}
+
+main()
+  .then(() => db.close())
+  .catch(async (err) => {
+    console.error('[ERROR] Search reindex failed:', err.message);
+    await db.close().catch(() => {});
+    process.exit(1);
+  });
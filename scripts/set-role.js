@@ -0,0 +1,39 @@
+/**
+ * Assign a role from the command line, e.g. to create the first admin.
+ *
+ * Usage:
+ *   npm run set-role -- <username|email> <student|teacher|admin>
+ */
+import db from '../db/index.js';
+import { migrateUp } from '../db/migrator.js';
+import { ROLES } from '../middleware/auth.js';
+
+const [identifier, role] = process.argv.slice(2);
+
+async function main() {
+  if (!identifier || !ROLES.includes(role)) {
+    throw new Error(`Usage: npm run set-role -- <username|email> <${ROLES.join('|')}>`);
+  }
+
+  await migrateUp();
+
+  const result = await db.query(
+    'UPDATE users SET role = $1 WHERE username = $2 OR email = $2 RETURNING id, username, role',
+    [role, identifier]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error(`No user found for "${identifier}"`);
+  }
+
+  const user = result.rows[0];
+  console.log(`[✓] ${user.username} (id ${user.id}) is now ${user.role}`);
+}
+
+main()
+  .then(() => db.close())
+  .catch(async (err) => {
+    console.error('[ERROR]', err.message);
+    await db.close().catch(() => {});
+    process.exit(1);
+  });
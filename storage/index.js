@@ -0,0 +1,57 @@
+/**
+ * File storage entry point for project uploads.
+ *
+ * The driver is chosen with STORAGE_DRIVER ("local" or "s3", default "local").
+ * Both drivers expose the same interface, addressed by opaque keys:
+ * - name: 'local' | 's3'
+ * - put(key, sourcePath, { contentType }): store a file from disk
+ * - get(key, { start, end }): Promise<{ stream, size }> (end is inclusive)
+ * - stat(key): Promise<{ size }|null>
+ * - remove(key): delete, ignoring missing objects
+ * - list(): Promise<Array<{ key, lastModified }>> every object in the store
+ *
+ * Rows in project_files record the driver that stored them, so files uploaded
+ * before switching drivers stay readable through getDriver().
+ */
+import local from './local.js';
+
+const name = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+if (name !== 'local' && name !== 's3') {
+  throw new Error(`Unsupported STORAGE_DRIVER "${name}" (expected "local" or "s3")`);
+}
+
+const drivers = { local };
+
+// Import lazily so the AWS SDK only loads when S3 is in use
+if (name === 's3') {
+  drivers.s3 = (await import('./s3.js')).default;
+}
+
+const storage = drivers[name];
+
+/**
+ * Driver that stored a given file.
+ * @param {string} driverName - Value of project_files.storage_driver
+ */
+export function getDriver(driverName) {
+  const driver = drivers[driverName || 'local'];
+  if (!driver) {
+    throw new Error(`Storage driver "${driverName}" is not configured`);
+  }
+  return driver;
+}
+
+/**
+ * Remove a stored file, logging instead of throwing so cleanup never fails a request.
+ * @param {{file_path: string, storage_driver?: string}} file - project_files row
+ */
+export async function removeFile(file) {
+  try {
+    await getDriver(file.storage_driver).remove(file.file_path);
+  } catch (err) {
+    console.error('[ERROR] Failed to remove stored file:', err.message);
+  }
+}
+
+export default storage;
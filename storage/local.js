@@ -0,0 +1,67 @@
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { UPLOAD_DIR } from '../utils/uploads.js';
+
+// Defaults to public/uploads so files stored before the storage layer existed keep working
+const root = path.resolve(process.env.STORAGE_LOCAL_DIR || UPLOAD_DIR);
+
+if (!fs.existsSync(root)) {
+  fs.mkdirSync(root, { recursive: true });
+}
+
+function resolveKey(key) {
+  const absolute = path.resolve(root, key);
+  if (!absolute.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return absolute;
+}
+
+async function put(key, sourcePath) {
+  const destination = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+  // Copy rather than rename: the temp directory may be on another device
+  await pipeline(fs.createReadStream(sourcePath), fs.createWriteStream(destination));
+}
+
+async function stat(key) {
+  try {
+    const stats = await fs.promises.stat(resolveKey(key));
+    return stats.isFile() ? { size: stats.size } : null;
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+async function get(key, { start, end } = {}) {
+  const absolute = resolveKey(key);
+  const stats = await fs.promises.stat(absolute);
+  return { stream: fs.createReadStream(absolute, { start, end }), size: stats.size };
+}
+
+async function remove(key) {
+  try {
+    await fs.promises.unlink(resolveKey(key));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+}
+
+async function list(dir = root) {
+  const keys = [];
+  for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) continue;
+    const absolute = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      keys.push(...await list(absolute));
+    } else if (entry.isFile()) {
+      const { mtime } = await fs.promises.stat(absolute);
+      keys.push({ key: path.relative(root, absolute).split(path.sep).join('/'), lastModified: mtime });
+    }
+  }
+  return keys;
+}
+
+export default { name: 'local', put, get, stat, remove, list: () => list() };
@@ -0,0 +1,93 @@
+import fs from 'fs';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} from '@aws-sdk/client-s3';
+
+/**
+ * S3-compatible object storage (AWS S3, MinIO, Cloudflare R2, ...).
+ * Required: S3_BUCKET. Optional: S3_REGION, S3_ENDPOINT (for non-AWS services),
+ * S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY (otherwise the default AWS credential chain),
+ * S3_FORCE_PATH_STYLE (defaults to true when S3_ENDPOINT is set), S3_PREFIX.
+ */
+const bucket = process.env.S3_BUCKET;
+if (!bucket) {
+  throw new Error('S3_BUCKET must be set when STORAGE_DRIVER=s3');
+}
+
+const prefix = process.env.S3_PREFIX ? process.env.S3_PREFIX.replace(/\/?$/, '/') : '';
+
+const client = new S3Client({
+  region: process.env.S3_REGION || 'us-east-1',
+  endpoint: process.env.S3_ENDPOINT || undefined,
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+    ? process.env.S3_FORCE_PATH_STYLE === 'true'
+    : Boolean(process.env.S3_ENDPOINT),
+  credentials: process.env.S3_ACCESS_KEY_ID
+    ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+    : undefined,
+  // The SDK's default streaming checksums (aws-chunked uploads) are not understood by
+  // every S3-compatible service, so only send checksums when an operation requires them
+  requestChecksumCalculation: 'WHEN_REQUIRED',
+});
+
+const isNotFound = (err) => err.name === 'NotFound' || err.name === 'NoSuchKey' || err.$metadata?.httpStatusCode === 404;
+
+async function put(key, sourcePath, { contentType } = {}) {
+  const { size } = await fs.promises.stat(sourcePath);
+  await client.send(new PutObjectCommand({
+    Bucket: bucket,
+    Key: prefix + key,
+    Body: fs.createReadStream(sourcePath),
+    ContentLength: size,
+    ContentType: contentType,
+  }));
+}
+
+async function stat(key) {
+  try {
+    const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: prefix + key }));
+    return { size: head.ContentLength };
+  } catch (err) {
+    if (isNotFound(err)) return null;
+    throw err;
+  }
+}
+
+async function get(key, { start, end } = {}) {
+  const range = start !== undefined ? `bytes=${start}-${end ?? ''}` : undefined;
+  const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: prefix + key, Range: range }));
+
+  // For ranged reads the full size is the part after the slash in Content-Range
+  const size = object.ContentRange
+    ? Number(object.ContentRange.split('/')[1])
+    : object.ContentLength;
+  return { stream: object.Body, size };
+}
+
+async function remove(key) {
+  try {
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: prefix + key }));
+  } catch (err) {
+    if (!isNotFound(err)) throw err;
+  }
+}
+
+async function list() {
+  const keys = [];
+  let ContinuationToken;
+  do {
+    const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken }));
+    for (const object of page.Contents || []) {
+      keys.push({ key: object.Key.slice(prefix.length), lastModified: object.LastModified });
+    }
+    ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+  } while (ContinuationToken);
+  return keys;
+}
+
+export default { name: 's3', put, get, stat, remove, list };
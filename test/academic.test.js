@@ -0,0 +1,202 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { canonicalSectionName, canonicalGroupName } from "../utils/academic.js";
+import { startServer, api, register, setRole, createDatabase } from "./helpers.js";
+
+describe("canonical names", () => {
+  test("short section codes are upper-cased", () => {
+    assert.equal(canonicalSectionName(" a "), "A");
+    assert.equal(canonicalSectionName("b2"), "B2");
+    assert.equal(canonicalSectionName("Computer   Science"), "Computer Science");
+  });
+
+  test("numbered groups become their number", () => {
+    for (const spelling of ["G1", "g1", "Group 1", "group-01", "Groupe 1", "1"]) {
+      assert.equal(canonicalGroupName(spelling), "1", spelling);
+    }
+    assert.equal(canonicalGroupName("Night  class"), "Night class");
+  });
+});
+
+describe("academic routes", () => {
+  let server;
+  let admin;
+  let student;
+  let sectionA;
+  let sectionB;
+  let group1;
+
+  before(async () => {
+    server = await startServer();
+    admin = await register(server.url, "acad_admin");
+    setRole(server, "acad_admin", "admin");
+    student = await register(server.url, "acad_student");
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  function create(kind, body, token = admin.token) {
+    return api(`${server.url}/academic/${kind}`, { method: "POST", token, body });
+  }
+
+  function createProject(body) {
+    return api(`${server.url}/projects`, {
+      method: "POST",
+      token: student.token,
+      body: { title: "Academic project", description: "A project for the academic structure tests", ...body }
+    });
+  }
+
+  test("only admins manage the structure, and names are unique in any spelling", async () => {
+    assert.equal((await create("sections", { name: "A" }, student.token)).status, 403);
+
+    const created = await create("sections", { name: "a" });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    assert.equal(created.body.section.name, "A");
+    sectionA = created.body.section.id;
+    sectionB = (await create("sections", { name: "B" })).body.section.id;
+    assert.equal((await create("sections", { name: "A" })).status, 409);
+
+    const group = await create("groups", { name: "Group 1", section_id: sectionA });
+    assert.equal(group.body.group.name, "1");
+    group1 = group.body.group.id;
+    assert.equal((await create("groups", { name: "G1", section_id: sectionA })).status, 409);
+    assert.equal((await create("groups", { name: "G1", section_id: 999 })).status, 400);
+
+    assert.equal((await create("years", { name: "2025-2026", is_current: true })).status, 201);
+    const current = await create("years", { name: "2026-2027", is_current: true });
+    assert.equal((await create("modules", { code: "INF101", name: "Programming" })).status, 201);
+
+    const listed = await api(`${server.url}/academic`);
+    assert.deepEqual(listed.body.sections.map(section => section.name), ["A", "B"]);
+    assert.deepEqual(listed.body.groups.map(item => item.name), ["1"]);
+    assert.deepEqual(listed.body.modules.map(module => module.code), ["INF101"]);
+    assert.deepEqual(
+      listed.body.academic_years.filter(year => year.is_current).map(year => year.id),
+      [current.body.academic_year.id]
+    );
+  });
+
+  test("projects take sections and groups by name in any spelling, or by id", async () => {
+    const byName = await createProject({ section: "a", group_number: "g1" });
+    assert.equal(byName.status, 201, JSON.stringify(byName.body));
+    assert.equal(byName.body.project.section, "A");
+    assert.equal(byName.body.project.group_number, "1");
+    assert.equal(byName.body.project.section_id, sectionA);
+    assert.equal(byName.body.project.group_id, group1);
+
+    // A group brings its section along
+    const byId = await createProject({ group_id: group1 });
+    assert.equal(byId.body.project.section_id, sectionA);
+
+    const listed = await api(`${server.url}/projects?section=A&group=Group%201`);
+    assert.equal(listed.body.pagination.total, 2);
+    assert.equal((await api(`${server.url}/projects?section_id=${sectionB}`)).body.pagination.total, 0);
+  });
+
+  test("unknown sections and mismatched groups are refused", async () => {
+    const unknown = await createProject({ section: "Z" });
+    assert.equal(unknown.status, 400);
+    assert.deepEqual(unknown.body.fields, [{ location: "body", field: "section", message: "Section 'Z' does not exist" }]);
+
+    const mismatched = await createProject({ section_id: sectionB, group_id: group1 });
+    assert.equal(mismatched.status, 400);
+    assert.equal(mismatched.body.fields[0].field, "group_id");
+  });
+
+  test("renaming a section carries over to its projects", async () => {
+    const renamed = await api(`${server.url}/academic/sections/${sectionA}`, {
+      method: "PATCH",
+      token: admin.token,
+      body: { name: "Alpha" }
+    });
+    assert.equal(renamed.status, 200, JSON.stringify(renamed.body));
+
+    const listed = await api(`${server.url}/projects?section_id=${sectionA}`);
+    assert.ok(listed.body.projects.every(project => project.section === "Alpha"));
+
+    const found = await api(`${server.url}/projects/search?q=alpha`);
+    assert.equal(found.body.pagination.total, listed.body.pagination.total);
+  });
+
+  test("moving a group to another section carries its projects along, in search too", async () => {
+    const sectionC = (await create("sections", { name: "Charlie" })).body.section.id;
+    const group2 = (await create("groups", { name: "2", section_id: sectionA })).body.group.id;
+    const project = await createProject({ group_id: group2 });
+    assert.equal(project.status, 201, JSON.stringify(project.body));
+
+    const moved = await api(`${server.url}/academic/groups/${group2}`, {
+      method: "PATCH",
+      token: admin.token,
+      body: { section_id: sectionC }
+    });
+    assert.equal(moved.status, 200, JSON.stringify(moved.body));
+
+    const shown = await api(`${server.url}/projects/${project.body.project.id}`);
+    assert.equal(shown.body.project.section, "Charlie");
+    const found = await api(`${server.url}/projects/search?q=charlie`);
+    assert.deepEqual(found.body.results.map(result => result.id), [project.body.project.id]);
+  });
+
+  test("sections in use cannot be deleted", async () => {
+    const inUse = await api(`${server.url}/academic/sections/${sectionA}`, { method: "DELETE", token: admin.token });
+    assert.equal(inUse.status, 409);
+    const unused = await api(`${server.url}/academic/sections/${sectionB}`, { method: "DELETE", token: admin.token });
+    assert.equal(unused.status, 200);
+  });
+});
+
+describe("migration 014", () => {
+  let dir;
+  let database;
+  let db;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "tic-academic-test-"));
+    database = await createDatabase(dir);
+    Object.assign(process.env, database.env);
+    db = (await import("../db/index.js")).default;
+  });
+
+  after(async () => {
+    await db?.close();
+    await database?.drop();
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("turns free-text sections and groups into entities", async () => {
+    const { migrateUp, migrateDown, loadMigrations } = await import("../db/migrator.js");
+    await migrateUp();
+    const migrations = await loadMigrations();
+    await migrateDown(migrations.filter(migration => migration.id >= "014").length);
+
+    const user = await db.query(
+      "INSERT INTO users (username, email, password) VALUES ('legacy', 'legacy@example.com', 'x') RETURNING id"
+    );
+    const spellings = [["a", "G1"], ["A ", "group 1"], ["b", "1"], [null, "Night class"], ["", null]];
+    for (const [section, group] of spellings) {
+      await db.query(
+        "INSERT INTO projects (title, description, author_id, section, group_number) VALUES ('Legacy', 'A legacy project', $1, $2, $3)",
+        [user.rows[0].id, section, group]
+      );
+    }
+
+    await migrateUp();
+    const sections = await db.query("SELECT id, name FROM sections ORDER BY name");
+    assert.deepEqual(sections.rows.map(section => section.name), ["A", "B"]);
+    const groups = await db.query("SELECT name FROM student_groups ORDER BY name");
+    assert.deepEqual(groups.rows.map(group => group.name), ["1", "1", "Night class"]);
+
+    const projects = await db.query("SELECT section, group_number, section_id, group_id FROM projects ORDER BY id");
+    assert.deepEqual(projects.rows.map(({ section, group_number }) => [section, group_number]), [
+      ["A", "1"], ["A", "1"], ["B", "1"], [null, "Night class"], ["", null]
+    ]);
+    assert.equal(projects.rows[0].group_id, projects.rows[1].group_id);
+    assert.notEqual(projects.rows[0].group_id, projects.rows[2].group_id);
+  });
+});
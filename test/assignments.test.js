@@ -0,0 +1,344 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { assignmentStatus, disallowedFiles } from "../utils/assignments.js";
+import { startServer, api, register, setRole, createSections } from "./helpers.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const inDays = (days) => new Date(Date.now() + days * DAY).toISOString();
+
+describe("assignmentStatus", () => {
+  const now = new Date("2026-03-10T12:00:00Z");
+
+  test("follows the open date, the due date and the late policy", () => {
+    const base = { opens_at: "2026-03-01", due_at: "2026-03-15T00:00:00Z", late_policy: "flag" };
+    assert.equal(assignmentStatus({ ...base, opens_at: "2026-03-11" }, now), "upcoming");
+    assert.equal(assignmentStatus(base, now), "open");
+    assert.equal(assignmentStatus({ ...base, opens_at: null }, now), "open");
+    assert.equal(assignmentStatus({ ...base, due_at: "2026-03-09" }, now), "late");
+    assert.equal(assignmentStatus({ ...base, due_at: "2026-03-09", late_policy: "block" }, now), "closed");
+  });
+});
+
+describe("disallowedFiles", () => {
+  test("checks extensions against the assignment's list, if it has one", () => {
+    assert.deepEqual(disallowedFiles({ allowed_file_types: ".pdf,.zip" }, ["report.PDF", "code.zip", "notes.txt"]), ["notes.txt"]);
+    assert.deepEqual(disallowedFiles({ allowed_file_types: null }, ["notes.txt"]), []);
+  });
+});
+
+describe("assignment routes", () => {
+  let server;
+  let teacher;
+  let student;
+  let partner;
+  let other;
+  let sections;
+
+  before(async () => {
+    server = await startServer();
+    sections = await createSections(server, { A: ["1"], B: [] });
+    teacher = await register(server.url, "asg_teacher");
+    setRole(server, "asg_teacher", "teacher");
+    student = await register(server.url, "asg_student");
+    partner = await register(server.url, "asg_partner");
+    other = await register(server.url, "asg_other");
+
+    for (const [user, section] of [[student, "A"], [partner, "A"], [other, "B"]]) {
+      const enrolled = await api(`${server.url}/users/me`, {
+        method: "PATCH",
+        token: user.token,
+        body: { section_id: sections[section].id }
+      });
+      assert.equal(enrolled.status, 200, JSON.stringify(enrolled.body));
+    }
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  async function createAssignment(body) {
+    const created = await api(`${server.url}/assignments`, {
+      method: "POST",
+      token: teacher.token,
+      body: { title: "Assignment", section_id: sections.A.id, due_at: inDays(7), allowed_file_types: [".txt"], ...body }
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    return created.body.assignment;
+  }
+
+  async function createProject(user, fileName = "report.txt") {
+    const form = new FormData();
+    form.append("title", "Submitted work");
+    form.append("description", "A project for the assignment tests");
+    form.append("files", new Blob(["the work"], { type: "text/plain" }), fileName);
+    const created = await api(`${server.url}/projects`, { method: "POST", token: user.token, body: form });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    return created.body.project.id;
+  }
+
+  function submit(user, assignmentId, projectId) {
+    return api(`${server.url}/assignments/${assignmentId}/submissions`, {
+      method: "POST",
+      token: user.token,
+      body: { project_id: projectId }
+    });
+  }
+
+  test("teachers create assignments, students cannot", async () => {
+    const refused = await api(`${server.url}/assignments`, {
+      method: "POST",
+      token: student.token,
+      body: { title: "Mine", due_at: inDays(7) }
+    });
+    assert.equal(refused.status, 403);
+
+    const assignment = await createAssignment({ title: "Project 1", allowed_file_types: [".TXT", ".pdf", ".txt"] });
+    assert.deepEqual(assignment.allowed_file_types, [".txt", ".pdf"]);
+    assert.equal(assignment.status, "open");
+    assert.equal(assignment.section, "A");
+
+    const backwards = await api(`${server.url}/assignments`, {
+      method: "POST",
+      token: teacher.token,
+      body: { title: "Backwards", opens_at: inDays(3), due_at: inDays(1) }
+    });
+    assert.equal(backwards.status, 400);
+    assert.equal(backwards.body.fields[0].field, "due_at");
+  });
+
+  test("students see the assignments of their own section", async () => {
+    const forStudent = await api(`${server.url}/assignments?mine=true`, { token: student.token });
+    assert.deepEqual(forStudent.body.assignments.map(assignment => assignment.title), ["Project 1"]);
+    const open = await api(`${server.url}/assignments?mine=true&status=open`, { token: student.token });
+    assert.deepEqual(open.body.assignments.map(assignment => assignment.title), ["Project 1"]);
+    const upcoming = await api(`${server.url}/assignments?status=upcoming`, { token: student.token });
+    assert.deepEqual(upcoming.body.assignments, []);
+    const forOther = await api(`${server.url}/assignments?mine=true`, { token: other.token });
+    assert.deepEqual(forOther.body.assignments, []);
+  });
+
+  test("a submission counts for the whole team, and the list shows who is missing", async () => {
+    const assignment = await createAssignment({ title: "Team work" });
+    const projectId = await createProject(student);
+    await api(`${server.url}/projects/${projectId}/invitations`, {
+      method: "POST",
+      token: student.token,
+      body: { username: "asg_partner" }
+    });
+    const [invitation] = (await api(`${server.url}/invitations`, { token: partner.token })).body.invitations;
+    await api(`${server.url}/invitations/${invitation.id}/accept`, { method: "POST", token: partner.token });
+
+    assert.equal((await submit(other, assignment.id, projectId)).status, 403);
+    const submitted = await submit(partner, assignment.id, projectId);
+    assert.equal(submitted.status, 201, JSON.stringify(submitted.body));
+    assert.equal(submitted.body.submission.is_late, false);
+
+    const mine = await api(`${server.url}/assignments/${assignment.id}`, { token: student.token });
+    assert.equal(mine.body.assignment.my_submission.project_id, projectId);
+
+    assert.equal((await api(`${server.url}/assignments/${assignment.id}/submissions`, { token: student.token })).status, 403);
+    const list = await api(`${server.url}/assignments/${assignment.id}/submissions`, { token: teacher.token });
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.body.submissions.map(submission => submission.id), [projectId]);
+    assert.deepEqual(list.body.summary, { expected: 2, submitted: 1, late: 0, missing: 0 });
+
+    // A second project from the same team is refused
+    const second = await createProject(partner);
+    assert.equal((await submit(partner, assignment.id, second)).status, 409);
+  });
+
+  test("students who haven't submitted are listed", async () => {
+    const assignment = await createAssignment({ title: "Nobody yet", section_id: null });
+    const list = await api(`${server.url}/assignments/${assignment.id}/submissions`, { token: teacher.token });
+    assert.deepEqual(list.body.missing.map(user => user.username), ["asg_other", "asg_partner", "asg_student"]);
+    assert.equal(list.body.summary.expected, 3);
+  });
+
+  test("files must be of an allowed type, when submitting and after", async () => {
+    const assignment = await createAssignment({ title: "Text only" });
+    const markdown = await createProject(student, "notes.md");
+    const refused = await submit(student, assignment.id, markdown);
+    assert.equal(refused.status, 400);
+    assert.match(refused.body.error, /notes\.md/);
+
+    const projectId = await createProject(student);
+    assert.equal((await submit(student, assignment.id, projectId)).status, 201);
+    const form = new FormData();
+    form.append("files", new Blob(["# more"], { type: "text/markdown" }), "more.md");
+    const added = await api(`${server.url}/projects/${projectId}/files`, { method: "POST", token: student.token, body: form });
+    assert.equal(added.status, 400);
+  });
+
+  test("submissions follow the submission window and late policy", async () => {
+    const projectId = await createProject(other);
+
+    const upcoming = await createAssignment({ title: "Upcoming", section_id: null, opens_at: inDays(1), due_at: inDays(2) });
+    assert.equal((await submit(other, upcoming.id, projectId)).status, 409);
+
+    const closed = await createAssignment({ title: "Closed", section_id: null, due_at: inDays(-1), late_policy: "block" });
+    assert.equal(closed.status, "closed");
+    assert.equal((await submit(other, closed.id, projectId)).status, 409);
+
+    const late = await createAssignment({ title: "Late", section_id: null, due_at: inDays(-1), late_policy: "flag" });
+    const submitted = await submit(other, late.id, projectId);
+    assert.equal(submitted.status, 201);
+    assert.equal(submitted.body.submission.is_late, true);
+
+    const withdrawn = await api(`${server.url}/assignments/${late.id}/submissions/${projectId}`, {
+      method: "DELETE",
+      token: other.token
+    });
+    assert.equal(withdrawn.status, 409);
+    const list = await api(`${server.url}/assignments/${late.id}/submissions`, { token: teacher.token });
+    assert.equal(list.body.summary.late, 1);
+  });
+
+  test("an open submission can be withdrawn", async () => {
+    const assignment = await createAssignment({ title: "Withdrawable", section_id: null });
+    const projectId = await createProject(other);
+    await submit(other, assignment.id, projectId);
+
+    const url = `${server.url}/assignments/${assignment.id}/submissions/${projectId}`;
+    assert.equal((await api(url, { method: "DELETE", token: other.token })).status, 200);
+    assert.equal((await api(url, { method: "DELETE", token: other.token })).status, 404);
+  });
+  test("files of a submitted project can't be removed after the due date, or down to none", async () => {
+    const assignment = await createAssignment({ title: "Window check" });
+    const form = new FormData();
+    form.append("title", "Submitted project");
+    form.append("description", "A project submitted to an assignment");
+    for (const name of ["one.txt", "two.txt", "three.txt"]) {
+      form.append("files", new Blob([`contents of ${name}`], { type: "text/plain" }), name);
+    }
+    const created = await api(`${server.url}/projects`, { method: "POST", token: student.token, body: form });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    const projectId = created.body.project.id;
+    const [first, second, third] = created.body.project.files.map(file => file.id);
+    assert.equal((await submit(student, assignment.id, projectId)).status, 201);
+
+    const removeFile = fileId => api(`${server.url}/projects/${projectId}/files/${fileId}`, {
+      method: "DELETE",
+      token: student.token
+    });
+    const setDueDate = due_at => api(`${server.url}/assignments/${assignment.id}`, {
+      method: "PATCH",
+      token: teacher.token,
+      body: { due_at }
+    });
+
+    assert.equal((await removeFile(first)).status, 200);
+
+    assert.equal((await setDueDate(new Date(Date.now() - 60000).toISOString())).status, 200);
+    const late = await removeFile(second);
+    assert.equal(late.status, 409);
+    assert.match(late.body.error, /before the due date/);
+
+    await setDueDate(inDays(1));
+    assert.equal((await removeFile(second)).status, 200);
+    const last = await removeFile(third);
+    assert.equal(last.status, 409);
+    assert.match(last.body.error, /at least one file/);
+  });
+
+  test("files of a submitted project follow the late policy when added or replaced after the due date", async () => {
+    const filesForm = (field, name) => {
+      const form = new FormData();
+      form.append(field, new Blob([`contents of ${name}`], { type: "text/plain" }), name);
+      return form;
+    };
+    const isLate = async (assignmentId) => {
+      const list = await api(`${server.url}/assignments/${assignmentId}/submissions`, { token: teacher.token });
+      return list.body.submissions[0].is_late;
+    };
+
+    const closing = await createAssignment({ title: "No late changes", section_id: null, late_policy: "block" });
+    const closedProject = await createProject(other);
+    assert.equal((await submit(other, closing.id, closedProject)).status, 201);
+    const [closedFile] = (await api(`${server.url}/projects/${closedProject}`)).body.project.files;
+    await api(`${server.url}/assignments/${closing.id}`, {
+      method: "PATCH",
+      token: teacher.token,
+      body: { due_at: new Date(Date.now() - 60000).toISOString() }
+    });
+
+    const added = await api(`${server.url}/projects/${closedProject}/files`, {
+      method: "POST",
+      token: other.token,
+      body: filesForm("files", "extra.txt")
+    });
+    assert.equal(added.status, 409);
+    assert.match(added.body.error, /due date has passed/);
+    const replaced = await api(`${server.url}/projects/${closedProject}/files/${closedFile.id}`, {
+      method: "PUT",
+      token: other.token,
+      body: filesForm("file", "report.txt")
+    });
+    assert.equal(replaced.status, 409);
+
+    const flagging = await createAssignment({ title: "Late changes", section_id: null, late_policy: "flag" });
+    const lateProject = await createProject(other);
+    assert.equal((await submit(other, flagging.id, lateProject)).status, 201);
+    const [lateFile] = (await api(`${server.url}/projects/${lateProject}`)).body.project.files;
+    await api(`${server.url}/assignments/${flagging.id}`, {
+      method: "PATCH",
+      token: teacher.token,
+      body: { due_at: new Date(Date.now() - 60000).toISOString() }
+    });
+    assert.equal(await isLate(flagging.id), false);
+
+    const replacedLate = await api(`${server.url}/projects/${lateProject}/files/${lateFile.id}`, {
+      method: "PUT",
+      token: other.token,
+      body: filesForm("file", "report.txt")
+    });
+    assert.equal(replacedLate.status, 200);
+    assert.equal(await isLate(flagging.id), true);
+
+    const addedLate = await api(`${server.url}/projects/${lateProject}/files`, {
+      method: "POST",
+      token: other.token,
+      body: filesForm("files", "extra.txt")
+    });
+    assert.equal(addedLate.status, 201);
+  });
+
+  test("a group implies its section", async () => {
+    const grouped = await api(`${server.url}/users/me`, {
+      method: "PATCH",
+      token: partner.token,
+      body: { section_id: null, group_id: sections.A.groups["1"] }
+    });
+    assert.equal(grouped.status, 200, JSON.stringify(grouped.body));
+    assert.equal(grouped.body.user.section_id, sections.A.id);
+
+    const mismatched = await api(`${server.url}/users/me`, {
+      method: "PATCH",
+      token: partner.token,
+      body: { section_id: sections.B.id }
+    });
+    assert.equal(mismatched.status, 400);
+  });
+
+  test("the profile form keeps the section and group, and PUT /users/me clears what it leaves out", async () => {
+    // What public/profile.html sends
+    const saved = await api(`${server.url}/users/me`, {
+      method: "PATCH",
+      token: partner.token,
+      body: { username: "asg_partner", full_name: "A. Partner", bio: "Hello" }
+    });
+    assert.equal(saved.status, 200, JSON.stringify(saved.body));
+    assert.equal(saved.body.user.section_id, sections.A.id);
+    assert.equal(saved.body.user.group_id, sections.A.groups["1"]);
+
+    const replaced = await api(`${server.url}/users/me`, {
+      method: "PUT",
+      token: partner.token,
+      body: { username: "asg_partner" }
+    });
+    assert.equal(replaced.status, 200, JSON.stringify(replaced.body));
+    assert.equal(replaced.body.user.section_id, null);
+    assert.equal(replaced.body.user.group_id, null);
+    assert.equal(replaced.body.user.full_name, null);
+  });
+});
@@ -0,0 +1,117 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, api, register } from "./helpers.js";
+
+// A 1x1 transparent PNG
+const PNG = Buffer.from(
+  "89504e470d0a1a0a0000000d49484452000000010000000108060000001f15c4890000000d49444154789c63f8ffff3f0005fe02fea7d6a4f30000000049454e44ae426082",
+  "hex"
+);
+
+let server;
+let user;
+
+before(async () => {
+  server = await startServer();
+  user = await register(server.url, "avatar_user");
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+function avatarForm(bytes, type, name = "avatar") {
+  const form = new FormData();
+  form.append("avatar", new Blob([bytes], { type }), name);
+  return form;
+}
+
+test("an avatar is stored locally when Cloudinary is not configured", async () => {
+  const upload = await api(`${server.url}/users/me/avatar`, {
+    method: "POST",
+    token: user.token,
+    body: avatarForm(PNG, "image/png", "me.png")
+  });
+  assert.equal(upload.status, 200);
+  assert.match(upload.body.user.profile_picture, /^\/uploads\/avatars\/avatar-[\d-]+\.png$/);
+
+  const served = await fetch(server.url + upload.body.user.profile_picture);
+  assert.equal(served.status, 200);
+  assert.deepEqual(Buffer.from(await served.arrayBuffer()), PNG);
+
+  const removed = await api(`${server.url}/users/me/avatar`, { method: "DELETE", token: user.token });
+  assert.equal(removed.status, 200);
+  assert.equal(removed.body.user.profile_picture, null);
+  const gone = await fetch(server.url + upload.body.user.profile_picture);
+  assert.notDeepEqual(Buffer.from(await gone.arrayBuffer()), PNG);
+});
+
+test("a new avatar replaces the previous one", async () => {
+  const first = await api(`${server.url}/users/me/avatar`, {
+    method: "POST",
+    token: user.token,
+    body: avatarForm(PNG, "image/png", "first.png")
+  });
+  const second = await api(`${server.url}/users/me/avatar`, {
+    method: "POST",
+    token: user.token,
+    body: avatarForm(PNG, "image/png", "second.png")
+  });
+  assert.equal(second.status, 200);
+  assert.notEqual(second.body.user.profile_picture, first.body.user.profile_picture);
+
+  const previous = await fetch(server.url + first.body.user.profile_picture);
+  assert.notDeepEqual(Buffer.from(await previous.arrayBuffer()), PNG);
+
+  await api(`${server.url}/users/me/avatar`, { method: "DELETE", token: user.token });
+});
+
+test("the extension comes from the file's content, not the declared type", async () => {
+  const upload = await api(`${server.url}/users/me/avatar`, {
+    method: "POST",
+    token: user.token,
+    body: avatarForm(PNG, "image/jpeg", "me.jpg")
+  });
+  assert.equal(upload.status, 200);
+  assert.match(upload.body.user.profile_picture, /\.png$/);
+
+  await api(`${server.url}/users/me/avatar`, { method: "DELETE", token: user.token });
+});
+
+test("a file that only claims to be an image is rejected", async () => {
+  const upload = await api(`${server.url}/users/me/avatar`, {
+    method: "POST",
+    token: user.token,
+    body: avatarForm(Buffer.from("<script>alert(1)</script>"), "image/png", "me.png")
+  });
+  assert.equal(upload.status, 415);
+
+  const me = await api(`${server.url}/users/me`, { token: user.token });
+  assert.equal(me.body.user.profile_picture, null);
+});
+
+test("a declared type other than an image is rejected", async () => {
+  const upload = await api(`${server.url}/users/me/avatar`, {
+    method: "POST",
+    token: user.token,
+    body: avatarForm(PNG, "text/plain", "me.txt")
+  });
+  assert.equal(upload.status, 400);
+});
+
+test("an upload without a file is rejected", async () => {
+  const upload = await api(`${server.url}/users/me/avatar`, {
+    method: "POST",
+    token: user.token,
+    body: new FormData()
+  });
+  assert.equal(upload.status, 400);
+});
+
+test("an avatar needs a logged-in user", async () => {
+  const upload = await api(`${server.url}/users/me/avatar`, {
+    method: "POST",
+    body: avatarForm(PNG, "image/png", "me.png")
+  });
+  assert.equal(upload.status, 401);
+});
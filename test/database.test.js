@@ -0,0 +1,138 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// Runs against whichever backend db/index.js picks: SQLite in a temporary file by default,
+// PostgreSQL with DB_CLIENT=postgres DATABASE_URL=... npm test
+let db;
+let tempDir;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+before(async () => {
+  if (!process.env.DB_CLIENT && !process.env.DATABASE_URL) {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "tic-db-test-"));
+    process.env.DB_CLIENT = "sqlite";
+    process.env.SQLITE_PATH = path.join(tempDir, "test.db");
+  }
+  db = (await import("../db/index.js")).default;
+
+  await db.query("DROP TABLE IF EXISTS test_rows");
+  await db.query(`
+    CREATE TABLE test_rows (
+      id ${db.dialect === "postgres" ? "SERIAL PRIMARY KEY" : "INTEGER PRIMARY KEY AUTOINCREMENT"},
+      label TEXT NOT NULL,
+      flag BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+});
+
+after(async () => {
+  if (db) {
+    await db.query("DROP TABLE IF EXISTS test_rows");
+    await db.close();
+  }
+  if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  await db.query("DELETE FROM test_rows");
+});
+
+async function labels() {
+  const result = await db.query("SELECT label FROM test_rows ORDER BY label");
+  return result.rows.map(row => row.label);
+}
+
+test("query binds $n placeholders, reused ones included, and supports RETURNING", async () => {
+  const inserted = await db.query(
+    "INSERT INTO test_rows (label, flag) VALUES ($1, $2) RETURNING id, label, flag",
+    ["a", true]
+  );
+  assert.equal(inserted.rows.length, 1);
+  assert.equal(inserted.rows[0].label, "a");
+
+  const result = await db.query("SELECT id FROM test_rows WHERE label = $1 OR label = LOWER($1)", ["A"]);
+  assert.equal(result.rows.length, 1);
+  assert.equal(result.rows[0].id, inserted.rows[0].id);
+});
+
+test("query reports how many rows a write changed", async () => {
+  await db.query("INSERT INTO test_rows (label, flag) VALUES ('a', TRUE), ('b', FALSE)");
+
+  const updated = await db.query("UPDATE test_rows SET flag = $1", [true]);
+  assert.equal(updated.rowCount, 2);
+
+  const deleted = await db.query("DELETE FROM test_rows WHERE label = $1", ["a"]);
+  assert.equal(deleted.rowCount, 1);
+});
+
+test("query returns booleans, timestamps and rowCount the way node-pg does", async () => {
+  await db.query("INSERT INTO test_rows (label, flag) VALUES ('a', TRUE), ('b', FALSE)");
+
+  const result = await db.query("SELECT flag, created_at FROM test_rows ORDER BY label");
+  assert.deepEqual(result.rows.map(row => row.flag), [true, false]);
+  assert.ok(!Number.isNaN(new Date(result.rows[0].created_at).getTime()));
+
+  const updated = await db.query("UPDATE test_rows SET flag = $1", [true]);
+  assert.equal(updated.rowCount, 2);
+});
+
+test("a transaction commits its writes and resolves to the callback's result", async () => {
+  const result = await db.transaction(async (tx) => {
+    await tx.query("INSERT INTO test_rows (label) VALUES ($1)", ["committed"]);
+    const seen = await tx.query("SELECT label FROM test_rows");
+    return seen.rows.length;
+  });
+
+  assert.equal(result, 1);
+  assert.deepEqual(await labels(), ["committed"]);
+});
+
+test("a failing transaction rolls back its writes and rethrows", async () => {
+  await assert.rejects(db.transaction(async (tx) => {
+    await tx.query("INSERT INTO test_rows (label) VALUES ($1)", ["rolled back"]);
+    throw new Error("boom");
+  }), /boom/);
+
+  assert.deepEqual(await labels(), []);
+});
+
+test("a rollback does not undo queries made outside the transaction while it was open", async () => {
+  let opened;
+  const transactionOpen = new Promise(resolve => { opened = resolve; });
+
+  const failing = db.transaction(async (tx) => {
+    await tx.query("INSERT INTO test_rows (label) VALUES ($1)", ["inside"]);
+    opened();
+    await delay(50);
+    throw new Error("boom");
+  });
+
+  await transactionOpen;
+  const outside = db.query("INSERT INTO test_rows (label) VALUES ($1) RETURNING id", ["outside"]);
+
+  await assert.rejects(failing, /boom/);
+  assert.equal((await outside).rows.length, 1);
+  assert.deepEqual(await labels(), ["outside"]);
+});
+
+test("concurrent transactions do not see or undo each other's writes", async () => {
+  const first = db.transaction(async (tx) => {
+    await tx.query("INSERT INTO test_rows (label) VALUES ($1)", ["first"]);
+    await delay(20);
+    throw new Error("first fails");
+  });
+  const second = db.transaction(async (tx) => {
+    await tx.query("INSERT INTO test_rows (label) VALUES ($1)", ["second"]);
+    await delay(10);
+    return "ok";
+  });
+
+  await assert.rejects(first, /first fails/);
+  assert.equal(await second, "ok");
+  assert.deepEqual(await labels(), ["second"]);
+});
@@ -0,0 +1,140 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, api, register, login, setRole } from "./helpers.js";
+
+const CONTENT = "0123456789abcdefghij";
+
+let server;
+let owner;
+let other;
+let teacher;
+let member;
+
+before(async () => {
+  server = await startServer();
+  owner = await register(server.url, "dl_owner");
+  other = await register(server.url, "dl_other");
+  await register(server.url, "dl_teacher");
+  setRole(server, "dl_teacher", "teacher");
+  teacher = await login(server.url, "dl_teacher");
+  member = await register(server.url, "dl_member");
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+/** Create a project with one text file and return that file (with its download_url). */
+async function projectWithFile(fileVisibility) {
+  const form = new FormData();
+  form.append("title", `Downloads (${fileVisibility ?? "default"})`);
+  form.append("description", "A project for the download tests");
+  if (fileVisibility) form.append("file_visibility", fileVisibility);
+  form.append("files", new Blob([CONTENT], { type: "text/plain" }), "notes.txt");
+
+  const created = await api(`${server.url}/projects`, { method: "POST", token: owner.token, body: form });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  return { ...created.body.project.files[0], visibility: created.body.project.file_visibility };
+}
+
+function download(file, { token, method = "GET", range } = {}) {
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (range) headers.Range = range;
+  return fetch(server.url + file.download_url, { method, headers, signal: AbortSignal.timeout(10000) });
+}
+
+async function downloadCount(file) {
+  const project = await api(`${server.url}/projects/${file.project_id}`, { token: owner.token });
+  return project.body.project.files.find(item => item.id === file.id).download_count;
+}
+
+test("project files are not served statically", async () => {
+  const file = await projectWithFile();
+  assert.equal(file.visibility, "public");
+  const response = await api(`${server.url}/uploads/${file.id}.txt`);
+  assert.equal(response.status, 404);
+});
+
+test("public files can be downloaded by anyone", async () => {
+  const file = await projectWithFile("public");
+  const response = await download(file);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get("accept-ranges"), "bytes");
+  assert.equal(await response.text(), CONTENT);
+});
+
+test("authenticated files need a logged-in user", async () => {
+  const file = await projectWithFile("authenticated");
+  assert.equal((await download(file)).status, 401);
+  assert.equal((await download(file, { token: other.token })).status, 200);
+});
+
+async function addMember(projectId, username, user) {
+  const sent = await api(`${server.url}/projects/${projectId}/invitations`, {
+    method: "POST",
+    token: owner.token,
+    body: { username }
+  });
+  assert.equal(sent.status, 201, JSON.stringify(sent.body));
+  const accepted = await api(`${server.url}/invitations/${sent.body.invitation.id}/accept`, { method: "POST", token: user.token });
+  assert.equal(accepted.status, 200);
+}
+
+test("private files are for the project team and staff only", async () => {
+  const file = await projectWithFile("private");
+  await addMember(file.project_id, "dl_member", member);
+  assert.equal((await download(file, { token: member.token })).status, 200);
+  assert.equal((await download(file)).status, 401);
+  assert.equal((await download(file, { token: other.token })).status, 403);
+  assert.equal((await download(file, { token: owner.token })).status, 200);
+  assert.equal((await download(file, { token: teacher.token })).status, 200);
+});
+
+test("the visibility is validated and can be changed", async () => {
+  const invalid = new FormData();
+  invalid.append("title", "Bad visibility");
+  invalid.append("description", "A project with an unknown visibility");
+  invalid.append("file_visibility", "friends");
+  assert.equal((await api(`${server.url}/projects`, { method: "POST", token: owner.token, body: invalid })).status, 400);
+
+  const file = await projectWithFile("public");
+  const update = { title: "Downloads", description: "Now for members only", file_visibility: "authenticated" };
+  const updated = await api(`${server.url}/projects/${file.project_id}`, { method: "PUT", token: owner.token, body: update });
+  assert.equal(updated.status, 200);
+  assert.equal((await download(file)).status, 401);
+
+  const rejected = await api(`${server.url}/projects/${file.project_id}`, {
+    method: "PUT",
+    token: owner.token,
+    body: { ...update, file_visibility: "friends" }
+  });
+  assert.equal(rejected.status, 400);
+});
+
+test("a single byte range is answered with 206", async () => {
+  const file = await projectWithFile();
+  const partial = await download(file, { range: "bytes=2-5" });
+  assert.equal(partial.status, 206);
+  assert.equal(partial.headers.get("content-range"), `bytes 2-5/${CONTENT.length}`);
+  assert.equal(partial.headers.get("content-length"), "4");
+  assert.equal(await partial.text(), "2345");
+
+  const beyond = await download(file, { range: "bytes=100-200" });
+  assert.equal(beyond.status, 416);
+  assert.equal(beyond.headers.get("content-range"), `bytes */${CONTENT.length}`);
+});
+
+test("downloads are counted once per download, not per chunk or HEAD", async () => {
+  const file = await projectWithFile();
+  assert.equal(await downloadCount(file), 0);
+
+  await (await download(file)).text();
+  await (await download(file, { range: "bytes=0-9" })).text();
+  await (await download(file, { range: "bytes=10-19" })).text();
+  const head = await download(file, { method: "HEAD" });
+  assert.equal(head.status, 200);
+  assert.equal(head.headers.get("content-length"), String(CONTENT.length));
+
+  assert.equal(await downloadCount(file), 2);
+});
@@ -0,0 +1,133 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { startServer, api, readMail } from "./helpers.js";
+
+const MAILER_MODULE = new URL("../mailer/index.js", import.meta.url).href;
+
+// The file mail driver keeps every message on disk, so these flows run offline
+let server;
+
+before(async () => {
+  server = await startServer({ REQUIRE_EMAIL_VERIFICATION: "true" });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+function linkToken(message) {
+  const match = /[?&]token=([^\s&]+)/.exec(message.text);
+  assert.ok(match, `no token link in "${message.subject}"`);
+  return decodeURIComponent(match[1]);
+}
+
+function login(email, password) {
+  return api(`${server.url}/auth/login`, { method: "POST", body: { email, password } });
+}
+
+test("a new account must follow the emailed link before logging in", async () => {
+  const email = "verify@example.com";
+  const registered = await api(`${server.url}/auth/register`, {
+    method: "POST",
+    body: { username: "verify_user", email, password: "secret123" }
+  });
+  assert.equal(registered.status, 201);
+  assert.equal(registered.body.token, undefined);
+
+  const blocked = await login(email, "secret123");
+  assert.equal(blocked.status, 403);
+  assert.equal(blocked.body.code, "EMAIL_NOT_VERIFIED");
+
+  const [message] = readMail(server, email);
+  assert.ok(message, "a verification email was sent");
+  assert.match(message.text, /verify-email\.html\?token=/);
+  const token = linkToken(message);
+
+  const verified = await api(`${server.url}/auth/verify-email`, { method: "POST", body: { token } });
+  assert.equal(verified.status, 200);
+  assert.equal((await login(email, "secret123")).status, 200);
+
+  const reused = await api(`${server.url}/auth/verify-email`, { method: "POST", body: { token } });
+  assert.equal(reused.status, 400);
+});
+
+test("a new verification link can be requested until the account is verified", async () => {
+  const email = "resend@example.com";
+  await api(`${server.url}/auth/register`, {
+    method: "POST",
+    body: { username: "resend_user", email, password: "secret123" }
+  });
+
+  const resent = await api(`${server.url}/auth/resend-verification`, { method: "POST", body: { email } });
+  assert.equal(resent.status, 200);
+  const messages = readMail(server, email);
+  assert.equal(messages.length, 2);
+
+  const verified = await api(`${server.url}/auth/verify-email`, { method: "POST", body: { token: linkToken(messages[1]) } });
+  assert.equal(verified.status, 200);
+
+  await api(`${server.url}/auth/resend-verification`, { method: "POST", body: { email } });
+  assert.equal(readMail(server, email).length, 2);
+});
+
+test("a password reset link works once and replaces the password", async () => {
+  const email = "reset@example.com";
+  await api(`${server.url}/auth/register`, {
+    method: "POST",
+    body: { username: "reset_user", email, password: "secret123" }
+  });
+
+  const requested = await api(`${server.url}/auth/forgot-password`, { method: "POST", body: { email } });
+  assert.equal(requested.status, 200);
+
+  const message = readMail(server, email).find(mail => /reset-password\.html/.test(mail.text));
+  assert.ok(message, "a reset email was sent");
+  const token = linkToken(message);
+
+  const reset = await api(`${server.url}/auth/reset-password`, {
+    method: "POST",
+    body: { token, password: "newsecret456" }
+  });
+  assert.equal(reset.status, 200);
+
+  assert.equal((await login(email, "secret123")).status, 401);
+  assert.equal((await login(email, "newsecret456")).status, 200);
+
+  const reused = await api(`${server.url}/auth/reset-password`, {
+    method: "POST",
+    body: { token, password: "another789" }
+  });
+  assert.equal(reused.status, 400);
+});
+
+test("asking for a reset gives the same answer for unknown addresses and sends nothing", async () => {
+  const known = await api(`${server.url}/auth/forgot-password`, { method: "POST", body: { email: "reset@example.com" } });
+  const unknown = await api(`${server.url}/auth/forgot-password`, { method: "POST", body: { email: "nobody@example.com" } });
+
+  assert.equal(unknown.status, 200);
+  assert.deepEqual(unknown.body, known.body);
+  assert.deepEqual(readMail(server, "nobody@example.com"), []);
+});
+
+/**
+ * mailer/index.js picks its driver once at import, so each configuration loads it in its own process.
+ * @param {Object<string, string>} env - MAIL_DRIVER, NODE_ENV
+ * @returns {string} The name of the driver it picked
+ */
+function loadMailer(env) {
+  const childEnv = { ...process.env, ...env };
+  if (!("MAIL_DRIVER" in env)) delete childEnv.MAIL_DRIVER;
+  const code = `const { default: mailer } = await import(${JSON.stringify(MAILER_MODULE)});\nconsole.log(mailer.name);`;
+  return execFileSync(process.execPath, ["--input-type=module", "-e", code], {
+    env: childEnv,
+    encoding: "utf8",
+    stdio: ["ignore", "pipe", "pipe"]
+  }).trim();
+}
+
+test("production refuses to start without a mail driver; development prints to the console", () => {
+  assert.throws(() => loadMailer({ NODE_ENV: "production" }), /MAIL_DRIVER must be set in production/);
+  assert.equal(loadMailer({ NODE_ENV: "production", MAIL_DRIVER: "console" }), "console");
+  assert.equal(loadMailer({ NODE_ENV: "development" }), "console");
+});
@@ -0,0 +1,99 @@
+import http from "node:http";
+
+/**
+ * In-memory stand-in for an S3-compatible service such as MinIO, covering the
+ * path-style requests storage/s3.js makes: PutObject, GetObject (with Range),
+ * HeadObject, DeleteObject and ListObjectsV2. Signatures are not checked.
+ * @returns {Promise<{endpoint: string, objects: Map<string, object>, close: () => Promise<void>}>}
+ */
+export async function startS3Server() {
+  // "bucket/key" -> { body, contentType, lastModified }
+  const objects = new Map();
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const [, bucket, ...keyParts] = url.pathname.split("/");
+    const key = keyParts.map(decodeURIComponent).join("/");
+    const id = `${bucket}/${key}`;
+
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+
+    if (req.method === "GET" && !key) {
+      return listObjects(res, bucket, url.searchParams.get("prefix") || "");
+    }
+
+    const object = objects.get(id);
+    switch (req.method) {
+      case "PUT":
+        objects.set(id, {
+          body: Buffer.concat(chunks),
+          contentType: req.headers["content-type"],
+          lastModified: new Date()
+        });
+        res.writeHead(200, { ETag: '"stand-in"' });
+        return res.end();
+      case "HEAD":
+        if (!object) return res.writeHead(404).end();
+        res.writeHead(200, { "Content-Length": object.body.length, "Content-Type": object.contentType });
+        return res.end();
+      case "GET":
+        if (!object) return notFound(res, key);
+        return getObject(req, res, object);
+      case "DELETE":
+        objects.delete(id);
+        return res.writeHead(204).end();
+      default:
+        return res.writeHead(405).end();
+    }
+  });
+
+  function listObjects(res, bucket, prefix) {
+    const contents = [...objects.entries()]
+      .filter(([id]) => id.startsWith(`${bucket}/${prefix}`))
+      .map(([id, object]) => `<Contents><Key>${escapeXml(id.slice(bucket.length + 1))}</Key>` +
+        `<LastModified>${object.lastModified.toISOString()}</LastModified>` +
+        `<Size>${object.body.length}</Size><StorageClass>STANDARD</StorageClass></Contents>`);
+    res.writeHead(200, { "Content-Type": "application/xml" });
+    res.end('<?xml version="1.0" encoding="UTF-8"?>' +
+      '<ListBucketResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">' +
+      `<Name>${escapeXml(bucket)}</Name><Prefix>${escapeXml(prefix)}</Prefix>` +
+      `<KeyCount>${contents.length}</KeyCount><MaxKeys>1000</MaxKeys><IsTruncated>false</IsTruncated>` +
+      contents.join("") + "</ListBucketResult>");
+  }
+
+  function getObject(req, res, object) {
+    const size = object.body.length;
+    const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || "");
+    if (!range) {
+      res.writeHead(200, { "Content-Length": size, "Content-Type": object.contentType });
+      return res.end(object.body);
+    }
+    const start = Number(range[1]);
+    const end = range[2] ? Math.min(Number(range[2]), size - 1) : size - 1;
+    res.writeHead(206, {
+      "Content-Length": end - start + 1,
+      "Content-Range": `bytes ${start}-${end}/${size}`,
+      "Content-Type": object.contentType
+    });
+    res.end(object.body.subarray(start, end + 1));
+  }
+
+  function notFound(res, key) {
+    res.writeHead(404, { "Content-Type": "application/xml" });
+    res.end('<?xml version="1.0" encoding="UTF-8"?>' +
+      `<Error><Code>NoSuchKey</Code><Message>The specified key does not exist.</Message><Key>${escapeXml(key)}</Key></Error>`);
+  }
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    objects,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
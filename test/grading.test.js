@@ -0,0 +1,172 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { gradesCsv } from "../utils/grades.js";
+import { startServer, api, register, setRole, createSections } from "./helpers.js";
+
+describe("gradesCsv", () => {
+  test("quotes cells that need it and defuses formulas", () => {
+    const csv = gradesCsv([{ matricule: "=1+1", full_name: 'Ada "A", L', score: 15, max_score: 20, status: "published" }]);
+    const [header, row] = csv.split("\r\n");
+    assert.match(header, /^Matricule,Full name,/);
+    assert.match(row, /^'=1\+1,"Ada ""A"", L",/);
+    assert.ok(csv.endsWith("\r\n"));
+  });
+});
+
+describe("grading routes", () => {
+  let server;
+  let teacher;
+  let owner;
+  let member;
+  let stranger;
+  let sections;
+
+  before(async () => {
+    server = await startServer();
+    sections = await createSections(server, { G: ["1"] });
+    teacher = await register(server.url, "grade_teacher");
+    setRole(server, "grade_teacher", "teacher");
+    owner = await register(server.url, "grade_owner");
+    member = await register(server.url, "grade_member");
+    stranger = await register(server.url, "grade_stranger");
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  async function createProject(user, body = {}) {
+    const form = new FormData();
+    for (const [key, value] of Object.entries({ title: "Graded work", description: "A project to grade", ...body })) {
+      form.append(key, value);
+    }
+    form.append("files", new Blob(["the work"], { type: "text/plain" }), "report.txt");
+    const created = await api(`${server.url}/projects`, { method: "POST", token: user.token, body: form });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    return created.body.project.id;
+  }
+
+  function grade(projectId, body, token = teacher.token) {
+    return api(`${server.url}/projects/${projectId}/grade`, { method: "PUT", token, body });
+  }
+
+  test("a draft grade is for staff only until it is published to the team", async () => {
+    const projectId = await createProject(owner);
+    await api(`${server.url}/projects/${projectId}/invitations`, {
+      method: "POST",
+      token: owner.token,
+      body: { username: "grade_member" }
+    });
+    const [invitation] = (await api(`${server.url}/invitations`, { token: member.token })).body.invitations;
+    await api(`${server.url}/invitations/${invitation.id}/accept`, { method: "POST", token: member.token });
+
+    assert.equal((await grade(projectId, { score: 12 }, owner.token)).status, 403);
+    const tooHigh = await grade(projectId, { score: 21 });
+    assert.equal(tooHigh.status, 400);
+    assert.equal(tooHigh.body.fields[0].field, "score");
+
+    const draft = await grade(projectId, { score: 14, feedback: "Good start" });
+    assert.equal(draft.status, 201, JSON.stringify(draft.body));
+    assert.equal(draft.body.grade.status, "draft");
+    assert.equal(draft.body.grade.max_score, 20);
+
+    const url = `${server.url}/projects/${projectId}/grade`;
+    assert.equal((await api(url, { token: teacher.token })).status, 200);
+    assert.equal((await api(url, { token: member.token })).status, 404);
+    assert.equal((await api(url, { token: stranger.token })).status, 403);
+
+    const published = await grade(projectId, { score: 15, feedback: "Well done", status: "published" });
+    assert.equal(published.status, 200);
+    const seen = await api(url, { token: member.token });
+    assert.equal(seen.status, 200);
+    assert.equal(seen.body.grade.score, 15);
+    assert.equal(seen.body.grade.feedback, "Well done");
+
+    // Saving it as a draft again withdraws it from the team
+    await grade(projectId, { score: 15 });
+    assert.equal((await api(url, { token: owner.token })).status, 404);
+
+    assert.equal((await api(url, { method: "DELETE", token: teacher.token })).status, 200);
+    assert.equal((await api(url, { token: teacher.token })).status, 404);
+    assert.equal((await api(url, { method: "DELETE", token: teacher.token })).status, 404);
+  });
+
+  test("the feedback thread is shared by the team and staff", async () => {
+    const projectId = await createProject(owner);
+    const url = `${server.url}/projects/${projectId}/feedback`;
+
+    assert.equal((await api(url, { method: "POST", token: teacher.token, body: { body: "Please add tests" } })).status, 201);
+    assert.equal((await api(url, { method: "POST", token: owner.token, body: { body: "Done" } })).status, 201);
+    assert.equal((await api(url, { method: "POST", token: stranger.token, body: { body: "Hi" } })).status, 403);
+    assert.equal((await api(url, { method: "POST", token: owner.token, body: { body: "" } })).status, 400);
+
+    const thread = await api(url, { token: owner.token });
+    assert.equal(thread.status, 200);
+    assert.deepEqual(thread.body.feedback.map(message => [message.author_name, message.body]), [
+      ["grade_teacher", "Please add tests"],
+      ["grade_owner", "Done"]
+    ]);
+    assert.equal((await api(url, { token: stranger.token })).status, 403);
+  });
+
+  test("an assignment's draft grades are published together", async () => {
+    const created = await api(`${server.url}/assignments`, {
+      method: "POST",
+      token: teacher.token,
+      body: { title: "Graded assignment", due_at: new Date(Date.now() + 86400000).toISOString() }
+    });
+    const assignmentId = created.body.assignment.id;
+    const projects = [await createProject(owner), await createProject(stranger)];
+    for (const [user, projectId] of [[owner, projects[0]], [stranger, projects[1]]]) {
+      const submitted = await api(`${server.url}/assignments/${assignmentId}/submissions`, {
+        method: "POST",
+        token: user.token,
+        body: { project_id: projectId }
+      });
+      assert.equal(submitted.status, 201, JSON.stringify(submitted.body));
+    }
+    await grade(projects[0], { score: 17 });
+
+    const url = `${server.url}/assignments/${assignmentId}/grades/publish`;
+    assert.equal((await api(url, { method: "POST", token: owner.token })).status, 403);
+    const published = await api(url, { method: "POST", token: teacher.token });
+    assert.equal(published.status, 200);
+    assert.equal(published.body.published, 1);
+    assert.equal(published.body.ungraded, 1);
+
+    const seen = await api(`${server.url}/projects/${projects[0]}/grade`, { token: owner.token });
+    assert.equal(seen.body.grade.status, "published");
+  });
+
+  test("teachers export grades as CSV or XLSX", async () => {
+    const projectId = await createProject(stranger, {
+      section_id: sections.G.id,
+      group_id: sections.G.groups["1"],
+      full_name: "Grace Hopper",
+      matricule: "M-042"
+    });
+    await grade(projectId, { score: 18, status: "published" });
+
+    assert.equal((await api(`${server.url}/grades/export`, { token: owner.token })).status, 403);
+
+    const csv = await api(`${server.url}/grades/export?section=G&group=1`, { token: teacher.token });
+    assert.equal(csv.status, 200);
+    assert.match(csv.headers.get("content-type"), /^text\/csv/);
+    assert.match(csv.headers.get("content-disposition"), /grades-section-G-group-1\.csv/);
+    const lines = csv.body.trim().split("\r\n");
+    assert.equal(lines.length, 2);
+    assert.match(lines[1], /^M-042,Grace Hopper,grade_stranger,grade_stranger,G,1,/);
+
+    const drafts = await api(`${server.url}/grades/export?section=G&status=draft`, { token: teacher.token });
+    assert.equal(drafts.body.trim().split("\r\n").length, 1);
+
+    const xlsx = await fetch(`${server.url}/grades/export?format=xlsx`, {
+      headers: { Authorization: `Bearer ${teacher.token}` },
+      signal: AbortSignal.timeout(10000)
+    });
+    assert.equal(xlsx.status, 200);
+    assert.match(xlsx.headers.get("content-type"), /spreadsheetml/);
+    // XLSX files are zip archives
+    assert.equal(Buffer.from(await xlsx.arrayBuffer()).subarray(0, 2).toString(), "PK");
+  });
+});
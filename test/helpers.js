@@ -0,0 +1,270 @@
+import { spawn, execFileSync } from "node:child_process";
+import fs from "node:fs";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = path.join(path.dirname(__filename), "..");
+
+// How long the server gets to migrate its database and start listening
+const START_TIMEOUT_MS = 20000;
+// A request that gets no answer by then fails instead of stalling the test run
+const REQUEST_TIMEOUT_MS = 10000;
+
+// SQLite by default; DB_CLIENT=postgres with DATABASE_URL creates a throwaway database on that server
+const usePostgres = process.env.DB_CLIENT === "postgres";
+// Read once, since a test may point process.env at a throwaway database of its own
+const SERVER_URL = process.env.DATABASE_URL;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function adminQuery(text) {
+  const { default: pg } = await import("pg");
+  const client = new pg.Client({ connectionString: SERVER_URL });
+  await client.connect();
+  try {
+    await client.query(text);
+  } finally {
+    await client.end();
+  }
+}
+
+/**
+ * Create an empty throwaway database.
+ * @param {string} dir - Temporary directory (holds the SQLite file)
+ * @returns {Promise<{env: object, drop: () => Promise<void>}>} The variables that point the app at it
+ */
+export async function createDatabase(dir) {
+  if (!usePostgres) {
+    return { env: { DB_CLIENT: "sqlite", SQLITE_PATH: path.join(dir, "test.db") }, drop: async () => {} };
+  }
+  const name = `tic_test_${process.pid}_${Date.now()}`;
+  await adminQuery(`CREATE DATABASE ${name}`);
+  const url = new URL(SERVER_URL);
+  url.pathname = `/${name}`;
+  return {
+    env: { DB_CLIENT: "postgres", DATABASE_URL: url.toString() },
+    drop: () => adminQuery(`DROP DATABASE IF EXISTS ${name}`)
+  };
+}
+
+/**
+ * Start the app (index.js) in a child process on a throwaway database.
+ * Email verification is off and registration isn't throttled unless `env` says otherwise.
+ * Test accounts are brand new and review in quick succession, so the review checks
+ * for new accounts and bursts are off too.
+ * Project files are stored under `<dir>/uploads` and email is written to `<dir>/mail` (see readMail()).
+ * @param {Object<string, string>} [env] - Extra environment variables
+ * @returns {Promise<{url: string, dir: string, env: object, output: () => string, stop: () => Promise<void>}>}
+ */
+export async function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tic-test-"));
+  const port = await freePort();
+  const database = await createDatabase(dir);
+  // What scripts run against this server need to see the same data
+  const appEnv = {
+    ...database.env,
+    JWT_SECRET: "test-secret",
+    STORAGE_DRIVER: "local",
+    STORAGE_LOCAL_DIR: path.join(dir, "uploads")
+  };
+  let output = "";
+
+  const child = spawn(process.execPath, ["index.js"], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      ...appEnv,
+      PORT: String(port),
+      NODE_ENV: "test",
+      REQUIRE_EMAIL_VERIFICATION: "false",
+      RATE_LIMIT_REGISTER_IP: "1000/3600",
+      REVIEW_NEW_ACCOUNT_HOURS: "-1",
+      REVIEW_BURST_COUNT: "1000",
+      MAIL_DRIVER: "file",
+      MAIL_DIR: path.join(dir, "mail"),
+      CLOUDINARY_CLOUD_NAME: "",
+      ...env
+    },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  child.stdout.on("data", chunk => { output += chunk; });
+  child.stderr.on("data", chunk => { output += chunk; });
+
+  const exited = new Promise(resolve => child.once("exit", resolve));
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), START_TIMEOUT_MS);
+    child.stdout.on("data", () => {
+      if (output.includes("Server running")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    exited.then(code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}:\n${output}`));
+    });
+  });
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    dir,
+    env: appEnv,
+    output: () => output,
+    stop: async () => {
+      if (child.exitCode === null) child.kill();
+      await exited;
+      await database.drop();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Call the API and parse the JSON response.
+ * @param {string} url - Full URL
+ * @param {{method?: string, token?: string, body?: object|FormData}} [options]
+ * @returns {Promise<{status: number, body: any, headers: Headers}>}
+ */
+export async function api(url, { method = "GET", token, body } = {}) {
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (body && !(body instanceof FormData)) headers["Content-Type"] = "application/json";
+
+  const response = await fetch(url, {
+    method,
+    headers,
+    body: body instanceof FormData ? body : body && JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+  const text = await response.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    // Not JSON: keep the raw text
+  }
+  return { status: response.status, body: parsed, headers: response.headers };
+}
+
+/**
+ * Register a user and return their access token and id.
+ * @param {string} baseUrl
+ * @param {string} username
+ */
+export async function register(baseUrl, username) {
+  const { status, body } = await api(`${baseUrl}/auth/register`, {
+    method: "POST",
+    body: { username, email: `${username}@example.com`, password: "secret123" }
+  });
+  if (status !== 201) {
+    throw new Error(`Registering ${username} failed (${status}): ${JSON.stringify(body)}`);
+  }
+  return { token: body.token, id: body.user.id };
+}
+
+/**
+ * Log in with a username or email (password "secret123") and return the access token and user id.
+ * @param {string} baseUrl
+ * @param {string} identifier
+ */
+export async function login(baseUrl, identifier) {
+  const { status, body } = await api(`${baseUrl}/auth/login`, {
+    method: "POST",
+    body: { email: identifier, password: "secret123" }
+  });
+  if (status !== 200) {
+    throw new Error(`Logging in ${identifier} failed (${status}): ${JSON.stringify(body)}`);
+  }
+  return { token: body.token, id: body.user.id };
+}
+
+/**
+ * Give a user a role with scripts/set-role.js, on the server's database.
+ * Tokens carry the role, so log in again afterwards.
+ * @param {{env: object}} server - From startServer()
+ * @param {string} username
+ * @param {'student'|'teacher'|'admin'} role
+ */
+export function setRole(server, username, role) {
+  runScript(server, "set-role.js", [username, role]);
+}
+
+let sectionAdmins = 0;
+
+/**
+ * Create academic sections and their groups through the admin API, as a new admin account.
+ * @param {{url: string, env: object}} server - From startServer()
+ * @param {Object<string, string[]>} sections - Section name to the names of its groups
+ * @returns {Promise<Object<string, {id: number, groups: Object<string, number>}>>} Ids by name
+ */
+export async function createSections(server, sections) {
+  const username = `sections_admin${++sectionAdmins}`;
+  const { token } = await register(server.url, username);
+  setRole(server, username, "admin");
+
+  const created = {};
+  for (const [name, groups] of Object.entries(sections)) {
+    const section = await api(`${server.url}/academic/sections`, { method: "POST", token, body: { name } });
+    if (section.status !== 201) {
+      throw new Error(`Creating section ${name} failed (${section.status}): ${JSON.stringify(section.body)}`);
+    }
+    created[name] = { id: section.body.section.id, groups: {} };
+    for (const groupName of groups) {
+      const group = await api(`${server.url}/academic/groups`, {
+        method: "POST",
+        token,
+        body: { name: groupName, section_id: section.body.section.id }
+      });
+      if (group.status !== 201) {
+        throw new Error(`Creating group ${groupName} failed (${group.status}): ${JSON.stringify(group.body)}`);
+      }
+      created[name].groups[groupName] = group.body.group.id;
+    }
+  }
+  return created;
+}
+
+/**
+ * Run one of the scripts in scripts/ against a server's database and return what it printed.
+ * @param {{env: object}} target - From startServer() or createDatabase()
+ * @param {string} script - File name in scripts/
+ * @param {string[]} [args]
+ * @returns {string}
+ */
+export function runScript(target, script, args = []) {
+  return execFileSync(process.execPath, [path.join("scripts", script), ...args], {
+    cwd: ROOT,
+    env: { ...process.env, ...target.env },
+    encoding: "utf8",
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+}
+
+/**
+ * Messages the server emailed to an address, oldest first (MAIL_DRIVER=file).
+ * @param {{dir: string}} server - From startServer()
+ * @param {string} to
+ * @returns {Array<{to: string, subject: string, text: string}>}
+ */
+export function readMail(server, to) {
+  const mailDir = path.join(server.dir, "mail");
+  if (!fs.existsSync(mailDir)) return [];
+  return fs.readdirSync(mailDir)
+    .sort()
+    .map(file => JSON.parse(fs.readFileSync(path.join(mailDir, file), "utf8")))
+    .filter(message => message.to === to);
+}
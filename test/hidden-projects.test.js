@@ -0,0 +1,115 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, api, register, setRole } from "./helpers.js";
+
+let server;
+let owner;
+let other;
+let moderator;
+let projectId;
+
+before(async () => {
+  server = await startServer();
+  owner = await register(server.url, "hidden_owner");
+  other = await register(server.url, "hidden_other");
+  moderator = await register(server.url, "hidden_mod");
+  setRole(server, "hidden_mod", "teacher");
+
+  const created = await api(`${server.url}/projects`, {
+    method: "POST",
+    token: owner.token,
+    body: { title: "Hidden project", description: "A project a moderator hides" }
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  projectId = created.body.project.id;
+
+  const report = await api(`${server.url}/projects/${projectId}/report`, {
+    method: "POST",
+    token: other.token,
+    body: { reason: "This project breaks the rules" }
+  });
+  assert.equal(report.status, 201, JSON.stringify(report.body));
+
+  const hidden = await api(`${server.url}/moderation/reports/${report.body.report.id}/hide`, {
+    method: "POST",
+    token: moderator.token
+  });
+  assert.equal(hidden.status, 200, JSON.stringify(hidden.body));
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("a hidden project is not found for other users", async () => {
+  const response = await api(`${server.url}/projects/${projectId}`, { token: other.token });
+  assert.equal(response.status, 404);
+});
+
+test("a hidden project cannot be reviewed by users who cannot see it", async () => {
+  const response = await api(`${server.url}/projects/${projectId}/reviews`, {
+    method: "POST",
+    token: other.token,
+    body: { rating: 4, comment: "Still reachable by id" }
+  });
+  assert.equal(response.status, 404);
+});
+
+test("a hidden project cannot be reported by users who cannot see it", async () => {
+  const third = await register(server.url, "hidden_third");
+  const response = await api(`${server.url}/projects/${projectId}/report`, {
+    method: "POST",
+    token: third.token,
+    body: { reason: "Reporting content I should not see" }
+  });
+  assert.equal(response.status, 404);
+});
+
+test("the team and staff still see a hidden project", async () => {
+  assert.equal((await api(`${server.url}/projects/${projectId}`, { token: owner.token })).status, 200);
+  assert.equal((await api(`${server.url}/projects/${projectId}`, { token: moderator.token })).status, 200);
+});
+
+test("the whole team sees and answers the reviews of a hidden project", async () => {
+  const member = await register(server.url, "hidden_member");
+  const invited = await api(`${server.url}/projects/${projectId}/invitations`, {
+    method: "POST",
+    token: owner.token,
+    body: { username: "hidden_member" }
+  });
+  assert.equal(invited.status, 201, JSON.stringify(invited.body));
+  await api(`${server.url}/invitations/${invited.body.invitation.id}/accept`, { method: "POST", token: member.token });
+
+  const reviewed = await api(`${server.url}/projects/${projectId}/reviews`, {
+    method: "POST",
+    token: moderator.token,
+    body: { rating: 3, comment: "Reviewed while hidden" }
+  });
+  assert.equal(reviewed.status, 201, JSON.stringify(reviewed.body));
+  const reviewId = (await api(`${server.url}/projects/${projectId}/my-review`, { token: moderator.token })).body.review.id;
+
+  assert.equal((await api(`${server.url}/reviews/${reviewId}/replies`, { token: member.token })).status, 200);
+  assert.equal((await api(`${server.url}/reviews/${reviewId}/replies`, { token: other.token })).status, 404);
+  assert.equal((await api(`${server.url}/reviews/${reviewId}/vote`, { method: "DELETE", token: other.token })).status, 404);
+
+  const url = `${server.url}/reviews/${reviewId}/response`;
+  assert.equal((await api(url, { method: "PUT", token: other.token, body: { body: "Not mine" } })).status, 404);
+  const responded = await api(url, { method: "PUT", token: member.token, body: { body: "Thanks, we're on it" } });
+  assert.equal(responded.status, 201, JSON.stringify(responded.body));
+  assert.equal(responded.body.response.author_id, member.id);
+  assert.equal((await api(url, { method: "DELETE", token: member.token })).status, 200);
+});
+
+test("the reviews of a hidden project are not found for users who cannot see it", async () => {
+  assert.equal((await api(`${server.url}/projects/${projectId}/reviews`, { token: other.token })).status, 404);
+  assert.equal((await api(`${server.url}/projects/${projectId}/reviews`)).status, 404);
+  assert.equal((await api(`${server.url}/projects/${projectId}/my-review`, { token: other.token })).status, 404);
+
+  assert.equal((await api(`${server.url}/projects/${projectId}/reviews`, { token: owner.token })).status, 200);
+  assert.equal((await api(`${server.url}/projects/${projectId}/reviews`, { token: moderator.token })).status, 200);
+});
+
+test("the reviews of a project that does not exist are not found", async () => {
+  assert.equal((await api(`${server.url}/projects/999999/reviews`)).status, 404);
+  assert.equal((await api(`${server.url}/projects/999999/my-review`, { token: other.token })).status, 404);
+});
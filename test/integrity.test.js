@@ -0,0 +1,132 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, api, register, setRole } from "./helpers.js";
+
+let server;
+let moderator;
+let author;
+let projectId;
+
+before(async () => {
+  server = await startServer({ REVIEW_NEW_ACCOUNT_HOURS: "48", REVIEW_BURST_COUNT: "3" });
+  moderator = await register(server.url, "integ_moderator");
+  setRole(server, "integ_moderator", "admin");
+  author = await register(server.url, "integ_author");
+  projectId = await createProject(author, "Integrity project");
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+async function createProject(user, title) {
+  const created = await api(`${server.url}/projects`, {
+    method: "POST",
+    token: user.token,
+    body: { title, description: "A project for the review integrity tests" }
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  return created.body.project.id;
+}
+
+function review(user, project, rating) {
+  return api(`${server.url}/projects/${project}/reviews`, { method: "POST", token: user.token, body: { rating } });
+}
+
+async function reviewId(user, project) {
+  return (await api(`${server.url}/projects/${project}/my-review`, { token: user.token })).body.review.id;
+}
+
+async function openFlags() {
+  const response = await api(`${server.url}/moderation/flags`, { token: moderator.token });
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  return response.body.flags;
+}
+
+async function projectRating(project) {
+  const { body } = await api(`${server.url}/projects/${project}`);
+  return { avg_rating: Number(body.project.avg_rating), review_count: body.project.review_count };
+}
+
+test("authors cannot review their own project", async () => {
+  const response = await review(author, projectId, 5);
+  assert.equal(response.status, 403);
+  assert.match(response.body.error, /^You cannot review/);
+});
+
+test("an extreme rating from a new account is flagged and stops counting", async () => {
+  const fresh = await register(server.url, "integ_fresh");
+  assert.equal((await review(fresh, projectId, 5)).status, 201);
+  const id = await reviewId(fresh, projectId);
+
+  const flag = (await openFlags()).find(item => item.review_id === id);
+  assert.deepEqual(flag.reasons.map(reason => reason.code), ["new_account"]);
+  assert.equal(flag.review.reviewer_name, "integ_fresh");
+  assert.deepEqual(await projectRating(projectId), { avg_rating: 0, review_count: 0 });
+
+  // Flagged reviews are still listed, but only moderators see that they were flagged
+  const listed = await api(`${server.url}/projects/${projectId}/reviews`, { token: fresh.token });
+  assert.equal(listed.body.reviews.length, 1);
+  assert.equal("is_flagged" in listed.body.reviews[0], false);
+  const mine = await api(`${server.url}/projects/${projectId}/my-review`, { token: fresh.token });
+  assert.equal("is_flagged" in mine.body.review, false);
+});
+
+test("a cleared review counts again", async () => {
+  const id = (await openFlags())[0].review_id;
+  const cleared = await api(`${server.url}/moderation/flags/${id}/clear`, { method: "POST", token: moderator.token });
+  assert.equal(cleared.status, 200);
+  assert.equal((await api(`${server.url}/moderation/flags/${id}/clear`, { method: "POST", token: moderator.token })).status, 404);
+
+  assert.deepEqual(await projectRating(projectId), { avg_rating: 5, review_count: 1 });
+  const history = await api(`${server.url}/moderation/flags?status=cleared`, { token: moderator.token });
+  assert.deepEqual(history.body.flags.map(item => item.review_id), [id]);
+});
+
+test("a hidden flagged review is hidden from everyone else", async () => {
+  const other = await register(server.url, "integ_other");
+  await review(other, projectId, 1);
+  const id = await reviewId(other, projectId);
+
+  const hidden = await api(`${server.url}/moderation/flags/${id}/hide`, { method: "POST", token: moderator.token });
+  assert.equal(hidden.status, 200);
+  const listed = await api(`${server.url}/projects/${projectId}/reviews`);
+  assert.ok(!listed.body.reviews.some(item => item.id === id));
+  assert.deepEqual(await projectRating(projectId), { avg_rating: 5, review_count: 1 });
+});
+
+test("a burst of reviews from one account is flagged", async () => {
+  const busy = await register(server.url, "integ_busy");
+  const owner = await register(server.url, "integ_owner");
+  const projectIds = [];
+  for (const title of ["Burst one", "Burst two", "Burst three"]) {
+    projectIds.push(await createProject(owner, title));
+  }
+  for (const project of projectIds) {
+    await review(busy, project, 3);
+  }
+
+  const flagged = (await openFlags()).filter(item => item.review.reviewer_name === "integ_busy");
+  assert.deepEqual(flagged.map(item => item.review.project_id), [projectIds[2]]);
+  assert.deepEqual(flagged[0].reasons.map(reason => reason.code), ["review_burst"]);
+});
+
+test("two authors rating each other highly are both flagged", async () => {
+  const first = await register(server.url, "integ_first");
+  const second = await register(server.url, "integ_second");
+  const firstProject = await createProject(first, "First author's project");
+  const secondProject = await createProject(second, "Second author's project");
+
+  await review(first, secondProject, 4);
+  assert.equal((await openFlags()).some(item => item.review.reviewer_name === "integ_first"), false);
+  await review(second, firstProject, 4);
+
+  const flagged = (await openFlags()).filter(item => ["integ_first", "integ_second"].includes(item.review.reviewer_name));
+  assert.equal(flagged.length, 2);
+  assert.ok(flagged.every(item => item.reasons.some(reason => reason.code === "reciprocal_ratings")));
+});
+
+test("only moderators see the flags", async () => {
+  const response = await api(`${server.url}/moderation/flags`, { token: author.token });
+  assert.equal(response.status, 403);
+});
@@ -0,0 +1,101 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import jwt from "jsonwebtoken";
+
+const JWT_MODULE = new URL("../utils/jwt.js", import.meta.url).href;
+
+/**
+ * utils/jwt.js reads its keys once at import, so each configuration runs in its own process.
+ * @param {Object<string, string>} env - JWT_SECRET, JWT_KEYS, NODE_ENV
+ * @param {string} body - Module code with signToken and verifyToken in scope; prints its result
+ * @returns {string} What the code printed
+ */
+function withKeys(env, body) {
+  const code = `import { signToken, verifyToken } from ${JSON.stringify(JWT_MODULE)};\n${body}`;
+  const childEnv = { ...process.env, NODE_ENV: "test", ...env };
+  if (!("JWT_SECRET" in env)) delete childEnv.JWT_SECRET;
+  if (!("JWT_KEYS" in env)) delete childEnv.JWT_KEYS;
+
+  const output = execFileSync(process.execPath, ["--input-type=module", "-e", code], {
+    env: childEnv,
+    encoding: "utf8",
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  return output.trim();
+}
+
+// Prints whether verifyToken accepts TOKEN, and the error message if not
+const VERIFY = `
+try {
+  console.log(JSON.stringify({ ok: true, payload: verifyToken(TOKEN) }));
+} catch (err) {
+  console.log(JSON.stringify({ ok: false, error: err.message }));
+}`;
+
+function verify(env, token) {
+  return JSON.parse(withKeys(env, `const TOKEN = ${JSON.stringify(token)};${VERIFY}`));
+}
+
+test("JWT_SECRET alone signs without a kid and verifies tokens without one", () => {
+  const token = withKeys({ JWT_SECRET: "single" }, `console.log(signToken({ id: 1 }, { expiresIn: 60 }));`);
+  const decoded = jwt.decode(token, { complete: true });
+  assert.equal(decoded.header.kid, undefined);
+  assert.equal(decoded.header.alg, "HS256");
+  assert.doesNotThrow(() => jwt.verify(token, "single"));
+
+  assert.equal(verify({ JWT_SECRET: "single" }, token).ok, true);
+  assert.equal(verify({ JWT_SECRET: "other" }, token).ok, false);
+});
+
+test("the first JWT_KEYS entry signs, with its kid in the header", () => {
+  const token = withKeys({ JWT_KEYS: "2026-10:new-secret,2026-04:old-secret" }, `console.log(signToken({ id: 1 }, { expiresIn: 60 }));`);
+  assert.equal(jwt.decode(token, { complete: true }).header.kid, "2026-10");
+  assert.doesNotThrow(() => jwt.verify(token, "new-secret"));
+});
+
+test("every listed key verifies its own tokens while it is listed", () => {
+  const keys = { JWT_KEYS: "2026-10:new-secret,2026-04:old-secret" };
+  const old = jwt.sign({ id: 2 }, "old-secret", { keyid: "2026-04", expiresIn: 60 });
+  assert.equal(verify(keys, old).payload.id, 2);
+
+  // Once the old key is dropped, its tokens stop working
+  assert.match(verify({ JWT_KEYS: "2026-10:new-secret" }, old).error, /Unknown signing key "2026-04"/);
+
+  // A kid does not let a token pick some other key's secret
+  const forged = jwt.sign({ id: 3 }, "new-secret", { keyid: "2026-04", expiresIn: 60 });
+  assert.equal(verify(keys, forged).ok, false);
+});
+
+test("tokens without a kid need JWT_SECRET next to JWT_KEYS", () => {
+  const legacy = jwt.sign({ id: 4 }, "legacy-secret", { expiresIn: 60 });
+  assert.match(verify({ JWT_KEYS: "k1:new-secret" }, legacy).error, /no key id/);
+  assert.equal(verify({ JWT_KEYS: "k1:new-secret", JWT_SECRET: "legacy-secret" }, legacy).ok, true);
+});
+
+test("only HS256 is accepted", () => {
+  const hs512 = jwt.sign({ id: 5 }, "single", { algorithm: "HS512", expiresIn: 60 });
+  assert.equal(verify({ JWT_SECRET: "single" }, hs512).ok, false);
+
+  const unsigned = jwt.sign({ id: 5 }, null, { algorithm: "none" });
+  assert.equal(verify({ JWT_SECRET: "single" }, unsigned).ok, false);
+});
+
+test("expired tokens fail like jwt.verify", () => {
+  const expired = jwt.sign({ id: 6, exp: Math.floor(Date.now() / 1000) - 10 }, "single");
+  assert.match(verify({ JWT_SECRET: "single" }, expired).error, /jwt expired/);
+});
+
+test("malformed JWT_KEYS is refused", () => {
+  for (const value of ["no-separator", ":secret-without-kid", "bad kid:secret", "kid:"]) {
+    assert.throws(() => withKeys({ JWT_KEYS: value }, ""), /kid:secret pairs/, value);
+  }
+});
+
+test("production refuses to start without a secret; development falls back with a warning", () => {
+  assert.throws(() => withKeys({ NODE_ENV: "production" }, ""), /JWT_SECRET or JWT_KEYS must be set in production/);
+  assert.doesNotThrow(() => withKeys({ NODE_ENV: "production", JWT_KEYS: "k1:secret" }, ""));
+
+  const token = withKeys({ NODE_ENV: "development" }, `console.log(signToken({ id: 7 }, { expiresIn: 60 }));`);
+  assert.match(token.split("\n").at(-1), /^[\w-]+\.[\w-]+\.[\w-]+$/);
+});
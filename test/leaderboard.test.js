@@ -0,0 +1,120 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, api, register, createSections } from "./helpers.js";
+
+let server;
+let author;
+let reviewers;
+const projects = {};
+
+before(async () => {
+  server = await startServer();
+  await createSections(server, { X: ["1", "2"], Y: ["1"] });
+  author = await register(server.url, "board_author");
+  reviewers = [];
+  for (let index = 0; index < 6; index++) {
+    reviewers.push(await register(server.url, `board_reviewer${index}`));
+  }
+
+  // One 5-star review, fifty-ish 4.8s in miniature, and a weak project in another section
+  projects.single = await createProject("Single review", "X", "1");
+  projects.steady = await createProject("Steady reviews", "X", "2");
+  projects.weak = await createProject("Weak reviews", "Y", "1");
+  await review(reviewers[0], projects.single, 5);
+  for (const [index, rating] of [5, 5, 5, 4, 5].entries()) {
+    await review(reviewers[index], projects.steady, rating);
+  }
+  await review(reviewers[0], projects.weak, 2);
+  await review(reviewers[1], projects.weak, 2);
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+async function createProject(title, section, group) {
+  const created = await api(`${server.url}/projects`, {
+    method: "POST",
+    token: author.token,
+    body: { title, description: "A project for the leaderboard tests", section, group_number: group }
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  return created.body.project.id;
+}
+
+async function review(user, projectId, rating) {
+  const response = await api(`${server.url}/projects/${projectId}/reviews`, {
+    method: "POST",
+    token: user.token,
+    body: { rating }
+  });
+  assert.ok(response.status === 200 || response.status === 201, JSON.stringify(response.body));
+}
+
+async function leaderboard(query = "") {
+  const response = await api(`${server.url}/projects/leaderboard${query}`);
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  return response.body;
+}
+
+test("many good reviews outrank a single perfect one", async () => {
+  const board = await leaderboard();
+  assert.deepEqual(board.projects.map(project => project.id), [projects.steady, projects.single, projects.weak]);
+  assert.deepEqual(board.projects.map(project => project.rank), [1, 2, 3]);
+
+  // Prior mean (5 + 24 + 4) / 8 = 4.125, weighted as 5 reviews
+  assert.equal(board.method.name, "bayesian_average");
+  assert.equal(board.method.prior_mean, 4.13);
+  assert.equal(board.method.prior_weight, 5);
+  const [steady, single] = board.projects;
+  assert.equal(steady.score, 4.46);
+  assert.equal(steady.avg_rating, 4.8);
+  assert.equal(steady.review_count, 5);
+  assert.equal(single.score, 4.27);
+  assert.match(steady.explanation, /^\(5 × 4\.13 \+ 5 × 4\.8\) \/ \(5 \+ 5\) = 4\.46: the average of 5 reviews/);
+});
+
+test("rankings can be filtered by section, group and time window", async () => {
+  // The prior is the mean of the filtered projects: 29 / 6 in section X, which lifts the single 5
+  const sectionX = await leaderboard("?section=X");
+  assert.deepEqual(sectionX.projects.map(project => project.id), [projects.single, projects.steady]);
+  assert.equal(sectionX.method.prior_mean, 4.83);
+  assert.deepEqual(sectionX.filters, { section: "X", group: null, window: "all" });
+
+  const group1 = await leaderboard("?group=1");
+  assert.deepEqual(group1.projects.map(project => project.id), [projects.single, projects.weak]);
+
+  const week = await leaderboard("?window=week&section=Y");
+  assert.deepEqual(week.projects.map(project => project.id), [projects.weak]);
+
+  const invalid = await api(`${server.url}/projects/leaderboard?window=decade`);
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.fields[0].field, "window");
+});
+
+test("rankings are paginated", async () => {
+  const page = await leaderboard("?limit=1&page=2");
+  assert.deepEqual(page.projects.map(project => project.id), [projects.single]);
+  assert.equal(page.projects[0].rank, 2);
+  assert.equal(page.pagination.total, 3);
+});
+
+test("a new review is reflected immediately despite the cache", async () => {
+  const before = await leaderboard();
+  const cached = await leaderboard();
+  assert.equal(cached.generated_at, before.generated_at);
+
+  for (const reviewer of reviewers.slice(1)) {
+    await review(reviewer, projects.single, 5);
+  }
+  const after = await leaderboard();
+  assert.notEqual(after.generated_at, before.generated_at);
+  assert.equal(after.projects[0].id, projects.single);
+});
+
+test("a deleted project leaves the leaderboard", async () => {
+  await leaderboard();
+  const deleted = await api(`${server.url}/projects/${projects.weak}`, { method: "DELETE", token: author.token });
+  assert.equal(deleted.status, 200);
+  assert.ok(!(await leaderboard()).projects.some(project => project.id === projects.weak));
+});
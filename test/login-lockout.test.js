@@ -0,0 +1,55 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, api, register } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer({ LOGIN_MAX_FAILURES: "4", RATE_LIMIT_LOGIN_IP: "1000/900" });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+function login(email, password) {
+  return api(`${server.url}/auth/login`, { method: "POST", body: { email, password } });
+}
+
+test("an account locks after too many failed logins", async () => {
+  await register(server.url, "lock_user");
+
+  for (let attempt = 0; attempt < 4; attempt++) {
+    assert.equal((await login("lock_user", "wrong-password")).status, 401);
+  }
+
+  const locked = await login("lock_user", "secret123");
+  assert.equal(locked.status, 429);
+  assert.equal(locked.body.code, "ACCOUNT_LOCKED");
+  assert.ok(Number(locked.headers.get("retry-after")) > 0);
+});
+
+test("failures by email and by username count against the same account", async () => {
+  await register(server.url, "lock_both");
+
+  for (const identifier of ["lock_both@example.com", "lock_both", "lock_both@example.com", "lock_both"]) {
+    assert.equal((await login(identifier, "wrong-password")).status, 401);
+  }
+
+  assert.equal((await login("lock_both", "secret123")).body.code, "ACCOUNT_LOCKED");
+  assert.equal((await login("lock_both@example.com", "secret123")).body.code, "ACCOUNT_LOCKED");
+});
+
+test("a successful login clears earlier failures", async () => {
+  await register(server.url, "lock_reset");
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    await login("lock_reset", "wrong-password");
+  }
+  assert.equal((await login("lock_reset@example.com", "secret123")).status, 200);
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    assert.equal((await login("lock_reset", "wrong-password")).status, 401);
+  }
+  assert.equal((await login("lock_reset", "secret123")).status, 200);
+});
@@ -0,0 +1,72 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createDatabase, runScript } from "./helpers.js";
+
+const MIGRATIONS_DIR = new URL("../db/migrations/", import.meta.url);
+
+let dir;
+let database;
+let ids;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "tic-migrate-test-"));
+  database = await createDatabase(dir);
+  ids = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+    .sort()
+    .map(file => file.replace(/\.js$/, ""));
+});
+
+after(async () => {
+  await database?.drop();
+  if (dir) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/** Map each migration id to "applied" or "pending", as printed by `migrate status`. */
+function status() {
+  return Object.fromEntries(runScript(database, "migrate.js", ["status"])
+    .trim()
+    .split("\n")
+    .filter(line => /^\d+_/.test(line))
+    .map(line => line.split(/\s+/))
+    .map(([id, state]) => [id, state]));
+}
+
+test("a fresh database has every migration pending", () => {
+  assert.ok(ids.includes("001_initial_schema"));
+  assert.deepEqual(status(), Object.fromEntries(ids.map(id => [id, "pending"])));
+});
+
+test("up applies the pending migrations in order, once", () => {
+  const output = runScript(database, "migrate.js", ["up"]);
+  assert.deepEqual(
+    output.match(/Applied migration \S+/g),
+    ids.map(id => `Applied migration ${id}`)
+  );
+  assert.deepEqual(status(), Object.fromEntries(ids.map(id => [id, "applied"])));
+
+  assert.match(runScript(database, "migrate.js", ["up"]), /Database is up to date/);
+});
+
+test("down reverts the most recent migration, and up applies it again", () => {
+  const latest = ids.at(-1);
+  assert.match(runScript(database, "migrate.js", ["down"]), /Reverted 1 migration/);
+  assert.equal(status()[latest], "pending");
+
+  assert.match(runScript(database, "migrate.js", ["up"]), new RegExp(`Applied migration ${latest}`));
+  assert.equal(status()[latest], "applied");
+});
+
+test("down n reverts everything, leaving nothing to revert", () => {
+  assert.match(runScript(database, "migrate.js", ["down", String(ids.length)]), new RegExp(`Reverted ${ids.length} migration`));
+  assert.deepEqual(status(), Object.fromEntries(ids.map(id => [id, "pending"])));
+  assert.match(runScript(database, "migrate.js", ["down"]), /Nothing to revert/);
+});
+
+test("an unknown command or a bad step count fails", () => {
+  assert.throws(() => runScript(database, "migrate.js", ["sideways"]), /Unknown command/);
+  assert.throws(() => runScript(database, "migrate.js", ["down", "zero"]), /positive number of steps/);
+});
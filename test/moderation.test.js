@@ -0,0 +1,163 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, api, register, login, setRole } from "./helpers.js";
+
+let server;
+let author;
+let reporter;
+let second;
+let moderator;
+
+before(async () => {
+  server = await startServer();
+  author = await register(server.url, "mod_author");
+  reporter = await register(server.url, "mod_reporter");
+  second = await register(server.url, "mod_second");
+  await register(server.url, "mod_teacher");
+  setRole(server, "mod_teacher", "teacher");
+  moderator = await login(server.url, "mod_teacher");
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+async function createProject(title) {
+  const created = await api(`${server.url}/projects`, {
+    method: "POST",
+    token: author.token,
+    body: { title, description: "A project for the moderation tests" }
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  return created.body.project.id;
+}
+
+async function report(type, id, user, reason = "This breaks the rules") {
+  return api(`${server.url}/${type}/${id}/report`, { method: "POST", token: user.token, body: { reason } });
+}
+
+async function openReports(query = "") {
+  const queue = await api(`${server.url}/moderation/reports${query}`, { token: moderator.token });
+  assert.equal(queue.status, 200, JSON.stringify(queue.body));
+  return queue.body.reports;
+}
+
+test("a report needs a reason and existing content, once per reporter", async () => {
+  const projectId = await createProject("Reported once");
+
+  assert.equal((await report("projects", projectId, reporter, "bad")).status, 400);
+  assert.equal((await report("projects", 999999, reporter)).status, 404);
+  assert.equal((await api(`${server.url}/projects/${projectId}/report`, {
+    method: "POST",
+    body: { reason: "This breaks the rules" }
+  })).status, 401);
+
+  const first = await report("projects", projectId, reporter);
+  assert.equal(first.status, 201);
+  assert.equal(first.body.report.status, "open");
+  assert.equal((await report("projects", projectId, reporter)).status, 409);
+});
+
+test("only staff see the queue, with the reported content and its open report count", async () => {
+  const projectId = await createProject("Reported twice");
+  await report("projects", projectId, reporter);
+  await report("projects", projectId, second);
+
+  assert.equal((await api(`${server.url}/moderation/reports`, { token: reporter.token })).status, 403);
+  assert.equal((await api(`${server.url}/moderation/reports?status=lost`, { token: moderator.token })).status, 400);
+
+  const entries = (await openReports("?type=project")).filter(entry => entry.target_id === projectId);
+  assert.equal(entries.length, 2);
+  assert.equal(entries[0].open_reports_on_target, 2);
+  assert.equal(entries[0].target.title, "Reported twice");
+  assert.equal(entries[0].reporter.username, "mod_reporter");
+});
+
+test("hiding a project settles its reports and hides it from everyone but its author and staff", async () => {
+  const projectId = await createProject("Hidden by a moderator");
+  const first = await report("projects", projectId, reporter);
+  await report("projects", projectId, second);
+
+  const hidden = await api(`${server.url}/moderation/reports/${first.body.report.id}/hide`, {
+    method: "POST",
+    token: moderator.token
+  });
+  assert.equal(hidden.status, 200);
+  assert.equal(hidden.body.resolved_reports, 2);
+  assert.ok(!(await openReports()).some(entry => entry.target_id === projectId && entry.target_type === "project"));
+
+  const listed = async token => (await api(`${server.url}/projects`, { token })).body.projects.some(p => p.id === projectId);
+  assert.equal(await listed(), false);
+  assert.equal(await listed(reporter.token), false);
+  assert.equal(await listed(moderator.token), true);
+
+  assert.equal((await api(`${server.url}/projects/${projectId}`)).status, 404);
+  assert.equal((await api(`${server.url}/projects/${projectId}`, { token: author.token })).status, 200);
+  assert.equal((await api(`${server.url}/projects/${projectId}`, { token: moderator.token })).status, 200);
+
+  const again = await api(`${server.url}/moderation/reports/${first.body.report.id}/dismiss`, {
+    method: "POST",
+    token: moderator.token
+  });
+  assert.equal(again.status, 409);
+
+  const unhidden = await api(`${server.url}/moderation/projects/${projectId}/unhide`, {
+    method: "POST",
+    token: moderator.token
+  });
+  assert.equal(unhidden.status, 200);
+  assert.equal((await api(`${server.url}/projects/${projectId}`)).status, 200);
+});
+
+test("dismissing a report leaves the content alone", async () => {
+  const projectId = await createProject("Reported by mistake");
+  const filed = await report("projects", projectId, reporter);
+
+  const dismissed = await api(`${server.url}/moderation/reports/${filed.body.report.id}/dismiss`, {
+    method: "POST",
+    token: moderator.token
+  });
+  assert.equal(dismissed.status, 200);
+  assert.equal((await api(`${server.url}/projects/${projectId}`)).status, 200);
+
+  const history = await openReports("?status=dismissed");
+  assert.ok(history.some(entry => entry.id === filed.body.report.id));
+});
+
+test("a hidden review drops out of the project's reviews and rating", async () => {
+  const projectId = await createProject("Reviewed project");
+  await api(`${server.url}/projects/${projectId}/reviews`, {
+    method: "POST",
+    token: second.token,
+    body: { rating: 1, comment: "Something offensive" }
+  });
+  const [review] = (await api(`${server.url}/projects/${projectId}/reviews`)).body.reviews;
+
+  const filed = await report("reviews", review.id, reporter);
+  assert.equal(filed.status, 201);
+  await api(`${server.url}/moderation/reports/${filed.body.report.id}/hide`, { method: "POST", token: moderator.token });
+
+  assert.deepEqual((await api(`${server.url}/projects/${projectId}/reviews`)).body.reviews, []);
+  assert.equal((await api(`${server.url}/projects/${projectId}/reviews`, { token: moderator.token })).body.reviews.length, 1);
+  assert.equal((await api(`${server.url}/projects/${projectId}`)).body.project.review_count, 0);
+});
+
+test("deleting reported content removes it and keeps the report", async () => {
+  const projectId = await createProject("Deleted by a moderator");
+  const filed = await report("projects", projectId, reporter);
+
+  assert.equal((await api(`${server.url}/moderation/reports/${filed.body.report.id}/erase`, {
+    method: "POST",
+    token: moderator.token
+  })).status, 400);
+
+  const deleted = await api(`${server.url}/moderation/reports/${filed.body.report.id}/delete`, {
+    method: "POST",
+    token: moderator.token
+  });
+  assert.equal(deleted.status, 200);
+  assert.equal((await api(`${server.url}/projects/${projectId}`, { token: moderator.token })).status, 404);
+
+  const [entry] = (await openReports("?status=deleted")).filter(item => item.id === filed.body.report.id);
+  assert.equal(entry.target, null);
+});
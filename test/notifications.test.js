@@ -0,0 +1,150 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, api, register, setRole } from "./helpers.js";
+
+describe("notifications", () => {
+  let server;
+  let teacher;
+  let owner;
+  let member;
+  let reviewer;
+  let projectId;
+
+  before(async () => {
+    server = await startServer();
+    teacher = await register(server.url, "notify_teacher");
+    setRole(server, "notify_teacher", "teacher");
+    owner = await register(server.url, "notify_owner");
+    member = await register(server.url, "notify_member");
+    reviewer = await register(server.url, "notify_reviewer");
+
+    const form = new FormData();
+    form.append("title", "Noticed");
+    form.append("description", "A project people act on");
+    form.append("files", new Blob(["the work"], { type: "text/plain" }), "report.txt");
+    const created = await api(`${server.url}/projects`, { method: "POST", token: owner.token, body: form });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    projectId = created.body.project.id;
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  async function notifications(user, query = "") {
+    const list = await api(`${server.url}/notifications${query}`, { token: user.token });
+    assert.equal(list.status, 200);
+    return list.body.notifications;
+  }
+
+  async function unreadCount(user) {
+    return (await api(`${server.url}/notifications/unread-count`, { token: user.token })).body.count;
+  }
+
+  test("an invitation notifies the invitee, not the inviter", async () => {
+    const invited = await api(`${server.url}/projects/${projectId}/invitations`, {
+      method: "POST",
+      token: owner.token,
+      body: { username: "notify_member" }
+    });
+    assert.equal(invited.status, 201);
+
+    const [notification] = await notifications(member);
+    assert.equal(notification.type, "invitation_received");
+    assert.equal(notification.actor_name, "notify_owner");
+    assert.equal(notification.project_id, projectId);
+    assert.equal(notification.is_read, false);
+    assert.deepEqual(await notifications(owner), []);
+
+    await api(`${server.url}/invitations/${invited.body.invitation.id}/accept`, { method: "POST", token: member.token });
+  });
+
+  test("a review notifies the whole team", async () => {
+    const reviewed = await api(`${server.url}/projects/${projectId}/reviews`, {
+      method: "POST",
+      token: reviewer.token,
+      body: { rating: 4, comment: "Nice" }
+    });
+    assert.equal(reviewed.status, 201, JSON.stringify(reviewed.body));
+
+    for (const user of [owner, member]) {
+      const [notification] = await notifications(user);
+      assert.equal(notification.type, "review_received");
+      assert.match(notification.message, /notify_reviewer reviewed "Noticed" \(4\/5\)/);
+    }
+    assert.deepEqual(await notifications(reviewer), []);
+  });
+
+  test("notifications are marked as read one at a time or all at once", async () => {
+    assert.equal(await unreadCount(member), 2);
+    const [latest] = await notifications(member);
+
+    assert.equal((await api(`${server.url}/notifications/${latest.id}/read`, { method: "POST", token: owner.token })).status, 404);
+    const read = await api(`${server.url}/notifications/${latest.id}/read`, { method: "POST", token: member.token });
+    assert.equal(read.status, 200);
+    assert.equal(await unreadCount(member), 1);
+    assert.deepEqual((await notifications(member, "?unread=true")).map(notification => notification.type), ["invitation_received"]);
+
+    const all = await api(`${server.url}/notifications/read-all`, { method: "POST", token: member.token });
+    assert.equal(all.body.updated, 1);
+    assert.equal(await unreadCount(member), 0);
+    assert.equal((await notifications(member)).length, 2);
+  });
+
+  test("a published grade notifies the team once", async () => {
+    const url = `${server.url}/projects/${projectId}/grade`;
+    await api(url, { method: "PUT", token: teacher.token, body: { score: 12 } });
+    assert.equal(await unreadCount(member), 0);
+
+    await api(url, { method: "PUT", token: teacher.token, body: { score: 13, status: "published" } });
+    await api(url, { method: "PUT", token: teacher.token, body: { score: 14, status: "published" } });
+    const graded = (await notifications(member)).filter(notification => notification.type === "project_graded");
+    assert.equal(graded.length, 1);
+    assert.equal(graded[0].actor_name, "notify_teacher");
+  });
+
+  test("a report notifies the people behind the content without naming the reporter", async () => {
+    const reported = await api(`${server.url}/projects/${projectId}/report`, {
+      method: "POST",
+      token: reviewer.token,
+      body: { reason: "This breaks the rules" }
+    });
+    assert.equal(reported.status, 201);
+
+    const [notification] = await notifications(owner);
+    assert.equal(notification.type, "content_reported");
+    assert.equal(notification.actor_id, null);
+    assert.doesNotMatch(notification.message, /notify_reviewer/);
+  });
+
+  test("users can turn a type off", async () => {
+    const preferences = await api(`${server.url}/notifications/preferences`, { token: owner.token });
+    assert.ok(preferences.body.preferences.every(preference => preference.enabled));
+
+    const updated = await api(`${server.url}/notifications/preferences`, {
+      method: "PATCH",
+      token: owner.token,
+      body: { review_received: false }
+    });
+    assert.equal(updated.status, 200);
+    const off = updated.body.preferences.filter(preference => !preference.enabled).map(preference => preference.type);
+    assert.deepEqual(off, ["review_received"]);
+
+    const before = await unreadCount(owner);
+    const second = await register(server.url, "notify_second");
+    await api(`${server.url}/projects/${projectId}/reviews`, {
+      method: "POST",
+      token: second.token,
+      body: { rating: 5 }
+    });
+    assert.equal(await unreadCount(owner), before);
+    assert.equal((await notifications(member))[0].type, "review_received");
+
+    const invalid = await api(`${server.url}/notifications/preferences`, {
+      method: "PATCH",
+      token: owner.token,
+      body: { review_received: "sometimes" }
+    });
+    assert.equal(invalid.status, 400);
+  });
+});
@@ -0,0 +1,131 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { parsePagination, paginationMeta, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } from "../utils/pagination.js";
+import { startServer, api, register, createSections } from "./helpers.js";
+
+describe("parsePagination", () => {
+  test("defaults to the first page", () => {
+    assert.deepEqual(parsePagination({}), { page: 1, limit: DEFAULT_PAGE_SIZE, offset: 0 });
+  });
+
+  test("turns page and limit into an offset", () => {
+    assert.deepEqual(parsePagination({ page: "3", limit: "10" }), { page: 3, limit: 10, offset: 20 });
+  });
+
+  test("rejects pages and limits that are not positive integers in range", () => {
+    for (const page of ["0", "-1", "1.5", "abc", ""]) {
+      assert.match(parsePagination({ page }).error, /Page must be a positive integer/, `page=${page}`);
+    }
+    for (const limit of ["0", String(MAX_PAGE_SIZE + 1), "2.5", "many"]) {
+      assert.match(parsePagination({ limit }).error, /Limit must be an integer between 1 and/, `limit=${limit}`);
+    }
+  });
+});
+
+describe("paginationMeta", () => {
+  test("describes the page within the whole result", () => {
+    assert.deepEqual(paginationMeta({ page: 2, limit: 10 }, 25), {
+      page: 2,
+      limit: 10,
+      total: 25,
+      total_pages: 3,
+      has_next: true,
+      has_prev: true
+    });
+  });
+
+  test("has no pages for an empty result", () => {
+    assert.deepEqual(paginationMeta({ page: 1, limit: 10 }, 0), {
+      page: 1,
+      limit: 10,
+      total: 0,
+      total_pages: 0,
+      has_next: false,
+      has_prev: false
+    });
+  });
+});
+
+describe("GET /projects", () => {
+  let server;
+  let alice;
+  const titles = ["Delta", "alpha", "Charlie", "bravo", "Echo"];
+
+  before(async () => {
+    server = await startServer();
+    await createSections(server, { A: [], B: [] });
+    alice = await register(server.url, "page_alice");
+    const bob = await register(server.url, "page_bob");
+    const reviewer = await register(server.url, "page_reviewer");
+
+    for (const [index, title] of titles.entries()) {
+      const author = index < 3 ? alice : bob;
+      const created = await api(`${server.url}/projects`, {
+        method: "POST",
+        token: author.token,
+        body: { title, description: "A project for the listing tests", section: index % 2 ? "B" : "A" }
+      });
+      assert.equal(created.status, 201, JSON.stringify(created.body));
+      await api(`${server.url}/projects/${created.body.project.id}/reviews`, {
+        method: "POST",
+        token: reviewer.token,
+        body: { rating: index + 1 }
+      });
+    }
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  async function list(query) {
+    const response = await api(`${server.url}/projects?${query}`);
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    return response.body;
+  }
+
+  test("pages cover every project once", async () => {
+    const seen = [];
+    for (let page = 1; page <= 3; page++) {
+      const body = await list(`page=${page}&limit=2`);
+      assert.equal(body.pagination.total, titles.length);
+      assert.equal(body.pagination.total_pages, 3);
+      assert.equal(body.pagination.has_next, page < 3);
+      seen.push(...body.projects.map(project => project.title));
+    }
+    assert.deepEqual([...seen].sort(), [...titles].sort());
+  });
+
+  test("sorts by title case-insensitively, A-Z by default", async () => {
+    const body = await list("sort=title");
+    assert.equal(body.order, "asc");
+    assert.deepEqual(body.projects.map(project => project.title), ["alpha", "bravo", "Charlie", "Delta", "Echo"]);
+  });
+
+  test("sorts by rating, highest first by default", async () => {
+    const body = await list("sort=avg_rating");
+    assert.deepEqual(body.projects.map(project => project.avg_rating), [5, 4, 3, 2, 1]);
+    const ascending = await list("sort=avg_rating&order=asc&limit=1");
+    assert.equal(ascending.projects[0].title, "Delta");
+  });
+
+  test("filters by author, section and minimum rating", async () => {
+    assert.equal((await list("author=PAGE_ALICE")).pagination.total, 3);
+    assert.equal((await list(`author_id=${alice.id}&section=A`)).pagination.total, 2);
+    assert.deepEqual((await list("min_rating=4&sort=title")).projects.map(project => project.title), ["bravo", "Echo"]);
+  });
+
+  test("filters by creation date, a bare `to` date including that day", async () => {
+    const today = new Date().toISOString().slice(0, 10);
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    assert.equal((await list(`from=${today}&to=${today}`)).pagination.total, titles.length);
+    assert.equal((await list(`from=${tomorrow}`)).pagination.total, 0);
+  });
+
+  test("rejects invalid parameters with 400", async () => {
+    for (const query of ["page=0", "limit=500", "sort=author", "order=up", "author_id=me", "min_rating=6", "from=yesterday"]) {
+      const response = await api(`${server.url}/projects?${query}`);
+      assert.equal(response.status, 400, query);
+    }
+  });
+});
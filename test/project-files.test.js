@@ -0,0 +1,150 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { startServer, api, register } from "./helpers.js";
+
+let server;
+let owner;
+let other;
+let project;
+
+before(async () => {
+  server = await startServer();
+  owner = await register(server.url, "files_owner");
+  other = await register(server.url, "files_other");
+
+  const form = projectForm("Project with files");
+  form.append("files", textFile("first file"), "first.txt");
+  form.append("files", textFile("second file"), "second.txt");
+  const created = await api(`${server.url}/projects`, { method: "POST", token: owner.token, body: form });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  project = created.body.project;
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+function textFile(content) {
+  return new Blob([content], { type: "text/plain" });
+}
+
+function projectForm(title) {
+  const form = new FormData();
+  form.append("title", title);
+  form.append("description", "A project with several files");
+  return form;
+}
+
+async function served(file) {
+  const response = await fetch(server.url + file.download_url);
+  return response.text();
+}
+
+// What the local storage driver holds
+function storedKeys() {
+  return fs.readdirSync(path.join(server.dir, "uploads"));
+}
+
+async function currentFiles() {
+  return (await api(`${server.url}/projects/${project.id}`)).body.project.files;
+}
+
+test("a project is created with several files and their metadata", async () => {
+  assert.deepEqual(project.files.map(file => file.original_name), ["first.txt", "second.txt"]);
+  assert.equal(project.files[0].file_size, "first file".length);
+  assert.equal(await served(project.files[1]), "second file");
+
+  const listed = await api(`${server.url}/projects`);
+  const entry = listed.body.projects.find(item => item.id === project.id);
+  assert.equal(entry.files.length, 2);
+});
+
+test("files are added to an existing project by its owner only", async () => {
+  const form = new FormData();
+  form.append("files", textFile("third file"), "third.txt");
+
+  const byOther = await api(`${server.url}/projects/${project.id}/files`, { method: "POST", token: other.token, body: form });
+  assert.equal(byOther.status, 403);
+
+  const added = await api(`${server.url}/projects/${project.id}/files`, { method: "POST", token: owner.token, body: form });
+  assert.equal(added.status, 201);
+  assert.deepEqual(added.body.files.map(file => file.original_name), ["first.txt", "second.txt", "third.txt"]);
+
+  const empty = await api(`${server.url}/projects/${project.id}/files`, { method: "POST", token: owner.token, body: new FormData() });
+  assert.equal(empty.status, 400);
+
+  const missing = await api(`${server.url}/projects/999999/files`, { method: "POST", token: owner.token, body: form });
+  assert.equal(missing.status, 404);
+});
+
+test("a project cannot go over the file limit", async () => {
+  const form = new FormData();
+  for (let index = 0; index < 8; index++) {
+    form.append("files", textFile(`extra ${index}`), `extra-${index}.txt`);
+  }
+  const tooMany = await api(`${server.url}/projects/${project.id}/files`, { method: "POST", token: owner.token, body: form });
+  assert.equal(tooMany.status, 400);
+  assert.match(tooMany.body.error, /at most 10 files/);
+  assert.equal((await currentFiles()).length, 3);
+});
+
+test("a file is replaced in place and the old upload is removed", async () => {
+  const [first] = await currentFiles();
+  const form = new FormData();
+  form.append("file", textFile("replacement"), "replacement.txt");
+
+  const byOther = await api(`${server.url}/projects/${project.id}/files/${first.id}`, { method: "PUT", token: other.token, body: form });
+  assert.equal(byOther.status, 403);
+
+  const replaced = await api(`${server.url}/projects/${project.id}/files/${first.id}`, { method: "PUT", token: owner.token, body: form });
+  assert.equal(replaced.status, 200);
+  assert.equal(replaced.body.file.id, first.id);
+  assert.equal(replaced.body.file.original_name, "replacement.txt");
+  assert.equal(await served(replaced.body.file), "replacement");
+  assert.equal(storedKeys().length, (await currentFiles()).length);
+
+  const unknown = await api(`${server.url}/projects/${project.id}/files/999999`, { method: "PUT", token: owner.token, body: form });
+  assert.equal(unknown.status, 404);
+});
+
+test("a file is removed by the project owner", async () => {
+  const files = await currentFiles();
+  const last = files.at(-1);
+
+  const byOther = await api(`${server.url}/projects/${project.id}/files/${last.id}`, { method: "DELETE", token: other.token });
+  assert.equal(byOther.status, 403);
+
+  const removed = await api(`${server.url}/projects/${project.id}/files/${last.id}`, { method: "DELETE", token: owner.token });
+  assert.equal(removed.status, 200);
+  assert.equal((await currentFiles()).length, files.length - 1);
+  assert.equal(storedKeys().length, files.length - 1);
+
+  const again = await api(`${server.url}/projects/${project.id}/files/${last.id}`, { method: "DELETE", token: owner.token });
+  assert.equal(again.status, 404);
+});
+
+test("a file is downloaded under its original name and type", async () => {
+  const [file] = await currentFiles();
+  assert.equal("file_path" in file, false);
+
+  const response = await fetch(server.url + file.download_url);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get("content-type"), "text/plain; charset=utf-8");
+  assert.match(response.headers.get("content-disposition"), new RegExp(`filename="${file.original_name}"`));
+
+  const missing = await api(`${server.url}/projects/${project.id}/files/999999/download`);
+  assert.equal(missing.status, 404);
+});
+
+test("deleting a project removes its stored files", async () => {
+  const form = projectForm("Short-lived project");
+  form.append("files", textFile("temporary"), "temporary.txt");
+  const created = await api(`${server.url}/projects`, { method: "POST", token: owner.token, body: form });
+  const before = storedKeys().length;
+
+  const deleted = await api(`${server.url}/projects/${created.body.project.id}`, { method: "DELETE", token: owner.token });
+  assert.equal(deleted.status, 200);
+  assert.equal(storedKeys().length, before - 1);
+});
@@ -0,0 +1,59 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, api } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer({ RATE_LIMIT_REGISTER_IP: "2/3600", RATE_LIMIT_USER_SEARCH_IP: "3/60" });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+function registerUser(username) {
+  return api(`${server.url}/auth/register`, {
+    method: "POST",
+    body: { username, email: `${username}@example.com`, password: "secret123" }
+  });
+}
+
+test("requests over an IP limit get 429 with Retry-After", async () => {
+  assert.equal((await registerUser("limit_one")).status, 201);
+  assert.equal((await registerUser("limit_two")).status, 201);
+
+  const throttled = await registerUser("limit_three");
+  assert.equal(throttled.status, 429);
+  assert.equal(throttled.body.code, "RATE_LIMITED");
+  const retryAfter = Number(throttled.headers.get("retry-after"));
+  assert.ok(retryAfter > 0 && retryAfter <= 3600);
+  assert.equal(throttled.body.retry_after, retryAfter);
+});
+
+test("allowed requests report the remaining budget", async () => {
+  const first = await api(`${server.url}/users/search?q=limit`);
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get("ratelimit-limit"), "3");
+  assert.equal(first.headers.get("ratelimit-remaining"), "2");
+
+  await api(`${server.url}/users/search?q=limit`);
+  await api(`${server.url}/users/search?q=limit`);
+  assert.equal((await api(`${server.url}/users/search?q=limit`)).status, 429);
+});
+
+test("RATE_LIMIT_ENABLED=false turns throttling off", async () => {
+  const unthrottled = await startServer({ RATE_LIMIT_REGISTER_IP: "1/3600", RATE_LIMIT_ENABLED: "false" });
+  try {
+    for (const username of ["open_one", "open_two", "open_three"]) {
+      const response = await api(`${unthrottled.url}/auth/register`, {
+        method: "POST",
+        body: { username, email: `${username}@example.com`, password: "secret123" }
+      });
+      assert.equal(response.status, 201);
+      assert.equal(response.headers.get("ratelimit-limit"), null);
+    }
+  } finally {
+    await unthrottled.stop();
+  }
+});
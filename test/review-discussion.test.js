@@ -0,0 +1,176 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, api, register } from "./helpers.js";
+
+let server;
+let author;
+let first;
+let second;
+let voter;
+let projectId;
+let firstReview;
+let secondReview;
+
+before(async () => {
+  server = await startServer();
+  author = await register(server.url, "disc_author");
+  first = await register(server.url, "disc_first");
+  second = await register(server.url, "disc_second");
+  voter = await register(server.url, "disc_voter");
+
+  projectId = await createProject("Discussed project");
+  firstReview = await review(first, projectId, 4);
+  secondReview = await review(second, projectId, 2);
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+async function createProject(title) {
+  const created = await api(`${server.url}/projects`, {
+    method: "POST",
+    token: author.token,
+    body: { title, description: "A project for the review discussion tests" }
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  return created.body.project.id;
+}
+
+async function review(user, project, rating) {
+  const created = await api(`${server.url}/projects/${project}/reviews`, {
+    method: "POST",
+    token: user.token,
+    body: { rating, comment: "Review comment" }
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  const mine = await api(`${server.url}/projects/${project}/my-review`, { token: user.token });
+  return mine.body.review.id;
+}
+
+function vote(user, reviewId, helpful) {
+  return api(`${server.url}/reviews/${reviewId}/vote`, { method: "PUT", token: user.token, body: { helpful } });
+}
+
+function reply(user, reviewId, body, parentId) {
+  return api(`${server.url}/reviews/${reviewId}/replies`, {
+    method: "POST",
+    token: user.token,
+    body: parentId === undefined ? { body } : { body, parent_id: parentId }
+  });
+}
+
+async function listReviews(query = "", token) {
+  const response = await api(`${server.url}/projects/${projectId}/reviews${query}`, { token });
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  return response.body.reviews;
+}
+
+test("replies form a thread under the review", async () => {
+  const top = await reply(second, firstReview, "Why four stars?");
+  assert.equal(top.status, 201, JSON.stringify(top.body));
+  const answer = await reply(first, firstReview, "Good but unfinished", top.body.reply.id);
+  assert.equal(answer.status, 201);
+
+  const thread = await api(`${server.url}/reviews/${firstReview}/replies`);
+  assert.equal(thread.status, 200);
+  assert.equal(thread.body.replies.length, 1);
+  assert.equal(thread.body.replies[0].body, "Why four stars?");
+  assert.equal(thread.body.replies[0].replies[0].body, "Good but unfinished");
+  assert.equal(thread.body.replies[0].replies[0].author_name, "disc_first");
+});
+
+test("answering a reply of another review is refused", async () => {
+  const other = await reply(voter, secondReview, "Elsewhere");
+  const response = await reply(voter, firstReview, "Crossed", other.body.reply.id);
+  assert.equal(response.status, 404);
+});
+
+test("a deleted reply keeps its place in the thread", async () => {
+  const posted = await reply(voter, secondReview, "Soon gone");
+  await reply(second, secondReview, "Still here", posted.body.reply.id);
+
+  assert.equal((await api(`${server.url}/reviews/${secondReview}/replies/${posted.body.reply.id}`, {
+    method: "DELETE",
+    token: first.token
+  })).status, 403);
+  assert.equal((await api(`${server.url}/reviews/${secondReview}/replies/${posted.body.reply.id}`, {
+    method: "DELETE",
+    token: voter.token
+  })).status, 200);
+
+  const thread = await api(`${server.url}/reviews/${secondReview}/replies`);
+  const deleted = thread.body.replies.find(item => item.id === posted.body.reply.id);
+  assert.equal(deleted.is_deleted, true);
+  assert.equal(deleted.body, null);
+  assert.equal(deleted.replies[0].body, "Still here");
+});
+
+test("only the project team can respond, and responding again edits the response", async () => {
+  const url = `${server.url}/reviews/${firstReview}/response`;
+  assert.equal((await api(url, { method: "PUT", token: first.token, body: { body: "Not mine" } })).status, 403);
+
+  const posted = await api(url, { method: "PUT", token: author.token, body: { body: "Thanks!" } });
+  assert.equal(posted.status, 201);
+  const edited = await api(url, { method: "PUT", token: author.token, body: { body: "Thanks, fixed now" } });
+  assert.equal(edited.status, 200);
+  assert.equal(edited.body.response.id, posted.body.response.id);
+
+  const listed = (await listReviews()).find(item => item.id === firstReview);
+  assert.equal(listed.author_response.body, "Thanks, fixed now");
+  assert.equal(listed.author_response.author_name, "disc_author");
+  // The response is not counted as a reply
+  assert.equal(listed.reply_count, 2);
+
+  assert.equal((await api(url, { method: "DELETE", token: author.token })).status, 200);
+  assert.equal((await api(url, { method: "DELETE", token: author.token })).status, 404);
+  assert.equal((await listReviews()).find(item => item.id === firstReview).author_response, null);
+});
+
+test("votes are counted once per user and can be changed or taken back", async () => {
+  assert.equal((await vote(first, firstReview, true)).status, 403);
+
+  assert.deepEqual(
+    (await vote(voter, secondReview, true)).body,
+    { message: "Vote recorded", my_vote: true, helpful_count: 1, unhelpful_count: 0 }
+  );
+  const changed = await vote(voter, secondReview, false);
+  assert.equal(changed.body.helpful_count, 0);
+  assert.equal(changed.body.unhelpful_count, 1);
+
+  const mine = (await listReviews("", voter.token)).find(item => item.id === secondReview);
+  assert.equal(mine.my_vote, false);
+
+  const removed = await api(`${server.url}/reviews/${secondReview}/vote`, { method: "DELETE", token: voter.token });
+  assert.equal(removed.status, 200);
+  assert.equal(removed.body.my_vote, null);
+  assert.equal(removed.body.unhelpful_count, 0);
+
+  const missing = await api(`${server.url}/reviews/999999/vote`, { method: "DELETE", token: voter.token });
+  assert.equal(missing.status, 404);
+});
+
+test("reviews can be sorted by most helpful", async () => {
+  await vote(voter, secondReview, true);
+  await vote(author, secondReview, true);
+  await vote(second, firstReview, false);
+
+  assert.deepEqual((await listReviews()).map(item => item.id), [secondReview, firstReview]);
+  assert.deepEqual((await listReviews("?sort=oldest")).map(item => item.id), [firstReview, secondReview]);
+  assert.deepEqual((await listReviews("?sort=helpful")).map(item => item.id), [secondReview, firstReview]);
+  assert.deepEqual((await listReviews("?sort=rating")).map(item => item.id), [firstReview, secondReview]);
+
+  const invalid = await api(`${server.url}/projects/${projectId}/reviews?sort=loudest`);
+  assert.equal(invalid.status, 400);
+});
+
+test("a project with discussed reviews can still be deleted", async () => {
+  const doomed = await createProject("Doomed project");
+  const doomedReview = await review(first, doomed, 3);
+  await reply(second, doomedReview, "A reply");
+  await vote(voter, doomedReview, true);
+
+  const deleted = await api(`${server.url}/projects/${doomed}`, { method: "DELETE", token: author.token });
+  assert.equal(deleted.status, 200, JSON.stringify(deleted.body));
+  assert.equal((await api(`${server.url}/reviews/${doomedReview}/replies`)).status, 404);
+});
@@ -0,0 +1,123 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, api, register, login, setRole } from "./helpers.js";
+
+let server;
+let admin;
+let teacher;
+let student;
+let other;
+let projectId;
+
+before(async () => {
+  server = await startServer();
+  await register(server.url, "roles_admin");
+  await register(server.url, "roles_teacher");
+  student = await register(server.url, "roles_student");
+  other = await register(server.url, "roles_other");
+  setRole(server, "roles_admin", "admin");
+  setRole(server, "roles_teacher", "teacher");
+  admin = await login(server.url, "roles_admin");
+  teacher = await login(server.url, "roles_teacher");
+
+  const created = await api(`${server.url}/projects`, {
+    method: "POST",
+    token: student.token,
+    body: { title: "Roles project", description: "A project owned by a student" }
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  projectId = created.body.project.id;
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("new users are students, and the role is part of the session", async () => {
+  const registered = await api(`${server.url}/auth/register`, {
+    method: "POST",
+    body: { username: "roles_new", email: "roles_new@example.com", password: "secret123" }
+  });
+  assert.equal(registered.body.user.role, "student");
+
+  const me = await api(`${server.url}/users/me`, { token: teacher.token });
+  assert.equal(me.body.user.role, "teacher");
+});
+
+test("only admins can list users, optionally by role", async () => {
+  const forbidden = await api(`${server.url}/admin/users`, { token: teacher.token });
+  assert.equal(forbidden.status, 403);
+  assert.equal((await api(`${server.url}/admin/users`)).status, 401);
+
+  const all = await api(`${server.url}/admin/users`, { token: admin.token });
+  assert.equal(all.status, 200);
+  assert.ok(all.body.users.some(user => user.username === "roles_student"));
+
+  const teachers = await api(`${server.url}/admin/users?role=teacher`, { token: admin.token });
+  assert.deepEqual(teachers.body.users.map(user => user.username), ["roles_teacher"]);
+
+  const invalid = await api(`${server.url}/admin/users?role=dean`, { token: admin.token });
+  assert.equal(invalid.status, 400);
+});
+
+test("an admin changes roles, but not their own", async () => {
+  const promoted = await api(`${server.url}/admin/users/${other.id}/role`, {
+    method: "PUT",
+    token: admin.token,
+    body: { role: "teacher" }
+  });
+  assert.equal(promoted.status, 200);
+  assert.equal(promoted.body.user.role, "teacher");
+
+  const invalid = await api(`${server.url}/admin/users/${other.id}/role`, {
+    method: "PUT",
+    token: admin.token,
+    body: { role: "dean" }
+  });
+  assert.equal(invalid.status, 400);
+
+  const self = await api(`${server.url}/admin/users/${admin.id}/role`, {
+    method: "PUT",
+    token: admin.token,
+    body: { role: "student" }
+  });
+  assert.equal(self.status, 400);
+
+  const missing = await api(`${server.url}/admin/users/999999/role`, {
+    method: "PUT",
+    token: admin.token,
+    body: { role: "teacher" }
+  });
+  assert.equal(missing.status, 404);
+
+  const byTeacher = await api(`${server.url}/admin/users/${other.id}/role`, {
+    method: "PUT",
+    token: teacher.token,
+    body: { role: "admin" }
+  });
+  assert.equal(byTeacher.status, 403);
+});
+
+test("staff can edit projects they don't own, students cannot", async () => {
+  const update = { title: "Roles project", description: "Edited by someone else" };
+
+  const byStudent = await api(`${server.url}/projects/${projectId}`, {
+    method: "PUT",
+    token: (await register(server.url, "roles_stranger")).token,
+    body: update
+  });
+  assert.equal(byStudent.status, 403);
+
+  const byTeacher = await api(`${server.url}/projects/${projectId}`, {
+    method: "PUT",
+    token: teacher.token,
+    body: update
+  });
+  assert.equal(byTeacher.status, 200);
+});
+
+test("staff can delete projects they don't own", async () => {
+  const deleted = await api(`${server.url}/projects/${projectId}`, { method: "DELETE", token: admin.token });
+  assert.equal(deleted.status, 200);
+  assert.equal((await api(`${server.url}/projects/${projectId}`)).status, 404);
+});
@@ -0,0 +1,27 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, api } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test("unknown API paths answer 404 instead of hanging", async () => {
+  for (const pathname of ["/api/nope", "/academic/options", "/users/1/unknown", "/rubrics/1/unknown"]) {
+    const response = await api(server.url + pathname);
+    assert.equal(response.status, 404, pathname);
+    assert.equal(response.body.error, "Not found", pathname);
+  }
+});
+
+test("other paths fall back to the SPA entry page", async () => {
+  const response = await fetch(`${server.url}/some/page`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-type"), /text\/html/);
+});
@@ -0,0 +1,166 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { weightedScore, scoresError } from "../utils/rubrics.js";
+import { startServer, api, register, setRole, createSections } from "./helpers.js";
+
+describe("weightedScore", () => {
+  test("weights each value and leaves out missing ones", () => {
+    assert.equal(weightedScore([{ weight: 2, value: 5 }, { weight: 1, value: 2 }]), 4);
+    assert.equal(weightedScore([{ weight: 1, value: 3 }, { weight: 3, value: null }]), 3);
+    assert.equal(weightedScore([{ weight: 1, value: 1 }, { weight: 2, value: 2 }]), 1.67);
+  });
+
+  test("is null when nothing is scored", () => {
+    assert.equal(weightedScore([]), null);
+    assert.equal(weightedScore([{ weight: 1, value: null }]), null);
+  });
+});
+
+describe("scoresError", () => {
+  const criteria = [{ id: 1, name: "Originality" }, { id: 2, name: "Documentation" }];
+
+  test("accepts one score per criterion", () => {
+    assert.equal(scoresError(criteria, [{ criterion_id: 2, score: 3 }, { criterion_id: 1, score: 4 }]), null);
+  });
+
+  test("names what is wrong", () => {
+    assert.match(scoresError([], [{ criterion_id: 1, score: 3 }]), /has no rubric/);
+    assert.match(scoresError(criteria, [{ criterion_id: 9, score: 3 }]), /Criterion 9 is not part/);
+    assert.match(
+      scoresError(criteria, [{ criterion_id: 1, score: 3 }, { criterion_id: 1, score: 4 }]),
+      /Criterion 1 is scored more than once/
+    );
+    assert.equal(scoresError(criteria, [{ criterion_id: 1, score: 3 }]), "Scores are missing for: Documentation");
+  });
+});
+
+describe("rubric routes", () => {
+  let server;
+  let teacher;
+  let student;
+  let reviewer;
+  let projectId;
+  let originality;
+  let documentation;
+
+  before(async () => {
+    server = await startServer();
+    await createSections(server, { R: [] });
+    teacher = await register(server.url, "rubric_teacher");
+    setRole(server, "rubric_teacher", "teacher");
+    student = await register(server.url, "rubric_student");
+    reviewer = await register(server.url, "rubric_reviewer");
+
+    const created = await api(`${server.url}/projects`, {
+      method: "POST",
+      token: student.token,
+      body: { title: "Graded project", description: "A project for the rubric tests", section: "R" }
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    projectId = created.body.project.id;
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  function addCriterion(token, body) {
+    return api(`${server.url}/rubrics/criteria`, { method: "POST", token, body });
+  }
+
+  function submitReview(token, body) {
+    return api(`${server.url}/projects/${projectId}/reviews`, { method: "POST", token, body });
+  }
+
+  async function loadProject() {
+    const response = await api(`${server.url}/projects?section=R`);
+    return response.body.projects.find(project => project.id === projectId);
+  }
+
+  test("only staff define criteria", async () => {
+    const refused = await addCriterion(student.token, { section: "R", name: "Originality", weight: 2 });
+    assert.equal(refused.status, 403);
+
+    const first = await addCriterion(teacher.token, { section: "R", name: "Originality", weight: 2 });
+    assert.equal(first.status, 201, JSON.stringify(first.body));
+    originality = first.body.criterion;
+    const second = await addCriterion(teacher.token, { section: "R", name: "Documentation", weight: 1 });
+    documentation = second.body.criterion;
+
+    assert.equal(originality.position, 0);
+    assert.equal(documentation.position, 1);
+    const listed = await api(`${server.url}/rubrics?section=R`);
+    assert.deepEqual(listed.body.criteria.map(criterion => criterion.name), ["Originality", "Documentation"]);
+  });
+
+  test("a review must score every criterion of the section", async () => {
+    const incomplete = await submitReview(reviewer.token, { scores: [{ criterion_id: originality.id, score: 5 }] });
+    assert.equal(incomplete.status, 400);
+    assert.deepEqual(incomplete.body.fields, [
+      { location: "body", field: "scores", message: "Scores are missing for: Documentation" }
+    ]);
+
+    const invalid = await submitReview(reviewer.token, { scores: [{ criterion_id: originality.id, score: 9 }] });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.fields[0].field, "scores[0].score");
+
+    const unrated = await submitReview(reviewer.token, { comment: "No rating" });
+    assert.equal(unrated.status, 400);
+    assert.equal(unrated.body.fields[0].field, "rating");
+  });
+
+  test("the rating defaults to the rounded weighted score", async () => {
+    const response = await submitReview(reviewer.token, {
+      scores: [{ criterion_id: originality.id, score: 5 }, { criterion_id: documentation.id, score: 2 }]
+    });
+    assert.equal(response.status, 201, JSON.stringify(response.body));
+
+    const mine = await api(`${server.url}/projects/${projectId}/my-review`, { token: reviewer.token });
+    assert.equal(mine.body.review.rating, 4);
+    assert.deepEqual(mine.body.review.scores.map(({ name, score }) => ({ name, score })), [
+      { name: "Originality", score: 5 },
+      { name: "Documentation", score: 2 }
+    ]);
+  });
+
+  test("projects report the weighted score and per-criterion averages", async () => {
+    await submitReview(teacher.token, {
+      rating: 2,
+      scores: [{ criterion_id: originality.id, score: 3 }, { criterion_id: documentation.id, score: 4 }]
+    });
+
+    const project = await loadProject();
+    assert.equal(Number(project.avg_rating), 3);
+    assert.deepEqual(project.criteria_averages.map(({ name, average, score_count }) => ({ name, average, score_count })), [
+      { name: "Originality", average: 4, score_count: 2 },
+      { name: "Documentation", average: 3, score_count: 2 }
+    ]);
+    assert.equal(project.rubric_score, 3.67);
+  });
+
+  test("archived criteria leave review forms and overall scores", async () => {
+    const archived = await api(`${server.url}/rubrics/criteria/${documentation.id}`, { method: "DELETE", token: teacher.token });
+    assert.equal(archived.status, 200);
+
+    const listed = await api(`${server.url}/rubrics?section=R`);
+    assert.deepEqual(listed.body.criteria.map(criterion => criterion.name), ["Originality"]);
+    const project = await loadProject();
+    assert.equal(project.criteria_averages.length, 1);
+    assert.equal(project.rubric_score, 4);
+  });
+
+  test("projects of sections without a rubric take a single rating", async () => {
+    const created = await api(`${server.url}/projects`, {
+      method: "POST",
+      token: student.token,
+      body: { title: "Ungraded project", description: "A project in a section without a rubric" }
+    });
+    const response = await api(`${server.url}/projects/${created.body.project.id}/reviews`, {
+      method: "POST",
+      token: reviewer.token,
+      body: { scores: [{ criterion_id: originality.id, score: 3 }] }
+    });
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /has no rubric/);
+  });
+});
@@ -0,0 +1,148 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { searchTerms } from "../utils/search.js";
+import { startServer, api, register, login, setRole } from "./helpers.js";
+
+describe("searchTerms", () => {
+  test("keeps lower-cased words and drops query syntax", () => {
+    assert.deepEqual(searchTerms(`Solar "panel" OR tracker* -(x)`), ["solar", "panel", "or", "tracker", "x"]);
+    assert.deepEqual(searchTerms("Énergie ÉOLIENNE 2024"), ["énergie", "éolienne", "2024"]);
+    assert.deepEqual(searchTerms("!!! ***"), []);
+  });
+
+  test("keeps at most ten terms", () => {
+    assert.equal(searchTerms("a b c d e f g h i j k l").length, 10);
+  });
+});
+
+describe("GET /projects/search", () => {
+  let server;
+  let author;
+  let teacher;
+  const ids = {};
+
+  async function createProject(key, fields, files = []) {
+    const form = new FormData();
+    form.append("title", fields.title);
+    form.append("description", fields.description);
+    if (fields.section) form.append("section", fields.section);
+    for (const [name, content] of files) {
+      form.append("files", new Blob([content], { type: "text/plain" }), name);
+    }
+    const created = await api(`${server.url}/projects`, { method: "POST", token: author.token, body: form });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    ids[key] = created.body.project.id;
+  }
+
+  async function search(q, token) {
+    const response = await api(`${server.url}/projects/search?q=${encodeURIComponent(q)}`, { token });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    return response.body;
+  }
+
+  before(async () => {
+    server = await startServer();
+    author = await register(server.url, "search_author");
+    await register(server.url, "search_teacher");
+    setRole(server, "search_teacher", "teacher");
+    teacher = await login(server.url, "search_teacher");
+
+    await createProject("inTitle", { title: "Solar tracker", description: "Follows the sun across the sky" });
+    await createProject("inDescription", { title: "Weather station", description: "Measures wind next to a solar panel" });
+    await createProject("inFile", { title: "Irrigation", description: "Waters the school garden" }, [
+      ["report.txt", "Soil humidity is read by a capacitive probe"]
+    ]);
+    await createProject("escaped", { title: "Robots <script>", description: "A line-following robot & friends" });
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  test("ranks title matches above description matches", async () => {
+    const body = await search("solar");
+    assert.deepEqual(body.results.map(result => result.id), [ids.inTitle, ids.inDescription]);
+    assert.ok(body.results[0].relevance > body.results[1].relevance);
+    assert.equal(body.pagination.total, 2);
+  });
+
+  test("requires every term, the last one also as a prefix", async () => {
+    assert.deepEqual((await search("solar pan")).results.map(result => result.id), [ids.inDescription]);
+    assert.deepEqual((await search("weath")).results.map(result => result.id), [ids.inDescription]);
+  });
+
+  test("finds text inside uploaded files", async () => {
+    const body = await search("capacitive");
+    assert.deepEqual(body.results.map(result => result.id), [ids.inFile]);
+    assert.match(body.results[0].highlights.snippet, /<mark>capacitive<\/mark>/);
+  });
+
+  test("finds projects by author name", async () => {
+    assert.equal((await search("search_author")).pagination.total, 4);
+  });
+
+  test("keeps the search index out of project responses", async () => {
+    const updated = await api(`${server.url}/projects/${ids.inFile}`, {
+      method: "PUT",
+      token: author.token,
+      body: { title: "Irrigation", description: "Waters the school garden" }
+    });
+    assert.equal(updated.status, 200);
+    assert.equal("search_vector" in updated.body.project, false);
+
+    const profile = await api(`${server.url}/users/${author.id}`);
+    assert.equal(profile.status, 200);
+    assert.ok(profile.body.projects.length > 0);
+    assert.ok(profile.body.projects.every(item => !("search_vector" in item)));
+  });
+
+  test("highlights matches in escaped HTML", async () => {
+    const [result] = (await search("robots")).results;
+    assert.equal(result.highlights.title, "<mark>Robots</mark> &lt;script&gt;");
+  });
+
+  test("follows edits and deletions", async () => {
+    const updated = await api(`${server.url}/projects/${ids.inTitle}`, {
+      method: "PUT",
+      token: author.token,
+      body: { title: "Sun follower", description: "Follows the sun across the sky" }
+    });
+    assert.equal(updated.status, 200);
+    assert.deepEqual((await search("solar")).results.map(result => result.id), [ids.inDescription]);
+    assert.deepEqual((await search("follower")).results.map(result => result.id), [ids.inTitle]);
+
+    await api(`${server.url}/projects/${ids.inTitle}`, { method: "DELETE", token: author.token });
+    assert.equal((await search("follower")).pagination.total, 0);
+  });
+
+  test("follows a change of the author's username", async () => {
+    const renamed = await api(`${server.url}/users/me`, {
+      method: "PUT",
+      token: author.token,
+      body: { username: "renamed_author" }
+    });
+    assert.equal(renamed.status, 200, JSON.stringify(renamed.body));
+    assert.equal((await search("renamed_author")).pagination.total, 3);
+    assert.equal((await search("search_author")).pagination.total, 0);
+  });
+
+  test("leaves hidden projects to staff", async () => {
+    const reporter = await register(server.url, "search_reporter");
+    const report = await api(`${server.url}/projects/${ids.escaped}/report`, {
+      method: "POST",
+      token: reporter.token,
+      body: { reason: "This breaks the rules" }
+    });
+    await api(`${server.url}/moderation/reports/${report.body.report.id}/hide`, { method: "POST", token: teacher.token });
+
+    assert.equal((await search("robots")).pagination.total, 0);
+    assert.equal((await search("robots", teacher.token)).pagination.total, 1);
+  });
+
+  test("rejects empty and overlong queries", async () => {
+    for (const q of ["", "***", "x".repeat(201)]) {
+      const response = await api(`${server.url}/projects/search?q=${q}`);
+      assert.equal(response.status, 400, q.slice(0, 10));
+    }
+  });
+});
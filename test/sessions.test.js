@@ -0,0 +1,145 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import { startServer, api, register } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+async function loginSession(username, password = "secret123") {
+  const response = await api(`${server.url}/auth/login`, { method: "POST", body: { email: username, password } });
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  return response.body;
+}
+
+function me(token) {
+  return api(`${server.url}/auth/me`, { token });
+}
+
+function refresh(refreshToken) {
+  return api(`${server.url}/auth/refresh`, { method: "POST", body: { refresh_token: refreshToken } });
+}
+
+test("login returns a short-lived access token and a refresh token", async () => {
+  await register(server.url, "session_login");
+  const session = await loginSession("session_login");
+  assert.equal(session.expires_in, 15 * 60);
+  assert.equal(typeof session.refresh_token, "string");
+  assert.equal(jwt.decode(session.token).sid, session.session_id);
+  assert.equal((await me(session.token)).status, 200);
+});
+
+test("a refresh token is exchanged once for a new pair", async () => {
+  await register(server.url, "session_rotate");
+  const session = await loginSession("session_rotate");
+
+  const rotated = await refresh(session.refresh_token);
+  assert.equal(rotated.status, 200);
+  assert.notEqual(rotated.body.refresh_token, session.refresh_token);
+  assert.equal(rotated.body.session_id, session.session_id);
+  assert.equal((await me(rotated.body.token)).status, 200);
+
+  assert.equal((await refresh("not-a-token")).status, 401);
+});
+
+test("replaying a rotated refresh token ends the session", async () => {
+  await register(server.url, "session_replay");
+  const session = await loginSession("session_replay");
+  const rotated = (await refresh(session.refresh_token)).body;
+
+  assert.equal((await refresh(session.refresh_token)).status, 401);
+  assert.equal((await refresh(rotated.refresh_token)).status, 401);
+
+  const ended = await me(rotated.token);
+  assert.equal(ended.status, 401);
+  assert.equal(ended.body.code, "SESSION_ENDED");
+});
+
+test("logout ends the session by access or refresh token", async () => {
+  await register(server.url, "session_logout");
+  const first = await loginSession("session_logout");
+  const second = await loginSession("session_logout");
+
+  assert.equal((await api(`${server.url}/auth/logout`, { method: "POST", token: first.token })).status, 200);
+  assert.equal((await me(first.token)).status, 401);
+  assert.equal((await me(second.token)).status, 200);
+
+  const byRefresh = await api(`${server.url}/auth/logout`, { method: "POST", body: { refresh_token: second.refresh_token } });
+  assert.equal(byRefresh.status, 200);
+  assert.equal((await me(second.token)).status, 401);
+  assert.equal((await refresh(second.refresh_token)).status, 401);
+
+  assert.equal((await api(`${server.url}/auth/logout`, { method: "POST" })).status, 401);
+});
+
+test("sessions are listed and can be ended one by one or all at once", async () => {
+  await register(server.url, "session_list");
+  const first = await loginSession("session_list");
+  const second = await loginSession("session_list");
+  const third = await loginSession("session_list");
+
+  const listed = await api(`${server.url}/auth/sessions`, { token: first.token });
+  assert.equal(listed.status, 200);
+  const ids = listed.body.sessions.map(session => session.id);
+  assert.ok([first, second, third].every(session => ids.includes(session.session_id)));
+  assert.deepEqual(listed.body.sessions.filter(session => session.current).map(session => session.id), [first.session_id]);
+
+  const revoked = await api(`${server.url}/auth/sessions/${second.session_id}`, { method: "DELETE", token: first.token });
+  assert.equal(revoked.status, 200);
+  assert.equal((await me(second.token)).status, 401);
+  assert.equal((await api(`${server.url}/auth/sessions/${second.session_id}`, { method: "DELETE", token: first.token })).status, 404);
+
+  const all = await api(`${server.url}/auth/logout-all`, { method: "POST", token: first.token });
+  assert.equal(all.status, 200);
+  // Registering started a session too
+  assert.equal(all.body.revoked_sessions, 3);
+  assert.equal((await me(first.token)).status, 401);
+  assert.equal((await me(third.token)).status, 401);
+});
+
+test("another user's session cannot be ended", async () => {
+  await register(server.url, "session_owner");
+  await register(server.url, "session_intruder");
+  const owner = await loginSession("session_owner");
+  const intruder = await loginSession("session_intruder");
+
+  const attempt = await api(`${server.url}/auth/sessions/${owner.session_id}`, { method: "DELETE", token: intruder.token });
+  assert.equal(attempt.status, 404);
+  assert.equal((await me(owner.token)).status, 200);
+});
+
+test("changing the password ends every session", async () => {
+  await register(server.url, "session_password");
+  const other = await loginSession("session_password");
+  const current = await loginSession("session_password");
+
+  const changed = await api(`${server.url}/auth/change-password`, {
+    method: "POST",
+    token: current.token,
+    body: { currentPassword: "secret123", newPassword: "newsecret456" }
+  });
+  assert.equal(changed.status, 200, JSON.stringify(changed.body));
+  assert.equal((await me(other.token)).status, 401);
+  assert.equal((await refresh(other.refresh_token)).status, 401);
+  assert.equal((await me((await loginSession("session_password", "newsecret456")).token)).status, 200);
+});
+
+test("expired and session-less access tokens are refused", async () => {
+  const { id } = await register(server.url, "session_tokens");
+  const session = await loginSession("session_tokens");
+
+  const expired = jwt.sign({ id, sid: session.session_id, exp: Math.floor(Date.now() / 1000) - 60 }, "test-secret");
+  const expiredResponse = await me(expired);
+  assert.equal(expiredResponse.status, 401);
+  assert.equal(expiredResponse.body.code, "TOKEN_EXPIRED");
+
+  const withoutSession = jwt.sign({ id, username: "session_tokens" }, "test-secret");
+  assert.equal((await me(withoutSession)).status, 401);
+});
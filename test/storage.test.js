@@ -0,0 +1,80 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { text } from "node:stream/consumers";
+import { startS3Server } from "./fixtures/s3-server.js";
+
+// Both drivers must behave the same. The S3 driver runs against an in-process stand-in,
+// or against a real service (e.g. MinIO) when S3_ENDPOINT, S3_BUCKET and the keys are set.
+let tempDir;
+let s3Server;
+let drivers;
+let source;
+
+const CONTENT = "0123456789abcdefghij";
+
+before(async () => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "tic-storage-test-"));
+  source = path.join(tempDir, "source.txt");
+  fs.writeFileSync(source, CONTENT);
+
+  if (!process.env.S3_ENDPOINT) {
+    s3Server = await startS3Server();
+    Object.assign(process.env, {
+      S3_ENDPOINT: s3Server.endpoint,
+      S3_BUCKET: "tic-test",
+      S3_ACCESS_KEY_ID: "test",
+      S3_SECRET_ACCESS_KEY: "test-secret"
+    });
+  }
+  process.env.STORAGE_DRIVER = "s3";
+  process.env.STORAGE_LOCAL_DIR = path.join(tempDir, "local");
+  // Keeps runs against a shared bucket apart
+  process.env.S3_PREFIX = `tic-test-${process.pid}-${Date.now()}`;
+
+  const { getDriver } = await import("../storage/index.js");
+  drivers = { local: getDriver("local"), s3: getDriver("s3") };
+});
+
+after(async () => {
+  await s3Server?.close();
+  if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+for (const name of ["local", "s3"]) {
+  describe(`${name} storage driver`, () => {
+    const key = `projects/${name}-file.txt`;
+
+    test("stores a file and reports its size", async () => {
+      await drivers[name].put(key, source, { contentType: "text/plain" });
+      assert.deepEqual(await drivers[name].stat(key), { size: CONTENT.length });
+    });
+
+    test("reads the whole file", async () => {
+      const { stream, size } = await drivers[name].get(key);
+      assert.equal(size, CONTENT.length);
+      assert.equal(await text(stream), CONTENT);
+    });
+
+    test("reads an inclusive byte range and still reports the full size", async () => {
+      const { stream, size } = await drivers[name].get(key, { start: 2, end: 5 });
+      assert.equal(size, CONTENT.length);
+      assert.equal(await text(stream), "2345");
+    });
+
+    test("lists stored keys", async () => {
+      const keys = await drivers[name].list();
+      const entry = keys.find(item => item.key === key);
+      assert.ok(entry, `${key} is listed`);
+      assert.ok(!Number.isNaN(new Date(entry.lastModified).getTime()));
+    });
+
+    test("removes a file, and ignores files that are already gone", async () => {
+      await drivers[name].remove(key);
+      assert.equal(await drivers[name].stat(key), null);
+      await drivers[name].remove(key);
+    });
+  });
+}
@@ -0,0 +1,153 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, api, register } from "./helpers.js";
+
+let server;
+let owner;
+let member;
+let outsider;
+let projectId;
+
+before(async () => {
+  server = await startServer();
+  owner = await register(server.url, "team_owner");
+  member = await register(server.url, "team_member");
+  outsider = await register(server.url, "team_outsider");
+
+  const created = await api(`${server.url}/projects`, {
+    method: "POST",
+    token: owner.token,
+    body: { title: "Team project", description: "A project for the team tests" }
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  projectId = created.body.project.id;
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+function invite(user, username) {
+  return api(`${server.url}/projects/${projectId}/invitations`, { method: "POST", token: user.token, body: { username } });
+}
+
+async function myInvitations(user) {
+  const response = await api(`${server.url}/invitations`, { token: user.token });
+  assert.equal(response.status, 200);
+  return response.body.invitations;
+}
+
+test("a new project has its author as owner", async () => {
+  const { body } = await api(`${server.url}/projects/${projectId}`);
+  assert.deepEqual(body.project.members.map(({ username, role }) => ({ username, role })), [
+    { username: "team_owner", role: "owner" }
+  ]);
+});
+
+test("only the owner invites, by username", async () => {
+  assert.equal((await invite(outsider, "team_member")).status, 403);
+  assert.equal((await invite(owner, "nobody_here")).status, 404);
+  assert.equal((await invite(owner, "team_owner")).status, 409);
+
+  const sent = await invite(owner, "TEAM_MEMBER");
+  assert.equal(sent.status, 201, JSON.stringify(sent.body));
+  assert.equal(sent.body.invitation.invitee_id, member.id);
+  assert.equal((await invite(owner, "team_member")).status, 409);
+
+  const pending = await api(`${server.url}/projects/${projectId}/invitations`, { token: owner.token });
+  assert.deepEqual(pending.body.invitations.map(invitation => invitation.invitee_name), ["team_member"]);
+  assert.equal((await api(`${server.url}/projects/${projectId}/invitations`, { token: outsider.token })).status, 403);
+});
+
+test("accepting an invitation joins the team", async () => {
+  const [invitation] = await myInvitations(member);
+  assert.equal(invitation.project_title, "Team project");
+  assert.equal(invitation.inviter_name, "team_owner");
+
+  // Only the invitee can answer
+  assert.equal((await api(`${server.url}/invitations/${invitation.id}/accept`, { method: "POST", token: outsider.token })).status, 404);
+  const accepted = await api(`${server.url}/invitations/${invitation.id}/accept`, { method: "POST", token: member.token });
+  assert.equal(accepted.status, 200);
+  assert.equal(accepted.body.project_id, projectId);
+  assert.deepEqual(await myInvitations(member), []);
+
+  const { body } = await api(`${server.url}/projects/${projectId}`);
+  assert.deepEqual(body.project.members.map(({ username, role }) => ({ username, role })), [
+    { username: "team_owner", role: "owner" },
+    { username: "team_member", role: "member" }
+  ]);
+});
+
+test("members edit the project but cannot delete it, invite or review it", async () => {
+  const edited = await api(`${server.url}/projects/${projectId}`, {
+    method: "PATCH",
+    token: member.token,
+    body: { title: "Team project, edited" }
+  });
+  assert.equal(edited.status, 200, JSON.stringify(edited.body));
+  assert.equal((await api(`${server.url}/projects/${projectId}`, {
+    method: "PATCH",
+    token: outsider.token,
+    body: { title: "Not my project" }
+  })).status, 403);
+
+  assert.equal((await api(`${server.url}/projects/${projectId}`, { method: "DELETE", token: member.token })).status, 403);
+  assert.equal((await invite(member, "team_outsider")).status, 403);
+  const reviewed = await api(`${server.url}/projects/${projectId}/reviews`, {
+    method: "POST",
+    token: member.token,
+    body: { rating: 5 }
+  });
+  assert.equal(reviewed.status, 403);
+});
+
+test("the project shows on every member's profile", async () => {
+  const profile = await api(`${server.url}/users/${member.id}`);
+  assert.equal(profile.status, 200);
+  assert.deepEqual(profile.body.projects.map(({ id, member_role }) => ({ id, member_role })), [
+    { id: projectId, member_role: "member" }
+  ]);
+  assert.equal((await api(`${server.url}/users/${owner.id}`)).body.projects[0].member_role, "owner");
+});
+
+test("invitations can be declined or cancelled", async () => {
+  await invite(owner, "team_outsider");
+  const [declined] = await myInvitations(outsider);
+  assert.equal((await api(`${server.url}/invitations/${declined.id}/decline`, { method: "POST", token: outsider.token })).status, 200);
+  assert.equal((await api(`${server.url}/invitations/${declined.id}/accept`, { method: "POST", token: outsider.token })).status, 404);
+
+  const sent = await invite(owner, "team_outsider");
+  assert.equal(sent.status, 201);
+  const url = `${server.url}/projects/${projectId}/invitations/${sent.body.invitation.id}`;
+  assert.equal((await api(url, { method: "DELETE", token: member.token })).status, 403);
+  assert.equal((await api(url, { method: "DELETE", token: owner.token })).status, 200);
+  assert.deepEqual(await myInvitations(outsider), []);
+});
+
+test("members leave, the owner removes them, and the owner cannot leave", async () => {
+  const ownerLeaves = await api(`${server.url}/projects/${projectId}/members/${owner.id}`, { method: "DELETE", token: owner.token });
+  assert.equal(ownerLeaves.status, 400);
+
+  assert.equal((await api(`${server.url}/projects/${projectId}/members/${member.id}`, {
+    method: "DELETE",
+    token: outsider.token
+  })).status, 403);
+  const left = await api(`${server.url}/projects/${projectId}/members/${member.id}`, { method: "DELETE", token: member.token });
+  assert.equal(left.status, 200);
+  assert.equal(left.body.message, "You left the project");
+  assert.deepEqual((await api(`${server.url}/users/${member.id}`)).body.projects, []);
+
+  assert.equal((await api(`${server.url}/projects/${projectId}`, {
+    method: "PATCH",
+    token: member.token,
+    body: { title: "Not mine anymore" }
+  })).status, 403);
+});
+
+test("deleting the project removes its team and invitations", async () => {
+  await invite(owner, "team_outsider");
+  const deleted = await api(`${server.url}/projects/${projectId}`, { method: "DELETE", token: owner.token });
+  assert.equal(deleted.status, 200, JSON.stringify(deleted.body));
+  assert.deepEqual(await myInvitations(outsider), []);
+  assert.deepEqual((await api(`${server.url}/users/${owner.id}`)).body.projects, []);
+});
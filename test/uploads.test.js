@@ -0,0 +1,83 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { startServer, api, register, runScript } from "./helpers.js";
+
+const PDF = "%PDF-1.4\n%test document\n";
+
+let server;
+let owner;
+let projectId;
+
+before(async () => {
+  server = await startServer();
+  owner = await register(server.url, "uploads_owner");
+
+  const created = await api(`${server.url}/projects`, {
+    method: "POST",
+    token: owner.token,
+    body: { title: "Upload checks", description: "A project for the upload tests" }
+  });
+  projectId = created.body.project.id;
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+// What the local storage driver holds
+function storedUploads() {
+  return fs.readdirSync(path.join(server.dir, "uploads")).sort();
+}
+
+async function upload(content, name, type = "application/octet-stream") {
+  const form = new FormData();
+  form.append("files", new Blob([content], { type }), name);
+  return api(`${server.url}/projects/${projectId}/files`, { method: "POST", token: owner.token, body: form });
+}
+
+test("an extension outside the allow-list is rejected with 415", async () => {
+  const before = storedUploads();
+  const response = await upload("MZ not really a program", "tool.exe");
+  assert.equal(response.status, 415);
+  assert.match(response.body.error, /File type not allowed: tool\.exe/);
+  assert.deepEqual(storedUploads(), before);
+});
+
+test("content that does not match the extension is rejected and deleted", async () => {
+  const before = storedUploads();
+  const response = await upload("just some text", "report.pdf", "application/pdf");
+  assert.equal(response.status, 415);
+  assert.match(response.body.error, /does not match its extension: report\.pdf/);
+  assert.deepEqual(storedUploads(), before);
+});
+
+test("one bad file rejects the whole request", async () => {
+  const before = storedUploads();
+  const form = new FormData();
+  form.append("files", new Blob([PDF]), "good.pdf");
+  form.append("files", new Blob(["PK nope"]), "bad.zip");
+  const response = await api(`${server.url}/projects/${projectId}/files`, { method: "POST", token: owner.token, body: form });
+  assert.equal(response.status, 415);
+  assert.deepEqual(storedUploads(), before);
+});
+
+test("an accepted file gets the MIME type of its extension, not the client's", async () => {
+  const response = await upload(PDF, "Report.PDF", "text/html");
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  const [file] = response.body.files;
+  assert.equal(file.original_name, "Report.PDF");
+  assert.equal(file.mime_type, "application/pdf");
+});
+
+test("the cleanup script lists stored files that nothing references", async () => {
+  const orphan = "project-orphan.txt";
+  fs.writeFileSync(path.join(server.dir, "uploads", orphan), "nobody points here");
+
+  const output = runScript(server, "cleanup-uploads.js", ["--dry-run", "--min-age=0"]);
+  assert.deepEqual(output.match(/Would remove local:\S+/g), [`Would remove local:${orphan}`]);
+  assert.ok(storedUploads().includes(orphan));
+
+  assert.doesNotMatch(runScript(server, "cleanup-uploads.js", ["--dry-run"]), new RegExp(orphan));
+});
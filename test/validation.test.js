@@ -0,0 +1,160 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { validateFields, string, integer, boolean, oneOf, date } from "../middleware/validate.js";
+import { startServer, api, register, createSections } from "./helpers.js";
+
+describe("validateFields", () => {
+  const fields = {
+    name: string({ required: true, min: 2, max: 5 }),
+    note: string({ nullable: true }),
+    count: integer({ min: 1, max: 3, default: 1 }),
+    flag: boolean(),
+    kind: oneOf(["a", "b"]),
+    day: date()
+  };
+
+  test("cleans valid values and drops unknown fields", () => {
+    const { values, errors } = validateFields(fields, {
+      name: "  abc ",
+      count: "2",
+      flag: "false",
+      kind: "b",
+      day: "2026-01-31",
+      extra: "ignored"
+    }, "body");
+    assert.deepEqual(errors, []);
+    assert.deepEqual(values, { name: "abc", count: 2, flag: false, kind: "b", day: "2026-01-31" });
+  });
+
+  test("tells a missing field apart from a cleared one", () => {
+    assert.deepEqual(validateFields(fields, { name: "abc" }, "body").values, { name: "abc", count: 1 });
+    assert.deepEqual(validateFields(fields, { name: "abc", note: null }, "body").values, { name: "abc", note: null, count: 1 });
+    assert.deepEqual(validateFields(fields, { name: "abc", note: " " }, "body").values, { name: "abc", note: null, count: 1 });
+  });
+
+  test("reports every failing field", () => {
+    const { errors } = validateFields(fields, { name: "a", count: "1.5", flag: "yes", kind: "c", day: "soon" }, "body");
+    assert.deepEqual(errors, [
+      { location: "body", field: "name", message: "Name must be between 2 and 5 characters" },
+      { location: "body", field: "count", message: "Count must be an integer" },
+      { location: "body", field: "flag", message: "Flag must be true or false" },
+      { location: "body", field: "kind", message: "Kind must be one of: a, b" },
+      { location: "body", field: "day", message: "Day must be a date (YYYY-MM-DD or ISO 8601)" }
+    ]);
+  });
+
+  test("treats an empty query parameter as absent", () => {
+    assert.deepEqual(validateFields({ count: integer({ default: 1 }) }, { count: "" }, "query"), {
+      values: { count: 1 },
+      errors: []
+    });
+    assert.deepEqual(validateFields(fields, {}, "query").errors, [
+      { location: "query", field: "name", message: "Name is required" }
+    ]);
+  });
+});
+
+describe("validated routes", () => {
+  let server;
+  let author;
+  let projectId;
+
+  before(async () => {
+    server = await startServer();
+    await createSections(server, { A: [] });
+    author = await register(server.url, "valid_author");
+    const created = await api(`${server.url}/projects`, {
+      method: "POST",
+      token: author.token,
+      body: { title: "Validated project", description: "A project for the validation tests", section: "A" }
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    projectId = created.body.project.id;
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  test("an invalid request gets 400 listing each failing field", async () => {
+    const response = await api(`${server.url}/projects`, {
+      method: "POST",
+      token: author.token,
+      body: { title: "ab", file_visibility: "everyone" }
+    });
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.fields.map(field => field.field), ["title", "description", "file_visibility"]);
+    assert.ok(response.body.fields.every(field => field.location === "body"));
+    assert.match(response.body.error, /Title must be between 3 and 200 characters; Description is required/);
+  });
+
+  test("route params are validated", async () => {
+    const response = await api(`${server.url}/projects/abc`);
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.fields, [{ location: "params", field: "id", message: "Project id must be an integer" }]);
+  });
+
+  test("PUT /projects/:id can't set the title to null", async () => {
+    const response = await api(`${server.url}/projects/${projectId}`, {
+      method: "PUT",
+      token: author.token,
+      body: { title: null, description: "A project for the validation tests" }
+    });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.fields[0].field, "title");
+  });
+
+  test("PATCH /projects/:id only changes the fields it is sent", async () => {
+    const response = await api(`${server.url}/projects/${projectId}`, {
+      method: "PATCH",
+      token: author.token,
+      body: { title: "Renamed project" }
+    });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.equal(response.body.project.title, "Renamed project");
+    assert.equal(response.body.project.section, "A");
+  });
+
+  test("PUT /projects/:id clears optional fields left out", async () => {
+    const response = await api(`${server.url}/projects/${projectId}`, {
+      method: "PUT",
+      token: author.token,
+      body: { title: "Replaced project", description: "A project for the validation tests" }
+    });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    assert.equal(response.body.project.title, "Replaced project");
+    assert.equal(response.body.project.section, null);
+  });
+
+  test("review ratings must be whole numbers from 1 to 5", async () => {
+    const reviewer = await register(server.url, "valid_reviewer");
+    for (const rating of [4.5, 0, 6, "five"]) {
+      const response = await api(`${server.url}/projects/${projectId}/reviews`, {
+        method: "POST",
+        token: reviewer.token,
+        body: { rating }
+      });
+      assert.equal(response.status, 400, `rating ${rating}`);
+      assert.equal(response.body.fields[0].field, "rating");
+    }
+  });
+
+  test("profiles can clear bio with PATCH, and PUT clears what it leaves out", async () => {
+    const me = `${server.url}/users/me`;
+    const set = await api(me, { method: "PATCH", token: author.token, body: { bio: "Hello", full_name: "Valid Author" } });
+    assert.equal(set.status, 200, JSON.stringify(set.body));
+    assert.equal(set.body.user.bio, "Hello");
+
+    const cleared = await api(me, { method: "PATCH", token: author.token, body: { bio: null } });
+    assert.equal(cleared.body.user.bio, null);
+    assert.equal(cleared.body.user.full_name, "Valid Author");
+
+    const replaced = await api(me, { method: "PUT", token: author.token, body: { username: "valid_author" } });
+    assert.equal(replaced.status, 200, JSON.stringify(replaced.body));
+    assert.equal(replaced.body.user.full_name, null);
+
+    const missing = await api(me, { method: "PUT", token: author.token, body: { bio: "No username" } });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.fields[0].field, "username");
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Academic structure: years, sections, groups and course modules, managed by admins
+ * (routes/academic.js) and referenced by projects. projects.section and
+ * projects.group_number hold copies of the canonical names so that search, rubrics
+ * and name filters keep working. See migration 014_academic_structure.
+ */
+
+const collapse = (value) => value.replace(/\s+/g, " ").trim();
+
+/**
+ * Canonical spelling of a section name: short codes are upper-cased ("a" -> "A").
+ * @param {string} value
+ */
+export function canonicalSectionName(value) {
+  const name = collapse(value);
+  return /^[a-z0-9]{1,3}$/i.test(name) ? name.toUpperCase() : name;
+}
+
+/**
+ * Canonical spelling of a group name: numbered groups become their number, so
+ * "G1", "g1", "Group 1" and "1" are one group.
+ * @param {string} value
+ */
+export function canonicalGroupName(value) {
+  const name = collapse(value);
+  const numbered = name.match(/^(?:g|gr|grp|group|groupe)?\s*[-#]?\s*0*(\d+)$/i);
+  return numbered ? String(Number(numbered[1])) : name;
+}
+
+async function findById(tx, table, id) {
+  const result = await tx.query(`SELECT * FROM ${table} WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+async function findSection(tx, { id, name }) {
+  if (id !== undefined) return findById(tx, "sections", id);
+  const result = await tx.query("SELECT * FROM sections WHERE LOWER(name) = LOWER($1)", [canonicalSectionName(name)]);
+  return result.rows[0] || null;
+}
+
+// Groups by name are looked up in the given section, or anywhere when it is unknown
+async function findGroups(tx, name, sectionId) {
+  const canonical = canonicalGroupName(name);
+  const result = sectionId === undefined
+    ? await tx.query("SELECT * FROM student_groups WHERE LOWER(name) = LOWER($1)", [canonical])
+    : await tx.query(
+        "SELECT * FROM student_groups WHERE LOWER(name) = LOWER($1) AND COALESCE(section_id, 0) = COALESCE($2, 0)",
+        [canonical, sectionId]
+      );
+  return result.rows;
+}
+
+/**
+ * Turn the academic fields of a project create or update into column values.
+ * Sections and groups may be given by id or, as before, by name; names must match an
+ * existing entity (in any spelling variant). A group implies its section, and must
+ * belong to the section it is given with. Only the fields present are resolved.
+ * @param {{query: Function}} tx
+ * @param {object} fields - Validated body fields
+ * @param {object} [current] - The project's current row, for updates
+ * @returns {Promise<{fields: object}|{error: {field: string, message: string}}>}
+ */
+export async function resolveAcademicFields(tx, fields, current = {}) {
+  const { section, section_id, group_number, group_id, module_id, academic_year_id, ...rest } = fields;
+  const resolved = { ...rest };
+  const fail = (field, message) => ({ error: { field, message } });
+
+  // undefined: unchanged, null: cleared
+  let sectionRow;
+  if (section_id !== undefined || section !== undefined) {
+    const bySectionId = section_id !== undefined;
+    const value = bySectionId ? section_id : section;
+    sectionRow = value === null ? null : await findSection(tx, bySectionId ? { id: value } : { name: value });
+    if (sectionRow === null && value !== null) {
+      return bySectionId
+        ? fail("section_id", "Section not found")
+        : fail("section", `Section '${section}' does not exist`);
+    }
+    resolved.section_id = sectionRow ? sectionRow.id : null;
+    resolved.section = sectionRow ? sectionRow.name : null;
+  }
+  const sectionId = sectionRow !== undefined ? resolved.section_id : current.section_id ?? null;
+
+  let groupRow;
+  const groupGiven = group_id !== undefined || group_number !== undefined;
+  if (groupGiven) {
+    const field = group_id !== undefined ? "group_id" : "group_number";
+    if (group_id !== undefined) {
+      groupRow = group_id === null ? null : await findById(tx, "student_groups", group_id);
+      if (group_id !== null && !groupRow) return fail(field, "Group not found");
+    } else if (group_number === null) {
+      groupRow = null;
+    } else {
+      const matches = await findGroups(tx, group_number, sectionId === null ? undefined : sectionId);
+      if (matches.length === 0) return fail(field, `Group '${group_number}' does not exist`);
+      if (matches.length > 1) return fail(field, `Group '${group_number}' exists in several sections; choose a section`);
+      groupRow = matches[0];
+    }
+    resolved.group_id = groupRow ? groupRow.id : null;
+    resolved.group_number = groupRow ? groupRow.name : null;
+  } else if (sectionRow !== undefined && current.group_id) {
+    groupRow = await findById(tx, "student_groups", current.group_id);
+  }
+
+  // A group given without a section brings its own; a kept group must fit a new section
+  if (groupRow && groupRow.section_id !== null) {
+    if (sectionId === null && (sectionRow === undefined || groupGiven)) {
+      const groupSection = await findById(tx, "sections", groupRow.section_id);
+      resolved.section_id = groupSection.id;
+      resolved.section = groupSection.name;
+    } else if (groupRow.section_id !== sectionId) {
+      // Reported on whichever of the two was changed
+      const field = groupGiven
+        ? (group_id !== undefined ? "group_id" : "group_number")
+        : (section_id !== undefined ? "section_id" : "section");
+      return fail(field, `Group ${groupRow.name} is not part of this section`);
+    }
+  }
+
+  if (module_id !== undefined) {
+    if (module_id !== null && !(await findById(tx, "modules", module_id))) return fail("module_id", "Module not found");
+    resolved.module_id = module_id;
+  }
+  if (academic_year_id !== undefined) {
+    if (academic_year_id !== null && !(await findById(tx, "academic_years", academic_year_id))) {
+      return fail("academic_year_id", "Academic year not found");
+    }
+    resolved.academic_year_id = academic_year_id;
+  }
+
+  return { fields: resolved };
+}
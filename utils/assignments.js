@@ -0,0 +1,126 @@
+import path from "path";
+import db from "../db/index.js";
+
+/**
+ * Assignments: work set by teachers for a section or group, submitted as projects.
+ * See migration 015_assignments.
+ */
+
+// What happens to a submission after the due date: accepted and marked late, or refused
+export const LATE_POLICIES = ["flag", "block"];
+
+export const ASSIGNMENT_STATUSES = ["upcoming", "open", "late", "closed"];
+
+/**
+ * Where an assignment stands at a given time (one of ASSIGNMENT_STATUSES):
+ * - upcoming: not open yet
+ * - open: accepting submissions
+ * - late: past due, still accepting (late) submissions
+ * - closed: past due, no longer accepting submissions
+ * @param {{opens_at: Date|null, due_at: Date, late_policy: string}} assignment
+ * @param {Date} [now]
+ */
+export function assignmentStatus(assignment, now = new Date()) {
+  if (assignment.opens_at && now < new Date(assignment.opens_at)) return "upcoming";
+  if (now <= new Date(assignment.due_at)) return "open";
+  return assignment.late_policy === "block" ? "closed" : "late";
+}
+
+/**
+ * Extensions stored as ".pdf,.zip" in allowed_file_types, or null when any allowed
+ * upload type is accepted.
+ * @param {string|null} value
+ */
+export function parseFileTypes(value) {
+  return value ? value.split(",") : null;
+}
+
+/**
+ * Names of the files whose extension the assignment does not accept.
+ * @param {{allowed_file_types: string|null}} assignment - Database row
+ * @param {Array<string>} fileNames - Original file names
+ */
+export function disallowedFiles(assignment, fileNames) {
+  const allowed = parseFileTypes(assignment.allowed_file_types);
+  if (!allowed) return [];
+  return fileNames.filter(name => !allowed.includes(path.extname(name || "").toLowerCase()));
+}
+
+/**
+ * Error message for files an assignment does not accept, or null when all are accepted.
+ * @param {{title: string, allowed_file_types: string|null}} assignment
+ * @param {Array<string>} fileNames
+ */
+export function fileTypesError(assignment, fileNames) {
+  const rejected = disallowedFiles(assignment, fileNames);
+  if (rejected.length === 0) return null;
+  return `File type not accepted for "${assignment.title}": ${rejected.join(", ")}. ` +
+    `Allowed types: ${parseFileTypes(assignment.allowed_file_types).join(", ")}`;
+}
+
+/**
+ * Check files added to or replaced in a project submitted to an assignment. Like the
+ * submission itself, its files can't change once the assignment is closed, and must be
+ * of an allowed type; a change after the due date makes the submission late.
+ * @param {{assignment_id: number|null}} project
+ * @param {Array<string>} fileNames
+ * @returns {Promise<{late: boolean}|{status: number, error: string}>}
+ */
+export async function submittedFileChange(project, fileNames) {
+  if (!project.assignment_id) return { late: false };
+  const result = await db.query(
+    "SELECT title, opens_at, due_at, late_policy, allowed_file_types FROM assignments WHERE id = $1",
+    [project.assignment_id]
+  );
+  const assignment = result.rows[0];
+  if (!assignment) return { late: false };
+
+  const status = assignmentStatus(assignment);
+  if (status === "closed") {
+    return {
+      status: 409,
+      error: `This project is submitted to "${assignment.title}"; the due date has passed and late changes are not accepted`
+    };
+  }
+  const typesError = fileTypesError(assignment, fileNames);
+  if (typesError) return { status: 400, error: typesError };
+  return { late: status === "late" };
+}
+
+/**
+ * Why a file can't be removed from a project submitted to an assignment, or null when it
+ * can. Like the submission itself, its files are fixed once the due date has passed,
+ * and a submission keeps at least one file.
+ * @param {{id: number, assignment_id: number|null}} project
+ */
+export async function submittedFileRemovalError(project) {
+  if (!project.assignment_id) return null;
+  const result = await db.query("SELECT title, opens_at, due_at, late_policy FROM assignments WHERE id = $1", [project.assignment_id]);
+  const assignment = result.rows[0];
+  if (!assignment) return null;
+
+  if (assignmentStatus(assignment) !== "open") {
+    return `This project is submitted to "${assignment.title}"; its files can only be removed before the due date`;
+  }
+  const files = await db.query(
+    "SELECT CAST(COUNT(*) AS INTEGER) AS count FROM project_files WHERE project_id = $1",
+    [project.id]
+  );
+  if (files.rows[0].count <= 1) {
+    return `A project submitted to "${assignment.title}" must keep at least one file; withdraw the submission to remove it`;
+  }
+  return null;
+}
+
+/**
+ * API shape of an assignment row: file types as a list and the current status.
+ * @param {object} row
+ * @param {Date} [now]
+ */
+export function formatAssignment(row, now = new Date()) {
+  return {
+    ...row,
+    allowed_file_types: parseFileTypes(row.allowed_file_types),
+    status: assignmentStatus(row, now)
+  };
+}
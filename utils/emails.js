@@ -0,0 +1,35 @@
+import { sendMail } from "../mailer/index.js";
+import { TOKEN_PURPOSES } from "./tokens.js";
+
+// Base URL of the frontend used in emailed links
+const APP_URL = (process.env.APP_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, "");
+
+/**
+ * Email a link to /verify-email.html carrying the verification token.
+ * @param {{username: string, email: string}} user
+ * @param {string} token - From issueToken(..., "email_verification")
+ */
+export function sendVerificationEmail(user, token) {
+  const link = `${APP_URL}/verify-email.html?token=${encodeURIComponent(token)}`;
+  const hours = TOKEN_PURPOSES.email_verification.ttlMinutes / 60;
+  return sendMail({
+    to: user.email,
+    subject: "Confirm your TIC Projects email address",
+    text: `Hi ${user.username},\n\nConfirm your email address to activate your account:\n${link}\n\nThe link expires in ${hours} hours. If you did not create an account, ignore this email.`
+  });
+}
+
+/**
+ * Email a link to /reset-password.html carrying the reset token.
+ * @param {{username: string, email: string}} user
+ * @param {string} token - From issueToken(..., "password_reset")
+ */
+export function sendPasswordResetEmail(user, token) {
+  const link = `${APP_URL}/reset-password.html?token=${encodeURIComponent(token)}`;
+  const minutes = TOKEN_PURPOSES.password_reset.ttlMinutes;
+  return sendMail({
+    to: user.email,
+    subject: "Reset your TIC Projects password",
+    text: `Hi ${user.username},\n\nSomeone asked to reset the password of your account. To choose a new password, open:\n${link}\n\nThe link expires in ${minutes} minutes and can only be used once. If it wasn't you, ignore this email; your password stays the same.`
+  });
+}
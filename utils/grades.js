@@ -0,0 +1,145 @@
+import ExcelJS from "exceljs";
+import db from "../db/index.js";
+import { canonicalSectionName, canonicalGroupName } from "./academic.js";
+import { notify, projectMemberIds } from "./notifications.js";
+
+/**
+ * Teacher grades of projects. Drafts are seen by staff only; the project's team sees
+ * a grade once it is published. See migration 016_grading.
+ */
+
+export const GRADE_STATUSES = ["draft", "published"];
+
+export const EXPORT_FORMATS = ["csv", "xlsx"];
+
+// Columns of the grade export, in order: row key and header
+const EXPORT_COLUMNS = [
+  ["matricule", "Matricule"],
+  ["full_name", "Full name"],
+  ["author_name", "Author"],
+  ["members", "Team"],
+  ["section", "Section"],
+  ["group_number", "Group"],
+  ["assignment", "Assignment"],
+  ["project_id", "Project id"],
+  ["title", "Project"],
+  ["score", "Score"],
+  ["max_score", "Out of"],
+  ["status", "Status"],
+  ["published_at", "Published at"]
+];
+
+/**
+ * Tell a project's team that its grade was published.
+ * @param {{query: Function}} tx
+ * @param {{id: number, title: string}} project
+ * @param {number} graderId - The teacher who published it
+ */
+export async function notifyGradePublished(tx, project, graderId) {
+  await notify(tx, await projectMemberIds(tx, project.id), {
+    type: "project_graded",
+    message: `Your grade for "${project.title}" has been published`,
+    actorId: graderId,
+    projectId: project.id
+  });
+}
+
+/**
+ * Graded projects matching the export filters, one row per project.
+ * @param {{section?: string, group?: string, section_id?: number, group_id?: number,
+ *   assignment_id?: number, status?: string}} filters - Validated query values
+ */
+export async function loadGradeRows(filters) {
+  const params = [];
+  const conditions = [];
+
+  if (filters.section) {
+    conditions.push(`LOWER(projects.section) = LOWER($${params.length + 1})`);
+    params.push(canonicalSectionName(filters.section));
+  }
+  if (filters.group) {
+    conditions.push(`LOWER(projects.group_number) = LOWER($${params.length + 1})`);
+    params.push(canonicalGroupName(filters.group));
+  }
+  for (const column of ["section_id", "group_id", "assignment_id"]) {
+    if (filters[column] !== undefined) {
+      conditions.push(`projects.${column} = $${params.length + 1}`);
+      params.push(filters[column]);
+    }
+  }
+  if (filters.status) {
+    conditions.push(`grades.status = $${params.length + 1}`);
+    params.push(filters.status);
+  }
+
+  const where = conditions.length > 0 ? "WHERE " + conditions.join(" AND ") : "";
+  const result = await db.query(`
+    SELECT projects.matricule, projects.full_name, users.username AS author_name,
+      projects.section, projects.group_number, assignments.title AS assignment,
+      projects.id AS project_id, projects.title,
+      grades.score, grades.max_score, grades.status, grades.published_at
+    FROM grades
+    JOIN projects ON projects.id = grades.project_id
+    JOIN users ON users.id = projects.author_id
+    LEFT JOIN assignments ON assignments.id = projects.assignment_id
+    ${where}
+    ORDER BY projects.section ASC, projects.group_number ASC, LOWER(COALESCE(projects.full_name, users.username)) ASC, projects.id ASC
+  `, params);
+
+  if (result.rows.length > 0) {
+    const ids = result.rows.map(row => row.project_id);
+    const members = await db.query(`
+      SELECT project_members.project_id, users.username
+      FROM project_members
+      JOIN users ON users.id = project_members.user_id
+      WHERE project_members.project_id IN (${ids.map((id, index) => `$${index + 1}`).join(", ")})
+      ORDER BY CASE WHEN project_members.role = 'owner' THEN 0 ELSE 1 END, users.username ASC
+    `, ids);
+    const teams = new Map(ids.map(id => [id, []]));
+    for (const member of members.rows) {
+      teams.get(member.project_id).push(member.username);
+    }
+    for (const row of result.rows) {
+      row.members = teams.get(row.project_id).join(", ");
+    }
+  }
+  return result.rows;
+}
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) text = "'" + text;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Grade rows as CSV text, with a header line.
+ * @param {Array<object>} rows - From loadGradeRows()
+ */
+export function gradesCsv(rows) {
+  const lines = [EXPORT_COLUMNS.map(([, header]) => csvCell(header)).join(",")];
+  for (const row of rows) {
+    lines.push(EXPORT_COLUMNS.map(([key]) => csvCell(row[key])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Grade rows as an XLSX workbook with one "Grades" sheet.
+ * @param {Array<object>} rows - From loadGradeRows()
+ * @returns {Promise<Buffer>}
+ */
+export async function gradesXlsx(rows) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Grades");
+  sheet.columns = EXPORT_COLUMNS.map(([key, header]) => ({ key, header, width: Math.max(header.length + 2, 12) }));
+  sheet.getRow(1).font = { bold: true };
+  for (const row of rows) {
+    sheet.addRow(row);
+  }
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
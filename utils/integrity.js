@@ -0,0 +1,105 @@
+/**
+ * Review manipulation checks, run by POST /projects/:id/reviews on every review it saves.
+ *
+ * A review that trips a rule is flagged: reviews.is_flagged keeps it out of ratings and
+ * rankings until a moderator clears or hides it (routes/moderation.js). Thresholds can
+ * be tuned with the REVIEW_* variables below. See migration 012_review_integrity.
+ */
+
+export const FLAG_REASONS = {
+  // Only on reviews written before self-reviews were rejected
+  self_review: "Review of the reviewer's own project",
+  new_account: "Extreme rating from an account created recently",
+  review_burst: "Many reviews from one account in a short time",
+  reciprocal_ratings: "Two authors giving each other's projects high ratings"
+};
+
+export const INTEGRITY_RULES = {
+  // Accounts younger than this giving a 1 or a 5
+  newAccountHours: Number(process.env.REVIEW_NEW_ACCOUNT_HOURS) || 48,
+  // This many reviews by one account within the window, counting the new one
+  burstCount: Number(process.env.REVIEW_BURST_COUNT) || 5,
+  burstMinutes: Number(process.env.REVIEW_BURST_MINUTES) || 10,
+  // Ratings at or above this, in both directions between two authors
+  reciprocalMinRating: 4
+};
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+/**
+ * Flag reviews for the given reasons. Open flags gain the new reasons; reviews a
+ * moderator has already cleared or hidden are left alone.
+ * @param {{query: Function}} tx
+ * @param {Map<number, string[]>} reasonsByReview
+ */
+async function flagReviews(tx, reasonsByReview) {
+  for (const [reviewId, reasons] of reasonsByReview) {
+    const existing = await tx.query("SELECT reasons, status FROM review_flags WHERE review_id = $1", [reviewId]);
+    const flag = existing.rows[0];
+
+    if (!flag) {
+      await tx.query("INSERT INTO review_flags (review_id, reasons) VALUES ($1, $2)", [reviewId, reasons.join(",")]);
+    } else if (flag.status === "open") {
+      const merged = [...new Set([...flag.reasons.split(","), ...reasons])];
+      await tx.query("UPDATE review_flags SET reasons = $1 WHERE review_id = $2", [merged.join(","), reviewId]);
+    } else {
+      continue;
+    }
+    await tx.query("UPDATE reviews SET is_flagged = TRUE WHERE id = $1", [reviewId]);
+  }
+}
+
+/**
+ * Check a review that was just saved and flag it, and for reciprocal ratings the
+ * review it answers, when something looks wrong.
+ * @param {{query: Function}} tx - Transaction the review was saved in
+ * @param {{id: number, reviewer_id: number, rating: number}} review
+ * @param {{id: number, author_id: number}} project
+ * @returns {Promise<string[]>} Reasons the review was flagged for, if any
+ */
+export async function screenReview(tx, review, project) {
+  const reasons = [];
+  const related = new Map();
+
+  if (review.rating === 1 || review.rating === 5) {
+    const account = await tx.query(
+      "SELECT id FROM users WHERE id = $1 AND created_at > $2",
+      [review.reviewer_id, minutesAgo(INTEGRITY_RULES.newAccountHours * 60)]
+    );
+    if (account.rows.length > 0) reasons.push("new_account");
+  }
+
+  const recent = await tx.query(
+    "SELECT CAST(COUNT(*) AS INTEGER) AS count FROM reviews WHERE reviewer_id = $1 AND created_at >= $2",
+    [review.reviewer_id, minutesAgo(INTEGRITY_RULES.burstMinutes)]
+  );
+  if (recent.rows[0].count >= INTEGRITY_RULES.burstCount) {
+    reasons.push("review_burst");
+  }
+
+  if (review.rating >= INTEGRITY_RULES.reciprocalMinRating) {
+    // High ratings the project's author gave to projects of this reviewer
+    const returned = await tx.query(`
+      SELECT reviews.id FROM reviews
+      JOIN projects ON projects.id = reviews.project_id
+      WHERE reviews.reviewer_id = $1 AND projects.author_id = $2 AND reviews.rating >= $3
+    `, [project.author_id, review.reviewer_id, INTEGRITY_RULES.reciprocalMinRating]);
+    if (returned.rows.length > 0) {
+      reasons.push("reciprocal_ratings");
+      for (const { id } of returned.rows) related.set(id, ["reciprocal_ratings"]);
+    }
+  }
+
+  if (reasons.length > 0) {
+    await flagReviews(tx, new Map([[review.id, reasons], ...related]));
+  }
+  return reasons;
+}
+
+/**
+ * Reason codes of a flag as a list with their descriptions.
+ * @param {string} reasons - Comma-separated codes from review_flags.reasons
+ */
+export function describeReasons(reasons) {
+  return reasons.split(",").map(code => ({ code, description: FLAG_REASONS[code] || code }));
+}
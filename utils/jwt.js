@@ -0,0 +1,80 @@
+import jwt from "jsonwebtoken";
+
+/**
+ * Signing and verification keys for access tokens.
+ *
+ * JWT_KEYS holds one or more `kid:secret` pairs separated by commas. The first key
+ * signs new tokens (its kid goes in the token header); every listed key verifies.
+ * To rotate, put a new key first, keep the old one listed until the tokens it signed
+ * have expired, then remove it. JWT_SECRET alone still works as a single key and
+ * also verifies tokens that carry no kid.
+ *
+ * In production the server refuses to start without one of them.
+ */
+const DEVELOPMENT_SECRET = "development-only-secret-do-not-use-in-production";
+const ALGORITHM = "HS256";
+
+function parseKeys(value) {
+  return value.split(",").map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf(":");
+    const kid = entry.slice(0, separator);
+    const secret = entry.slice(separator + 1);
+    if (separator < 1 || !/^[\w.-]+$/.test(kid) || !secret) {
+      throw new Error("JWT_KEYS must be a comma-separated list of kid:secret pairs");
+    }
+    return { kid, secret };
+  });
+}
+
+function loadKeys() {
+  const keys = process.env.JWT_KEYS ? parseKeys(process.env.JWT_KEYS) : [];
+  let legacySecret = process.env.JWT_SECRET || null;
+
+  if (keys.length === 0 && !legacySecret) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error("JWT_SECRET or JWT_KEYS must be set in production");
+    }
+    console.warn("[WARN] JWT_SECRET is not set; using an insecure development secret");
+    legacySecret = DEVELOPMENT_SECRET;
+  }
+
+  return {
+    // Without JWT_KEYS, tokens are signed with JWT_SECRET and no kid
+    signing: keys[0] || { kid: null, secret: legacySecret },
+    byKid: new Map(keys.map(key => [key.kid, key.secret])),
+    legacySecret
+  };
+}
+
+const keys = loadKeys();
+
+/**
+ * Sign a token with the active key.
+ * @param {object} payload
+ * @param {{expiresIn: number|string}} options
+ * @returns {string}
+ */
+export function signToken(payload, { expiresIn }) {
+  const options = { algorithm: ALGORITHM, expiresIn };
+  if (keys.signing.kid) {
+    options.keyid = keys.signing.kid;
+  }
+  return jwt.sign(payload, keys.signing.secret, options);
+}
+
+/**
+ * Verify a token against the key named by its kid header (or JWT_SECRET when it has none).
+ * Throws jsonwebtoken's errors (TokenExpiredError, JsonWebTokenError) like jwt.verify.
+ * @param {string} token
+ * @returns {object} The payload
+ */
+export function verifyToken(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  const kid = decoded?.header?.kid;
+  const secret = kid ? keys.byKid.get(kid) : keys.legacySecret;
+
+  if (!secret) {
+    throw new jwt.JsonWebTokenError(kid ? `Unknown signing key "${kid}"` : "Token has no key id");
+  }
+  return jwt.verify(token, secret, { algorithms: [ALGORITHM] });
+}
@@ -0,0 +1,150 @@
+import db from "../db/index.js";
+import { canonicalSectionName, canonicalGroupName } from "./academic.js";
+
+/**
+ * Project leaderboard for GET /projects/leaderboard.
+ *
+ * Projects are ranked by a Bayesian average: each project's ratings are blended with
+ * LEADERBOARD_PRIOR_WEIGHT imaginary reviews at the mean rating of every ranked
+ * project, so a single 5-star review can't outrank fifty 4.8s. Rankings are cached
+ * per filter for LEADERBOARD_CACHE_SECONDS and dropped by invalidateLeaderboard()
+ * whenever reviews or ranked projects change.
+ */
+
+// Time windows accepted by the leaderboard, in days of reviews counted (null: all time)
+export const LEADERBOARD_WINDOWS = {
+  week: 7,
+  month: 30,
+  semester: 182,
+  year: 365,
+  all: null
+};
+
+const PRIOR_WEIGHT = Number(process.env.LEADERBOARD_PRIOR_WEIGHT) || 5;
+const CACHE_TTL_MS = (Number(process.env.LEADERBOARD_CACHE_SECONDS) || 300) * 1000;
+// Section and group filters are free text, so the number of cached rankings is capped
+const MAX_CACHED_RANKINGS = 100;
+
+const cache = new Map();
+// Bumped on invalidation so a ranking computed meanwhile is not cached
+let generation = 0;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Drop every cached ranking. Call after a change to reviews, or to projects that are ranked.
+ */
+export function invalidateLeaderboard() {
+  generation++;
+  cache.clear();
+}
+
+async function computeRanking({ section, group, window }) {
+  const params = [];
+  const reviewConditions = ["reviews.is_hidden = FALSE", "reviews.is_flagged = FALSE"];
+  const projectConditions = ["projects.is_hidden = FALSE"];
+
+  if (LEADERBOARD_WINDOWS[window] !== null) {
+    reviewConditions.push(`reviews.created_at >= $${params.length + 1}`);
+    params.push(new Date(Date.now() - LEADERBOARD_WINDOWS[window] * 24 * 60 * 60 * 1000));
+  }
+  if (section) {
+    projectConditions.push(`LOWER(projects.section) = LOWER($${params.length + 1})`);
+    params.push(section);
+  }
+  if (group) {
+    projectConditions.push(`LOWER(projects.group_number) = LOWER($${params.length + 1})`);
+    params.push(group);
+  }
+
+  // Only projects with at least one counted review are ranked
+  const result = await db.query(`
+    SELECT
+      projects.id,
+      projects.title,
+      projects.section,
+      projects.group_number,
+      projects.created_at,
+      users.id AS author_id,
+      users.username AS author_name,
+      CAST(COUNT(reviews.id) AS INTEGER) AS review_count,
+      CAST(SUM(reviews.rating) AS INTEGER) AS rating_total
+    FROM projects
+    JOIN users ON users.id = projects.author_id
+    JOIN reviews ON reviews.project_id = projects.id AND ${reviewConditions.join(" AND ")}
+    WHERE ${projectConditions.join(" AND ")}
+    GROUP BY projects.id, users.id, users.username
+  `, params);
+
+  const totalReviews = result.rows.reduce((sum, row) => sum + row.review_count, 0);
+  const totalRating = result.rows.reduce((sum, row) => sum + row.rating_total, 0);
+  const priorMean = totalReviews > 0 ? totalRating / totalReviews : 0;
+
+  const entries = result.rows
+    .map(({ rating_total, ...project }) => ({
+      ...project,
+      average: rating_total / project.review_count,
+      score: (PRIOR_WEIGHT * priorMean + rating_total) / (PRIOR_WEIGHT + project.review_count)
+    }))
+    // More reviews win a tie; id keeps the order stable
+    .sort((a, b) => b.score - a.score || b.review_count - a.review_count || a.id - b.id);
+
+  const rankings = [];
+  entries.forEach(({ average, score, ...project }, index) => {
+    // Equal scores share a rank (1, 2, 2, 4)
+    const rank = index > 0 && score === entries[index - 1].score ? rankings[index - 1].rank : index + 1;
+    rankings.push({
+      rank,
+      ...project,
+      score: round2(score),
+      avg_rating: round2(average),
+      explanation: `(${PRIOR_WEIGHT} × ${round2(priorMean)} + ${project.review_count} × ${round2(average)}) / ` +
+        `(${PRIOR_WEIGHT} + ${project.review_count}) = ${round2(score)}: the average of ` +
+        `${project.review_count} review${project.review_count === 1 ? "" : "s"}, pulled toward the overall ` +
+        `average of ${round2(priorMean)} as if it had ${PRIOR_WEIGHT} more reviews at that rating`
+    });
+  });
+
+  return {
+    rankings,
+    method: {
+      name: "bayesian_average",
+      prior_mean: round2(priorMean),
+      prior_weight: PRIOR_WEIGHT,
+      formula: "(prior_weight × prior_mean + review_count × avg_rating) / (prior_weight + review_count)"
+    },
+    generated_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Ranked projects for the given filters, served from the cache when fresh.
+ * Hidden projects and hidden or flagged reviews are never counted, since rankings are
+ * shared by all users.
+ * @param {{section?: string, group?: string, window: string}} filters
+ * @returns {Promise<{rankings: Array, method: object, generated_at: string}>}
+ */
+export async function getLeaderboard({ section, group, window }) {
+  // Any spelling of a section or group shares one ranking
+  const filters = {
+    section: section ? canonicalSectionName(section) : null,
+    group: group ? canonicalGroupName(group) : null,
+    window
+  };
+  const key = JSON.stringify([filters.section?.toLowerCase(), filters.group?.toLowerCase(), window]);
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.leaderboard;
+  }
+
+  const startedAt = generation;
+  const leaderboard = await computeRanking(filters);
+  if (startedAt !== generation) return leaderboard;
+
+  cache.delete(key);
+  if (cache.size >= MAX_CACHED_RANKINGS) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, { leaderboard, expiresAt: Date.now() + CACHE_TTL_MS });
+  return leaderboard;
+}
@@ -0,0 +1,57 @@
+/**
+ * In-app notifications. Routes call notify() inside the transaction that records the
+ * event, so a notification exists exactly when the event does. See migration
+ * 017_notifications.
+ */
+
+// Event types users can turn off, with the description shown next to each preference
+export const NOTIFICATION_TYPES = {
+  review_received: "Someone reviewed a project you are on",
+  invitation_received: "You were invited to join a project team",
+  project_graded: "A grade was published for a project you are on",
+  content_reported: "A project you are on or a review you wrote was reported"
+};
+
+/**
+ * Notify users of an event. The user who caused it, duplicates and users who turned
+ * the type off are skipped.
+ * @param {{query: Function}} tx - Transaction handle, or db
+ * @param {Array<number>} userIds - Recipients
+ * @param {{type: string, message: string, actorId?: number|null, projectId?: number|null, reviewId?: number|null}} event
+ * @returns {Promise<number>} How many notifications were written
+ */
+export async function notify(tx, userIds, { type, message, actorId = null, projectId = null, reviewId = null }) {
+  if (!NOTIFICATION_TYPES[type]) {
+    throw new Error(`Unknown notification type "${type}"`);
+  }
+
+  const recipients = [...new Set(userIds)].filter(userId => userId !== actorId);
+  if (recipients.length === 0) return 0;
+
+  const optedOut = await tx.query(`
+    SELECT user_id FROM notification_preferences
+    WHERE type = $1 AND enabled = FALSE AND user_id IN (${recipients.map((userId, index) => `$${index + 2}`).join(", ")})
+  `, [type, ...recipients]);
+  const skipped = new Set(optedOut.rows.map(row => row.user_id));
+
+  let written = 0;
+  for (const userId of recipients) {
+    if (skipped.has(userId)) continue;
+    await tx.query(`
+      INSERT INTO notifications (user_id, type, message, actor_id, project_id, review_id)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [userId, type, message, actorId, projectId, reviewId]);
+    written++;
+  }
+  return written;
+}
+
+/**
+ * Ids of a project's team members, owner included.
+ * @param {{query: Function}} tx
+ * @param {number} projectId
+ */
+export async function projectMemberIds(tx, projectId) {
+  const result = await tx.query("SELECT user_id FROM project_members WHERE project_id = $1", [projectId]);
+  return result.rows.map(row => row.user_id);
+}
@@ -0,0 +1,38 @@
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Read `page` and `limit` from a query string.
+ * @param {object} query - Usually req.query
+ * @returns {{page: number, limit: number, offset: number}|{error: string}}
+ */
+export function parsePagination(query) {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: "Page must be a positive integer" };
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `Limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+/**
+ * Pagination metadata returned alongside a page of results.
+ * @param {{page: number, limit: number}} pagination - From parsePagination()
+ * @param {number} total - Number of rows matching the filters across all pages
+ */
+export function paginationMeta({ page, limit }, total) {
+  const totalPages = Math.ceil(total / limit);
+  return {
+    page,
+    limit,
+    total,
+    total_pages: totalPages,
+    has_next: page < totalPages,
+    has_prev: page > 1
+  };
+}
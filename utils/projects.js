@@ -0,0 +1,160 @@
+import db from "../db/index.js";
+import { hasRole, STAFF_ROLES } from "../middleware/auth.js";
+import { removeFromSearchIndex } from "./search.js";
+import { deleteReviews } from "./reviews.js";
+
+export const MAX_FILES_PER_PROJECT = 10;
+
+// Who may download a project's files; see migration 006_download_access
+export const FILE_VISIBILITIES = ["public", "authenticated", "private"];
+
+// The projects columns the API returns, for queries that would otherwise select projects.*.
+// PostgreSQL's projects.search_vector (migration 007_project_search) stays internal.
+export const PROJECT_COLUMNS = [
+  "id", "title", "description", "author_id", "section", "group_number", "full_name", "matricule",
+  "created_at", "is_hidden", "file_visibility", "academic_year_id", "section_id", "group_id",
+  "module_id", "assignment_id", "submitted_at", "is_late"
+].map(column => `projects.${column}`).join(", ");
+
+/**
+ * Whether the user is on the project's team. The author is always its owner.
+ * @param {{id: number}|null} user
+ * @param {{author_id: number, members?: Array<{id: number}>}} project - Members from attachMembers()
+ */
+export function isProjectMember(user, project) {
+  if (!user) return false;
+  return project.author_id === user.id || Boolean(project.members?.some(member => member.id === user.id));
+}
+
+/**
+ * Whether the user may edit the project and its files: any team member, or staff.
+ * @param {{id: number, role: string}|null} user - Usually req.user
+ * @param {{author_id: number, members?: Array<{id: number}>}} project - Members from attachMembers()
+ */
+export function canEditProject(user, project) {
+  return isProjectMember(user, project) || hasRole(user, STAFF_ROLES);
+}
+
+/**
+ * Whether the user may see the project at all. A hidden project is only there for
+ * the people who can edit it; to everyone else it does not exist (404).
+ * @param {{id: number, role: string}|null} user
+ * @param {{is_hidden: boolean, author_id: number, members?: Array<{id: number}>}} project - Members from attachMembers()
+ */
+export function canSeeProject(user, project) {
+  return !project.is_hidden || canEditProject(user, project);
+}
+
+/**
+ * Whether the user may delete the project and manage its team: the owner, or staff.
+ * @param {{id: number, role: string}|null} user
+ * @param {{author_id: number}} project
+ */
+export function canManageProject(user, project) {
+  return Boolean(user) && (project.author_id === user.id || hasRole(user, STAFF_ROLES));
+}
+
+/**
+ * Whether the user may download the project's files.
+ * Hidden projects are only reachable by the people who can edit them.
+ * @param {{id: number, role: string}|null} user - Usually req.user
+ * @param {{author_id: number, members?: Array, is_hidden: boolean, file_visibility: string}} project
+ */
+export function canDownloadFiles(user, project) {
+  if (canEditProject(user, project)) return true;
+  if (project.is_hidden) return false;
+  if (project.file_visibility === "public") return true;
+  return project.file_visibility === "authenticated" && Boolean(user);
+}
+
+/**
+ * Load the files of the given projects and set them as a `files` array on each one.
+ * Storage keys are not exposed; each file carries the download route instead.
+ * @param {Array<{id: number}>} projects - Rows from a projects query (mutated in place)
+ * @returns {Promise<Array>} The same rows
+ */
+export async function attachFiles(projects) {
+  if (projects.length === 0) return projects;
+
+  const ids = projects.map(project => project.id);
+  const placeholders = ids.map((id, index) => `$${index + 1}`).join(", ");
+  const result = await db.query(`
+    SELECT id, project_id, original_name, mime_type, file_size, download_count, uploaded_at
+    FROM project_files
+    WHERE project_id IN (${placeholders})
+    ORDER BY uploaded_at ASC, id ASC
+  `, ids);
+
+  const filesByProject = new Map(ids.map(id => [id, []]));
+  for (const file of result.rows) {
+    file.download_url = `/projects/${file.project_id}/files/${file.id}/download`;
+    filesByProject.get(file.project_id)?.push(file);
+  }
+
+  for (const project of projects) {
+    project.files = filesByProject.get(project.id) || [];
+  }
+  return projects;
+}
+
+/**
+ * Load the team of the given projects and set it as a `members` array on each one,
+ * owner first.
+ * @param {Array<{id: number}>} projects - Rows from a projects query (mutated in place)
+ * @returns {Promise<Array>} The same rows
+ */
+export async function attachMembers(projects) {
+  if (projects.length === 0) return projects;
+
+  const ids = projects.map(project => project.id);
+  const placeholders = ids.map((id, index) => `$${index + 1}`).join(", ");
+  const result = await db.query(`
+    SELECT project_members.project_id, users.id, users.username, users.profile_picture,
+      project_members.role, project_members.joined_at
+    FROM project_members
+    JOIN users ON users.id = project_members.user_id
+    WHERE project_members.project_id IN (${placeholders})
+    ORDER BY CASE WHEN project_members.role = 'owner' THEN 0 ELSE 1 END, project_members.joined_at ASC, users.id ASC
+  `, ids);
+
+  const membersByProject = new Map(ids.map(id => [id, []]));
+  for (const { project_id, ...member } of result.rows) {
+    membersByProject.get(project_id)?.push(member);
+  }
+
+  for (const project of projects) {
+    project.members = membersByProject.get(project.id) || [];
+  }
+  return projects;
+}
+
+/**
+ * Remove a project and every row that depends on it.
+ * Open reports on the project or its reviews are closed as 'deleted'.
+ * Stored files are left in place so the caller can remove them once the transaction commits.
+ * @param {{query: Function}} tx - Transaction handle from db.transaction()
+ * @param {number|string} projectId
+ * @returns {Promise<Array<{file_path: string, storage_driver: string}>>} The project's stored files
+ */
+export async function deleteProjectRecords(tx, projectId) {
+  await tx.query(`
+    UPDATE reports SET status = 'deleted', resolved_at = CURRENT_TIMESTAMP
+    WHERE status = 'open' AND (
+      (target_type = 'project' AND target_id = $1) OR
+      (target_type = 'review' AND target_id IN (SELECT id FROM reviews WHERE project_id = $1))
+    )
+  `, [projectId]);
+  await deleteReviews(tx, "project_id", projectId);
+  await tx.query("DELETE FROM project_invitations WHERE project_id = $1", [projectId]);
+  await tx.query("DELETE FROM grades WHERE project_id = $1", [projectId]);
+  await tx.query("DELETE FROM project_feedback WHERE project_id = $1", [projectId]);
+  await tx.query("DELETE FROM notifications WHERE project_id = $1", [projectId]);
+  await tx.query("DELETE FROM project_members WHERE project_id = $1", [projectId]);
+  const files = await tx.query(
+    "DELETE FROM project_files WHERE project_id = $1 RETURNING file_path, storage_driver",
+    [projectId]
+  );
+  await removeFromSearchIndex(tx, projectId);
+  await tx.query("DELETE FROM projects WHERE id = $1", [projectId]);
+  return files.rows;
+}
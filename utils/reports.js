@@ -0,0 +1,87 @@
+import db from "../db/index.js";
+import { notify, projectMemberIds } from "./notifications.js";
+import { attachMembers, canSeeProject } from "./projects.js";
+import { findReview, canSeeReview } from "./reviews.js";
+
+export const REPORT_TARGETS = {
+  project: "projects",
+  review: "reviews"
+};
+
+/**
+ * Tell the people behind reported content about the report: a project's team, or the
+ * author of a review. The reporter stays anonymous.
+ */
+async function notifyReported(tx, targetType, target, reporterId) {
+  if (targetType === "project") {
+    const members = await projectMemberIds(tx, target.id);
+    await notify(tx, members.filter(userId => userId !== reporterId), {
+      type: "content_reported",
+      message: `Your project "${target.title}" was reported and will be looked at by a moderator`,
+      projectId: target.id
+    });
+    return;
+  }
+  const project = await tx.query("SELECT title FROM projects WHERE id = $1", [target.project_id]);
+  if (target.reviewer_id === reporterId) return;
+  await notify(tx, [target.reviewer_id], {
+    type: "content_reported",
+    message: `Your review of "${project.rows[0]?.title}" was reported and will be looked at by a moderator`,
+    projectId: target.project_id,
+    reviewId: target.id
+  });
+}
+
+// Hidden content can't be reported by those who can't see it, as on its GET routes
+async function canSeeTarget(user, targetType, target) {
+  if (targetType === "project") {
+    const [project] = await attachMembers([target]);
+    return canSeeProject(user, project);
+  }
+  return canSeeReview(user, await findReview(target.id));
+}
+
+/**
+ * Build the handler behind POST /projects/:id/report and POST /reviews/:id/report.
+ * Must run after authenticateToken and validate(reportRequest(...)).
+ * @param {'project'|'review'} targetType
+ */
+export function reportHandler(targetType) {
+  const table = REPORT_TARGETS[targetType];
+
+  return async (req, res) => {
+    try {
+      const { reason } = req.body;
+      const targetId = req.params.id;
+
+      const targetResult = await db.query(`SELECT * FROM ${table} WHERE id = $1`, [targetId]);
+      if (targetResult.rows.length === 0 || !(await canSeeTarget(req.user, targetType, targetResult.rows[0]))) {
+        return res.status(404).json({ error: `${targetType === "project" ? "Project" : "Review"} not found` });
+      }
+
+      const existingResult = await db.query(`
+        SELECT id FROM reports
+        WHERE target_type = $1 AND target_id = $2 AND reporter_id = $3 AND status = 'open'
+      `, [targetType, targetId, req.user.id]);
+
+      if (existingResult.rows.length > 0) {
+        return res.status(409).json({ error: "You have already reported this content" });
+      }
+
+      const report = await db.transaction(async (tx) => {
+        const result = await tx.query(`
+          INSERT INTO reports (target_type, target_id, reporter_id, reason)
+          VALUES ($1, $2, $3, $4)
+          RETURNING id, target_type, target_id, reason, status, created_at
+        `, [targetType, targetId, req.user.id, reason]);
+        await notifyReported(tx, targetType, targetResult.rows[0], req.user.id);
+        return result.rows[0];
+      });
+
+      res.status(201).json({ message: "Report submitted successfully", report });
+    } catch (err) {
+      console.error(`[ERROR] POST report (${targetType}):`, err.message, err.stack);
+      res.status(500).json({ error: "Failed to submit report" });
+    }
+  };
+}
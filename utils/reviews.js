@@ -0,0 +1,198 @@
+import db from "../db/index.js";
+import { hasRole, STAFF_ROLES } from "../middleware/auth.js";
+import { loadReviewScores } from "./rubrics.js";
+
+// Orderings accepted by GET /projects/:id/reviews, applied to the listing's columns
+export const REVIEW_SORTS = {
+  newest: "created_at DESC, id DESC",
+  oldest: "created_at ASC, id ASC",
+  // Net helpful votes first; among equals, the review more people found helpful
+  helpful: "(helpful_count - unhelpful_count) DESC, helpful_count DESC, created_at DESC, id DESC",
+  rating: "rating DESC, created_at DESC, id DESC"
+};
+
+/**
+ * Load a review with the project fields needed for permission checks, including the
+ * ids of the project's team (project_member_ids).
+ * @returns {Promise<object|null>}
+ */
+export async function findReview(reviewId) {
+  const result = await db.query(`
+    SELECT reviews.*, projects.author_id AS project_author_id, projects.is_hidden AS project_is_hidden
+    FROM reviews
+    JOIN projects ON projects.id = reviews.project_id
+    WHERE reviews.id = $1
+  `, [reviewId]);
+  const review = result.rows[0];
+  if (!review) return null;
+
+  const members = await db.query("SELECT user_id FROM project_members WHERE project_id = $1", [review.project_id]);
+  review.project_member_ids = members.rows.map(row => row.user_id);
+  return review;
+}
+
+/**
+ * Whether the user is on the team of the reviewed project, as isProjectMember().
+ * @param {{id: number}|null} user
+ * @param {object} review - From findReview()
+ */
+export function isReviewedProjectMember(user, review) {
+  if (!user) return false;
+  return review.project_author_id === user.id || review.project_member_ids.includes(user.id);
+}
+
+/**
+ * Whether a user may see a review and its discussion. Hidden reviews are for
+ * moderators only; reviews of a hidden project are also visible to its team.
+ * @param {{id: number, role: string}|null} user
+ * @param {object} review - From findReview()
+ */
+export function canSeeReview(user, review) {
+  if (hasRole(user, STAFF_ROLES)) return true;
+  if (review.is_hidden) return false;
+  return !review.project_is_hidden || isReviewedProjectMember(user, review);
+}
+
+/**
+ * Reviews of a project with their rubric scores, vote and reply counts, the author
+ * response and, for a logged-in user, their own vote (my_vote: true, false or null).
+ * @param {number} projectId
+ * @param {{userId: number|null, includeHidden: boolean, sort: string}} options
+ */
+export async function listProjectReviews(projectId, { userId, includeHidden, sort }) {
+  const hiddenCondition = includeHidden ? "" : "AND reviews.is_hidden = FALSE";
+  const result = await db.query(`
+    SELECT * FROM (
+      SELECT
+        reviews.*,
+        users.username,
+        users.profile_picture,
+        (
+          SELECT CAST(COUNT(*) AS INTEGER) FROM review_votes
+          WHERE review_votes.review_id = reviews.id AND review_votes.is_helpful = TRUE
+        ) AS helpful_count,
+        (
+          SELECT CAST(COUNT(*) AS INTEGER) FROM review_votes
+          WHERE review_votes.review_id = reviews.id AND review_votes.is_helpful = FALSE
+        ) AS unhelpful_count,
+        (
+          SELECT CAST(COUNT(*) AS INTEGER) FROM review_replies
+          WHERE review_replies.review_id = reviews.id
+            AND review_replies.is_author_response = FALSE
+            AND review_replies.deleted_at IS NULL
+        ) AS reply_count,
+        my_vote.is_helpful AS my_vote,
+        response.id AS response_id,
+        response.body AS response_body,
+        response.author_id AS response_author_id,
+        responder.username AS response_author_name,
+        response.created_at AS response_created_at,
+        response.updated_at AS response_updated_at
+      FROM reviews
+      JOIN users ON users.id = reviews.reviewer_id
+      LEFT JOIN review_votes my_vote ON my_vote.review_id = reviews.id AND my_vote.user_id = $2
+      LEFT JOIN review_replies response
+        ON response.review_id = reviews.id AND response.is_author_response = TRUE AND response.deleted_at IS NULL
+      LEFT JOIN users responder ON responder.id = response.author_id
+      WHERE reviews.project_id = $1 ${hiddenCondition}
+    ) listed
+    ORDER BY ${REVIEW_SORTS[sort]}
+  `, [projectId, userId]);
+
+  const scoresByReview = await loadReviewScores(result.rows.map(review => review.id));
+
+  return result.rows.map(({
+    is_flagged,
+    response_id, response_body, response_author_id, response_author_name, response_created_at, response_updated_at,
+    ...review
+  }) => ({
+    ...review,
+    // Flagged reviews are listed but left out of ratings; only moderators are told why
+    ...(includeHidden ? { is_flagged } : {}),
+    scores: scoresByReview.get(review.id),
+    author_response: response_id === null ? null : {
+      id: response_id,
+      body: response_body,
+      author_id: response_author_id,
+      author_name: response_author_name,
+      created_at: response_created_at,
+      updated_at: response_updated_at
+    }
+  }));
+}
+
+/**
+ * Replies of a review arranged as a thread. Each reply carries its own `replies`;
+ * deleted ones keep their place with a null body.
+ * @returns {Promise<{author_response: object|null, replies: Array}>}
+ */
+export async function loadReplyThread(reviewId) {
+  const result = await db.query(`
+    SELECT review_replies.*, users.username AS author_name
+    FROM review_replies
+    JOIN users ON users.id = review_replies.author_id
+    WHERE review_replies.review_id = $1
+    ORDER BY review_replies.created_at ASC, review_replies.id ASC
+  `, [reviewId]);
+
+  const nodes = new Map(result.rows.map(row => [row.id, {
+    id: row.id,
+    parent_id: row.parent_id,
+    author_id: row.author_id,
+    author_name: row.author_name,
+    body: row.deleted_at ? null : row.body,
+    is_author_response: row.is_author_response,
+    is_deleted: row.deleted_at !== null,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    replies: []
+  }]));
+
+  const thread = { author_response: null, replies: [] };
+  for (const node of nodes.values()) {
+    if (node.is_author_response) {
+      thread.author_response = node;
+    } else if (node.parent_id && nodes.has(node.parent_id)) {
+      nodes.get(node.parent_id).replies.push(node);
+    } else {
+      thread.replies.push(node);
+    }
+  }
+  return thread;
+}
+
+/**
+ * Count a review's helpful and unhelpful votes.
+ */
+export async function voteCounts(tx, reviewId) {
+  const result = await tx.query(`
+    SELECT
+      CAST(COALESCE(SUM(CASE WHEN is_helpful = TRUE THEN 1 ELSE 0 END), 0) AS INTEGER) AS helpful_count,
+      CAST(COALESCE(SUM(CASE WHEN is_helpful = FALSE THEN 1 ELSE 0 END), 0) AS INTEGER) AS unhelpful_count
+    FROM review_votes WHERE review_id = $1
+  `, [reviewId]);
+  return result.rows[0];
+}
+
+/**
+ * Delete reviews together with their replies, votes, scores, flags and notifications.
+ * Those foreign keys cascade on both databases (db/database.js turns SQLite's foreign_keys
+ * on), so the explicit deletes are not strictly needed; they keep the same order as
+ * deleteProjectRecords(), where reviews and project_files (001_initial_schema) reference
+ * projects without ON DELETE CASCADE and must be removed first.
+ * @param {{query: Function}} tx
+ * @param {"id"|"project_id"} column - One review by id, or every review of a project
+ * @param {number|string} value
+ */
+export async function deleteReviews(tx, column, value) {
+  if (column !== "id" && column !== "project_id") {
+    throw new Error(`Cannot delete reviews by ${column}`);
+  }
+  const reviewIds = `SELECT id FROM reviews WHERE ${column} = $1`;
+  await tx.query(`DELETE FROM review_votes WHERE review_id IN (${reviewIds})`, [value]);
+  await tx.query(`DELETE FROM review_replies WHERE review_id IN (${reviewIds})`, [value]);
+  await tx.query(`DELETE FROM review_scores WHERE review_id IN (${reviewIds})`, [value]);
+  await tx.query(`DELETE FROM review_flags WHERE review_id IN (${reviewIds})`, [value]);
+  await tx.query(`DELETE FROM notifications WHERE review_id IN (${reviewIds})`, [value]);
+  await tx.query(`DELETE FROM reviews WHERE ${column} = $1`, [value]);
+}
@@ -0,0 +1,163 @@
+import db from "../db/index.js";
+
+/**
+ * Rubric criteria are defined per section by staff (routes/rubrics.js). Reviews of a
+ * project in that section score every active criterion from 1 to 5, and projects get
+ * a weighted overall score from the per-criterion averages. See migration 011_rubrics.
+ */
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Active criteria of a section, in display order.
+ * @param {{query: Function}} tx
+ * @param {string|null} section
+ */
+export async function activeCriteria(tx, section) {
+  if (!section) return [];
+  const result = await tx.query(`
+    SELECT id, section, name, description, weight, position
+    FROM rubric_criteria
+    WHERE section = $1 AND archived_at IS NULL
+    ORDER BY position ASC, id ASC
+  `, [section]);
+  return result.rows;
+}
+
+/**
+ * Weighted mean of per-criterion values; criteria without a value are left out.
+ * @param {Array<{weight: number, value: number|null}>} entries
+ * @returns {number|null}
+ */
+export function weightedScore(entries) {
+  const scored = entries.filter(entry => entry.value !== null && entry.value !== undefined);
+  const totalWeight = scored.reduce((sum, entry) => sum + entry.weight, 0);
+  if (totalWeight === 0) return null;
+  return round2(scored.reduce((sum, entry) => sum + entry.weight * entry.value, 0) / totalWeight);
+}
+
+/**
+ * Check submitted scores against a section's criteria: one score for each active
+ * criterion and nothing else.
+ * @param {Array} criteria - From activeCriteria()
+ * @param {Array<{criterion_id: number, score: number}>} scores
+ * @returns {string|null} Error message, or null when the scores are complete
+ */
+export function scoresError(criteria, scores) {
+  if (criteria.length === 0) {
+    return "This project's section has no rubric; rate it with a single rating";
+  }
+
+  const known = new Set(criteria.map(criterion => criterion.id));
+  const seen = new Set();
+  for (const { criterion_id } of scores) {
+    if (!known.has(criterion_id)) return `Criterion ${criterion_id} is not part of this section's rubric`;
+    if (seen.has(criterion_id)) return `Criterion ${criterion_id} is scored more than once`;
+    seen.add(criterion_id);
+  }
+
+  const missing = criteria.filter(criterion => !seen.has(criterion.id));
+  if (missing.length > 0) {
+    return `Scores are missing for: ${missing.map(criterion => criterion.name).join(", ")}`;
+  }
+  return null;
+}
+
+/**
+ * Replace the per-criterion scores of a review.
+ */
+export async function saveReviewScores(tx, reviewId, scores) {
+  await tx.query("DELETE FROM review_scores WHERE review_id = $1", [reviewId]);
+  for (const { criterion_id, score } of scores) {
+    await tx.query(
+      "INSERT INTO review_scores (review_id, criterion_id, score) VALUES ($1, $2, $3)",
+      [reviewId, criterion_id, score]
+    );
+  }
+}
+
+/**
+ * Per-criterion scores of the given reviews, keyed by review id.
+ * @param {number[]} reviewIds
+ * @returns {Promise<Map<number, Array<{criterion_id: number, name: string, score: number}>>>}
+ */
+export async function loadReviewScores(reviewIds) {
+  const scoresByReview = new Map(reviewIds.map(id => [id, []]));
+  if (reviewIds.length === 0) return scoresByReview;
+
+  const placeholders = reviewIds.map((id, index) => `$${index + 1}`).join(", ");
+  const result = await db.query(`
+    SELECT review_scores.review_id, review_scores.criterion_id, rubric_criteria.name, review_scores.score
+    FROM review_scores
+    JOIN rubric_criteria ON rubric_criteria.id = review_scores.criterion_id
+    WHERE review_scores.review_id IN (${placeholders})
+    ORDER BY rubric_criteria.position ASC, rubric_criteria.id ASC
+  `, reviewIds);
+
+  for (const { review_id, ...score } of result.rows) {
+    scoresByReview.get(review_id)?.push(score);
+  }
+  return scoresByReview;
+}
+
+/**
+ * Add `rubric_score` (weighted overall, null until scored) and `criteria_averages`
+ * (one entry per active criterion of the project's section) to each project.
+ * Hidden and flagged reviews don't count, as with avg_rating.
+ * @param {Array<{id: number, section: string|null}>} projects
+ */
+export async function attachRubricScores(projects) {
+  const sections = [...new Set(projects.map(project => project.section).filter(Boolean))];
+  const criteriaBySection = new Map(sections.map(section => [section, []]));
+  const averages = new Map();
+
+  if (sections.length > 0) {
+    const sectionPlaceholders = sections.map((section, index) => `$${index + 1}`).join(", ");
+    const criteriaResult = await db.query(`
+      SELECT id, section, name, weight
+      FROM rubric_criteria
+      WHERE section IN (${sectionPlaceholders}) AND archived_at IS NULL
+      ORDER BY position ASC, id ASC
+    `, sections);
+    for (const criterion of criteriaResult.rows) {
+      criteriaBySection.get(criterion.section).push(criterion);
+    }
+
+    const ids = projects.filter(project => criteriaBySection.get(project.section)?.length).map(project => project.id);
+    if (ids.length > 0) {
+      const placeholders = ids.map((id, index) => `$${index + 1}`).join(", ");
+      const result = await db.query(`
+        SELECT
+          reviews.project_id,
+          review_scores.criterion_id,
+          CAST(AVG(review_scores.score) AS FLOAT) AS average,
+          CAST(COUNT(*) AS INTEGER) AS score_count
+        FROM review_scores
+        JOIN reviews ON reviews.id = review_scores.review_id
+          AND reviews.is_hidden = FALSE AND reviews.is_flagged = FALSE
+        WHERE reviews.project_id IN (${placeholders})
+        GROUP BY reviews.project_id, review_scores.criterion_id
+      `, ids);
+      for (const row of result.rows) {
+        averages.set(`${row.project_id}:${row.criterion_id}`, row);
+      }
+    }
+  }
+
+  for (const project of projects) {
+    project.criteria_averages = (criteriaBySection.get(project.section) || []).map(criterion => {
+      const row = averages.get(`${project.id}:${criterion.id}`);
+      return {
+        criterion_id: criterion.id,
+        name: criterion.name,
+        weight: criterion.weight,
+        average: row ? round2(row.average) : null,
+        score_count: row ? row.score_count : 0
+      };
+    });
+    project.rubric_score = weightedScore(
+      project.criteria_averages.map(entry => ({ weight: entry.weight, value: entry.average }))
+    );
+  }
+  return projects;
+}
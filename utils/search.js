@@ -0,0 +1,232 @@
+import db from "../db/index.js";
+import pdfParse from "pdf-parse/lib/pdf-parse.js";
+
+/**
+ * Project full-text search.
+ *
+ * PostgreSQL keeps a weighted tsvector in projects.search_vector; SQLite keeps an
+ * FTS5 table (project_search) whose rowid is the project id. Both are rebuilt for a
+ * project by refreshSearchIndex() whenever its title, description, section, author
+ * name or files change. See migration 007_project_search.
+ */
+
+// Extracted file text kept per file; enough for long reports without bloating rows
+const MAX_EXTRACTED_TEXT = 200000;
+const MAX_QUERY_TERMS = 10;
+
+// Placeholders marking matches inside snippets, turned into <mark> after HTML escaping
+const MATCH_START = "\u0001";
+const MATCH_END = "\u0002";
+
+/**
+ * Pull searchable text out of an uploaded file. PDFs are parsed; plain-text types
+ * are used as is; anything else (or a PDF that fails to parse) yields null.
+ * @param {Buffer} buffer - File contents
+ * @param {string} mimeType - Canonical MIME type from utils/uploads.js
+ * @returns {Promise<string|null>}
+ */
+export async function extractText(buffer, mimeType) {
+  try {
+    let text = null;
+    if (mimeType === "application/pdf") {
+      text = (await pdfParse(buffer)).text;
+    } else if (mimeType && mimeType.startsWith("text/")) {
+      text = buffer.toString("utf8");
+    }
+    if (!text) return null;
+    return text.replace(/\s+/g, " ").trim().slice(0, MAX_EXTRACTED_TEXT) || null;
+  } catch (err) {
+    console.error("[ERROR] Failed to extract text from upload:", err.message);
+    return null;
+  }
+}
+
+/**
+ * Rebuild the search entry of one project from its current row, author and files.
+ * @param {{query: Function}} tx - Query handle (db or a transaction)
+ * @param {number|string} projectId
+ */
+export async function refreshSearchIndex(tx, projectId) {
+  if (db.dialect === "postgres") {
+    await tx.query(`
+      UPDATE projects SET search_vector =
+        setweight(to_tsvector('simple', COALESCE(projects.title, '')), 'A') ||
+        setweight(to_tsvector('simple', users.username || ' ' || COALESCE(projects.section, '')), 'B') ||
+        setweight(to_tsvector('simple', COALESCE(projects.description, '')), 'B') ||
+        setweight(to_tsvector('simple', COALESCE(
+          (SELECT string_agg(extracted_text, ' ') FROM project_files WHERE project_id = projects.id), ''
+        )), 'C')
+      FROM users
+      WHERE users.id = projects.author_id AND projects.id = $1
+    `, [projectId]);
+    return;
+  }
+
+  await tx.query("DELETE FROM project_search WHERE rowid = $1", [projectId]);
+  await tx.query(`
+    INSERT INTO project_search (rowid, title, description, author_name, section, file_text)
+    SELECT
+      projects.id,
+      projects.title,
+      projects.description,
+      users.username,
+      COALESCE(projects.section, ''),
+      COALESCE((SELECT group_concat(extracted_text, ' ') FROM project_files WHERE project_id = projects.id), '')
+    FROM projects
+    JOIN users ON users.id = projects.author_id
+    WHERE projects.id = $1
+  `, [projectId]);
+}
+
+/**
+ * Drop a project's search entry. On PostgreSQL it goes away with the row itself.
+ * @param {{query: Function}} tx
+ * @param {number|string} projectId
+ */
+export async function removeFromSearchIndex(tx, projectId) {
+  if (db.dialect !== "postgres") {
+    await tx.query("DELETE FROM project_search WHERE rowid = $1", [projectId]);
+  }
+}
+
+/**
+ * Split a user query into search terms (letters and digits only, so no query
+ * syntax reaches the database).
+ * @param {string} q
+ * @returns {string[]}
+ */
+export function searchTerms(q) {
+  return ((q || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).slice(0, MAX_QUERY_TERMS);
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Snippets are returned as HTML: source text escaped, matches wrapped in <mark>
+function toHighlightHtml(text) {
+  if (!text) return "";
+  return escapeHtml(text)
+    .replaceAll(MATCH_START, "<mark>")
+    .replaceAll(MATCH_END, "</mark>");
+}
+
+const RESULT_COLUMNS = `
+  projects.id,
+  projects.title,
+  projects.description,
+  projects.section,
+  projects.group_number,
+  projects.created_at,
+  projects.author_id,
+  users.username AS author_name,
+  (
+    SELECT CAST(COALESCE(AVG(reviews.rating), 0) AS FLOAT) FROM reviews
+    WHERE reviews.project_id = projects.id AND reviews.is_hidden = FALSE AND reviews.is_flagged = FALSE
+  ) AS avg_rating,
+  (
+    SELECT CAST(COUNT(*) AS INTEGER) FROM reviews
+    WHERE reviews.project_id = projects.id AND reviews.is_hidden = FALSE AND reviews.is_flagged = FALSE
+  ) AS review_count
+`;
+
+/**
+ * Rank projects against the given terms. Every term must match; the last one also
+ * matches as a prefix so results show up while the user is still typing.
+ * @param {string[]} terms - From searchTerms()
+ * @param {{includeHidden: boolean, limit: number, offset: number}} options
+ * @returns {Promise<{total: number, results: Array}>}
+ */
+export async function searchProjects(terms, { includeHidden, limit, offset }) {
+  const hiddenCondition = includeHidden ? "" : "AND projects.is_hidden = FALSE";
+  let countSql;
+  let resultsSql;
+  let matchParam;
+
+  if (db.dialect === "postgres") {
+    matchParam = terms
+      .map((term, index) => `'${term}'${index === terms.length - 1 ? ":*" : ""}`)
+      .join(" & ");
+
+    const from = `
+      FROM projects
+      JOIN users ON users.id = projects.author_id
+      WHERE projects.search_vector @@ to_tsquery('simple', $1) ${hiddenCondition}
+    `;
+    countSql = `SELECT CAST(COUNT(*) AS INTEGER) AS total ${from}`;
+    resultsSql = `
+      SELECT
+        ${RESULT_COLUMNS},
+        ts_rank(projects.search_vector, to_tsquery('simple', $1)) AS relevance,
+        ts_headline('simple', projects.title, to_tsquery('simple', $1), $2) AS title_highlight,
+        ts_headline(
+          'simple',
+          COALESCE(projects.description, '') || ' ' || COALESCE(
+            (SELECT string_agg(extracted_text, ' ') FROM project_files WHERE project_id = projects.id), ''
+          ),
+          to_tsquery('simple', $1),
+          $3
+        ) AS snippet
+      ${from}
+      ORDER BY relevance DESC, projects.id DESC
+      LIMIT $4 OFFSET $5
+    `;
+
+    const [countResult, result] = await Promise.all([
+      db.query(countSql, [matchParam]),
+      db.query(resultsSql, [
+        matchParam,
+        `HighlightAll=true, StartSel=${MATCH_START}, StopSel=${MATCH_END}`,
+        `MaxFragments=2, MaxWords=25, MinWords=10, FragmentDelimiter=" … ", StartSel=${MATCH_START}, StopSel=${MATCH_END}`,
+        limit,
+        offset
+      ])
+    ]);
+    return { total: countResult.rows[0].total, results: result.rows.map(toSearchResult) };
+  }
+
+  matchParam = terms
+    .map((term, index) => `"${term}"${index === terms.length - 1 ? "*" : ""}`)
+    .join(" ");
+
+  const from = `
+    FROM project_search
+    JOIN projects ON projects.id = project_search.rowid
+    JOIN users ON users.id = projects.author_id
+    WHERE project_search MATCH $1 ${hiddenCondition}
+  `;
+  countSql = `SELECT CAST(COUNT(*) AS INTEGER) AS total ${from}`;
+  // bm25 weights follow the column order: title, description, author_name, section, file_text.
+  // It returns lower-is-better scores, negated so relevance reads like ts_rank.
+  resultsSql = `
+    SELECT
+      ${RESULT_COLUMNS},
+      -bm25(project_search, 10.0, 4.0, 4.0, 4.0, 1.0) AS relevance,
+      highlight(project_search, 0, $2, $3) AS title_highlight,
+      snippet(project_search, -1, $2, $3, ' … ', 25) AS snippet
+    ${from}
+    ORDER BY relevance DESC, projects.id DESC
+    LIMIT $4 OFFSET $5
+  `;
+
+  const countResult = await db.query(countSql, [matchParam]);
+  const result = await db.query(resultsSql, [matchParam, MATCH_START, MATCH_END, limit, offset]);
+  return { total: countResult.rows[0].total, results: result.rows.map(toSearchResult) };
+}
+
+function toSearchResult(row) {
+  const { title_highlight, snippet, relevance, ...project } = row;
+  return {
+    ...project,
+    relevance: Number(relevance),
+    highlights: {
+      title: toHighlightHtml(title_highlight || project.title),
+      snippet: toHighlightHtml(snippet)
+    }
+  };
+}
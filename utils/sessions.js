@@ -0,0 +1,180 @@
+import crypto from "crypto";
+import db from "../db/index.js";
+import { signToken } from "./jwt.js";
+import { hashToken } from "./tokens.js";
+
+/**
+ * Login sessions.
+ *
+ * Logging in creates a row in `sessions` and returns a pair of tokens:
+ * - an access token: a JWT valid for ACCESS_TOKEN_TTL_SECONDS whose `sid` claim names the session
+ * - a refresh token: an opaque random string, stored hashed, exchanged at POST /auth/refresh
+ *   for a new pair. Each refresh rotates it; presenting a replaced one revokes the session.
+ *
+ * authenticateToken checks the session on every request, so revoking it (logout,
+ * logout-all, password change) ends access immediately.
+ */
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+export const REFRESH_TOKEN_TTL_DAYS = 30;
+
+const MAX_USER_AGENT_LENGTH = 255;
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function newRefreshToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+/**
+ * Sign an access token for a session.
+ * @param {{id: number, username: string, email: string, role: string}} user
+ * @param {number} sessionId
+ */
+export function signAccessToken(user, sessionId) {
+  return signToken(
+    { id: user.id, username: user.username, email: user.email, role: user.role, sid: sessionId },
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+}
+
+function tokenPair(user, sessionId, refreshToken) {
+  return {
+    token: signAccessToken(user, sessionId),
+    refresh_token: refreshToken,
+    expires_in: ACCESS_TOKEN_TTL_SECONDS,
+    session_id: sessionId
+  };
+}
+
+/**
+ * Start a session for a user who just proved who they are.
+ * @param {{query: Function}} tx - Query handle (db or a transaction)
+ * @param {{id: number, username: string, email: string, role: string}} user
+ * @param {import("express").Request} req - For the user agent and IP shown in GET /auth/sessions
+ * @returns {Promise<{token: string, refresh_token: string, expires_in: number, session_id: number}>}
+ */
+export async function createSession(tx, user, req) {
+  const refreshToken = newRefreshToken();
+  const result = await tx.query(`
+    INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING id
+  `, [
+    user.id,
+    hashToken(refreshToken),
+    (req.get("user-agent") || "").slice(0, MAX_USER_AGENT_LENGTH) || null,
+    req.ip || null,
+    refreshExpiry()
+  ]);
+  return tokenPair(user, result.rows[0].id, refreshToken);
+}
+
+/**
+ * Exchange a refresh token for a new token pair, rotating the refresh token.
+ * @param {string} refreshToken
+ * @returns {Promise<object|null>} The new pair (see createSession), or null if the token is not usable
+ */
+export async function refreshSession(refreshToken) {
+  if (typeof refreshToken !== "string" || refreshToken.length === 0) return null;
+  const presentedHash = hashToken(refreshToken);
+
+  return db.transaction(async (tx) => {
+    const result = await tx.query(`
+      SELECT sessions.id, sessions.created_at, sessions.expires_at, sessions.revoked_at,
+             users.id AS user_id, users.username, users.email, users.role, users.password_changed_at
+      FROM sessions
+      JOIN users ON users.id = sessions.user_id
+      WHERE sessions.refresh_token_hash = $1
+    `, [presentedHash]);
+
+    const session = result.rows[0];
+    if (!session) {
+      // A refresh token that was already rotated away is being replayed: whoever holds
+      // it is not necessarily the user, so the session is ended for both parties
+      await tx.query(`
+        UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+        WHERE previous_token_hash = $1 AND revoked_at IS NULL
+      `, [presentedHash]);
+      return null;
+    }
+
+    if (!isSessionActive(session)) return null;
+
+    const rotated = newRefreshToken();
+    await tx.query(`
+      UPDATE sessions
+      SET previous_token_hash = refresh_token_hash, refresh_token_hash = $1,
+          last_used_at = CURRENT_TIMESTAMP, expires_at = $2
+      WHERE id = $3
+    `, [hashToken(rotated), refreshExpiry(), session.id]);
+
+    const user = { id: session.user_id, username: session.username, email: session.email, role: session.role };
+    return tokenPair(user, session.id, rotated);
+  });
+}
+
+/**
+ * Whether a session row (joined with its user's password_changed_at) may still be used.
+ * Sessions started before the latest password change are over even if never revoked.
+ * @param {{revoked_at: *, expires_at: *, created_at: *, password_changed_at: *}} session
+ */
+export function isSessionActive(session) {
+  if (session.revoked_at) return false;
+  if (new Date(session.expires_at) <= new Date()) return false;
+  if (session.password_changed_at && new Date(session.created_at) < new Date(session.password_changed_at)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * End one session of a user.
+ * @returns {Promise<boolean>} false if the user has no such active session
+ */
+export async function revokeSession(tx, userId, sessionId) {
+  const result = await tx.query(`
+    UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+  `, [sessionId, userId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * End the session a refresh token belongs to, without needing a valid access token.
+ * @returns {Promise<boolean>} false if the token matches no active session
+ */
+export async function revokeSessionByRefreshToken(tx, refreshToken) {
+  const result = await tx.query(`
+    UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+    WHERE refresh_token_hash = $1 AND revoked_at IS NULL
+  `, [hashToken(refreshToken)]);
+  return result.rowCount > 0;
+}
+
+/**
+ * End every session of a user.
+ * @returns {Promise<number>} How many sessions were revoked
+ */
+export async function revokeAllSessions(tx, userId) {
+  const result = await tx.query(
+    "UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL",
+    [userId]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Record a password change: every existing session ends.
+ * @param {{query: Function}} tx
+ * @param {number} userId
+ * @param {string} hashedPassword - bcrypt hash of the new password
+ */
+export async function changePassword(tx, userId, hashedPassword) {
+  await tx.query(
+    "UPDATE users SET password = $1, password_changed_at = CURRENT_TIMESTAMP WHERE id = $2",
+    [hashedPassword, userId]
+  );
+  await revokeAllSessions(tx, userId);
+}
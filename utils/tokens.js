@@ -0,0 +1,59 @@
+import crypto from "crypto";
+
+/**
+ * Single-use tokens sent by email. Only a SHA-256 hash is stored, so a leaked
+ * database does not hand out working links.
+ */
+export const TOKEN_PURPOSES = {
+  email_verification: { ttlMinutes: 24 * 60 },
+  password_reset: { ttlMinutes: 60 }
+};
+
+/**
+ * SHA-256 hex digest under which a random token is stored.
+ * @param {string} token
+ */
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Create a token for the user, replacing any unused one with the same purpose.
+ * @param {{query: Function}} tx - Query handle (db or a transaction)
+ * @param {number} userId
+ * @param {"email_verification"|"password_reset"} purpose
+ * @returns {Promise<string>} The raw token to put in the emailed link
+ */
+export async function issueToken(tx, userId, purpose) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(Date.now() + TOKEN_PURPOSES[purpose].ttlMinutes * 60 * 1000);
+
+  await tx.query(
+    "DELETE FROM user_tokens WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL",
+    [userId, purpose]
+  );
+  await tx.query(
+    "INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at) VALUES ($1, $2, $3, $4)",
+    [userId, purpose, hashToken(token), expiresAt]
+  );
+  return token;
+}
+
+/**
+ * Spend a token. Fails for unknown, expired or already used tokens.
+ * @param {{query: Function}} tx
+ * @param {string} token - Raw token from the link
+ * @param {"email_verification"|"password_reset"} purpose
+ * @returns {Promise<number|null>} The owner's user id, or null if the token is not valid
+ */
+export async function consumeToken(tx, token, purpose) {
+  if (typeof token !== "string" || token.length === 0) return null;
+
+  const result = await tx.query(`
+    UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP
+    WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > $3
+    RETURNING user_id
+  `, [hashToken(token), purpose, new Date()]);
+
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+}
@@ -0,0 +1,207 @@
+import multer from "multer";
+import path from "path";
+import fs from "fs";
+import os from "os";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const UPLOAD_DIR = path.join(__dirname, "..", "public", "uploads");
+
+// Project files land here first and move to the storage driver once validated
+export const UPLOAD_TEMP_DIR = path.join(os.tmpdir(), "tic-uploads");
+
+export const MAX_UPLOAD_SIZE = 20 * 1024 * 1024;
+
+// How many leading bytes are read to identify a file
+const SNIFF_LENGTH = 8192;
+
+/**
+ * Magic-byte checks, keyed by the `signature` of ALLOWED_UPLOAD_TYPES.
+ * Office Open XML and OpenDocument files are ZIP containers, legacy Office files are OLE2.
+ */
+const SIGNATURES = {
+  pdf: (bytes) => bytes.subarray(0, 5).toString("latin1") === "%PDF-",
+  ole: (bytes) => bytes.subarray(0, 8).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])),
+  zip: (bytes) => bytes.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04])) ||
+    bytes.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x05, 0x06])),
+  rar: (bytes) => bytes.subarray(0, 6).equals(Buffer.from([0x52, 0x61, 0x72, 0x21, 0x1a, 0x07])),
+  "7z": (bytes) => bytes.subarray(0, 6).equals(Buffer.from([0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])),
+  gzip: (bytes) => bytes[0] === 0x1f && bytes[1] === 0x8b,
+  text: (bytes) => {
+    if (bytes.includes(0)) return false;
+    try {
+      // stream: true tolerates a multi-byte character cut off at the end of the sample
+      new TextDecoder("utf-8", { fatal: true }).decode(bytes, { stream: true });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+};
+
+// Image formats accepted for avatars, by the MIME type they are stored under
+const IMAGE_SIGNATURES = {
+  "image/jpeg": (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff,
+  "image/png": (bytes) => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  "image/gif": (bytes) => /^GIF8[79]a$/.test(bytes.subarray(0, 6).toString("latin1")),
+  "image/webp": (bytes) => bytes.subarray(0, 4).toString("latin1") === "RIFF" &&
+    bytes.subarray(8, 12).toString("latin1") === "WEBP"
+};
+
+/**
+ * MIME type of an image identified by its magic bytes, or null when it is not a JPEG,
+ * PNG, GIF or WebP image. The type the client declared plays no part.
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null}
+ */
+export function sniffImageType(buffer) {
+  const type = Object.keys(IMAGE_SIGNATURES).find(mime => IMAGE_SIGNATURES[mime](buffer));
+  return type || null;
+}
+
+/**
+ * Extensions accepted for project files. The MIME type stored with each file comes
+ * from this table rather than from the client.
+ */
+export const ALLOWED_UPLOAD_TYPES = {
+  ".pdf": { mime: "application/pdf", signature: "pdf" },
+  ".doc": { mime: "application/msword", signature: "ole" },
+  ".docx": { mime: "application/vnd.openxmlformats-officedocument.wordprocessingml.document", signature: "zip" },
+  ".ppt": { mime: "application/vnd.ms-powerpoint", signature: "ole" },
+  ".pptx": { mime: "application/vnd.openxmlformats-officedocument.presentationml.presentation", signature: "zip" },
+  ".xls": { mime: "application/vnd.ms-excel", signature: "ole" },
+  ".xlsx": { mime: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", signature: "zip" },
+  ".odt": { mime: "application/vnd.oasis.opendocument.text", signature: "zip" },
+  ".odp": { mime: "application/vnd.oasis.opendocument.presentation", signature: "zip" },
+  ".txt": { mime: "text/plain", signature: "text" },
+  ".md": { mime: "text/markdown", signature: "text" },
+  ".csv": { mime: "text/csv", signature: "text" },
+  ".zip": { mime: "application/zip", signature: "zip" },
+  ".rar": { mime: "application/vnd.rar", signature: "rar" },
+  ".7z": { mime: "application/x-7z-compressed", signature: "7z" },
+  ".gz": { mime: "application/gzip", signature: "gzip" },
+  ".tgz": { mime: "application/gzip", signature: "gzip" }
+};
+
+class UploadError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Lower-cased extension of an upload if it is on the allow-list, otherwise null.
+ * @param {string} originalName - Client-supplied filename
+ */
+export function allowedExtension(originalName) {
+  const ext = path.extname(originalName || "").toLowerCase();
+  return ALLOWED_UPLOAD_TYPES[ext] ? ext : null;
+}
+
+/**
+ * multer fileFilter rejecting extensions that are not on the allow-list.
+ */
+export function uploadFileFilter(req, file, cb) {
+  if (!allowedExtension(file.originalname)) {
+    const allowed = Object.keys(ALLOWED_UPLOAD_TYPES).join(", ");
+    return cb(new UploadError(415, `File type not allowed: ${file.originalname}. Allowed types: ${allowed}`));
+  }
+  cb(null, true);
+}
+
+/**
+ * Check the first bytes of a stored upload against the signature its extension requires.
+ * @param {string} filePath - Absolute path on disk
+ * @param {string} originalName - Client-supplied filename (for the extension)
+ * @returns {Promise<boolean>}
+ */
+export async function contentMatchesExtension(filePath, originalName) {
+  const ext = allowedExtension(originalName);
+  if (!ext) return false;
+
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(SNIFF_LENGTH);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_LENGTH, 0);
+    return SIGNATURES[ALLOWED_UPLOAD_TYPES[ext].signature](buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Canonical MIME type for an accepted upload.
+ * @param {string} originalName - Client-supplied filename
+ */
+export function mimeTypeFor(originalName) {
+  const ext = allowedExtension(originalName);
+  return ext ? ALLOWED_UPLOAD_TYPES[ext].mime : "application/octet-stream";
+}
+
+/**
+ * Delete multer's temporary copies of the given uploads. Missing files are ignored.
+ * @param {Array<{path: string}>} files
+ */
+export async function discardTempFiles(files) {
+  await Promise.all(files.map(async (file) => {
+    try {
+      await fs.promises.unlink(file.path);
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.error("[ERROR] Failed to remove temporary upload:", err.message);
+      }
+    }
+  }));
+}
+
+function uploadErrorResponse(err) {
+  if (err instanceof multer.MulterError) {
+    switch (err.code) {
+      case "LIMIT_FILE_SIZE":
+        return { status: 413, error: `Each file must be ${MAX_UPLOAD_SIZE / (1024 * 1024)}MB or smaller` };
+      case "LIMIT_FILE_COUNT":
+      case "LIMIT_UNEXPECTED_FILE":
+        return { status: 400, error: `Too many files or unexpected file field "${err.field || ""}"` };
+      default:
+        return { status: 400, error: `File upload error: ${err.message}` };
+    }
+  }
+  return { status: err.status || 400, error: err.message };
+}
+
+/**
+ * Wrap a multer middleware so that upload problems become 4xx JSON responses and
+ * every accepted file is verified against its extension's magic bytes.
+ * Files that fail verification are deleted along with the rest of the request's uploads.
+ * @param {Function} multerMiddleware - e.g. upload.fields([...]) or upload.single("file")
+ */
+export function validatedUpload(multerMiddleware) {
+  return (req, res, next) => {
+    multerMiddleware(req, res, async (err) => {
+      if (err) {
+        const { status, error } = uploadErrorResponse(err);
+        return res.status(status).json({ error });
+      }
+
+      const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+
+      try {
+        for (const file of files) {
+          if (!(await contentMatchesExtension(file.path, file.originalname))) {
+            await discardTempFiles(files);
+            return res.status(415).json({
+              error: `File content does not match its extension: ${file.originalname}`
+            });
+          }
+          file.mimetype = mimeTypeFor(file.originalname);
+        }
+        next();
+      } catch (verifyErr) {
+        next(verifyErr);
+      }
+    });
+  };
+}